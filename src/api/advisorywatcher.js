@@ -0,0 +1,391 @@
+define([
+  'aeris/util',
+  'aeris/events',
+  'aeris/promise',
+  'aeris/api/collections/advisories',
+  'aeris/api/models/advisory',
+  'aeris/api/cache/stores/localstoragestore'
+], function(_, Events, Promise, Advisories, Advisory, LocalStorageStore) {
+  /**
+   * Watches one or more places for advisories
+   * which are issued, updated, or expired.
+   *
+   * Advisories are polled from the Aeris API `advisories/closest`
+   * endpoint, and compared with the advisories found by the
+   * previous poll. Advisories are identified by their VTEC code
+   * and zone, or by their id, if no VTEC code is available.
+   *
+   * Seen advisories are persisted (in localStorage, by default),
+   * so that reloading the page does not report the same advisories again.
+   * Advisories in effect the first time a place is polled
+   * are reported as issued.
+   *
+   * Example:
+   *
+   *  var watcher = new aeris.api.AdvisoryWatcher({
+   *    places: ['seattle,wa', '98109']
+   *  });
+   *
+   *  watcher.on('issued', function(advisory) {
+   *    alert(advisory.get('details').name);
+   *  });
+   *
+   *  watcher.start();
+   *
+   * @class aeris.api.AdvisoryWatcher
+   * @uses aeris.Events
+   *
+   * @constructor
+   *
+   * @param {Object} opt_options
+   * @param {string|Array.<string>} opt_options.places
+   *        Places to watch, as Aeris API `p` params (eg. 'seattle,wa').
+   * @param {number=} opt_options.interval Milliseconds between polls.
+   * @param {aeris.api.cache.stores.CacheStoreInterface=} opt_options.store
+   *        Store for seen advisories. Defaults to a {aeris.api.cache.stores.LocalStorageStore}.
+   * @param {string=} opt_options.storageKey
+   *        Key under which seen advisories are stored.
+   *        Defaults to a key derived from the watched places.
+   * @param {Object=} opt_options.collectionOptions
+   *        Options to pass to each {aeris.api.collections.Advisories} collection
+   *        (eg. `params`, `transport`, or `cache`).
+   * @param {function():aeris.api.collections.Advisories=} opt_options.AdvisoriesType
+   */
+  var AdvisoryWatcher = function(opt_options) {
+    var options = _.defaults(opt_options || {}, {
+      places: [],
+      interval: 1000 * 60 * 5,
+      store: null,
+      storageKey: null,
+      collectionOptions: {},
+      AdvisoriesType: Advisories
+    });
+
+
+    /**
+     * @property places_
+     * @private
+     * @type {Array.<string>}
+     */
+    this.places_ = _.isArray(options.places) ? options.places : [options.places];
+
+
+    /**
+     * @property interval_
+     * @private
+     * @type {number}
+     */
+    this.interval_ = options.interval;
+
+
+    /**
+     * @property store_
+     * @private
+     * @type {aeris.api.cache.stores.CacheStoreInterface}
+     */
+    this.store_ = options.store || new LocalStorageStore({
+      prefix: 'aeris_advisory_watcher:'
+    });
+
+
+    /**
+     * @property storageKey_
+     * @private
+     * @type {string}
+     */
+    this.storageKey_ = options.storageKey || this.places_.slice(0).sort().join('|');
+
+
+    /**
+     * An advisories collection for each watched place.
+     *
+     * @property collections_
+     * @private
+     * @type {Array.<aeris.api.collections.Advisories>}
+     */
+    this.collections_ = this.places_.map(function(place) {
+      var collectionOptions = _.extend({}, options.collectionOptions);
+
+      collectionOptions.params = _.extend({}, collectionOptions.params, { p: place });
+
+      return new options.AdvisoriesType(null, collectionOptions);
+    }, this);
+
+
+    /**
+     * @property pollTimer_
+     * @private
+     * @type {?number}
+     */
+    this.pollTimer_ = null;
+
+
+    /**
+     * @property promiseToPoll_
+     * @private
+     * @type {?aeris.Promise}
+     */
+    this.promiseToPoll_ = null;
+
+
+    Events.call(this);
+
+
+    /**
+     * An advisory has been issued
+     * for a watched place.
+     *
+     * @event issued
+     * @param {aeris.api.models.Advisory} advisory
+     * @param {aeris.api.AdvisoryWatcher} watcher
+     */
+    /**
+     * A previously seen advisory
+     * has been updated.
+     *
+     * @event updated
+     * @param {aeris.api.models.Advisory} advisory
+     * @param {aeris.api.AdvisoryWatcher} watcher
+     */
+    /**
+     * A previously seen advisory is no longer
+     * in effect for any watched place.
+     *
+     * @event expired
+     * @param {aeris.api.models.Advisory} advisory
+     *        The advisory, as it was last seen.
+     * @param {aeris.api.AdvisoryWatcher} watcher
+     */
+    /**
+     * Advisories could not be polled.
+     *
+     * @event error
+     * @param {aeris.api.AdvisoryWatcher} watcher
+     * @param {Error} error
+     */
+  };
+  _.extend(AdvisoryWatcher.prototype, Events.prototype);
+
+
+  /**
+   * Poll for advisories immediately,
+   * and then at the watcher's interval.
+   *
+   * @method start
+   * @return {aeris.Promise} Promise to complete the first poll.
+   */
+  AdvisoryWatcher.prototype.start = function() {
+    this.stop();
+
+    this.pollTimer_ = _.interval(this.poll, this.interval_, this);
+
+    return this.poll();
+  };
+
+
+  /**
+   * @method stop
+   */
+  AdvisoryWatcher.prototype.stop = function() {
+    if (!_.isNull(this.pollTimer_)) {
+      window.clearInterval(this.pollTimer_);
+    }
+
+    this.pollTimer_ = null;
+  };
+
+
+  /**
+   * @method isWatching
+   * @return {Boolean}
+   */
+  AdvisoryWatcher.prototype.isWatching = function() {
+    return !_.isNull(this.pollTimer_);
+  };
+
+
+  /**
+   * Fetch advisories for all watched places,
+   * and trigger events for issued, updated, and expired advisories.
+   *
+   * If any place cannot be fetched, no events are triggered,
+   * so that advisories are not falsely reported as expired.
+   *
+   * @method poll
+   * @return {aeris.Promise} Resolves with the current advisories.
+   */
+  AdvisoryWatcher.prototype.poll = function() {
+    var promiseToPoll;
+
+    if (this.promiseToPoll_) {
+      return this.promiseToPoll_;
+    }
+
+    promiseToPoll = new Promise();
+
+    Promise.map(this.collections_, function(collection) {
+      return collection.fetch();
+    }).
+      done(function() {
+        this.compareAdvisories_();
+        promiseToPoll.resolve(this.getAdvisories());
+      }, this).
+      fail(function(error) {
+        this.trigger('error', this, error);
+        promiseToPoll.reject(error);
+      }, this);
+
+    if (promiseToPoll.getState() === 'pending') {
+      this.promiseToPoll_ = promiseToPoll;
+      promiseToPoll.always(function() {
+        this.promiseToPoll_ = null;
+      }, this);
+    }
+
+    return promiseToPoll;
+  };
+
+
+  /**
+   * Returns advisories currently in effect
+   * for the watched places.
+   *
+   * Advisories in effect for multiple places
+   * are only included once.
+   *
+   * @method getAdvisories
+   * @return {Array.<aeris.api.models.Advisory>}
+   */
+  AdvisoryWatcher.prototype.getAdvisories = function() {
+    return _.values(this.indexAdvisories_());
+  };
+
+
+  /**
+   * Forget all seen advisories, so that advisories
+   * currently in effect will be reported as issued
+   * by the next poll.
+   *
+   * @method reset
+   */
+  AdvisoryWatcher.prototype.reset = function() {
+    this.store_.remove(this.storageKey_);
+  };
+
+
+  /**
+   * @method compareAdvisories_
+   * @private
+   */
+  AdvisoryWatcher.prototype.compareAdvisories_ = function() {
+    var seenAdvisories = this.store_.get(this.storageKey_) || {};
+    var currentAdvisories = this.indexAdvisories_();
+    var issued = [], updated = [], expired;
+
+    _.each(currentAdvisories, function(advisory, key) {
+      var seen = seenAdvisories[key];
+
+      if (!seen) {
+        issued.push(advisory);
+      }
+      else if (seen.version !== this.getAdvisoryVersion_(advisory)) {
+        updated.push(advisory);
+      }
+    }, this);
+
+    expired = _.map(_.omit(seenAdvisories, _.keys(currentAdvisories)), function(seen) {
+      return new Advisory(seen.attributes);
+    });
+
+    this.store_.set(this.storageKey_, _.reduce(currentAdvisories, function(seen, advisory, key) {
+      seen[key] = {
+        version: this.getAdvisoryVersion_(advisory),
+        attributes: advisory.toJSON()
+      };
+
+      return seen;
+    }, {}, this));
+
+    issued.forEach(_.partial(this.triggerAdvisoryEvent_, 'issued'), this);
+    updated.forEach(_.partial(this.triggerAdvisoryEvent_, 'updated'), this);
+    expired.forEach(_.partial(this.triggerAdvisoryEvent_, 'expired'), this);
+  };
+
+
+  /**
+   * @method triggerAdvisoryEvent_
+   * @private
+   * @param {string} topic
+   * @param {aeris.api.models.Advisory} advisory
+   */
+  AdvisoryWatcher.prototype.triggerAdvisoryEvent_ = function(topic, advisory) {
+    this.trigger(topic, advisory, this);
+  };
+
+
+  /**
+   * Returns advisories from all watched places,
+   * keyed by advisory identity.
+   *
+   * @method indexAdvisories_
+   * @private
+   * @return {Object.<string,aeris.api.models.Advisory>}
+   */
+  AdvisoryWatcher.prototype.indexAdvisories_ = function() {
+    return _.reduce(this.collections_, function(index, collection) {
+      collection.each(function(advisory) {
+        var key = this.getAdvisoryKey_(advisory);
+
+        if (!index[key]) {
+          index[key] = advisory;
+        }
+      }, this);
+
+      return index;
+    }, {}, this);
+  };
+
+
+  /**
+   * Identifies an advisory by its VTEC event (eg. 'WI.Y.0012')
+   * and zone, so that updates to an advisory are not
+   * reported as new advisories.
+   *
+   * Falls back to the advisory id, if the advisory
+   * has no event tracking number.
+   *
+   * @method getAdvisoryKey_
+   * @private
+   * @param {aeris.api.models.Advisory} advisory
+   * @return {string}
+   */
+  AdvisoryWatcher.prototype.getAdvisoryKey_ = function(advisory) {
+    var vtec = advisory.getVtec();
+    var etn = advisory.getEtn();
+    var zone = advisory.getZone();
+
+    if (vtec && etn && zone) {
+      return vtec + '.' + etn + '@' + zone;
+    }
+
+    return String(_.isUndefined(advisory.id) ? advisory.cid : advisory.id);
+  };
+
+
+  /**
+   * Advisories are considered updated
+   * when their update timestamp changes.
+   *
+   * @method getAdvisoryVersion_
+   * @private
+   * @param {aeris.api.models.Advisory} advisory
+   * @return {?number}
+   */
+  AdvisoryWatcher.prototype.getAdvisoryVersion_ = function(advisory) {
+    return advisory.getAtPath('timestamps.updated') ||
+      advisory.getAtPath('timestamps.issued') || null;
+  };
+
+
+  return _.expose(AdvisoryWatcher, 'aeris.api.AdvisoryWatcher');
+});
@@ -0,0 +1,258 @@
+define([
+  'aeris/util',
+  'aeris/promise',
+  'aeris/api/models/aerisbatchmodel'
+], function(_, Promise, AerisBatchModel) {
+  /**
+   * Combines requests made by separate
+   * {aeris.api.models.AerisApiModel} and {aeris.api.collections.AerisApiCollection}
+   * objects into a single Aeris API batch request.
+   *
+   * Requests scheduled within a short window
+   * are sent together as a single batch request.
+   * Each request is sent with the params and API keys
+   * it was scheduled with.
+   * Each model or collection receives its own response from the batch,
+   * and handles it as it would handle a regular response.
+   *
+   * Example:
+   *
+   *  var scheduler = new aeris.api.BatchScheduler();
+   *  var options = {
+   *    batchScheduler: scheduler,
+   *    params: { p: 'seattle,wa' }
+   *  };
+   *  var observation = new aeris.api.models.Observation(null, options);
+   *  var sunmoon = new aeris.api.models.Sunmoon(null, options);
+   *  var advisories = new aeris.api.collections.Advisories(null, options);
+   *
+   *  // Makes a single request to the Aeris API /batch endpoint
+   *  observation.fetch();
+   *  sunmoon.fetch();
+   *  advisories.fetch();
+   *
+   * @class aeris.api.BatchScheduler
+   *
+   * @constructor
+   *
+   * @param {Object=} opt_options
+   * @param {number=} opt_options.wait
+   *        Milliseconds to wait for more requests, before sending a batch.
+   *        Defaults to 0, which batches requests made within the same tick.
+   * @param {function():aeris.api.models.AerisBatchModel=} opt_options.BatchModelType
+   */
+  var BatchScheduler = function(opt_options) {
+    var options = _.defaults(opt_options || {}, {
+      wait: 0,
+      BatchModelType: AerisBatchModel
+    });
+
+
+    /**
+     * @property wait_
+     * @private
+     * @type {number}
+     */
+    this.wait_ = options.wait;
+
+
+    /**
+     * @property BatchModelType_
+     * @private
+     * @type {function():aeris.api.models.AerisBatchModel}
+     */
+    this.BatchModelType_ = options.BatchModelType;
+
+
+    /**
+     * Requests waiting to be sent.
+     *
+     * @property queue_
+     * @private
+     * @type {Array.<Object>}
+     */
+    this.queue_ = [];
+
+
+    /**
+     * @property flushTimeout_
+     * @private
+     * @type {?number}
+     */
+    this.flushTimeout_ = null;
+  };
+
+
+  /**
+   * Schedule a request to be sent
+   * with the next batch.
+   *
+   * @method schedule
+   * @param {aeris.api.models.AerisApiModel|aeris.api.collections.AerisApiCollection} model
+   *        Model or collection making the request.
+   * @param {string} url
+   * @param {Object} data Serialized request params.
+   * @param {aeris.api.transports.TransportInterface} transport
+   * @return {aeris.Promise} Resolves with the model's raw response data.
+   */
+  BatchScheduler.prototype.schedule = function(model, url, data, transport) {
+    var request = {
+      model: model,
+      url: url,
+      data: data,
+      transport: transport,
+      promise: new Promise()
+    };
+
+    this.queue_.push(request);
+
+    if (_.isNull(this.flushTimeout_)) {
+      this.flushTimeout_ = _.delay(_.bind(this.flush, this), this.wait_);
+    }
+
+    return request.promise;
+  };
+
+
+  /**
+   * Immediately send all scheduled requests.
+   *
+   * @method flush
+   */
+  BatchScheduler.prototype.flush = function() {
+    var requests = this.queue_;
+
+    if (!_.isNull(this.flushTimeout_)) {
+      window.clearTimeout(this.flushTimeout_);
+      this.flushTimeout_ = null;
+    }
+
+    this.queue_ = [];
+
+    _.each(this.groupRequests_(requests), this.sendBatch_, this);
+  };
+
+
+  /**
+   * @method getPendingCount
+   * @return {number} Number of requests waiting to be sent.
+   */
+  BatchScheduler.prototype.getPendingCount = function() {
+    return this.queue_.length;
+  };
+
+
+  /**
+   * Groups requests which may be sent
+   * together, ie. which share a server, transport, and API keys.
+   *
+   * @method groupRequests_
+   * @private
+   * @param {Array.<Object>} requests
+   * @return {Array.<Array.<Object>>}
+   */
+  BatchScheduler.prototype.groupRequests_ = function(requests) {
+    return _.reduce(requests, function(groups, request) {
+      var group = _.find(groups, function(groupRequests) {
+        var groupRequest = groupRequests[0];
+
+        return groupRequest.transport === request.transport &&
+          groupRequest.model.getServer() === request.model.getServer() &&
+          this.hasSameApiKeys_(groupRequest, request);
+      }, this);
+
+      if (group) {
+        group.push(request);
+      }
+      else {
+        groups.push([request]);
+      }
+
+      return groups;
+    }, [], this);
+  };
+
+
+  /**
+   * @method hasSameApiKeys_
+   * @private
+   * @param {Object} requestA
+   * @param {Object} requestB
+   * @return {Boolean}
+   */
+  BatchScheduler.prototype.hasSameApiKeys_ = function(requestA, requestB) {
+    var dataA = requestA.data || {};
+    var dataB = requestB.data || {};
+
+    return dataA.client_id === dataB.client_id &&
+      dataA.client_secret === dataB.client_secret;
+  };
+
+
+  /**
+   * Send a group of requests as a single batch request,
+   * and resolve each request with its own response.
+   *
+   * @method sendBatch_
+   * @private
+   * @param {Array.<Object>} requests
+   */
+  BatchScheduler.prototype.sendBatch_ = function(requests) {
+    var attrs = {};
+    var batchModel;
+
+    // No need to batch a single request
+    if (requests.length === 1) {
+      requests[0].transport.get(requests[0].url, requests[0].data).
+        done(requests[0].promise.resolve).
+        fail(requests[0].promise.reject);
+
+      return;
+    }
+
+    _.each(requests, function(request, i) {
+      attrs['request' + i] = request.model;
+    });
+
+    batchModel = new this.BatchModelType_(attrs, {
+      server: requests[0].model.getServer(),
+      transport: requests[0].transport,
+      requestRegistry: null
+    });
+
+    // Use the scheduled params, in case the models'
+    // params have changed since the requests were scheduled.
+    batchModel.requestResponses(_.map(requests, function(request) {
+      return _.pick(request, 'url', 'data');
+    })).
+      done(function(responses) {
+        _.each(requests, function(request, i) {
+          request.promise.resolve(responses[i]);
+        });
+      }).
+      fail(function(error) {
+        _.each(requests, function(request) {
+          request.promise.reject(error);
+        });
+      });
+  };
+
+
+  /**
+   * A shared scheduler instance.
+   *
+   * @method getInstance
+   * @static
+   * @return {aeris.api.BatchScheduler}
+   */
+  BatchScheduler.getInstance = function() {
+    if (!BatchScheduler.instance_) {
+      BatchScheduler.instance_ = new BatchScheduler();
+    }
+
+    return BatchScheduler.instance_;
+  };
+
+
+  return _.expose(BatchScheduler, 'aeris.api.BatchScheduler');
+});
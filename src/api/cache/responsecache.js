@@ -0,0 +1,171 @@
+define([
+  'aeris/util',
+  'aeris/events',
+  'aeris/api/cache/stores/memorystore'
+], function(_, Events, MemoryStore) {
+  /**
+   * Caches Aeris API responses, so that identical requests
+   * made by multiple data objects do not each require
+   * a request to the Aeris API.
+   *
+   * Responses are cached by endpoint url and request parameters,
+   * and expire after a time-to-live (TTL), which may be configured
+   * per endpoint.
+   *
+   * Example:
+   *
+   *  var cache = new aeris.api.cache.ResponseCache({
+   *    ttl: 60 * 1000,
+   *    endpointTtl: {
+   *      advisories: 5 * 60 * 1000
+   *    }
+   *  });
+   *
+   *  var observations = new aeris.api.collections.Observations(null, {
+   *    cache: cache
+   *  });
+   *
+   * @class aeris.api.cache.ResponseCache
+   * @uses aeris.Events
+   *
+   * @constructor
+   *
+   * @param {Object=} opt_options
+   * @param {aeris.api.cache.stores.CacheStoreInterface=} opt_options.store
+   *        Defaults to a {aeris.api.cache.stores.MemoryStore}.
+   * @param {number=} opt_options.ttl Default TTL, in milliseconds.
+   * @param {Object.<string,number>=} opt_options.endpointTtl
+   *        TTL per Aeris API endpoint, in milliseconds.
+   */
+  var ResponseCache = function(opt_options) {
+    var options = _.defaults(opt_options || {}, {
+      store: new MemoryStore(),
+      ttl: 1000 * 60 * 5,
+      endpointTtl: {}
+    });
+
+    /**
+     * @property store_
+     * @private
+     * @type {aeris.api.cache.stores.CacheStoreInterface}
+     */
+    this.store_ = options.store;
+
+
+    /**
+     * @property ttl_
+     * @private
+     * @type {number}
+     */
+    this.ttl_ = options.ttl;
+
+
+    /**
+     * @property endpointTtl_
+     * @private
+     * @type {Object.<string,number>}
+     */
+    this.endpointTtl_ = options.endpointTtl;
+
+
+    Events.call(this);
+
+
+    /**
+     * A cached response was found for a request.
+     *
+     * @event hit
+     * @param {string} key
+     * @param {Object} response
+     */
+    /**
+     * No cached response was found for a request.
+     *
+     * @event miss
+     * @param {string} key
+     */
+  };
+  _.extend(ResponseCache.prototype, Events.prototype);
+
+
+  /**
+   * Returns a cached response,
+   * if one exists and has not expired.
+   *
+   * @method get
+   * @param {string} key
+   * @return {Object|undefined}
+   */
+  ResponseCache.prototype.get = function(key) {
+    var entry = this.store_.get(key);
+    var isExpired = entry && entry.expires <= Date.now();
+
+    if (isExpired) {
+      this.store_.remove(key);
+    }
+
+    if (!entry || isExpired) {
+      this.trigger('miss', key);
+      return undefined;
+    }
+
+    this.trigger('hit', key, entry.response);
+    return entry.response;
+  };
+
+
+  /**
+   * Cache a response.
+   *
+   * @method set
+   * @param {string} key
+   * @param {Object} response
+   * @param {string=} opt_endpoint Endpoint used to determine the TTL.
+   */
+  ResponseCache.prototype.set = function(key, response, opt_endpoint) {
+    this.store_.set(key, {
+      expires: Date.now() + this.getTtl(opt_endpoint),
+      response: response
+    });
+  };
+
+
+  /**
+   * @method getTtl
+   * @param {string=} opt_endpoint
+   * @return {number} TTL for the endpoint, in milliseconds.
+   */
+  ResponseCache.prototype.getTtl = function(opt_endpoint) {
+    return _.has(this.endpointTtl_, opt_endpoint) ?
+      this.endpointTtl_[opt_endpoint] : this.ttl_;
+  };
+
+
+  /**
+   * @method setTtl
+   * @param {number} ttl Milliseconds.
+   * @param {string=} opt_endpoint
+   *        If no endpoint is specified, sets the default TTL.
+   */
+  ResponseCache.prototype.setTtl = function(ttl, opt_endpoint) {
+    if (opt_endpoint) {
+      this.endpointTtl_[opt_endpoint] = ttl;
+    }
+    else {
+      this.ttl_ = ttl;
+    }
+  };
+
+
+  /**
+   * Remove all cached responses.
+   *
+   * @method clear
+   */
+  ResponseCache.prototype.clear = function() {
+    this.store_.clear();
+  };
+
+
+  return _.expose(ResponseCache, 'aeris.api.cache.ResponseCache');
+});
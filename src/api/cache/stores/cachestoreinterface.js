@@ -0,0 +1,45 @@
+define([
+  'aeris/util'
+], function(_) {
+  /**
+   * A key-value store for cached API responses.
+   *
+   * @class aeris.api.cache.stores.CacheStoreInterface
+   * @interface
+   */
+  var CacheStoreInterface = function() {};
+
+
+  /**
+   * @method get
+   * @param {string} key
+   * @return {*|undefined} Undefined if no value is stored for the key.
+   */
+  CacheStoreInterface.prototype.get = _.abstractMethod;
+
+
+  /**
+   * @method set
+   * @param {string} key
+   * @param {*} value Must be JSON-serializable.
+   */
+  CacheStoreInterface.prototype.set = _.abstractMethod;
+
+
+  /**
+   * @method remove
+   * @param {string} key
+   */
+  CacheStoreInterface.prototype.remove = _.abstractMethod;
+
+
+  /**
+   * Remove all stored values.
+   *
+   * @method clear
+   */
+  CacheStoreInterface.prototype.clear = _.abstractMethod;
+
+
+  return CacheStoreInterface;
+});
@@ -0,0 +1,104 @@
+define([
+  'aeris/util'
+], function(_) {
+  /**
+   * Stores cached values in localStorage,
+   * so that they persist across page loads.
+   *
+   * Values are serialized as JSON. If the storage quota
+   * is exceeded, values are silently not stored.
+   *
+   * @class aeris.api.cache.stores.LocalStorageStore
+   * @implements aeris.api.cache.stores.CacheStoreInterface
+   *
+   * @constructor
+   *
+   * @param {Object=} opt_options
+   * @param {Storage=} opt_options.storage Defaults to window.localStorage.
+   * @param {string=} opt_options.prefix Prefix for storage keys.
+   */
+  var LocalStorageStore = function(opt_options) {
+    var options = _.defaults(opt_options || {}, {
+      storage: null,
+      prefix: 'aeris_api_cache:'
+    });
+
+    /**
+     * @property storage_
+     * @private
+     * @type {Storage}
+     */
+    this.storage_ = options.storage || window.localStorage;
+
+
+    /**
+     * @property prefix_
+     * @private
+     * @type {string}
+     */
+    this.prefix_ = options.prefix;
+  };
+
+
+  /**
+   * @method get
+   */
+  LocalStorageStore.prototype.get = function(key) {
+    var json = this.storage_.getItem(this.prefix_ + key);
+
+    if (_.isNull(json)) {
+      return undefined;
+    }
+
+    try {
+      return JSON.parse(json);
+    }
+    catch (e) {
+      this.remove(key);
+      return undefined;
+    }
+  };
+
+
+  /**
+   * @method set
+   */
+  LocalStorageStore.prototype.set = function(key, value) {
+    try {
+      this.storage_.setItem(this.prefix_ + key, JSON.stringify(value));
+    }
+    catch (e) {
+      // Storage quota exceeded, or storage is unavailable
+      // (eg. Safari private browsing).
+    }
+  };
+
+
+  /**
+   * @method remove
+   */
+  LocalStorageStore.prototype.remove = function(key) {
+    this.storage_.removeItem(this.prefix_ + key);
+  };
+
+
+  /**
+   * Removes all values stored with this store's prefix.
+   *
+   * @method clear
+   */
+  LocalStorageStore.prototype.clear = function() {
+    var storageKeys = _.range(this.storage_.length).map(function(i) {
+      return this.storage_.key(i);
+    }, this);
+
+    storageKeys.forEach(function(storageKey) {
+      if (storageKey && storageKey.indexOf(this.prefix_) === 0) {
+        this.storage_.removeItem(storageKey);
+      }
+    }, this);
+  };
+
+
+  return _.expose(LocalStorageStore, 'aeris.api.cache.stores.LocalStorageStore');
+});
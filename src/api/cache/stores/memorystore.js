@@ -0,0 +1,55 @@
+define([
+  'aeris/util'
+], function(_) {
+  /**
+   * Stores cached values in memory.
+   *
+   * @class aeris.api.cache.stores.MemoryStore
+   * @implements aeris.api.cache.stores.CacheStoreInterface
+   *
+   * @constructor
+   */
+  var MemoryStore = function() {
+    /**
+     * @property values_
+     * @private
+     * @type {Object.<string,*>}
+     */
+    this.values_ = {};
+  };
+
+
+  /**
+   * @method get
+   */
+  MemoryStore.prototype.get = function(key) {
+    return _.has(this.values_, key) ? this.values_[key] : undefined;
+  };
+
+
+  /**
+   * @method set
+   */
+  MemoryStore.prototype.set = function(key, value) {
+    this.values_[key] = value;
+  };
+
+
+  /**
+   * @method remove
+   */
+  MemoryStore.prototype.remove = function(key) {
+    delete this.values_[key];
+  };
+
+
+  /**
+   * @method clear
+   */
+  MemoryStore.prototype.clear = function() {
+    this.values_ = {};
+  };
+
+
+  return _.expose(MemoryStore, 'aeris.api.cache.stores.MemoryStore');
+});
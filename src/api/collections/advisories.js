@@ -29,5 +29,31 @@ define([
   _.inherits(Advisories, AerisApiClientCollection);
 
 
+  /**
+   * Returns advisories which have geometry
+   * as a GeoJSON feature collection.
+   *
+   * Features are ordered by severity, so that
+   * more severe advisories are drawn on top.
+   *
+   * @method toGeoJson
+   * @return {Object} GeoJSON FeatureCollection.
+   */
+  Advisories.prototype.toGeoJson = function() {
+    var advisories = this.filter(function(advisory) {
+      return !!advisory.getGeometry();
+    });
+
+    return {
+      type: 'FeatureCollection',
+      features: _.sortBy(advisories, function(advisory) {
+        return advisory.getSeverity();
+      }).map(function(advisory) {
+        return advisory.toGeoJson();
+      })
+    };
+  };
+
+
   return _.expose(Advisories, 'aeris.api.collections.Advisories');
 });
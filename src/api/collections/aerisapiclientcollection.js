@@ -1,21 +1,27 @@
 define([
   'aeris/util',
   'aeris/subsetcollection',
-  'aeris/api/collections/aerisapicollection'
-], function(_, SubsetCollection, AerisApiCollection) {
+  'aeris/api/collections/aerisapicollection',
+  'aeris/api/mixins/autoupdatebehavior'
+], function(_, SubsetCollection, AerisApiCollection, AutoUpdateBehavior) {
   /**
    * A subset of an {aeris.api.collections.AerisApiCollection},
    * which may be manipulated on the client side, without effecting
    * models retrieved from the server.
    *
    * For example, a ClientCollection will filter models based
-   * on provided filter params, without removing models from the
+   * on provided filter and query params, without removing models from the
    * AerisApiCollection. Since we saved previously stored models,
    * the filter can be changed or removed without needed to request
    * new data from the server.
    *
+   * Auto-updates report models added to, or removed from
+   * the client collection, so that models excluded by client
+   * filters are not reported.
+   *
    * @class aeris.api.collections.AerisApiClientCollection
    * @extends aeris.SubsetCollection
+   * @uses aeris.api.mixins.AutoUpdateBehavior
    *
    * @constructor
    * @override
@@ -26,6 +32,13 @@ define([
    * @param {string=} opt_options.endpoint Aeris API endpoint.
    * @param {Object|Model=} opt_options.params Parameters with which to query the Aeris API.
    * @param {string=} opt_options.server The Aeris API server location.
+   * @param {aeris.api.transports.TransportInterface=} opt_options.transport
+   * @param {number=} opt_options.timeout Request timeout, in milliseconds.
+   * @param {aeris.api.cache.ResponseCache=} opt_options.cache
+   * @param {aeris.api.RequestRegistry=} opt_options.requestRegistry
+   * @param {aeris.api.RetryPolicy=} opt_options.retryPolicy
+   * @param {aeris.api.BatchScheduler=} opt_options.batchScheduler
+   * @param {Boolean=} opt_options.validateFilters
    *
    * @param {number=} clientLimit Max number of models to retain in the client collection.
    * @param {function(aeris.api.models.AerisApiModel):Boolean} clientFilter Filter to apply to the client collection.
@@ -43,6 +56,13 @@ define([
       'action',
       'model',
       'server',
+      'transport',
+      'timeout',
+      'cache',
+      'requestRegistry',
+      'retryPolicy',
+      'batchScheduler',
+      'validateFilters',
       'SourceCollectionType'
     ]);
 
@@ -59,6 +79,8 @@ define([
     this.bindClientFilters_();
     this.updateClientFilters_();
 
+    this.proxyApiEvents_();
+
     /**
      * A request has been made to fetch
      * data from the Aeris API.
@@ -78,8 +100,50 @@ define([
      * @param {Object} resp Raw response data from the AerisAPI.
      * @param {Object} requestOptions
      */
+
+    /**
+     * See {aeris.api.collections.AerisApiCollection}.
+     *
+     * @event 'page'
+     */
+
+    /**
+     * See {aeris.api.mixins.AerisApiBehavior}.
+     *
+     * @event 'warning'
+     */
+
+    /**
+     * See {aeris.api.mixins.AerisApiBehavior}.
+     *
+     * @event 'retry'
+     */
+
+    /**
+     * See {aeris.api.mixins.AerisApiBehavior}.
+     *
+     * @event 'cache:hit'
+     */
   };
   _.inherits(AerisApiClientCollection, SubsetCollection);
+  _.extend(AerisApiClientCollection.prototype, AutoUpdateBehavior);
+
+
+  /**
+   * Source collection events to
+   * trigger on the client collection.
+   *
+   * @property PROXY_EVENTS_
+   * @static
+   * @private
+   * @type {Array.<string>}
+   */
+  AerisApiClientCollection.PROXY_EVENTS_ = [
+    'page',
+    'warning',
+    'retry',
+    'cache:hit'
+  ];
 
 
   /**
@@ -95,11 +159,38 @@ define([
       'endpoint',
       'action',
       'model',
-      'server'
+      'server',
+      'transport',
+      'timeout',
+      'cache',
+      'requestRegistry',
+      'retryPolicy',
+      'batchScheduler',
+      'validateFilters'
     ]));
   };
 
 
+  /**
+   * Trigger Aeris API events from the
+   * source collection on the client collection.
+   *
+   * Note that 'request', 'sync', and 'error' events
+   * are proxied by {aeris.SubsetCollection}.
+   *
+   * @method proxyApiEvents_
+   * @private
+   */
+  AerisApiClientCollection.prototype.proxyApiEvents_ = function() {
+    _.each(AerisApiClientCollection.PROXY_EVENTS_, function(topic) {
+      this.listenTo(this.sourceCollection_, topic, function(var_args) {
+        var args = [topic].concat(_.toArray(arguments));
+        this.trigger.apply(this, args);
+      });
+    }, this);
+  };
+
+
   /**
    * @method bindClientFilters_
    * @private
@@ -108,6 +199,9 @@ define([
     this.listenTo(this.getApiFilters_(), {
       'add remove reset change': this.updateClientFilters_
     });
+    this.listenTo(this.getApiQuery_(), {
+      'add remove reset change': this.updateClientFilters_
+    });
   };
 
 
@@ -116,8 +210,8 @@ define([
    * @private
    */
   AerisApiClientCollection.prototype.updateClientFilters_ = function() {
-    if (this.getApiFilters_().length) {
-      this.applyClientFilters_(this.getApiFilters_());
+    if (this.getApiFilters_().length || this.getApiQuery_().length) {
+      this.applyClientFilters_(this.getApiFilters_(), this.getApiQuery_());
     }
     else {
       this.removeClientFilter();
@@ -129,10 +223,13 @@ define([
    * @method applyClientFilters_
    * @private
    * @param {aeris.api.params.collections.FilterCollection} filterCollection
+   * @param {aeris.api.params.collections.ChainedQueries} queries
    */
-  AerisApiClientCollection.prototype.applyClientFilters_ = function(filterCollection) {
+  AerisApiClientCollection.prototype.applyClientFilters_ = function(filterCollection, queries) {
     this.setClientFilter(function(apiModel) {
-      return apiModel.testFilterCollection(filterCollection);
+      var isPassingQueries = !queries.length || apiModel.testQueryCollection(queries);
+
+      return isPassingQueries && (!filterCollection.length || apiModel.testFilterCollection(filterCollection));
     }, this);
   };
 
@@ -149,6 +246,18 @@ define([
   };
 
 
+  /**
+   * Get the queries used to query the AerisAPI
+   *
+   * @method getApiQuery_
+   * @private
+   * @return {aeris.api.params.collections.ChainedQueries}
+   */
+  AerisApiClientCollection.prototype.getApiQuery_ = function() {
+    return this.sourceCollection_.getParams().get('query');
+  };
+
+
   /**
    * Apply a client-side filter to the collection.
    *
@@ -230,6 +339,7 @@ define([
    * @param {string|Array.<string>|aeris.api.params.models.Filter|aeris.api.params.collections.FilterCollection} filter
    * @param {Object=} opt_options
    * @param {aeris.api.Operator} opt_options.operator
+   * @throws {aeris.errors.ValidationError} If the filter is not valid for the endpoint.
    */
   /**
    * Remove a filter from the Aeris API request.
@@ -250,6 +360,7 @@ define([
    */
   /**
    * Add a query term to Aeris API request.
+   * Queries will also be applied client-side, if possible.
    *
    * @method addQuery
    * @param {aeris.api.params.models.Query|Array.<aeris.api.params.models.Query>} query
@@ -257,6 +368,7 @@ define([
    */
   /**
    * Remove a query from the Aeris API request
+   * Queries will also be applied client-side, if possible.
    *
    * @method removeQuery
    * @param {aeris.api.params.models.Query|Array.<aeris.api.params.models.Query>|string|Array.<string>} query model(s), or property (key).
@@ -264,6 +376,7 @@ define([
    */
   /**
    * Resets the query for the Aeris API request.
+   * Queries will also be applied client-side, if possible.
    *
    * @method resetQuery
    * @param {aeris.api.params.models.Query|Array.<aeris.api.params.models.Query>=} opt_query
@@ -275,6 +388,45 @@ define([
    * @method getQuery
    * @return {aeris.api.params.collections.ChainedQueries}
    */
+  /**
+   * @method addSort
+   * @param {string} property
+   * @param {aeris.api.SortDirection=} opt_direction
+   * @param {Object=} opt_options
+   */
+  /**
+   * @method removeSort
+   * @param {string|Array.<string>|aeris.api.params.models.Sort} sort
+   * @param {Object=} opt_options
+   */
+  /**
+   * @method resetSort
+   * @param {string|Array.<Object|aeris.api.params.models.Sort>=} opt_sort
+   * @param {Object=} opt_options
+   */
+  /**
+   * @method getSort
+   * @return {aeris.api.params.collections.SortCollection}
+   */
+  /**
+   * @method setFields
+   * @param {Array.<string>|string} fields
+   * @param {Object=} opt_options
+   */
+  /**
+   * @method addFields
+   * @param {Array.<string>|string} fields
+   * @param {Object=} opt_options
+   */
+  /**
+   * @method removeFields
+   * @param {Array.<string>|string} fields
+   * @param {Object=} opt_options
+   */
+  /**
+   * @method getFields
+   * @return {aeris.api.params.collections.FieldsCollection}
+   */
   /**
    * Fetch data from the Aeris API.
    *
@@ -282,6 +434,25 @@ define([
    * @override
    * @return {aeris.Promise} Resolves with API response.
    */
+  /**
+   * Fetch the next page of data from the Aeris API.
+   *
+   * @method fetchNextPage
+   * @param {Object=} opt_options
+   * @return {aeris.Promise} Resolves with API response.
+   */
+  /**
+   * @method hasMorePages
+   * @return {Boolean}
+   */
+  /**
+   * Fetch all pages of data from the Aeris API.
+   *
+   * @method fetchAll
+   * @param {Object=} opt_options
+   * @param {number=} opt_options.maxPages
+   * @return {aeris.Promise} Resolves with an array of API responses.
+   */
 
   // Proxy AerisApi methods
   var aerisApiProxyMethods = [
@@ -297,8 +468,19 @@ define([
     'removeQuery',
     'resetQuery',
     'getQuery',
+    'addSort',
+    'removeSort',
+    'resetSort',
+    'getSort',
+    'setFields',
+    'addFields',
+    'removeFields',
+    'getFields',
     'setAction',
-    'getAction'
+    'getAction',
+    'fetchNextPage',
+    'hasMorePages',
+    'fetchAll'
   ];
   _.each(aerisApiProxyMethods, function(methodName) {
     AerisApiClientCollection.prototype[methodName] = function() {
@@ -1,9 +1,12 @@
 define([
   'aeris/util',
   'aeris/collection',
+  'aeris/promise',
   'aeris/api/mixins/aerisapibehavior',
-  'aeris/jsonp'
-], function(_, Collection, AerisApiBehavior, JSONP) {
+  'aeris/api/mixins/autoupdatebehavior',
+  'aeris/api/transports/jsonptransport',
+  'aeris/api/requestregistry'
+], function(_, Collection, Promise, AerisApiBehavior, AutoUpdateBehavior, JSONPTransport, RequestRegistry) {
   /**
    * A data collection which creates {aeris.Model} objects
    * from Aeris API response data.
@@ -11,9 +14,17 @@ define([
    * See http://www.hamweather.com/support/documentation/aeris/
    * for Aeris API documentation.
    *
+   * Large result sets may be fetched one page at a time,
+   * using `fetchNextPage` or `fetchAll`. Pages are requested
+   * using the `skip` and `limit` params.
+   *
+   * Collection data may be kept up to date
+   * using `startAutoUpdate`.
+   *
    * @class aeris.api.collections.AerisApiCollection
    * @extends aeris.Collection
    * @uses aeris.api.mixins.AerisApiBehavior
+   * @uses aeris.api.mixins.AutoUpdateBehavior
    *
    *
    * @constructor
@@ -23,7 +34,26 @@ define([
    * @param {string=} opt_options.endpoint Aeris API endpoint.
    * @param {Object|Model=} opt_options.params Parameters with which to query the Aeris API.
    * @param {string=} opt_options.server The Aeris API server location.
-   * @param {aeris.JSONP=} opt_options.JSONP object used for fetching batch data.
+   * @param {aeris.api.transports.TransportInterface=} opt_options.transport
+   *        Transport used to request data. Defaults to the transport
+   *        set in {aeris.config}.
+   * @param {aeris.JSONP=} opt_options.jsonp JSONP utility to use with a JSONP transport.
+   * @param {number=} opt_options.timeout
+   *        Milliseconds after which requests are rejected with a TimeoutError.
+   *        Defaults to 30 seconds. Set to 0 to disable timeouts.
+   * @param {aeris.api.cache.ResponseCache=} opt_options.cache
+   *        Cache for API responses. By default, responses are not cached.
+   * @param {aeris.api.RequestRegistry=} opt_options.requestRegistry
+   *        Registry used to share identical in-flight requests.
+   *        Defaults to a shared registry. Set to null to disable request sharing.
+   * @param {aeris.api.RetryPolicy=} opt_options.retryPolicy
+   *        Policy for retrying failed requests. By default, requests are not retried.
+   * @param {aeris.api.BatchScheduler=} opt_options.batchScheduler
+   *        Scheduler used to combine requests made by separate models
+   *        and collections into batch requests. By default, requests are not batched.
+   * @param {Boolean=} opt_options.validateFilters
+   *        Whether to reject filters which are not listed for the endpoint
+   *        in {aeris.api.config.validFilters}. Default is true.
    */
   var AerisApiCollection = function(opt_models, opt_options) {
     var options = _.extend({
@@ -31,7 +61,13 @@ define([
       action: '',
       params: {},
       server: '//api.aerisapi.com',
-      jsonp: JSONP
+      transport: null,
+      timeout: 30000,
+      cache: null,
+      requestRegistry: RequestRegistry.getInstance(),
+      retryPolicy: null,
+      batchScheduler: null,
+      validateFilters: true
     }, opt_options);
 
 
@@ -82,21 +118,343 @@ define([
      * @protected
      * @property params_
      */
-    this.params_ = this.createParams_(options.params);
+    this.params_ = this.createParams_(options.params, {
+      validateFilters: options.validateFilters
+    });
+
+
+    /**
+     * The transport used to fetch AerisApi data.
+     * If none is provided, the transport is resolved
+     * from {aeris.config} at the time of each request.
+     *
+     * @type {?aeris.api.transports.TransportInterface}
+     * @private
+     * @property transport_
+     */
+    this.transport_ = options.jsonp ?
+      new JSONPTransport({ jsonp: options.jsonp }) : options.transport;
+
+
+    /**
+     * Milliseconds after which requests
+     * are rejected with a TimeoutError.
+     *
+     * May be overridden per-request,
+     * using the `timeout` fetch option.
+     *
+     * @type {number}
+     * @private
+     * @property timeout_
+     */
+    this.timeout_ = options.timeout;
+
+
+    /**
+     * Cache for API responses.
+     *
+     * @type {?aeris.api.cache.ResponseCache}
+     * @private
+     * @property cache_
+     */
+    this.cache_ = options.cache;
+
+
+    /**
+     * Registry of in-flight requests.
+     *
+     * @type {?aeris.api.RequestRegistry}
+     * @private
+     * @property requestRegistry_
+     */
+    this.requestRegistry_ = options.requestRegistry;
+
+
+    /**
+     * Policy for retrying failed requests.
+     *
+     * @type {?aeris.api.RetryPolicy}
+     * @private
+     * @property retryPolicy_
+     */
+    this.retryPolicy_ = options.retryPolicy;
 
 
     /**
-     * @type {aeris.JSONP}
+     * Scheduler used to batch requests.
+     *
+     * @type {?aeris.api.BatchScheduler}
      * @private
-     * @property jsonp_
+     * @property batchScheduler_
      */
-    this.jsonp_ = options.jsonp;
+    this.batchScheduler_ = options.batchScheduler;
+
+
+    /**
+     * Number of pages fetched
+     * using `fetchNextPage`.
+     *
+     * @property pageCount_
+     * @private
+     * @type {number}
+     */
+    this.pageCount_ = 0;
+
+
+    /**
+     * The `skip` param of the next page.
+     *
+     * @property nextPageSkip_
+     * @private
+     * @type {number}
+     */
+    this.nextPageSkip_ = 0;
+
+
+    /**
+     * @property hasMorePages_
+     * @private
+     * @type {Boolean}
+     */
+    this.hasMorePages_ = true;
+
+
+    /**
+     * Whether the `limit` param was set to
+     * DEFAULT_PAGE_LIMIT by `fetchNextPage`,
+     * rather than by the caller.
+     *
+     * @property isDefaultPageLimitSet_
+     * @private
+     * @type {Boolean}
+     */
+    this.isDefaultPageLimitSet_ = false;
+
+
+    /**
+     * Promise to fetch the page
+     * currently being requested.
+     *
+     * @property promiseToFetchPage_
+     * @private
+     * @type {?aeris.Promise}
+     */
+    this.promiseToFetchPage_ = null;
 
 
     Collection.call(this, opt_models, options);
+
+
+    /**
+     * A page of data has been fetched,
+     * and added to the collection.
+     *
+     * @event 'page'
+     * @param {aeris.api.collections.AerisApiCollection} collection
+     * @param {Object} page
+     * @param {number} page.page Number of pages fetched so far.
+     * @param {number} page.skip
+     * @param {number} page.limit
+     * @param {number} page.count Number of results in the page.
+     * @param {Boolean} page.hasMorePages
+     * @param {Object} requestOptions
+     */
   };
   _.inherits(AerisApiCollection, Collection);
   _.extend(AerisApiCollection.prototype, AerisApiBehavior);
+  _.extend(AerisApiCollection.prototype, AutoUpdateBehavior);
+
+
+  /**
+   * Page size used for pagination,
+   * if no `limit` param is set.
+   *
+   * @property DEFAULT_PAGE_LIMIT
+   * @static
+   * @type {number}
+   */
+  AerisApiCollection.DEFAULT_PAGE_LIMIT = 100;
+
+
+  /**
+   * Maximum number of pages requested by `fetchAll`,
+   * if no `maxPages` option is set.
+   *
+   * @property DEFAULT_MAX_PAGES
+   * @static
+   * @type {number}
+   */
+  AerisApiCollection.DEFAULT_MAX_PAGES = 100;
+
+
+  /**
+   * Fetch data from the Aeris API.
+   *
+   * Note that fetching outside of `fetchNextPage`
+   * or `fetchAll` resets pagination to the first page.
+   *
+   * @method fetch
+   * @override
+   * @param {Object=} opt_options
+   * @return {aeris.Promise} Resolves with API response.
+   */
+  AerisApiCollection.prototype.fetch = function(opt_options) {
+    var options = opt_options || {};
+
+    if (!options.page && (this.pageCount_ || this.isDefaultPageLimitSet_)) {
+      this.resetPages_();
+    }
+
+    return Collection.prototype.fetch.call(this, options);
+  };
+
+
+  /**
+   * Fetch the next page of data, and add it to the collection.
+   *
+   * The first page replaces any existing models.
+   * Following pages are merged into the collection,
+   * so that models are not duplicated.
+   *
+   * @method fetchNextPage
+   * @param {Object=} opt_options Fetch options.
+   * @return {aeris.Promise} Resolves with API response.
+   *                         Resolves immediately, if there are no more pages.
+   */
+  AerisApiCollection.prototype.fetchNextPage = function(opt_options) {
+    var isFirstPage = !this.pageCount_;
+    var limit = this.params_.get('limit') || AerisApiCollection.DEFAULT_PAGE_LIMIT;
+    var skip = this.nextPageSkip_;
+    var lengthBeforeFetch = this.length;
+    var options, promiseToFetchPage, promiseToResolve;
+
+    if (this.promiseToFetchPage_) {
+      return this.promiseToFetchPage_;
+    }
+
+    if (!this.hasMorePages()) {
+      promiseToResolve = new Promise();
+      promiseToResolve.resolve();
+
+      return promiseToResolve;
+    }
+
+    options = _.extend({ remove: isFirstPage }, opt_options, { page: true });
+
+    if (!this.params_.has('limit')) {
+      this.isDefaultPageLimitSet_ = true;
+    }
+
+    this.params_.set({
+      skip: skip,
+      limit: limit
+    }, { validate: true });
+
+    promiseToFetchPage = this.fetch(options).
+      done(function(res) {
+        var count = this.parse(res).length;
+        var addedCount = isFirstPage ? this.length : this.length - lengthBeforeFetch;
+
+        this.pageCount_++;
+        this.nextPageSkip_ = skip + count;
+
+        // Stop paging if the API ignores the `skip` param,
+        // and responds with models we already have.
+        this.hasMorePages_ = count >= limit && addedCount > 0;
+
+        this.trigger('page', this, {
+          page: this.pageCount_,
+          skip: skip,
+          limit: limit,
+          count: count,
+          hasMorePages: this.hasMorePages_
+        }, options);
+      }, this);
+
+    if (promiseToFetchPage.getState() === 'pending') {
+      this.promiseToFetchPage_ = promiseToFetchPage;
+      promiseToFetchPage.always(function() {
+        this.promiseToFetchPage_ = null;
+      }, this);
+    }
+
+    return promiseToFetchPage;
+  };
+
+
+  /**
+   * Are there more pages of data to fetch?
+   *
+   * Returns true until a page is fetched
+   * which contains fewer results than the page limit,
+   * or which contains no new models.
+   *
+   * @method hasMorePages
+   * @return {Boolean}
+   */
+  AerisApiCollection.prototype.hasMorePages = function() {
+    return this.hasMorePages_;
+  };
+
+
+  /**
+   * Fetch all pages of data, starting from the first page.
+   *
+   * @method fetchAll
+   * @param {Object=} opt_options Fetch options.
+   * @param {number=} opt_options.maxPages
+   *        Maximum number of pages to fetch.
+   *        Defaults to DEFAULT_MAX_PAGES.
+   * @return {aeris.Promise} Resolves with an array of API responses, one per page.
+   */
+  AerisApiCollection.prototype.fetchAll = function(opt_options) {
+    var options = _.defaults(opt_options || {}, {
+      maxPages: AerisApiCollection.DEFAULT_MAX_PAGES
+    });
+    var fetchOptions = _.omit(options, 'maxPages');
+    var promiseToFetchAll = new Promise();
+    var responses = [];
+
+    var fetchPage = function() {
+      if (!this.hasMorePages() || responses.length >= options.maxPages) {
+        promiseToFetchAll.resolve(responses);
+        return;
+      }
+
+      this.fetchNextPage(fetchOptions).
+        done(function(res) {
+          responses.push(res);
+          fetchPage.call(this);
+        }, this).
+        fail(promiseToFetchAll.reject);
+    };
+
+    this.resetPages_();
+    fetchPage.call(this);
+
+    return promiseToFetchAll;
+  };
+
+
+  /**
+   * Reset pagination to the first page,
+   * and restore the params set by the caller.
+   *
+   * @method resetPages_
+   * @private
+   */
+  AerisApiCollection.prototype.resetPages_ = function() {
+    this.pageCount_ = 0;
+    this.nextPageSkip_ = 0;
+    this.hasMorePages_ = true;
+
+    this.params_.unset('skip');
+
+    if (this.isDefaultPageLimitSet_) {
+      this.params_.unset('limit');
+      this.isDefaultPageLimitSet_ = false;
+    }
+  };
 
 
   /**
@@ -0,0 +1,196 @@
+define([
+  'aeris/util',
+  'aeris/collection',
+  'aeris/api/models/forecastperiod',
+  'aeris/api/forecastinterval'
+], function(_, Collection, ForecastPeriod, ForecastInterval) {
+  /**
+   * The periods of an {aeris.api.models.Forecast},
+   * in chronological order.
+   *
+   * @publicApi
+   * @class aeris.api.collections.ForecastPeriods
+   * @extends aeris.Collection
+   *
+   * @constructor
+   * @override
+   *
+   * @param {Array.<Object>=} opt_models
+   * @param {Object=} opt_options
+   * @param {aeris.api.ForecastInterval=} opt_options.interval
+   *        Interval between forecast periods.
+   */
+  var ForecastPeriods = function(opt_models, opt_options) {
+    var options = _.defaults(opt_options || {}, {
+      model: ForecastPeriod,
+      interval: null
+    });
+
+
+    /**
+     * @property interval_
+     * @private
+     * @type {?aeris.api.ForecastInterval}
+     */
+    this.interval_ = options.interval;
+
+
+    Collection.call(this, opt_models, options);
+  };
+  _.inherits(ForecastPeriods, Collection);
+
+
+  /**
+   * Length of forecast periods, in milliseconds,
+   * by forecast interval.
+   *
+   * @property INTERVAL_DURATIONS_
+   * @static
+   * @private
+   * @type {Object.<string,number>}
+   */
+  ForecastPeriods.INTERVAL_DURATIONS_ = _.object([
+    [ForecastInterval.HOURLY, 1000 * 60 * 60],
+    [ForecastInterval.DAILY, 1000 * 60 * 60 * 24],
+    [ForecastInterval.DAY_NIGHT, 1000 * 60 * 60 * 12]
+  ]);
+
+
+  /**
+   * Sort periods chronologically.
+   *
+   * @method comparator
+   * @param {aeris.api.models.ForecastPeriod} period
+   * @return {number}
+   */
+  ForecastPeriods.prototype.comparator = function(period) {
+    var date = period.getDate();
+
+    return date ? date.getTime() : 0;
+  };
+
+
+  /**
+   * @method setInterval
+   * @param {?aeris.api.ForecastInterval} interval
+   */
+  ForecastPeriods.prototype.setInterval = function(interval) {
+    this.interval_ = interval;
+  };
+
+
+  /**
+   * @method getInterval
+   * @return {?aeris.api.ForecastInterval}
+   */
+  ForecastPeriods.prototype.getInterval = function() {
+    return this.interval_;
+  };
+
+
+  /**
+   * Returns the period in effect at the specified time.
+   *
+   * @method getPeriodAt
+   * @param {Date} date
+   * @return {aeris.api.models.ForecastPeriod|undefined}
+   */
+  ForecastPeriods.prototype.getPeriodAt = function(date) {
+    var time = date.getTime();
+
+    return this.find(function(period) {
+      var begins = period.getDate();
+      var ends = this.getPeriodEnd_(period);
+
+      return begins && begins.getTime() <= time && (!ends || time < ends.getTime());
+    }, this);
+  };
+
+
+  /**
+   * Returns the high and low temperatures for a day.
+   *
+   * @method getHighLow
+   * @param {Date|string} day A date, or a date string (eg. '2014-02-27').
+   * @param {string=} opt_unit 'F' or 'C'. Defaults to the preferred unit.
+   * @return {{high: ?number, low: ?number}}
+   */
+  ForecastPeriods.prototype.getHighLow = function(day, opt_unit) {
+    var dateString = _.isString(day) ? day : ForecastPeriod.toDateString(day);
+    var periods = this.filter(function(period) {
+      return period.getDateString() === dateString;
+    });
+    var highs = _.filter(_.invoke(periods, 'getHigh', opt_unit), _.isNumber);
+    var lows = _.filter(_.invoke(periods, 'getLow', opt_unit), _.isNumber);
+
+    return {
+      high: highs.length ? _.max(highs) : null,
+      low: lows.length ? _.min(lows) : null
+    };
+  };
+
+
+  /**
+   * Returns the highest probability of precipitation
+   * for periods within a time range.
+   *
+   * @method getPrecipProbability
+   * @param {{from: Date, to: Date}=} opt_range Defaults to all periods.
+   * @return {?number} Probability of precipitation, as a percentage.
+   */
+  ForecastPeriods.prototype.getPrecipProbability = function(opt_range) {
+    var periods = opt_range ? this.getPeriodsWithin_(opt_range) : this.models;
+    var pops = _.filter(_.invoke(periods, 'getPrecipProbability'), _.isNumber);
+
+    return pops.length ? _.max(pops) : null;
+  };
+
+
+  /**
+   * @method getPeriodsWithin_
+   * @private
+   * @param {{from: Date, to: Date}} range
+   * @return {Array.<aeris.api.models.ForecastPeriod>}
+   */
+  ForecastPeriods.prototype.getPeriodsWithin_ = function(range) {
+    return this.filter(function(period) {
+      var begins = period.getDate();
+      var ends = this.getPeriodEnd_(period);
+
+      return begins && begins.getTime() < range.to.getTime() &&
+        (!ends || ends.getTime() > range.from.getTime());
+    }, this);
+  };
+
+
+  /**
+   * Periods end when the next period begins.
+   * The last period's length is determined by the
+   * forecast interval, or by the length of the previous period.
+   *
+   * @method getPeriodEnd_
+   * @private
+   * @param {aeris.api.models.ForecastPeriod} period
+   * @return {?Date}
+   */
+  ForecastPeriods.prototype.getPeriodEnd_ = function(period) {
+    var index = this.indexOf(period);
+    var next = this.at(index + 1);
+    var previous = this.at(index - 1);
+    var begins = period.getDate();
+    var duration = ForecastPeriods.INTERVAL_DURATIONS_[this.interval_];
+
+    if (next) {
+      return next.getDate();
+    }
+
+    if (!duration && previous && begins) {
+      duration = begins.getTime() - previous.getDate().getTime();
+    }
+
+    return duration && begins ? new Date(begins.getTime() + duration) : null;
+  };
+
+
+  return _.expose(ForecastPeriods, 'aeris.api.collections.ForecastPeriods');
+});
@@ -0,0 +1,359 @@
+define([
+  'aeris/util',
+  'aeris/api/collections/aerisapicollection',
+  'aeris/api/mixins/aerisapibehavior',
+  'aeris/api/models/observation',
+  'aeris/api/units',
+  'aeris/datehelper',
+  'aeris/errors/invalidargumenterror'
+], function(_, AerisApiCollection, AerisApiBehavior, Observation, units, DateHelper, InvalidArgumentError) {
+  /**
+   * A time series of past observations for a place,
+   * from the Aeris API `observations/archive` endpoint.
+   *
+   * Observations are sorted by time. The date range of the
+   * archive is set using the `from` and `to` params
+   * (see `setFrom` and `setTo`).
+   *
+   * Example:
+   *
+   *  var archive = new aeris.api.collections.ObservationArchive(null, {
+   *    place: 'seattle,wa'
+   *  });
+   *
+   *  archive.setFrom(new Date(2014, 1, 1));
+   *  archive.setTo(new Date(2014, 1, 2));
+   *
+   *  archive.fetch().done(function() {
+   *    archive.getSeries('tempF');
+   *    archive.getMax('tempF');
+   *    archive.resample('tempF', 1000 * 60 * 60 * 3);
+   *  });
+   *
+   * @publicApi
+   * @class aeris.api.collections.ObservationArchive
+   * @extends aeris.api.collections.AerisApiCollection
+   *
+   * @constructor
+   * @override
+   *
+   * @param {Array.<Object>=} opt_models
+   * @param {Object=} opt_options
+   * @param {string=} opt_options.place
+   *        Place for which to fetch observations.
+   *        Defaults to the closest place to the user (':auto').
+   */
+  var ObservationArchive = function(opt_models, opt_options) {
+    var options = _.defaults(opt_options || {}, {
+      endpoint: 'observations',
+      action: 'archive',
+      model: Observation,
+      place: ':auto',
+      params: {}
+    });
+
+    _.defaults(options.params, {
+      p: options.place,
+      from: new DateHelper().addDays(-1).getDate(),
+      to: new Date()
+    });
+
+    AerisApiCollection.call(this, opt_models, options);
+  };
+  _.inherits(ObservationArchive, AerisApiCollection);
+
+
+  /**
+   * Functions used to reduce observation values
+   * to a single value, by name.
+   *
+   * @property REDUCERS_
+   * @static
+   * @private
+   * @type {Object.<string,function(Array.<number>):number>}
+   */
+  ObservationArchive.REDUCERS_ = {
+    mean: function(values) {
+      return ObservationArchive.REDUCERS_.sum(values) / values.length;
+    },
+    sum: function(values) {
+      return _.reduce(values, function(sum, value) {
+        return sum + value;
+      }, 0);
+    },
+    min: function(values) {
+      return _.min(values);
+    },
+    max: function(values) {
+      return _.max(values);
+    },
+    last: function(values) {
+      return _.last(values);
+    }
+  };
+
+
+  /**
+   * Sort observations chronologically.
+   *
+   * @method comparator
+   * @param {aeris.api.models.Observation} observation
+   * @return {number}
+   */
+  ObservationArchive.prototype.comparator = function(observation) {
+    var date = observation.getDate();
+
+    return date ? date.getTime() : 0;
+  };
+
+
+  /**
+   * The archive endpoint responds with the place,
+   * and an array of observation periods.
+   *
+   * @method parse
+   */
+  ObservationArchive.prototype.parse = function(data) {
+    var res = AerisApiBehavior.parse.call(this, data);
+    var periods;
+
+    if (_.isArray(res)) {
+      res = res[0];
+    }
+
+    periods = (res && res.periods) || [];
+
+    return periods.map(this.model.prototype.parse);
+  };
+
+
+  /**
+   * Set the place for which to fetch observations.
+   *
+   * @method setPlace
+   * @param {string} place
+   */
+  ObservationArchive.prototype.setPlace = function(place) {
+    this.setParams('p', place);
+  };
+
+
+  /**
+   * Returns the values of an observation attribute,
+   * with the time of each observation.
+   *
+   * Observations without a numeric value are excluded.
+   *
+   * @method getSeries
+   * @param {string} attribute Observation attribute, eg. 'tempF', or 'ob.tempF'.
+   * @param {{from: Date, to: Date}=} opt_range Defaults to all observations.
+   * @return {Array.<{time: Date, value: number}>}
+   */
+  ObservationArchive.prototype.getSeries = function(attribute, opt_range) {
+    var path = attribute.indexOf('ob.') === 0 ? attribute : 'ob.' + attribute;
+
+    return _.chain(this.getObservationsWithin_(opt_range)).
+      map(function(observation) {
+        return {
+          time: observation.getDate(),
+          value: observation.getAtPath(path)
+        };
+      }).
+      filter(function(point) {
+        return point.time && _.isNumber(point.value);
+      }).
+      value();
+  };
+
+
+  /**
+   * @method getMin
+   * @param {string} attribute Observation attribute, eg. 'tempF'.
+   * @param {{from: Date, to: Date}=} opt_range Defaults to all observations.
+   * @return {?number}
+   */
+  ObservationArchive.prototype.getMin = function(attribute, opt_range) {
+    return this.reduceSeries_(attribute, 'min', opt_range);
+  };
+
+
+  /**
+   * @method getMax
+   * @param {string} attribute Observation attribute, eg. 'tempF'.
+   * @param {{from: Date, to: Date}=} opt_range Defaults to all observations.
+   * @return {?number}
+   */
+  ObservationArchive.prototype.getMax = function(attribute, opt_range) {
+    return this.reduceSeries_(attribute, 'max', opt_range);
+  };
+
+
+  /**
+   * @method getMean
+   * @param {string} attribute Observation attribute, eg. 'tempF'.
+   * @param {{from: Date, to: Date}=} opt_range Defaults to all observations.
+   * @return {?number}
+   */
+  ObservationArchive.prototype.getMean = function(attribute, opt_range) {
+    return this.reduceSeries_(attribute, 'mean', opt_range);
+  };
+
+
+  /**
+   * Returns the total precipitation reported
+   * by observations within a time range.
+   *
+   * @method getPrecipAccumulation
+   * @param {{from: Date, to: Date}=} opt_range Defaults to all observations.
+   * @param {string=} opt_unit Defaults to the preferred unit.
+   * @return {?Object} Accumulated precipitation, as a measurement (see {aeris.api.units}).
+   *                   Null if no observations report precipitation.
+   */
+  ObservationArchive.prototype.getPrecipAccumulation = function(opt_range, opt_unit) {
+    var unit = opt_unit || units.getUnit('precip');
+    var precips = _.compact(_.invoke(this.getObservationsWithin_(opt_range), 'getPrecip', unit));
+
+    if (!precips.length) {
+      return null;
+    }
+
+    return units.createMeasurement(ObservationArchive.REDUCERS_.sum(_.pluck(precips, 'value')), 'precip', unit);
+  };
+
+
+  /**
+   * Resamples an observation attribute to fixed intervals.
+   *
+   * Observations are grouped into intervals, and reduced to a single
+   * value for each interval. Intervals without observations have a null value.
+   *
+   * @method resample
+   * @param {string} attribute Observation attribute, eg. 'tempF'.
+   * @param {number} interval Length of each interval, in milliseconds.
+   * @param {Object=} opt_options
+   * @param {Date=} opt_options.from
+   *        Start of the first interval.
+   *        Defaults to the `from` param, or the first observation.
+   * @param {Date=} opt_options.to
+   *        End of the last interval.
+   *        Defaults to the `to` param, or the last observation.
+   * @param {string=} opt_options.method
+   *        How to reduce values within an interval:
+   *        'mean' (default), 'sum', 'min', 'max', or 'last'.
+   * @return {Array.<{time: Date, value: ?number}>} Value for each interval,
+   *         by the start time of the interval.
+   *
+   * @throws {aeris.errors.InvalidArgumentError}
+   *         If the interval or reduce method is invalid.
+   */
+  ObservationArchive.prototype.resample = function(attribute, interval, opt_options) {
+    var options = _.defaults(opt_options || {}, {
+      from: this.getDateParam_('from'),
+      to: this.getDateParam_('to'),
+      method: 'mean'
+    });
+    var reduce = ObservationArchive.REDUCERS_[options.method];
+    var series = this.getSeries(attribute);
+    var from, to, samples = [];
+
+    if (!_.isNumber(interval) || interval <= 0) {
+      throw new InvalidArgumentError('Unable to resample observations: ' +
+        interval + ' is not a valid interval.');
+    }
+    if (!reduce) {
+      throw new InvalidArgumentError('Unable to resample observations: ' +
+        options.method + ' is not a valid method.');
+    }
+
+    if (!series.length && !(options.from && options.to)) {
+      return [];
+    }
+
+    from = options.from ? options.from.getTime() : _.first(series).time.getTime();
+    to = options.to ? options.to.getTime() :
+      from + (Math.floor((_.last(series).time.getTime() - from) / interval) + 1) * interval;
+
+    for (var start = from; start < to; start += interval) {
+      samples.push({
+        time: new Date(start),
+        value: this.reduceValues_(series, start, start + interval, reduce)
+      });
+    }
+
+    return samples;
+  };
+
+
+  /**
+   * @method reduceSeries_
+   * @private
+   * @param {string} attribute
+   * @param {string} method Name of a reducer in REDUCERS_.
+   * @param {{from: Date, to: Date}=} opt_range
+   * @return {?number}
+   */
+  ObservationArchive.prototype.reduceSeries_ = function(attribute, method, opt_range) {
+    var values = _.pluck(this.getSeries(attribute, opt_range), 'value');
+
+    return values.length ? ObservationArchive.REDUCERS_[method](values) : null;
+  };
+
+
+  /**
+   * @method reduceValues_
+   * @private
+   * @param {Array.<{time: Date, value: number}>} series
+   * @param {number} from Timestamp, in milliseconds (inclusive).
+   * @param {number} to Timestamp, in milliseconds (exclusive).
+   * @param {function(Array.<number>):number} reduce
+   * @return {?number}
+   */
+  ObservationArchive.prototype.reduceValues_ = function(series, from, to, reduce) {
+    var values = _.chain(series).
+      filter(function(point) {
+        return point.time.getTime() >= from && point.time.getTime() < to;
+      }).
+      pluck('value').
+      value();
+
+    return values.length ? reduce(values) : null;
+  };
+
+
+  /**
+   * Observations within a time range,
+   * including the start time, and excluding the end time.
+   *
+   * @method getObservationsWithin_
+   * @private
+   * @param {{from: Date, to: Date}=} opt_range Defaults to all observations.
+   * @return {Array.<aeris.api.models.Observation>}
+   */
+  ObservationArchive.prototype.getObservationsWithin_ = function(opt_range) {
+    var range = opt_range || {};
+
+    return this.filter(function(observation) {
+      var date = observation.getDate();
+
+      return !!date &&
+        (!range.from || date.getTime() >= range.from.getTime()) &&
+        (!range.to || date.getTime() < range.to.getTime());
+    });
+  };
+
+
+  /**
+   * @method getDateParam_
+   * @private
+   * @param {string} name 'from' or 'to'.
+   * @return {?Date} Null if the param is not set as a Date.
+   */
+  ObservationArchive.prototype.getDateParam_ = function(name) {
+    var param = this.getParams().get(name);
+
+    return param instanceof Date ? param : null;
+  };
+
+
+  return _.expose(ObservationArchive, 'aeris.api.collections.ObservationArchive');
+});
@@ -0,0 +1,44 @@
+define([
+  'aeris/util',
+  'aeris/api/collections/pointdatacollection',
+  'aeris/api/collections/aerisapiclientcollection',
+  'aeris/api/models/rivergauge'
+], function(_, PointDataCollection, AerisApiClientCollection, RiverGauge) {
+  /**
+   * A representation of river gauge data from the
+   * Aeris API 'rivers' endpoint.
+   *
+   * Gauges may be filtered by flood category
+   * (see {aeris.api.FloodCategory}), or by the 'flood'
+   * filter, for gauges at minor flood stage or above.
+   *
+   * @publicApi
+   * @class aeris.api.collections.Rivers
+   * @extends aeris.api.collections.AerisApiClientCollection
+   *
+   * @constructor
+   * @override
+   */
+  var Rivers = function(opt_models, opt_options) {
+    var options = _.defaults(opt_options || {}, {
+      params: {
+        limit: 250
+      },
+      endpoint: 'rivers',
+      action: 'within',
+      model: RiverGauge,
+      SourceCollectionType: PointDataCollection
+    });
+
+    AerisApiClientCollection.call(this, opt_models, options);
+
+    /**
+     * @property sourceCollection_
+     * @type {aeris.api.collections.PointDataCollection}
+     */
+  };
+  _.inherits(Rivers, AerisApiClientCollection);
+
+
+  return _.expose(Rivers, 'aeris.api.collections.Rivers');
+});
@@ -0,0 +1,35 @@
+define([
+  'aeris/util',
+  'aeris/api/collections/aerisapiclientcollection',
+  'aeris/api/models/tropicalcyclone'
+], function(_, AerisApiClientCollection, TropicalCyclone) {
+  /**
+   * Active tropical cyclones, from the
+   * Aeris API `tropicalcyclones` endpoint.
+   *
+   * @publicApi
+   * @class aeris.api.collections.TropicalCyclones
+   * @extends aeris.api.collections.AerisApiClientCollection
+   *
+   * @constructor
+   * @override
+   */
+  var TropicalCyclones = function(opt_models, opt_options) {
+    var options = _.defaults(opt_options || {}, {
+      endpoint: 'tropicalcyclones',
+      action: '',
+      model: TropicalCyclone,
+      params: {}
+    });
+
+    _.defaults(options.params, {
+      limit: 100
+    });
+
+    AerisApiClientCollection.call(this, opt_models, options);
+  };
+  _.inherits(TropicalCyclones, AerisApiClientCollection);
+
+
+  return _.expose(TropicalCyclones, 'aeris.api.collections.TropicalCyclones');
+});
@@ -0,0 +1,89 @@
+define(
+  /**
+   * Standard National Weather Service hazard colors,
+   * by advisory VTEC code (phenomena.significance).
+   *
+   * See http://www.weather.gov/help-map
+   *
+   * @class aeris.api.config.advisoryColors
+   * @static
+   *
+   * As {Object.<string,string>}
+   *       As:
+   *          {
+   *            'TO.W': '#FF0000',
+   *            ...
+   *          }
+   */
+  {
+    'TO.W': '#FF0000',
+    'TO.A': '#FFFF00',
+    'SV.W': '#FFA500',
+    'SV.A': '#DB7093',
+    'EW.W': '#FF8C00',
+
+    'FF.W': '#8B0000',
+    'FF.A': '#2E8B57',
+    'FL.W': '#00FF00',
+    'FL.A': '#2E8B57',
+    'FL.Y': '#00FF7F',
+    'FA.W': '#00FF00',
+    'FA.A': '#2E8B57',
+    'FA.Y': '#00FF7F',
+    'CF.W': '#228B22',
+    'CF.A': '#66CDAA',
+    'CF.Y': '#7CFC00',
+    'LS.W': '#228B22',
+    'LS.A': '#66CDAA',
+    'LS.Y': '#7CFC00',
+
+    'HU.W': '#DC143C',
+    'HU.A': '#FF00FF',
+    'TR.W': '#B22222',
+    'TR.A': '#F08080',
+    'SS.W': '#B524F7',
+    'SS.A': '#DB7FF7',
+
+    'BZ.W': '#FF4500',
+    'WS.W': '#FF69B4',
+    'WS.A': '#4682B4',
+    'WW.Y': '#7B68EE',
+    'IS.W': '#8B008B',
+    'LE.W': '#008B8B',
+    'LE.A': '#87CEFA',
+    'ZR.Y': '#DA70D6',
+    'WC.W': '#B0C4DE',
+    'WC.A': '#5F9EA0',
+    'WC.Y': '#AFEEEE',
+
+    'HW.W': '#DAA520',
+    'HW.A': '#B8860B',
+    'WI.Y': '#D2B48C',
+    'LW.Y': '#D2B48C',
+    'EH.W': '#C71585',
+    'EH.A': '#800000',
+    'HT.Y': '#FF7F50',
+    'FG.Y': '#708090',
+    'SM.Y': '#F0E68C',
+    'DS.W': '#FFE4C4',
+    'DU.Y': '#BDB76B',
+    'FZ.W': '#483D8B',
+    'FZ.A': '#00FFFF',
+    'FR.Y': '#6495ED',
+    'HZ.W': '#9400D3',
+    'HZ.A': '#4169E1',
+
+    'FW.W': '#FF1493',
+    'FW.A': '#FFDEAD',
+
+    'SC.Y': '#D8BFD8',
+    'GL.W': '#DDA0DD',
+    'GL.A': '#FFC0CB',
+    'SE.W': '#D8BFD8',
+    'SR.W': '#9400D3',
+    'SR.A': '#FFE4B5',
+    'HF.W': '#CD5C5C',
+    'HF.A': '#9932CC',
+    'MF.Y': '#708090'
+  }
+);
@@ -0,0 +1,28 @@
+define([
+  'aeris/errors/invalidclienterror',
+  'aeris/errors/invalidlocationerror',
+  'aeris/errors/invalidqueryerror',
+  'aeris/errors/maxhitsexceedederror',
+  'aeris/errors/nodatawarning'
+], function(InvalidClientError, InvalidLocationError, InvalidQueryError, MaxHitsExceededError, NoDataWarning) {
+  /**
+   * Error types to create from Aeris API error codes.
+   *
+   * Codes which are not listed here create a
+   * generic {aeris.errors.APIResponseError}.
+   *
+   * @class aeris.api.config.errorTypes
+   * @static
+   *
+   * As {Object.<string,function():aeris.errors.APIResponseError>}
+   */
+  return {
+    invalid_client: InvalidClientError,
+    unauthorized_namespace: InvalidClientError,
+    invalid_location: InvalidLocationError,
+    invalid_query: InvalidQueryError,
+    maxhits_min: MaxHitsExceededError,
+    maxhits_daily: MaxHitsExceededError,
+    warn_no_data: NoDataWarning
+  };
+});
@@ -0,0 +1,105 @@
+define(
+  /**
+   * Units of measure used by Aeris API responses,
+   * by quantity.
+   *
+   * Each quantity defines its imperial and metric units.
+   * Units are keyed by the suffix of Aeris API fields
+   * in that unit (eg. 'F' for 'tempF'), and define:
+   *  - label: A display label
+   *  - precision: Number of decimal places to display
+   *  - factor: Size of the unit, relative to the other units of the quantity
+   *            (not defined for temperatures, which are converted by formula)
+   *
+   * @class aeris.api.config.units
+   * @static
+   *
+   * As {Object.<string,Object>}
+   *       As:
+   *          {
+   *            speed: {
+   *              imperial: 'MPH',
+   *              metric: 'KPH',
+   *              units: {
+   *                MPH: { label: 'mph', precision: 0, factor: 1.609344 },
+   *                ...
+   *              }
+   *            },
+   *            ...
+   *          }
+   */
+  {
+    temperature: {
+      imperial: 'F',
+      metric: 'C',
+      units: {
+        F: { label: '°F', precision: 0 },
+        C: { label: '°C', precision: 0 }
+      }
+    },
+
+    speed: {
+      imperial: 'MPH',
+      metric: 'KPH',
+      units: {
+        MPH: { label: 'mph', precision: 0, factor: 1.609344 },
+        KPH: { label: 'km/h', precision: 0, factor: 1 },
+        KTS: { label: 'kts', precision: 0, factor: 1.852 }
+      }
+    },
+
+    pressure: {
+      imperial: 'IN',
+      metric: 'MB',
+      units: {
+        IN: { label: 'inHg', precision: 2, factor: 33.8639 },
+        MB: { label: 'mb', precision: 0, factor: 1 }
+      }
+    },
+
+    distance: {
+      imperial: 'MI',
+      metric: 'KM',
+      units: {
+        MI: { label: 'mi', precision: 1, factor: 1.609344 },
+        KM: { label: 'km', precision: 1, factor: 1 }
+      }
+    },
+
+    height: {
+      imperial: 'FT',
+      metric: 'M',
+      units: {
+        FT: { label: 'ft', precision: 1, factor: 0.3048 },
+        M: { label: 'm', precision: 1, factor: 1 }
+      }
+    },
+
+    precip: {
+      imperial: 'IN',
+      metric: 'MM',
+      units: {
+        IN: { label: 'in', precision: 2, factor: 25.4 },
+        MM: { label: 'mm', precision: 1, factor: 1 }
+      }
+    },
+
+    snow: {
+      imperial: 'IN',
+      metric: 'CM',
+      units: {
+        IN: { label: 'in', precision: 1, factor: 2.54 },
+        CM: { label: 'cm', precision: 1, factor: 1 }
+      }
+    },
+
+    hail: {
+      imperial: 'IN',
+      metric: 'MM',
+      units: {
+        IN: { label: 'in', precision: 2, factor: 25.4 },
+        MM: { label: 'mm', precision: 0, factor: 1 }
+      }
+    }
+  }
+);
@@ -3,6 +3,14 @@ define(
    * A list of valid point data endpoint filters
    * to be used when querying the Aeris API.
    *
+   * Filters added to requests for these endpoints
+   * are validated against this list. Requests for endpoints
+   * which are not listed here accept any filter.
+   *
+   * Validation may be disabled for a data object
+   * using its `validateFilters` option, eg. to use a filter
+   * which is not yet listed here.
+   *
    * @class aeris.api.config.validFilters
    * @static
    *
@@ -18,6 +26,27 @@ define(
    *          }
    */
   {
+    advisories: [
+      'all',
+      'county',
+      'zone',
+      'outlook',
+      'advisory',
+      'watch',
+      'warning',
+      'statement',
+      'severe',
+      'tornado',
+      'flood',
+      'wind',
+      'winter',
+      'tropical',
+      'marine',
+      'nonprecip',
+      'fire',
+      'geo'
+    ],
+
     earthquakes: [
       'mini',
       'minor',
@@ -35,8 +64,57 @@ define(
       'modis'
     ],
 
-    // Missing documentation for lighting.
-    lightning: undefined,
+    lightning: [
+      'all',
+      'cg',
+      'ic',
+      'pos',
+      'neg'
+    ],
+
+    observations: [
+      'allstations',
+      'metar',
+      'pws',
+      'mesonet',
+      'hasprecip',
+      'qcok',
+      'strict',
+      'allowqc'
+    ],
+
+    places: [
+      'ppl',
+      'poi',
+      'airport',
+      'amusement',
+      'bridge',
+      'camp',
+      'church',
+      'county',
+      'dam',
+      'fort',
+      'glacier',
+      'island',
+      'lake',
+      'mountain',
+      'park',
+      'reserve',
+      'school',
+      'stadium',
+      'tower',
+      'valley'
+    ],
+
+    rivers: [
+      'all',
+      'flood',
+      'none',
+      'action',
+      'minor',
+      'moderate',
+      'major'
+    ],
 
     stormreports: [
       'avalanche',
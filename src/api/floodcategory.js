@@ -0,0 +1,22 @@
+define(['aeris/util'], function(_) {
+  /**
+   * Flood categories of a river gauge,
+   * by the observed river stage.
+   *
+   * Gauges which are not in flood, or do not have
+   * a current observation, are categorized as NONE.
+   *
+   * @class aeris.api.FloodCategory
+   * @static
+   */
+  var FloodCategory = {
+    NONE: 'none',
+    ACTION: 'action',
+    MINOR: 'minor',
+    MODERATE: 'moderate',
+    MAJOR: 'major'
+  };
+
+
+  return _.expose(FloodCategory, 'aeris.api.FloodCategory');
+});
@@ -0,0 +1,19 @@
+define(['aeris/util'], function(_) {
+  /**
+   * Intervals at which Aeris API
+   * forecast periods may be requested.
+   *
+   * See http://www.hamweather.com/support/documentation/aeris/endpoints/forecasts/
+   *
+   * @class aeris.api.ForecastInterval
+   * @static
+   */
+  var ForecastInterval = {
+    HOURLY: '1hr',
+    DAILY: 'day',
+    DAY_NIGHT: 'daynight'
+  };
+
+
+  return _.expose(ForecastInterval, 'aeris.api.ForecastInterval');
+});
@@ -4,8 +4,21 @@ define([
   'aeris/promise',
   'aeris/api/params/models/params',
   'aeris/errors/invalidargumenterror',
-  'aeris/errors/apiresponseerror'
-], function(_, Model, Promise,  Params, InvalidArgumentError, ApiResponseError) {
+  'aeris/errors/apiresponseerror',
+  'aeris/api/config/errortypes',
+  'aeris/api/config/validfilters',
+  'aeris/api/transports/transportresolver'
+], function(_, Model, Promise,  Params, InvalidArgumentError, ApiResponseError, errorTypes, validFilters, TransportResolver) {
+  /**
+   * Resolves the configured transport,
+   * for data objects which do not define their own.
+   *
+   * @type {aeris.api.transports.TransportResolver}
+   * @private
+   */
+  var transportResolver = new TransportResolver();
+
+
   /**
    * @class aeris.api.mixins.AerisApiBehavior
    */
@@ -31,14 +44,100 @@ define([
      */
 
     /**
+     * A request to the Aeris API has failed,
+     * or has timed out.
+     *
+     * @event 'error'
+     * @param {aeris.api.mixins.AerisApiBehavior} object Data object which made the request.
+     * @param {Error} error
+     *        {aeris.errors.TimeoutError} if the request timed out,
+     *        {aeris.errors.NetworkError} if the request failed to load, or
+     *        {aeris.errors.ApiResponseError} if the API responded with an error.
+     * @param {Object} requestOptions
+     */
+
+    /**
+     * The Aeris API responded with a warning,
+     * for example, because no data was found for the request.
+     *
+     * Requests with warnings resolve with the (empty)
+     * response data, and are not considered errors.
+     *
+     * @event 'warning'
+     * @param {aeris.api.mixins.AerisApiBehavior} object Data object which made the request.
+     * @param {aeris.errors.APIResponseError} warning
+     *        Warning created from the response, including the warning `code`.
+     *        eg. {aeris.errors.NoDataWarning}, for `warn_no_data` warnings.
+     * @param {Object} requestOptions
+     */
+
+    /**
+     * A request to the Aeris API has failed,
+     * and will be retried, according to the data object's
+     * {aeris.api.RetryPolicy}.
+     *
+     * @event 'retry'
+     * @param {aeris.api.mixins.AerisApiBehavior} object Data object which made the request.
+     * @param {Error} error The error with which the request failed.
+     * @param {Object} retry
+     * @param {number} retry.attempt The number of the upcoming attempt.
+     * @param {number} retry.delay Milliseconds until the request is retried.
+     * @param {Object} requestOptions
+     */
+
+    /**
+     * A response was served from the cache,
+     * instead of being requested from the Aeris API.
+     * The 'sync' event will also be triggered.
+     *
+     * @event 'cache:hit'
+     * @param {aeris.api.mixins.AerisApiBehavior} object Data object which made the request.
+     * @param {Object} resp Cached response data.
+     * @param {Object} requestOptions
+     */
+
+    /**
+     * Filters are validated against the
+     * valid filters for the data object's endpoint.
+     *
      * @protected
      * @param {Object|Model} opt_params
+     * @param {Object=} opt_options
+     * @param {Boolean=} opt_options.validateFilters
+     *        Set to false to accept any filter. Default is true.
      * @return {aeris.api.params.models.Params}
      * @method createParams_
      */
-    createParams_: function(opt_params) {
-      return (opt_params instanceof Model) ?
-        opt_params : new Params(opt_params, { validate: true });
+    createParams_: function(opt_params, opt_options) {
+      var options = _.defaults(opt_options || {}, {
+        validateFilters: true
+      });
+      var endpointFilters = options.validateFilters ? this.getValidFilters_() : null;
+
+      if (opt_params instanceof Model) {
+        if (endpointFilters && opt_params instanceof Params) {
+          opt_params.setValidFilters(endpointFilters);
+        }
+
+        return opt_params;
+      }
+
+      return new Params(opt_params, {
+        validate: true,
+        validFilters: endpointFilters
+      });
+    },
+
+
+    /**
+     * @method getValidFilters_
+     * @private
+     * @return {?Array.<string>}
+     *         Valid filters for the data object's endpoint,
+     *         or null if the endpoint's filters are not known.
+     */
+    getValidFilters_: function() {
+      return _.has(validFilters, this.endpoint_) ? validFilters[this.endpoint_] : null;
     },
 
     /**
@@ -109,6 +208,7 @@ define([
      * @param {string|Array.<string>|aeris.api.params.models.Filter|aeris.api.params.collections.FilterCollection} filter
      * @param {Object=} opt_options
      * @param {aeris.api.Operator} opt_options.operator
+     * @throws {aeris.errors.ValidationError} If the filter is not valid for the endpoint.
      */
     addFilter: function(filter, opt_options) {
       this.params_.addFilter(filter, opt_options);
@@ -181,6 +281,90 @@ define([
       return this.params_.getQuery();
     },
 
+
+    /**
+     * Sort Aeris API results by a property.
+     *
+     * @method addSort
+     * @param {string} property
+     * @param {aeris.api.SortDirection=} opt_direction
+     * @param {Object=} opt_options
+     */
+    addSort: function(property, opt_direction, opt_options) {
+      this.params_.addSort(property, opt_direction, opt_options);
+    },
+
+
+    /**
+     * @method removeSort
+     * @param {string|Array.<string>|aeris.api.params.models.Sort} sort Sort model(s), or property.
+     * @param {Object=} opt_options
+     */
+    removeSort: function(sort, opt_options) {
+      this.params_.removeSort(sort, opt_options);
+    },
+
+
+    /**
+     * @method resetSort
+     * @param {string|Array.<Object|aeris.api.params.models.Sort>=} opt_sort
+     * @param {Object=} opt_options
+     */
+    resetSort: function(opt_sort, opt_options) {
+      this.params_.resetSort(opt_sort, opt_options);
+    },
+
+
+    /**
+     * @method getSort
+     * @return {aeris.api.params.collections.SortCollection}
+     */
+    getSort: function() {
+      return this.params_.getSort();
+    },
+
+
+    /**
+     * Set the response fields to request
+     * from the Aeris API.
+     *
+     * @method setFields
+     * @param {Array.<string>|string} fields
+     * @param {Object=} opt_options
+     */
+    setFields: function(fields, opt_options) {
+      this.params_.setFields(fields, opt_options);
+    },
+
+
+    /**
+     * @method addFields
+     * @param {Array.<string>|string} fields
+     * @param {Object=} opt_options
+     */
+    addFields: function(fields, opt_options) {
+      this.params_.addFields(fields, opt_options);
+    },
+
+
+    /**
+     * @method removeFields
+     * @param {Array.<string>|string} fields
+     * @param {Object=} opt_options
+     */
+    removeFields: function(fields, opt_options) {
+      this.params_.removeFields(fields, opt_options);
+    },
+
+
+    /**
+     * @method getFields
+     * @return {aeris.api.params.collections.FieldsCollection}
+     */
+    getFields: function() {
+      return this.params_.getFields();
+    },
+
     /**
      * Overrides Backbone.sync
      * to introduce logic for fetching
@@ -190,19 +374,34 @@ define([
      *
      * @throws {aeris.errors.InvalidArgumentError} If a non-read request is made.
      * @return {aeris.Promise} Resolves with response data.
+     *                         Rejects with an {aeris.errors.TimeoutError}
+     *                         if the API does not respond within the request timeout.
+     *
+     * @param {string} method
+     * @param {aeris.api.mixins.AerisApiBehavior} model
+     * @param {Object=} opt_options
+     * @param {number=} opt_options.timeout Request timeout, in milliseconds.
+     *                                      Applies to each attempt, when retrying requests.
+     * @param {Boolean=} opt_options.retry Set to false to disable retrying failed requests.
+     * @param {Boolean=} opt_options.cache Set to false to bypass the response cache.
+     * @param {Boolean=} opt_options.coalesce Set to false to prevent sharing
+     *                                        identical in-flight requests.
+     * @param {Boolean=} opt_options.batch Set to false to prevent adding
+     *                                     the request to a batch.
      *
      * @override
      * @protected
      * @method sync
      */
     sync: function(method, model, opt_options) {
-      var data;
+      var data, url, requestKey, cache, cachedResponse;
       var noop = function() {};
       var promiseToSync = new Promise();
       var options = _.defaults(opt_options || {}, {
         success: noop,
         error: noop,
-        complete: noop
+        complete: noop,
+        timeout: this.timeout_
       });
 
       // Restrict requests to be read-only
@@ -211,29 +410,304 @@ define([
           'to the Aeris API. The Aeris API is read-only');
       }
 
+      promiseToSync.
+        done(options.success).
+        fail(options.error).
+        always(options.complete);
+
       // Trigger start of request,
       // as specified in Backbone docs,
       // and implemented by original sync method.
       this.trigger('request', this, promiseToSync, options);
 
       data = this.serializeParams_(this.params_);
+      url = this.getEndpointUrl_();
+
+      requestKey = this.createRequestKey_(url, data);
+
+      cache = this.getCache_(options);
+      if (cache) {
+        cachedResponse = cache.get(requestKey);
+      }
+
+      if (cachedResponse) {
+        this.trigger('cache:hit', this, cachedResponse, options);
+        this.resolveSync_(promiseToSync, cachedResponse, options);
+
+        return promiseToSync;
+      }
+
+
+      this.requestWithRetry_(url, data, requestKey, options).
+        done(function(res) {
+          if (cache) {
+            cache.set(requestKey, res, this.getEndpoint());
+          }
+
+          this.resolveSync_(promiseToSync, res, options);
+        }, this).
+        fail(promiseToSync.reject);
+
+
+      return promiseToSync;
+    },
+
+
+    /**
+     * Resolve a sync request with response data,
+     * and trigger 'warning' and 'sync' events.
+     *
+     * @method resolveSync_
+     * @private
+     * @param {aeris.Promise} promiseToSync
+     * @param {Object} res Raw response data.
+     * @param {Object} requestOptions
+     */
+    resolveSync_: function(promiseToSync, res, requestOptions) {
+      promiseToSync.resolve(res);
+
+      this.getWarnings_(res).forEach(function(warning) {
+        this.trigger('warning', this, warning, requestOptions);
+      }, this);
+
+      this.trigger('sync', this, res, requestOptions);
+    },
 
 
-      this.jsonp_.get(this.getEndpointUrl_(), data, _.bind(function(res) {
-        if (!this.isSuccessResponse_(res)) {
-          promiseToSync.reject(this.createErrorFromResponse_(res));
+    /**
+     * Request data from the Aeris API,
+     * retrying failed requests according to the
+     * data object's {aeris.api.RetryPolicy}.
+     *
+     * Retried requests are never shared with other
+     * in-flight requests.
+     *
+     * @method requestWithRetry_
+     * @protected
+     * @param {string} url
+     * @param {Object} data Serialized request params.
+     * @param {string} requestKey
+     * @param {Object} requestOptions
+     * @return {aeris.Promise} Resolves with a successful API response.
+     *                         Rejects with the error of the last attempt.
+     */
+    requestWithRetry_: function(url, data, requestKey, requestOptions) {
+      var promiseToRespond = new Promise();
+      var retryPolicy = this.getRetryPolicy_(requestOptions);
+      var attemptNumber = 0;
+      var retryOptions = _.extend({}, requestOptions, { coalesce: false });
+
+      var retryOnFailure = function(error) {
+        var delay;
+
+        if (!retryPolicy || !retryPolicy.shouldRetry(error, attemptNumber)) {
+          promiseToRespond.reject(error);
+          return;
         }
-        else {
-          promiseToSync.resolve(res);
-          this.trigger('sync', this, res, options);
+
+        delay = retryPolicy.getDelay(attemptNumber);
+        this.trigger('retry', this, error, {
+          attempt: attemptNumber + 1,
+          delay: delay
+        }, requestOptions);
+
+        _.delay(_.bind(attempt, this), delay);
+      };
+
+      var attempt = function() {
+        var options = attemptNumber ? retryOptions : requestOptions;
+
+        attemptNumber++;
+
+        this.attemptRequest_(url, data, requestKey, options).
+          done(promiseToRespond.resolve).
+          fail(retryOnFailure, this);
+      };
+
+      attempt.call(this);
+
+      return promiseToRespond;
+    },
+
+
+    /**
+     * Make a single request to the Aeris API.
+     *
+     * @method attemptRequest_
+     * @protected
+     * @param {string} url
+     * @param {Object} data Serialized request params.
+     * @param {string} requestKey
+     * @param {Object} requestOptions
+     * @param {number=} requestOptions.timeout
+     * @return {aeris.Promise} Resolves with a successful API response.
+     *                         Rejects if the request fails, times out,
+     *                         or if the API responds with an error.
+     */
+    attemptRequest_: function(url, data, requestKey, requestOptions) {
+      var promiseToAttempt = new Promise();
+      var request;
+
+      if (requestOptions.timeout) {
+        promiseToAttempt.timeout(requestOptions.timeout, 'Request to ' + url +
+          ' timed out after ' + requestOptions.timeout + 'ms.');
+      }
+
+      request = this.request_(url, data, requestKey, requestOptions);
+
+      // Transports do not time out requests themselves,
+      // so a request which never completes would otherwise
+      // remain in the registry, and identical requests
+      // would continue to join it.
+      promiseToAttempt.fail(function() {
+        if (request.getState() === 'pending' && this.requestRegistry_) {
+          this.requestRegistry_.unregister(requestKey, request);
         }
-      }, this));
+      }, this);
+
+      request.
+        done(function(res) {
+          // Ignore responses to requests which have already timed out.
+          if (promiseToAttempt.getState() !== 'pending') {
+            return;
+          }
+
+          if (!this.isSuccessResponse_(res)) {
+            promiseToAttempt.reject(this.createErrorFromResponse_(res));
+          }
+          else if (this.isWarningResponse_(res) && !res.response) {
+            // Resolve warnings with empty data
+            promiseToAttempt.resolve(_.extend({ response: [] }, res));
+          }
+          else {
+            promiseToAttempt.resolve(res);
+          }
+        }, this).
+        fail(promiseToAttempt.reject);
+
+      return promiseToAttempt;
+    },
 
 
-      return promiseToSync.
-        done(options.success).
-        fail(options.error).
-        always(options.complete);
+    /**
+     * Request raw data from the Aeris API.
+     *
+     * If an identical request is already in-flight,
+     * the pending request is shared, instead of making a new request.
+     *
+     * @method request_
+     * @protected
+     * @param {string} url
+     * @param {Object} data Serialized request params.
+     * @param {string} requestKey
+     * @param {Object} requestOptions
+     * @param {Boolean=} requestOptions.coalesce
+     *        Set to false to prevent sharing in-flight requests.
+     * @param {Boolean=} requestOptions.batch
+     *        Set to false to prevent adding the request to a batch.
+     * @return {aeris.Promise} Resolves with raw response data.
+     */
+    request_: function(url, data, requestKey, requestOptions) {
+      var transport = this.getTransport_();
+      var registry = requestOptions.coalesce === false ? null : this.requestRegistry_;
+      var pendingRequest = registry && registry.get(requestKey, transport);
+      var request;
+
+      if (pendingRequest) {
+        return pendingRequest;
+      }
+
+      request = this.isBatchable_(requestOptions) ?
+        this.batchScheduler_.schedule(this, url, data, transport) :
+        transport.get(url, data);
+
+      return registry ? registry.register(requestKey, request, transport) : request;
+    },
+
+
+    /**
+     * Should the request be added
+     * to a batch request?
+     *
+     * @method isBatchable_
+     * @protected
+     * @param {Object} requestOptions
+     * @param {Boolean=} requestOptions.batch Set to false to prevent batching.
+     * @return {Boolean}
+     */
+    isBatchable_: function(requestOptions) {
+      return !!this.batchScheduler_ && requestOptions.batch !== false;
+    },
+
+
+    /**
+     * Create a key which uniquely identifies a request.
+     *
+     * @method createRequestKey_
+     * @protected
+     * @param {string} url
+     * @param {Object} data Serialized request params.
+     * @return {string}
+     */
+    createRequestKey_: function(url, data) {
+      var paramsStr = _.keys(data).sort().map(function(key) {
+        return key + '=' + data[key];
+      }).join('&');
+
+      return url + '?' + paramsStr;
+    },
+
+
+    /**
+     * Returns the cache to use for a request.
+     *
+     * @method getCache_
+     * @protected
+     * @param {Object} requestOptions
+     * @param {Boolean=} requestOptions.cache Set to false to bypass the cache.
+     * @return {?aeris.api.cache.ResponseCache}
+     */
+    getCache_: function(requestOptions) {
+      if (requestOptions.cache === false) {
+        return null;
+      }
+
+      return this.cache_ || null;
+    },
+
+
+    /**
+     * Returns the retry policy to use for a request.
+     *
+     * @method getRetryPolicy_
+     * @protected
+     * @param {Object} requestOptions
+     * @param {Boolean=} requestOptions.retry Set to false to disable retries.
+     * @return {?aeris.api.RetryPolicy}
+     */
+    getRetryPolicy_: function(requestOptions) {
+      if (requestOptions.retry === false) {
+        return null;
+      }
+
+      return this.retryPolicy_ || null;
+    },
+
+
+    /**
+     * Returns the transport used to request
+     * data from the Aeris API.
+     *
+     * If no transport was provided to the data object,
+     * a transport is resolved from the `apiTransport`
+     * attribute of {aeris.config}.
+     *
+     * @method getTransport_
+     * @protected
+     * @return {aeris.api.transports.TransportInterface}
+     */
+    getTransport_: function() {
+      return this.transport_ || transportResolver.resolveTransport();
     },
 
 
@@ -241,26 +715,66 @@ define([
      * Does the response object signal
      * a succesful API response?
      *
+     * Note that responses with warnings
+     * are considered successful.
+     *
      * @param {Object} res Raw response data
      * @protected
      * @return {Boolean}
      */
     isSuccessResponse_: function(res) {
-      return !res.error;
+      return !res.error || this.isWarningResponse_(res);
     },
 
 
     /**
+     * Does the response object contain a warning?
+     *
+     * The Aeris API signals warnings (eg. `warn_no_data`)
+     * by responding with an error object, along with `success: true`.
+     *
+     * @method isWarningResponse_
+     * @protected
+     * @param {Object} res Raw response data.
+     * @return {Boolean}
+     */
+    isWarningResponse_: function(res) {
+      return !!res && !!res.error && res.success === true;
+    },
+
+
+    /**
+     * Returns warnings contained in a successful response.
+     *
+     * @method getWarnings_
+     * @protected
+     * @param {Object} res Raw response data.
+     * @return {Array.<aeris.errors.APIResponseError>}
+     */
+    getWarnings_: function(res) {
+      return this.isWarningResponse_(res) ? [this.createErrorFromResponse_(res)] : [];
+    },
+
+
+    /**
+     * Creates an error from an API error response.
+     *
+     * The type of error is determined by the response's error code
+     * (see {aeris.api.config.errorTypes}).
+     *
      * @method createErrorFromResponse_
      * @protected
      * @param {Object} response
-     * @return {Error}
+     * @return {aeris.errors.APIResponseError}
      */
     createErrorFromResponse_: function(response) {
-      var error;
+      var error, code, ErrorType;
       try {
-        error = new ApiResponseError(response.error.description);
-        error.code = response.error.code;
+        code = this.getErrorCode_(response);
+        ErrorType = errorTypes[code] || ApiResponseError;
+
+        error = new ErrorType(response.error.description);
+        error.code = code;
         error.responseObject = response;
       }
       catch (e) {
@@ -271,6 +785,17 @@ define([
     },
 
 
+    /**
+     * @method getErrorCode_
+     * @protected
+     * @param {Object} response API error response.
+     * @return {string}
+     */
+    getErrorCode_: function(response) {
+      return response.error.code;
+    },
+
+
     /**
      * Convert the model's Params object
      * into a JSON data object.
@@ -323,6 +848,14 @@ define([
       return this.action_;
     },
 
+    /**
+     * @method getServer
+     * @return {string}
+     */
+    getServer: function() {
+      return this.server_;
+    },
+
     /**
      * @method setAction
      * @param {string} action
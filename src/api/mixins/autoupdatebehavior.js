@@ -0,0 +1,260 @@
+define([
+  'aeris/util'
+], function(_) {
+  /**
+   * Periodically fetches fresh data for a collection,
+   * and reports which models were added, removed, or changed
+   * by each update.
+   *
+   * Models are compared by id, so models which are
+   * replaced by a fetch are not reported as new.
+   *
+   * Auto-updating is paused while the page is hidden,
+   * and resumes when the page becomes visible. If an update
+   * was missed while the page was hidden, the collection
+   * updates as soon as the page is visible.
+   *
+   * Example:
+   *
+   *  var lightning = new aeris.api.collections.Lightning();
+   *
+   *  lightning.on('update:added', function(collection, models) {
+   *    // animate new strikes
+   *  });
+   *
+   *  lightning.startAutoUpdate(1000 * 60);
+   *
+   * @class aeris.api.mixins.AutoUpdateBehavior
+   */
+  return {
+    /**
+     * Models have been added by an update.
+     *
+     * @event 'update:added'
+     * @param {aeris.Collection} collection
+     * @param {Array.<aeris.Model>} models
+     * @param {Object} requestOptions
+     */
+
+    /**
+     * Models have been removed by an update.
+     *
+     * @event 'update:removed'
+     * @param {aeris.Collection} collection
+     * @param {Array.<aeris.Model>} models
+     * @param {Object} requestOptions
+     */
+
+    /**
+     * Existing models have been modified by an update.
+     *
+     * @event 'update:changed'
+     * @param {aeris.Collection} collection
+     * @param {Array.<aeris.Model>} models
+     * @param {Object} requestOptions
+     */
+
+
+    /**
+     * Fetch collection data at a regular interval.
+     *
+     * @method startAutoUpdate
+     * @param {number=} opt_interval Milliseconds between updates.
+     *                               Defaults to 5 minutes.
+     * @param {Object=} opt_options Options to pass to each `update` request.
+     */
+    startAutoUpdate: function(opt_interval, opt_options) {
+      this.stopAutoUpdate();
+
+      this.autoUpdateInterval_ = opt_interval || 1000 * 60 * 5;
+      this.autoUpdateOptions_ = opt_options || {};
+      this.lastUpdateTime_ = new Date().getTime();
+
+      this.visibilityListener_ = this.handleVisibilityChange_.bind(this);
+      document.addEventListener('visibilitychange', this.visibilityListener_, false);
+
+      if (!this.isPageHidden_()) {
+        this.startUpdateTimer_();
+      }
+    },
+
+
+    /**
+     * @method stopAutoUpdate
+     */
+    stopAutoUpdate: function() {
+      this.stopUpdateTimer_();
+
+      if (this.visibilityListener_) {
+        document.removeEventListener('visibilitychange', this.visibilityListener_, false);
+      }
+
+      this.visibilityListener_ = null;
+      this.autoUpdateInterval_ = null;
+    },
+
+
+    /**
+     * @method isAutoUpdating
+     * @return {Boolean}
+     */
+    isAutoUpdating: function() {
+      return !!this.autoUpdateInterval_;
+    },
+
+
+    /**
+     * Fetch collection data, and trigger 'update:added',
+     * 'update:removed', and 'update:changed' events.
+     *
+     * @method update
+     * @param {Object=} opt_options Fetch options.
+     * @return {aeris.Promise} Resolves with API response.
+     */
+    update: function(opt_options) {
+      var options = opt_options || {};
+      var previousModels = this.indexModelsById_();
+
+      this.lastUpdateTime_ = new Date().getTime();
+
+      return this.fetch(options).
+        done(function() {
+          this.triggerUpdateEvents_(previousModels, options);
+        }, this);
+    },
+
+
+    /**
+     * @method startUpdateTimer_
+     * @private
+     */
+    startUpdateTimer_: function() {
+      this.autoUpdateTimer_ = _.interval(function() {
+        this.update(_.clone(this.autoUpdateOptions_));
+      }, this.autoUpdateInterval_, this);
+    },
+
+
+    /**
+     * @method stopUpdateTimer_
+     * @private
+     */
+    stopUpdateTimer_: function() {
+      if (this.autoUpdateTimer_) {
+        window.clearInterval(this.autoUpdateTimer_);
+      }
+
+      this.autoUpdateTimer_ = null;
+    },
+
+
+    /**
+     * Pause updates while the page is hidden.
+     *
+     * @method handleVisibilityChange_
+     * @private
+     */
+    handleVisibilityChange_: function() {
+      var isUpdateMissed;
+
+      if (this.isPageHidden_()) {
+        this.stopUpdateTimer_();
+        return;
+      }
+
+      if (this.autoUpdateTimer_) {
+        return;
+      }
+
+      isUpdateMissed = new Date().getTime() - this.lastUpdateTime_ >= this.autoUpdateInterval_;
+      if (isUpdateMissed) {
+        this.update(_.clone(this.autoUpdateOptions_));
+      }
+
+      this.startUpdateTimer_();
+    },
+
+
+    /**
+     * @method isPageHidden_
+     * @private
+     * @return {Boolean}
+     */
+    isPageHidden_: function() {
+      return !!document.hidden;
+    },
+
+
+    /**
+     * Returns a snapshot of the collection's models,
+     * keyed by model id.
+     *
+     * @method indexModelsById_
+     * @private
+     * @return {Object.<string,Object>} Model, and model attributes.
+     */
+    indexModelsById_: function() {
+      return this.reduce(function(index, model) {
+        index[this.getUpdateId_(model)] = {
+          model: model,
+          attributes: model.toJSON()
+        };
+
+        return index;
+      }, {}, this);
+    },
+
+
+    /**
+     * @method triggerUpdateEvents_
+     * @private
+     * @param {Object.<string,Object>} previousModels
+     *        Snapshot of the models before the update (see `indexModelsById_`).
+     * @param {Object} requestOptions
+     */
+    triggerUpdateEvents_: function(previousModels, requestOptions) {
+      var added = [], changed = [], removed;
+      var remainingModels = _.clone(previousModels);
+
+      this.each(function(model) {
+        var id = this.getUpdateId_(model);
+        var previous = remainingModels[id];
+
+        if (!previous) {
+          added.push(model);
+        }
+        else if (!_.isEqual(previous.attributes, model.toJSON())) {
+          changed.push(model);
+        }
+
+        delete remainingModels[id];
+      }, this);
+
+      removed = _.pluck(_.values(remainingModels), 'model');
+
+      if (added.length) {
+        this.trigger('update:added', this, added, requestOptions);
+      }
+      if (removed.length) {
+        this.trigger('update:removed', this, removed, requestOptions);
+      }
+      if (changed.length) {
+        this.trigger('update:changed', this, changed, requestOptions);
+      }
+    },
+
+
+    /**
+     * Models without an id are identified
+     * by their client id.
+     *
+     * @method getUpdateId_
+     * @private
+     * @param {aeris.Model} model
+     * @return {string}
+     */
+    getUpdateId_: function(model) {
+      return _.isUndefined(model.id) || _.isNull(model.id) ? model.cid : model.id;
+    }
+  };
+});
@@ -0,0 +1,52 @@
+define([
+  'aeris/util',
+  'aeris/api/units'
+], function(_, units) {
+  /**
+   * Reads measurements from Aeris API data,
+   * in the units preferred by {aeris.config}.
+   *
+   * Aeris API responses include paired fields for
+   * each unit of a measurement (eg. 'tempF' and 'tempC').
+   * If the preferred unit is not included, the measurement
+   * is converted from another available unit.
+   *
+   * Example:
+   *
+   *  aeris.config.setUnits('metric');
+   *
+   *  observation.getMeasurement('ob.temp', 'temperature');
+   *  // { value: 11, unit: 'C', label: '°C', quantity: 'temperature' }
+   *
+   * @class aeris.api.mixins.UnitBehavior
+   */
+  return {
+    /**
+     * Returns a measurement from the model's data.
+     *
+     * @method getMeasurement
+     * @param {string} path
+     *        Path to the data attribute, without a unit suffix (eg. 'ob.temp').
+     * @param {string} quantity eg. 'temperature'. See {aeris.api.config.units}.
+     * @param {string=} opt_unit Defaults to the preferred unit for the quantity.
+     * @return {?{value: number, unit: string, label: string, quantity: string}}
+     *         Null, if the model does not include the measurement.
+     */
+    getMeasurement: function(path, quantity, opt_unit) {
+      var unit = opt_unit || units.getUnit(quantity);
+      var availableUnit = _.find([unit].concat(units.getUnits(quantity)), function(candidate) {
+        return _.isNumber(this.getAtPath(path + candidate));
+      }, this);
+
+      if (!availableUnit) {
+        return null;
+      }
+
+      return units.createMeasurement(
+        units.convert(this.getAtPath(path + availableUnit), quantity, availableUnit, unit),
+        quantity,
+        unit
+      );
+    }
+  };
+});
@@ -1,8 +1,16 @@
 define([
   'aeris/util',
-  'aeris/api/models/aerisapimodel'
-], function(_, AerisApiModel) {
+  'aeris/api/models/aerisapimodel',
+  'aeris/api/config/advisorycolors'
+], function(_, AerisApiModel, advisoryColors) {
   /**
+   * An advisory (warning, watch, statement, etc.)
+   * issued for a location.
+   *
+   * Advisory types are identified by their VTEC code
+   * (eg. 'WI.Y' for a wind advisory), which is composed of
+   * a phenomena code ('WI') and a significance code ('Y').
+   *
    * @publicApi
    * @class aeris.api.models.Advisory
    * @extends aeris.api.models.AerisApiModel
@@ -20,5 +28,332 @@ define([
   _.inherits(Advisory, AerisApiModel);
 
 
+  /**
+   * Advisory significance names,
+   * by VTEC significance code.
+   *
+   * @property SIGNIFICANCE
+   * @static
+   * @type {Object.<string,string>}
+   */
+  Advisory.SIGNIFICANCE = {
+    W: 'warning',
+    A: 'watch',
+    Y: 'advisory',
+    S: 'statement',
+    F: 'forecast',
+    O: 'outlook',
+    N: 'synopsis'
+  };
+
+
+  /**
+   * Advisory severity, by VTEC significance code.
+   * A higher number is more severe.
+   *
+   * @property SEVERITY
+   * @static
+   * @type {Object.<string,number>}
+   */
+  Advisory.SEVERITY = {
+    W: 4,
+    A: 3,
+    Y: 2,
+    S: 1,
+    F: 0,
+    O: 0,
+    N: 0
+  };
+
+
+  /**
+   * Color used for advisories
+   * with no standard color.
+   *
+   * @property DEFAULT_COLOR
+   * @static
+   * @type {string}
+   */
+  Advisory.DEFAULT_COLOR = '#C0C0C0';
+
+
+  /**
+   * VTEC phenomena codes for Aeris API
+   * advisory category filters.
+   *
+   * @property FILTER_PHENOMENA_
+   * @static
+   * @private
+   * @type {Object.<string,Array.<string>>}
+   */
+  Advisory.FILTER_PHENOMENA_ = {
+    severe: ['TO', 'SV', 'EW'],
+    tornado: ['TO'],
+    flood: ['FF', 'FL', 'FA', 'CF', 'LS', 'HY'],
+    wind: ['WI', 'HW', 'LW', 'EW'],
+    winter: ['BZ', 'WS', 'WW', 'IS', 'LE', 'ZR', 'WC', 'HS', 'SN', 'LB'],
+    tropical: ['HU', 'TR', 'TY', 'HI', 'TI', 'SS'],
+    marine: ['SC', 'GL', 'SE', 'SR', 'HF', 'MF', 'MH', 'MS', 'SI', 'SW', 'RB', 'BW', 'UP'],
+    nonprecip: ['WI', 'HW', 'LW', 'EH', 'HT', 'FG', 'SM', 'DS', 'DU', 'FZ', 'FR', 'HZ', 'WC', 'EC', 'XH', 'AS'],
+    fire: ['FW']
+  };
+
+
+  /**
+   * @method getIssued
+   * @return {?Date} Time at which the advisory was issued.
+   */
+  Advisory.prototype.getIssued = function() {
+    return this.getTimestamp_('issued');
+  };
+
+
+  /**
+   * @method getBegins
+   * @return {?Date} Time at which the advisory goes into effect.
+   */
+  Advisory.prototype.getBegins = function() {
+    return this.getTimestamp_('begins') || this.getIssued();
+  };
+
+
+  /**
+   * @method getExpires
+   * @return {?Date} Time at which the advisory expires.
+   */
+  Advisory.prototype.getExpires = function() {
+    return this.getTimestamp_('expires');
+  };
+
+
+  /**
+   * @method getUpdated
+   * @return {?Date} Time at which the advisory was last updated.
+   */
+  Advisory.prototype.getUpdated = function() {
+    return this.getTimestamp_('updated') || this.getIssued();
+  };
+
+
+  /**
+   * Is the advisory in effect?
+   *
+   * @method isActive
+   * @param {Date=} opt_at Defaults to the current time.
+   * @return {Boolean}
+   */
+  Advisory.prototype.isActive = function(opt_at) {
+    var at = opt_at || new Date();
+    var begins = this.getBegins();
+    var expires = this.getExpires();
+
+    var hasBegun = !begins || begins.getTime() <= at.getTime();
+    var hasExpired = !!expires && expires.getTime() <= at.getTime();
+
+    return hasBegun && !hasExpired;
+  };
+
+
+  /**
+   * @method getVtec
+   * @return {string|undefined} VTEC code, eg. 'WI.Y'.
+   */
+  Advisory.prototype.getVtec = function() {
+    return this.getAtPath('details.type');
+  };
+
+
+  /**
+   * @method getPhenomena
+   * @return {string|undefined} VTEC phenomena code, eg. 'WI' (wind).
+   */
+  Advisory.prototype.getPhenomena = function() {
+    return this.getVtecPart_(0);
+  };
+
+
+  /**
+   * @method getSignificance
+   * @return {string|undefined} VTEC significance code, eg. 'Y' (advisory).
+   */
+  Advisory.prototype.getSignificance = function() {
+    return this.getVtecPart_(1);
+  };
+
+
+  /**
+   * @method getSignificanceName
+   * @return {string|undefined} eg. 'warning', 'watch', or 'advisory'.
+   */
+  Advisory.prototype.getSignificanceName = function() {
+    return Advisory.SIGNIFICANCE[this.getSignificance()];
+  };
+
+
+  /**
+   * Returns the severity of the advisory,
+   * based on its significance.
+   *
+   * Warnings are the most severe, followed by watches,
+   * advisories, and statements.
+   *
+   * @method getSeverity
+   * @return {number} A higher number is more severe.
+   */
+  Advisory.prototype.getSeverity = function() {
+    return Advisory.SEVERITY[this.getSignificance()] || 0;
+  };
+
+
+  /**
+   * Returns the standard NWS color for the advisory type.
+   *
+   * @method getColor
+   * @return {string} Hex color, eg. '#D2B48C'.
+   */
+  Advisory.prototype.getColor = function() {
+    var apiColor = this.getAtPath('details.color');
+
+    if (advisoryColors[this.getVtec()]) {
+      return advisoryColors[this.getVtec()];
+    }
+
+    return apiColor ? '#' + apiColor.replace(/^#/, '') : Advisory.DEFAULT_COLOR;
+  };
+
+
+  /**
+   * @method getZone
+   * @return {string|undefined} The advisory's county or zone code, eg. 'WAZ558'.
+   */
+  Advisory.prototype.getZone = function() {
+    return this.getAtPath('details.loc');
+  };
+
+
+  /**
+   * Returns the VTEC event tracking number (ETN),
+   * which identifies an event among advisories of the same type,
+   * issued by the same office.
+   *
+   * @method getEtn
+   * @return {string|undefined} eg. '0012'.
+   */
+  Advisory.prototype.getEtn = function() {
+    var etn = this.getAtPath('details.etn');
+
+    return _.isUndefined(etn) || _.isNull(etn) ? undefined : String(etn);
+  };
+
+
+  /**
+   * Returns the area affected by the advisory,
+   * as a GeoJSON geometry.
+   *
+   * Geometry is only included in Aeris API responses
+   * when requested with the 'geo' filter.
+   *
+   * @method getGeometry
+   * @return {?Object} GeoJSON Polygon or MultiPolygon geometry.
+   */
+  Advisory.prototype.getGeometry = function() {
+    var geoPoly = this.get('geoPoly');
+
+    return _.isObject(geoPoly) && geoPoly.type ? geoPoly : null;
+  };
+
+
+  /**
+   * Returns the advisory as a GeoJSON feature.
+   *
+   * Feature properties include the advisory's `id`
+   * (or `cid`, if the advisory has no id), so that features may
+   * be matched to advisories in a collection.
+   *
+   * @method toGeoJson
+   * @return {Object} GeoJSON Feature.
+   */
+  Advisory.prototype.toGeoJson = function() {
+    var id = _.isUndefined(this.id) ? this.cid : this.id;
+
+    return {
+      type: 'Feature',
+      id: id,
+      geometry: this.getGeometry(),
+      properties: {
+        id: id,
+        name: this.getAtPath('details.name'),
+        vtec: this.getVtec(),
+        significance: this.getSignificanceName(),
+        severity: this.getSeverity(),
+        color: this.getColor()
+      }
+    };
+  };
+
+
+  /**
+   * Tests the advisory against an Aeris API advisories filter
+   * (eg. 'warning', 'flood', or 'zone'). VTEC codes (eg. 'WI.Y')
+   * and phenomena codes (eg. 'WI') may also be used as filters.
+   *
+   * @method testFilter
+   * @param {string} filter
+   * @return {Boolean}
+   */
+  Advisory.prototype.testFilter = function(filter) {
+    var zone = this.getZone() || '';
+
+    if (filter === 'all') {
+      return true;
+    }
+
+    if (_.contains(_.values(Advisory.SIGNIFICANCE), filter)) {
+      return filter === this.getSignificanceName();
+    }
+
+    if (filter === 'geo') {
+      return !!this.getGeometry();
+    }
+
+    if (filter === 'county' || filter === 'zone') {
+      return zone.charAt(2) === (filter === 'county' ? 'C' : 'Z');
+    }
+
+    if (Advisory.FILTER_PHENOMENA_[filter]) {
+      return _.contains(Advisory.FILTER_PHENOMENA_[filter], this.getPhenomena()) ||
+        this.getAtPath('details.cat') === filter;
+    }
+
+    return filter === this.getVtec() || filter === this.getPhenomena();
+  };
+
+
+  /**
+   * @method getTimestamp_
+   * @private
+   * @param {string} name Aeris API timestamp name.
+   * @return {?Date}
+   */
+  Advisory.prototype.getTimestamp_ = function(name) {
+    var seconds = this.getAtPath('timestamps.' + name);
+
+    return _.isNumber(seconds) ? new Date(seconds * 1000) : null;
+  };
+
+
+  /**
+   * @method getVtecPart_
+   * @private
+   * @param {number} index
+   * @return {string|undefined}
+   */
+  Advisory.prototype.getVtecPart_ = function(index) {
+    var vtec = this.getVtec();
+
+    return vtec ? vtec.split('.')[index] : undefined;
+  };
+
+
   return _.expose(Advisory, 'aeris.api.models.Advisory');
 });
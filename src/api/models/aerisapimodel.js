@@ -1,9 +1,12 @@
 define([
   'aeris/util',
   'aeris/api/mixins/aerisapibehavior',
+  'aeris/api/mixins/unitbehavior',
   'aeris/model',
-  'aeris/jsonp'
-], function(_, AerisApiBehavior, Model, JSONP) {
+  'aeris/api/transports/jsonptransport',
+  'aeris/api/requestregistry',
+  'aeris/api/operator'
+], function(_, AerisApiBehavior, UnitBehavior, Model, JSONPTransport, RequestRegistry, Operator) {
   /**
    * A client-side representation of a single response object
    * from the Aeris API.
@@ -11,6 +14,7 @@ define([
    * @class aeris.api.models.AerisApiModel
    * @extends aeris.Model
    * @uses aeris.api.mixins.AerisApiBehavior
+   * @uses aeris.api.mixins.UnitBehavior
    *
    * @constructor
    * @override
@@ -20,14 +24,40 @@ define([
    * @param {string} opt_options.endpoint
    * @param {string} opt_options.action
    * @param {aeris.api.params.Params} opt_options.params
+   * @param {aeris.api.transports.TransportInterface=} opt_options.transport
+   *        Transport used to request data. Defaults to the transport
+   *        set in {aeris.config}.
+   * @param {aeris.JSONP=} opt_options.jsonp JSONP utility to use with a JSONP transport.
+   * @param {number=} opt_options.timeout
+   *        Milliseconds after which requests are rejected with a TimeoutError.
+   *        Defaults to 30 seconds. Set to 0 to disable timeouts.
+   * @param {aeris.api.cache.ResponseCache=} opt_options.cache
+   *        Cache for API responses. By default, responses are not cached.
+   * @param {aeris.api.RequestRegistry=} opt_options.requestRegistry
+   *        Registry used to share identical in-flight requests.
+   *        Defaults to a shared registry. Set to null to disable request sharing.
+   * @param {aeris.api.RetryPolicy=} opt_options.retryPolicy
+   *        Policy for retrying failed requests. By default, requests are not retried.
+   * @param {aeris.api.BatchScheduler=} opt_options.batchScheduler
+   *        Scheduler used to combine requests made by separate models
+   *        into batch requests. By default, requests are not batched.
+   * @param {Boolean=} opt_options.validateFilters
+   *        Whether to reject filters which are not listed for the endpoint
+   *        in {aeris.api.config.validFilters}. Default is true.
    */
   var AerisApiModel = function(opt_attrs, opt_options) {
     var options = _.defaults(opt_options || {}, {
       endpoint: '',
       action: '',
       params: {},
-      jsonp: JSONP,
-      server: '//api.aerisapi.com'
+      transport: null,
+      server: '//api.aerisapi.com',
+      timeout: 30000,
+      cache: null,
+      requestRegistry: RequestRegistry.getInstance(),
+      retryPolicy: null,
+      batchScheduler: null,
+      validateFilters: true
     });
 
 
@@ -69,13 +99,70 @@ define([
 
 
     /**
-     * The JSONP utility for fetching AerisApi data.
+     * The transport used to fetch AerisApi data.
+     * If none is provided, the transport is resolved
+     * from {aeris.config} at the time of each request.
      *
-     * @type {aeris.JSONP}
+     * @type {?aeris.api.transports.TransportInterface}
      * @private
-     * @property jsonp_
+     * @property transport_
      */
-    this.jsonp_ = options.jsonp || JSONP;
+    this.transport_ = options.jsonp ?
+      new JSONPTransport({ jsonp: options.jsonp }) : options.transport;
+
+
+    /**
+     * Milliseconds after which requests
+     * are rejected with a TimeoutError.
+     *
+     * May be overridden per-request,
+     * using the `timeout` fetch option.
+     *
+     * @type {number}
+     * @private
+     * @property timeout_
+     */
+    this.timeout_ = options.timeout;
+
+
+    /**
+     * Cache for API responses.
+     *
+     * @type {?aeris.api.cache.ResponseCache}
+     * @private
+     * @property cache_
+     */
+    this.cache_ = options.cache;
+
+
+    /**
+     * Registry of in-flight requests.
+     *
+     * @type {?aeris.api.RequestRegistry}
+     * @private
+     * @property requestRegistry_
+     */
+    this.requestRegistry_ = options.requestRegistry;
+
+
+    /**
+     * Policy for retrying failed requests.
+     *
+     * @type {?aeris.api.RetryPolicy}
+     * @private
+     * @property retryPolicy_
+     */
+    this.retryPolicy_ = options.retryPolicy;
+
+
+    /**
+     * Scheduler used to batch requests.
+     *
+     * @type {?aeris.api.BatchScheduler}
+     * @private
+     * @property batchScheduler_
+     */
+    this.batchScheduler_ = options.batchScheduler;
 
 
     /**
@@ -89,13 +176,16 @@ define([
      * @protected
      * @property params_
      */
-    this.params_ = this.createParams_(options.params);
+    this.params_ = this.createParams_(options.params, {
+      validateFilters: options.validateFilters
+    });
 
 
     Model.call(this, opt_attrs, options);
   };
   _.inherits(AerisApiModel, Model);
   _.extend(AerisApiModel.prototype, AerisApiBehavior);
+  _.extend(AerisApiModel.prototype, UnitBehavior);
 
 
   /**
@@ -153,6 +243,60 @@ define([
   };
 
 
+  /**
+   * Returns the value of the model attribute
+   * to which an Aeris API query property refers.
+   *
+   * By default, the query property is treated as
+   * an attribute path (eg. 'ob.tempF'). Models
+   * may override this method to map Aeris API query
+   * properties to their own attributes.
+   *
+   * @method getQueryValue
+   * @param {string} property Aeris API query property.
+   * @return {*|undefined} Undefined if the property cannot be resolved.
+   */
+  AerisApiModel.prototype.getQueryValue = function(property) {
+    return this.getAtPath(property);
+  };
+
+
+  /**
+   * Tests whether a model is passing
+   * an Aeris API query term.
+   *
+   * @method testQuery
+   * @param {aeris.api.params.models.Query|aeris.api.params.models.QueryGroup} query
+   * @return {Boolean}
+   */
+  AerisApiModel.prototype.testQuery = function(query) {
+    return query.test(this);
+  };
+
+
+  /**
+   * Tests whether a model is passing a set
+   * of chained Aeris API queries.
+   *
+   * @method testQueryCollection
+   * @param {aeris.api.params.collections.ChainedQueries} queries
+   * @return {Boolean}
+   */
+  AerisApiModel.prototype.testQueryCollection = function(queries) {
+    return queries.reduce(function(isPassingPreviousQueries, query, i) {
+      var isPassingThisQuery = this.testQuery(query);
+
+      if (i === 0) {
+        return isPassingThisQuery;
+      }
+
+      return query.get('operator') === Operator.OR ?
+        isPassingPreviousQueries || isPassingThisQuery :
+        isPassingPreviousQueries && isPassingThisQuery;
+    }, true, this);
+  };
+
+
   /**
    * @method parse
    */
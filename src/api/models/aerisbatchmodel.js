@@ -1,14 +1,41 @@
 define([
   'aeris/util',
+  'aeris/promise',
   'aeris/api/models/aerisapimodel',
+  'aeris/api/collections/aerisapicollection',
   'aeris/errors/apiresponseerror'
-], function(_, AerisApiModel, ApiResponseError) {
+], function(_, Promise, AerisApiModel, AerisApiCollection, ApiResponseError) {
   /**
    * Represents data from multiple Aeris API endpoints
    * combined into a single model.
    *
-   * Note that AerisBatchModel does not currently support
-   * per-model actions or queries.
+   * Nested data objects may be {aeris.api.models.AerisApiModel}
+   * or {aeris.api.collections.AerisApiCollection} objects.
+   *
+   * See {aeris.api.BatchScheduler} for automatically
+   * batching requests made by separate models.
+   *
+   * By default, a batch request fails if the response
+   * for any nested model contains an error. Use the `partialResults`
+   * option to update the nested models which succeeded, and
+   * trigger 'error' events on the nested models which failed:
+   *
+   *  var batch = new aeris.api.models.AerisBatchModel({
+   *    forecast: forecast,
+   *    tides: tides
+   *  }, { partialResults: true });
+   *
+   *  batch.fetch().done(function(statuses) {
+   *    // eg. [
+   *    //   { key: 'forecast', model: forecast, success: true, error: null },
+   *    //   { key: 'tides', model: tides, success: false, error: ApiResponseError }
+   *    // ]
+   *  });
+   *
+   * Batches containing too many requests, or which would exceed
+   * the maximum url length, are split into multiple requests.
+   * The responses are merged back together, in the order of the
+   * nested models.
    *
    * @class aeris.api.models.AerisBatchModel
    * @extends aeris.api.models.AerisApiModel
@@ -16,12 +43,25 @@ define([
    * @constructor
    * @override
    *
-   * @param {Object=} opt_attrs Set models as attribute values to enable batch requests.
+   * @param {Object=} opt_attrs Set models or collections as attribute values to enable batch requests.
    * @param {Object=} opt_options
    *
    * @param {aeris.api.params.Params} opt_options.params
+   * @param {Boolean=} opt_options.partialResults
+   *        If true, nested models are updated independently of
+   *        whether other nested models' requests fail.
+   * @param {number=} opt_options.maxRequests
+   *        Maximum number of nested requests to send in a single batch request.
+   * @param {number=} opt_options.maxUrlLength
+   *        Maximum length of a single batch request url.
    */
   var AerisBatchModel = function(opt_attrs, opt_options) {
+    var options = _.defaults(opt_options || {}, {
+      partialResults: false,
+      maxRequests: AerisBatchModel.MAX_REQUESTS,
+      maxUrlLength: AerisBatchModel.MAX_URL_LENGTH
+    });
+
     /**
      * A list of nested models, in the order of the last
      * API requests.
@@ -32,11 +72,78 @@ define([
      */
     this.modelsInOrder_ = [];
 
-    AerisApiModel.call(this, opt_attrs, opt_options);
+
+    /**
+     * Encoded nested requests, in the order of the last
+     * API requests.
+     *
+     * @property encodedRequests_
+     * @type {Array.<string>}
+     * @private
+     */
+    this.encodedRequests_ = [];
+
+
+    /**
+     * @property partialResults_
+     * @type {Boolean}
+     * @private
+     */
+    this.partialResults_ = options.partialResults;
+
+
+    /**
+     * Status of each nested model's request,
+     * from the last batch response.
+     *
+     * @property requestStatuses_
+     * @type {Array.<Object>}
+     * @private
+     */
+    this.requestStatuses_ = [];
+
+
+    /**
+     * @property maxRequests_
+     * @type {number}
+     * @private
+     */
+    this.maxRequests_ = options.maxRequests;
+
+
+    /**
+     * @property maxUrlLength_
+     * @type {number}
+     * @private
+     */
+    this.maxUrlLength_ = options.maxUrlLength;
+
+    AerisApiModel.call(this, opt_attrs, options);
   };
   _.inherits(AerisBatchModel, AerisApiModel);
 
 
+  /**
+   * Default maximum number of nested requests
+   * in a single batch request.
+   *
+   * @property MAX_REQUESTS
+   * @static
+   * @type {number}
+   */
+  AerisBatchModel.MAX_REQUESTS = 31;
+
+
+  /**
+   * Default maximum length of a batch request url.
+   *
+   * @property MAX_URL_LENGTH
+   * @static
+   * @type {number}
+   */
+  AerisBatchModel.MAX_URL_LENGTH = 2000;
+
+
   /**
    * @method getEndpointUrl_
    * @protected
@@ -63,20 +170,46 @@ define([
     // on the order of the `responses` array
     // (because javascript does not necessarily maintain order in objects)
     this.modelsInOrder_ = this.getNestedModels_();
+    this.encodedRequests_ = this.getEncodedRequests_(this.modelsInOrder_);
 
     return _.extend(params.toJSON(), {
-      requests: this.getEncodedEndpoints_(this.modelsInOrder_)
+      requests: this.encodedRequests_.join(',')
     }, this.getApiKeyParams_());
   };
 
 
   /**
-   * Return component models, which
-   * are attributes of the batch model.
+   * Serializes requests which were already serialized
+   * by the nested models (eg. by {aeris.api.BatchScheduler}),
+   * so that the batch request uses the params and API keys
+   * of the original requests.
+   *
+   * @method serializeRequests_
+   * @private
+   * @param {Array.<Object>} requests
+   * @param {string} requests.url Nested request url, including the server.
+   * @param {Object} requests.data Serialized nested request params.
+   * @return {Object}
+   */
+  AerisBatchModel.prototype.serializeRequests_ = function(requests) {
+    this.modelsInOrder_ = this.getNestedModels_();
+    this.encodedRequests_ = requests.map(function(request) {
+      return this.encodeRequest_(this.getRequestPathFromUrl_(request.url), request.data);
+    }, this);
+
+    return _.extend(this.params_.toJSON(), {
+      requests: this.encodedRequests_.join(',')
+    }, _.pick(requests[0].data, 'client_id', 'client_secret'));
+  };
+
+
+  /**
+   * Return component models and collections,
+   * which are attributes of the batch model.
    *
    * @method getNestedModels_
    * @private
-   * @return {Array.<aeris.api.models.AerisApiModel>}
+   * @return {Array.<aeris.api.models.AerisApiModel|aeris.api.collections.AerisApiCollection>}
    */
   AerisBatchModel.prototype.getNestedModels_ = function() {
     return this.values().filter(this.isModel_.bind(this));
@@ -90,45 +223,87 @@ define([
    * @return {Boolean}
    */
   AerisBatchModel.prototype.isModel_ = function(obj) {
-    return obj instanceof AerisApiModel;
+    return obj instanceof AerisApiModel || obj instanceof AerisApiCollection;
   };
 
 
   /**
-   * @method getEncodedEndpoints_
+   * @method getEncodedRequests_
    * @private
    * @param {Array.<aeris.api.models.AerisApiModel>} apiModels
-   * @return {string}
+   * @return {Array.<string>} Encoded request for each model.
    */
-  AerisBatchModel.prototype.getEncodedEndpoints_ = function(apiModels) {
-    var requests = apiModels.map(function(model) {
-      var endpoint = '/' + model.getEndpoint();
-
-      return [
-        endpoint,
-        this.encodeModelParams_(model)
-      ].join(encodeURIComponent('?'));
+  AerisBatchModel.prototype.getEncodedRequests_ = function(apiModels) {
+    return apiModels.map(function(model) {
+      return this.encodeRequest_(this.getRequestPath_(model), model.getParams().toJSON());
     }, this);
+  };
+
 
-    return requests.join(',');
+  /**
+   * @method encodeRequest_
+   * @private
+   * @param {string} path Request path (eg. '/observations/seattle,wa').
+   * @param {Object} params Serialized request params.
+   * @return {string} Encoded request.
+   */
+  AerisBatchModel.prototype.encodeRequest_ = function(path, params) {
+    return [
+      path,
+      this.encodeParams_(params)
+    ].join(encodeURIComponent('?'));
   };
 
 
   /**
-   * @method encodeModelParams_
+   * Returns the request path for a nested model
+   * (eg. '/observations/seattle,wa').
+   *
+   * @method getRequestPath_
    * @private
    * @param {aeris.api.models.AerisApiModel} model
-   * @return {string} Encoded model params.
+   * @return {string}
+   */
+  AerisBatchModel.prototype.getRequestPath_ = function(model) {
+    return '/' + _.compact([
+      model.getEndpoint(),
+      model.getAction(),
+      model.id
+    ]).join('/');
+  };
+
+
+  /**
+   * Returns the request path for a nested request url,
+   * relative to the batch model's server.
+   *
+   * @method getRequestPathFromUrl_
+   * @private
+   * @param {string} url
+   * @return {string}
+   */
+  AerisBatchModel.prototype.getRequestPathFromUrl_ = function(url) {
+    var path = url.indexOf(this.server_) === 0 ? url.slice(this.server_.length) : url;
+
+    return '/' + _.compact(path.split('/')).join('/');
+  };
+
+
+  /**
+   * @method encodeParams_
+   * @private
+   * @param {Object} serializedParams
+   * @return {string} Encoded params.
    */
-  AerisBatchModel.prototype.encodeModelParams_ = function(model) {
+  AerisBatchModel.prototype.encodeParams_ = function(serializedParams) {
     var paramsStr;
-    var params = model.getParams().toJSON();
+    var params = _.clone(serializedParams);
 
     this.removeApiKeysFromParams_(params);
 
     paramsStr = _.map(params, function(val, key) {
-      return key + '=' + val;
-    }).join('&');
+      return key + '=' + this.encodeParamValue_(val);
+    }, this).join('&');
 
     return this.encodeParamsString_(paramsStr);
   };
@@ -141,8 +316,23 @@ define([
   AerisBatchModel.prototype.encodeParamsString_ = function(string) {
     // Aeris API only needs ? and & encoded.
     return string.
-      replace('?', '%3F').
-      replace('&', '%26');
+      replace(/\?/g, '%3F').
+      replace(/&/g, '%26');
+  };
+
+
+  /**
+   * Batch requests are comma-separated,
+   * so commas within param values (eg. `sort` or `fields` params)
+   * must be encoded.
+   *
+   * @method encodeParamValue_
+   * @private
+   * @param {*} value
+   * @return {string}
+   */
+  AerisBatchModel.prototype.encodeParamValue_ = function(value) {
+    return String(value).replace(/,/g, '%2C');
   };
 
 
@@ -186,6 +376,232 @@ define([
   };
 
 
+  /**
+   * Splits oversized batch requests into multiple
+   * requests, and merges the responses.
+   *
+   * @method request_
+   * @protected
+   * @override
+   * @param {string} url
+   * @param {Object} data Serialized request params.
+   * @param {string} requestKey
+   * @param {Object} requestOptions
+   * @return {aeris.Promise} Resolves with raw response data.
+   */
+  AerisBatchModel.prototype.request_ = function(url, data, requestKey, requestOptions) {
+    var promiseToRequest, chunkResponses, chunkRequests;
+    var chunks = this.chunkRequests_(url, data, this.encodedRequests_);
+
+    if (chunks.length <= 1) {
+      return AerisApiModel.prototype.request_.call(this, url, data, requestKey, requestOptions);
+    }
+
+    promiseToRequest = new Promise();
+    chunkResponses = [];
+
+    chunkRequests = chunks.map(function(requests, i) {
+      var chunkData = _.extend({}, data, {
+        requests: requests.join(',')
+      });
+
+      return AerisApiModel.prototype.request_.
+        call(this, url, chunkData, this.createRequestKey_(url, chunkData), requestOptions).
+        done(function(res) {
+          chunkResponses[i] = res;
+        });
+    }, this);
+
+    Promise.when(chunkRequests).
+      done(function() {
+        promiseToRequest.resolve(this.mergeChunkResponses_(chunkResponses));
+      }, this).
+      fail(promiseToRequest.reject);
+
+    return promiseToRequest;
+  };
+
+
+  /**
+   * Splits encoded requests into groups, so that
+   * no batch request exceeds the maximum number
+   * of requests, or the maximum url length.
+   *
+   * A single request which exceeds the maximum url length
+   * is sent on its own.
+   *
+   * @method chunkRequests_
+   * @private
+   * @param {string} url
+   * @param {Object} data Serialized batch request params.
+   * @param {Array.<string>} requests Encoded nested requests.
+   * @return {Array.<Array.<string>>}
+   */
+  AerisBatchModel.prototype.chunkRequests_ = function(url, data, requests) {
+    return requests.reduce(function(chunks, request) {
+      var chunk = _.last(chunks);
+      var isChunkFull = chunk.length >= this.maxRequests_ ||
+        this.getUrlLength_(url, data, chunk.concat(request)) > this.maxUrlLength_;
+
+      if (chunk.length && isChunkFull) {
+        chunks.push([request]);
+      }
+      else {
+        chunk.push(request);
+      }
+
+      return chunks;
+    }.bind(this), [[]]);
+  };
+
+
+  /**
+   * Returns the length of a batch request url,
+   * including the serialized query string.
+   *
+   * @method getUrlLength_
+   * @private
+   * @param {string} url
+   * @param {Object} data Serialized batch request params.
+   * @param {Array.<string>} requests Encoded nested requests.
+   * @return {number}
+   */
+  AerisBatchModel.prototype.getUrlLength_ = function(url, data, requests) {
+    var params = _.extend({}, data, {
+      requests: requests.join(',')
+    });
+    var query = _.map(params, function(val, key) {
+      return encodeURIComponent(key) + '=' + encodeURIComponent(val);
+    }).join('&');
+
+    return url.length + 1 + query.length;
+  };
+
+
+  /**
+   * Merges the responses of split batch requests
+   * into a single batch response.
+   *
+   * If any request fails at the top level,
+   * the failed response is used for the entire batch.
+   *
+   * @method mergeChunkResponses_
+   * @private
+   * @param {Array.<Object>} responses Raw batch responses, in request order.
+   * @return {Object}
+   */
+  AerisBatchModel.prototype.mergeChunkResponses_ = function(responses) {
+    var failedResponse = _.find(responses, function(res) {
+      return !this.hasResponsesArray_(res);
+    }, this);
+    var errorResponse = _.find(responses, function(res) {
+      return !!res.error;
+    });
+
+    if (failedResponse) {
+      return failedResponse;
+    }
+
+    return {
+      success: _.every(responses, function(res) {
+        return res.success;
+      }),
+      error: errorResponse ? errorResponse.error : null,
+      response: {
+        responses: _.flatten(_.map(responses, function(res) {
+          return res.response.responses;
+        }), true)
+      }
+    };
+  };
+
+
+  /**
+   * Batch requests are never
+   * added to another batch.
+   *
+   * @method isBatchable_
+   * @protected
+   * @return {Boolean}
+   */
+  AerisBatchModel.prototype.isBatchable_ = function() {
+    return false;
+  };
+
+
+  /**
+   * Requests data for all nested models,
+   * without updating the nested models.
+   *
+   * Used by {aeris.api.BatchScheduler} to split a batch
+   * response back to the models which requested it.
+   *
+   * @method requestResponses
+   * @param {Array.<Object>=} opt_requests
+   *        Requests already serialized by the nested models,
+   *        in the order of the nested models, as `{ url, data }` objects.
+   *        If omitted, the nested models' current params are used.
+   * @return {aeris.Promise} Resolves with an array of raw response objects,
+   *                         in the order of the nested models.
+   *                         If the batch request fails at the top level,
+   *                         each model receives the top-level response.
+   *                         Rejects if the request cannot be completed.
+   */
+  AerisBatchModel.prototype.requestResponses = function(opt_requests) {
+    var promiseToRespond = new Promise();
+    var data = opt_requests ?
+      this.serializeRequests_(opt_requests) : this.serializeParams_(this.params_);
+    var url = this.getEndpointUrl_();
+    var models = this.modelsInOrder_;
+
+    this.request_(url, data, this.createRequestKey_(url, data), { coalesce: false }).
+      done(function(res) {
+        var isTopLevelResponse = !this.hasResponsesArray_(res);
+
+        promiseToRespond.resolve(models.map(function(model, i) {
+          if (isTopLevelResponse) {
+            return res;
+          }
+
+          return res.response.responses[i] || this.createMissingResponse_();
+        }, this));
+      }, this).
+      fail(promiseToRespond.reject);
+
+    return promiseToRespond;
+  };
+
+
+  /**
+   * @method hasResponsesArray_
+   * @private
+   * @param {Object} res Raw batch response.
+   * @return {Boolean}
+   */
+  AerisBatchModel.prototype.hasResponsesArray_ = function(res) {
+    return !!res && !!res.response && _.isArray(res.response.responses);
+  };
+
+
+  /**
+   * Creates an error response for a nested model
+   * which is missing from the batch response.
+   *
+   * @method createMissingResponse_
+   * @private
+   * @return {Object}
+   */
+  AerisBatchModel.prototype.createMissingResponse_ = function() {
+    return {
+      success: false,
+      error: {
+        code: 'missing_response',
+        description: 'The batch response did not include a response for the request.'
+      }
+    };
+  };
+
+
   /**
    * @method isSuccessResponse_
    * @param {Object} res
@@ -198,12 +614,37 @@ define([
       return false;
     }
 
+    // In partial results mode, failed nested
+    // responses are handled by `parse`.
+    if (this.partialResults_) {
+      return true;
+    }
+
     return res.response.responses.every(function(r) {
       return !!r && r.success;
     });
   };
 
 
+  /**
+   * Returns warnings contained in the batch response,
+   * or in any individual model response.
+   *
+   * @method getWarnings_
+   * @protected
+   * @param {Object} res
+   * @return {Array.<aeris.errors.APIResponseError>}
+   */
+  AerisBatchModel.prototype.getWarnings_ = function(res) {
+    var topLevelWarnings = AerisApiModel.prototype.getWarnings_.call(this, res);
+    var responses = (res.response && res.response.responses) || [];
+
+    return responses.reduce(function(warnings, response) {
+      return warnings.concat(AerisApiModel.prototype.getWarnings_.call(this, response));
+    }.bind(this), topLevelWarnings);
+  };
+
+
   /**
    * @method createErrorFromResponse_
    * @protected
@@ -217,52 +658,197 @@ define([
       return AerisApiModel.prototype.createErrorFromResponse_.call(this, res);
     }
 
-    return res.response.responses.reduce(function(lastError, response) {
-      var error;
-
-      if (lastError || !response.error) {
+    return _.reduce(res.response.responses, function(lastError, response) {
+      if (lastError || !response.error || this.isWarningResponse_(response)) {
         return lastError;
       }
 
-      error = AerisApiModel.prototype.createErrorFromResponse_.call(this, response);
+      return AerisApiModel.prototype.createErrorFromResponse_.call(this, response);
+    }, void 0, this);
+  };
 
-      // Temporary fix for Aeris API bug:
-      // -- incorrect code for 'invalid_location' error when
-      //    using batch requests.
-      if (response.error.description === 'The requested location was not found.') {
-        error.code = 'invalid_location';
-      }
 
-      return error;
-    }, void 0);
+  /**
+   * @method getErrorCode_
+   * @protected
+   * @param {Object} response
+   * @return {string}
+   */
+  AerisBatchModel.prototype.getErrorCode_ = function(response) {
+    // Temporary fix for Aeris API bug:
+    // -- incorrect code for 'invalid_location' error when
+    //    using batch requests.
+    if (response.error.description === 'The requested location was not found.') {
+      return 'invalid_location';
+    }
+
+    return AerisApiModel.prototype.getErrorCode_.call(this, response);
+  };
+
+
+  /**
+   * Fetch data for all nested models.
+   *
+   * @override
+   * @method fetch
+   * @param {Object=} opt_options
+   * @return {aeris.Promise}
+   *         Resolves with the API response. In partial results mode,
+   *         resolves with the status of each nested model's request
+   *         (see `getRequestStatuses`).
+   */
+  AerisBatchModel.prototype.fetch = function(opt_options) {
+    var promiseToFetch;
+
+    if (!this.partialResults_) {
+      return AerisApiModel.prototype.fetch.call(this, opt_options);
+    }
+
+    promiseToFetch = new Promise();
+
+    AerisApiModel.prototype.fetch.call(this, opt_options).
+      done(function() {
+        promiseToFetch.resolve(this.getRequestStatuses());
+      }, this).
+      fail(promiseToFetch.reject);
+
+    return promiseToFetch;
+  };
+
+
+  /**
+   * Returns the status of each nested model's request,
+   * from the last batch response, in request order.
+   *
+   * @method getRequestStatuses
+   * @return {Array.<Object>}
+   *         Each status contains the nested model's attribute `key`,
+   *         the `model`, whether the request was a `success`,
+   *         and the `error` for failed requests.
+   */
+  AerisBatchModel.prototype.getRequestStatuses = function() {
+    return this.requestStatuses_.slice(0);
   };
 
 
   /**
    * Sets batch response data onto nested models
    *
+   * Nested models whose responses contain a warning
+   * (eg. `warn_no_data`) are updated with empty data,
+   * and trigger a 'warning' event.
+   *
+   * In partial results mode, nested models whose responses
+   * contain an error trigger an 'error' event,
+   * instead of being updated.
+   *
    * @override
    * @method parse
    * @param {Object} raw Raw response data.
+   * @param {Object=} opt_options
    * @return {Object}
    */
-  AerisBatchModel.prototype.parse = function(raw) {
+  AerisBatchModel.prototype.parse = function(raw, opt_options) {
+    var nestedWarnings = [];
+
     try {
       var responses = raw.response.responses;
 
-      this.modelsInOrder_.forEach(function(model, index) {
-        this.updateModelWithResponseData_(model, responses[index]);
+      this.requestStatuses_ = this.modelsInOrder_.map(function(model, index) {
+        var response = responses[index];
+
+        if (this.partialResults_) {
+          return this.parseModelResponse_(model, response || this.createMissingResponse_(), opt_options);
+        }
+
+        this.updateModelWithResponseData_(model, response);
+        return this.createRequestStatus_(model, null);
       }, this);
+
+      nestedWarnings = this.getNestedWarnings_(responses);
     }
     catch (e) {
       throw new ApiResponseError('Unable to parse batch response data: ' +
         e.message);
     }
 
+    // Triggered after parsing, so that errors thrown
+    // by listeners are not reported as parse errors.
+    nestedWarnings.forEach(function(nestedWarning) {
+      nestedWarning.model.trigger('warning', nestedWarning.model, nestedWarning.warning, opt_options || {});
+    });
+
     return this.attributes;
   };
 
 
+  /**
+   * Returns warnings contained in nested model responses,
+   * along with the nested model which requested the data.
+   *
+   * @method getNestedWarnings_
+   * @private
+   * @param {Array.<Object>} responses Raw responses for the nested models.
+   * @return {Array.<{model: aeris.api.models.AerisApiModel, warning: aeris.errors.APIResponseError}>}
+   */
+  AerisBatchModel.prototype.getNestedWarnings_ = function(responses) {
+    return this.modelsInOrder_.reduce(function(nestedWarnings, model, index) {
+      var response = responses[index];
+      var warnings = response ? AerisApiModel.prototype.getWarnings_.call(this, response) : [];
+
+      return nestedWarnings.concat(warnings.map(function(warning) {
+        return { model: model, warning: warning };
+      }));
+    }.bind(this), []);
+  };
+
+
+  /**
+   * Update a nested model with its response,
+   * or trigger an 'error' event on the model
+   * if the response contains an error.
+   *
+   * @method parseModelResponse_
+   * @private
+   * @param {aeris.api.models.AerisApiModel} model
+   * @param {Object} response Raw response for the nested model.
+   * @param {Object=} opt_options
+   * @return {Object} Request status.
+   */
+  AerisBatchModel.prototype.parseModelResponse_ = function(model, response, opt_options) {
+    var error;
+
+    if (AerisApiModel.prototype.isSuccessResponse_.call(this, response)) {
+      this.updateModelWithResponseData_(model, response);
+      return this.createRequestStatus_(model, null);
+    }
+
+    error = AerisApiModel.prototype.createErrorFromResponse_.call(this, response);
+    model.trigger('error', model, error, opt_options || {});
+
+    return this.createRequestStatus_(model, error);
+  };
+
+
+  /**
+   * @method createRequestStatus_
+   * @private
+   * @param {aeris.api.models.AerisApiModel} model
+   * @param {?Error} error
+   * @return {Object}
+   */
+  AerisBatchModel.prototype.createRequestStatus_ = function(model, error) {
+    return {
+      key: _.find(this.keys(), function(key) {
+        return this.get(key) === model;
+      }, this),
+      model: model,
+      success: !error,
+      error: error
+    };
+  };
+
+
   /**
    * @method updateModelWithResponseData_
    * @private
@@ -270,7 +856,15 @@ define([
    * @param {Object} data Response data
    */
   AerisBatchModel.prototype.updateModelWithResponseData_ = function(model, data) {
-    var modelAttrs = model.parse(data);
+    var modelAttrs;
+
+    // Resolve warnings with empty data,
+    // as for top-level warning responses.
+    if (this.isWarningResponse_(data) && !data.response) {
+      data = _.extend({}, data, { response: [] });
+    }
+
+    modelAttrs = model.parse(data);
     model.set(modelAttrs);
   };
 
@@ -303,7 +897,10 @@ define([
       var value = this.get(attr);
 
       // Clear our all nested models
-      if (this.isModel_(value)) {
+      if (value instanceof AerisApiCollection) {
+        value.reset();
+      }
+      else if (this.isModel_(value)) {
         value.clear();
       }
 
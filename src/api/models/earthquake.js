@@ -45,6 +45,35 @@ define([
   };
 
 
+  /**
+   * Model attribute paths for
+   * Aeris API earthquake query properties.
+   *
+   * @property QUERY_PATHS_
+   * @static
+   * @private
+   * @type {Object.<string,string>}
+   */
+  Earthquake.QUERY_PATHS_ = {
+    mag: 'report.mag',
+    type: 'report.type',
+    depth: 'report.depthKM',
+    region: 'report.region',
+    state: 'place.state',
+    country: 'place.country'
+  };
+
+
+  /**
+   * @method getQueryValue
+   */
+  Earthquake.prototype.getQueryValue = function(property) {
+    var path = Earthquake.QUERY_PATHS_[property] || property;
+
+    return PointData.prototype.getQueryValue.call(this, path);
+  };
+
+
   /**
    * Is the earthquake less than 70km deep.
    *
@@ -57,5 +86,15 @@ define([
   };
 
 
+  /**
+   * @method getDepth
+   * @param {string=} opt_unit Defaults to the preferred unit.
+   * @return {?Object} Depth of the earthquake, as a measurement (see {aeris.api.units}).
+   */
+  Earthquake.prototype.getDepth = function(opt_unit) {
+    return this.getMeasurement('report.depth', 'distance', opt_unit);
+  };
+
+
   return _.expose(Earthquake, 'aeris.api.models.Earthquake');
 });
@@ -1,24 +1,131 @@
 define([
   'aeris/util',
-  'aeris/api/models/aerisapimodel'
-], function(_, AerisApiModel) {
+  'aeris/api/models/aerisapimodel',
+  'aeris/api/collections/forecastperiods',
+  'aeris/api/forecastinterval',
+  'aeris/errors/invalidargumenterror'
+], function(_, AerisApiModel, ForecastPeriods, ForecastInterval, InvalidArgumentError) {
   /**
+   * A forecast for a location.
+   *
+   * Forecast periods are available as a
+   * {aeris.api.collections.ForecastPeriods} collection,
+   * which is kept in sync with the raw `periods` attribute.
+   * Periods provide unit-aware getters for temperature, wind,
+   * pressure and precipitation (see {aeris.api.models.ForecastPeriod}).
+   *
+   * Example:
+   *
+   *  var forecast = new aeris.api.models.Forecast();
+   *
+   *  forecast.setInterval(aeris.api.ForecastInterval.DAY_NIGHT);
+   *  forecast.fetch().done(function() {
+   *    var tonight = forecast.getPeriods().find(function(period) {
+   *      return period.isNight();
+   *    });
+   *  });
+   *
    * @publicApi
    * @class aeris.api.models.Forecast
    * @extends aeris.api.models.AerisApiModel
    *
    * @constructor
    * @override
-  */
+   *
+   * @param {Object=} opt_attrs
+   * @param {Object=} opt_options
+   * @param {aeris.api.ForecastInterval=} opt_options.interval
+   *        Interval between forecast periods.
+   *        Defaults to the Aeris API default (daily).
+   */
   var Forecast = function(opt_attrs, opt_options) {
     var options = _.defaults(opt_options || {}, {
-      endpoint: 'forecasts'
+      endpoint: 'forecasts',
+      interval: null
     });
 
+
+    /**
+     * @property periods_
+     * @private
+     * @type {aeris.api.collections.ForecastPeriods}
+     */
+    this.periods_ = new ForecastPeriods();
+
+
     AerisApiModel.call(this, opt_attrs, options);
+
+    if (options.interval) {
+      this.setInterval(options.interval);
+    }
+
+    this.listenTo(this, {
+      'change:periods change:interval': this.syncPeriods_
+    });
+    this.syncPeriods_();
   };
   _.inherits(Forecast, AerisApiModel);
 
 
+  /**
+   * @method getPeriods
+   * @return {aeris.api.collections.ForecastPeriods}
+   */
+  Forecast.prototype.getPeriods = function() {
+    return this.periods_;
+  };
+
+
+  /**
+   * Set the interval between forecast periods.
+   * The interval is applied to the next fetch.
+   *
+   * @method setInterval
+   * @param {aeris.api.ForecastInterval} interval
+   * @throws {aeris.errors.InvalidArgumentError} If the interval is not a valid ForecastInterval.
+   */
+  Forecast.prototype.setInterval = function(interval) {
+    var intervals = _.values(ForecastInterval);
+
+    if (!_.contains(intervals, interval)) {
+      throw new InvalidArgumentError(interval + ' is not a valid forecast interval. ' +
+        'Valid intervals are: ' + intervals.join(', '));
+    }
+
+    this.getParams().removeFilter(intervals);
+    this.getParams().addFilter(interval);
+  };
+
+
+  /**
+   * Returns the interval between forecast periods,
+   * as reported by the last response, or as requested.
+   *
+   * @method getInterval
+   * @return {?aeris.api.ForecastInterval}
+   */
+  Forecast.prototype.getInterval = function() {
+    var requestedInterval = this.getParams().get('filter').find(function(filter) {
+      return _.contains(_.values(ForecastInterval), filter.get('name'));
+    });
+
+    if (this.has('interval')) {
+      return this.get('interval');
+    }
+
+    return requestedInterval ? requestedInterval.get('name') : null;
+  };
+
+
+  /**
+   * @method syncPeriods_
+   * @private
+   */
+  Forecast.prototype.syncPeriods_ = function() {
+    this.periods_.setInterval(this.getInterval());
+    this.periods_.reset(this.get('periods') || []);
+  };
+
+
   return _.expose(Forecast, 'aeris.api.models.Forecast');
 });
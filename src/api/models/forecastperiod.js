@@ -0,0 +1,308 @@
+define([
+  'aeris/util',
+  'aeris/model',
+  'aeris/api/mixins/unitbehavior',
+  'aeris/api/units'
+], function(_, Model, UnitBehavior, units) {
+  /**
+   * A single period of an Aeris API forecast.
+   *
+   * Attributes are the raw period data returned by the
+   * Aeris API `forecasts` endpoint. Timestamps are available
+   * as Date objects through accessor methods.
+   *
+   * @publicApi
+   * @class aeris.api.models.ForecastPeriod
+   * @extends aeris.Model
+   * @uses aeris.api.mixins.UnitBehavior
+   *
+   * @constructor
+   * @override
+   */
+  var ForecastPeriod = function(opt_attrs, opt_options) {
+    Model.call(this, opt_attrs, opt_options);
+  };
+  _.inherits(ForecastPeriod, Model);
+  _.extend(ForecastPeriod.prototype, UnitBehavior);
+
+
+  /**
+   * Hour of the day (local time) at which daytime begins,
+   * for periods without day/night or sunrise/sunset data.
+   *
+   * @property DAY_START_HOUR
+   * @static
+   * @type {number}
+   */
+  ForecastPeriod.DAY_START_HOUR = 6;
+
+
+  /**
+   * Hour of the day (local time) at which nighttime begins,
+   * for periods without day/night or sunrise/sunset data.
+   *
+   * @property NIGHT_START_HOUR
+   * @static
+   * @type {number}
+   */
+  ForecastPeriod.NIGHT_START_HOUR = 18;
+
+
+  /**
+   * @method getDate
+   * @return {?Date} Time at which the period begins.
+   */
+  ForecastPeriod.prototype.getDate = function() {
+    var dateTimeISO = this.get('dateTimeISO') || this.get('validTime');
+
+    if (_.isNumber(this.get('timestamp'))) {
+      return this.getTimestamp_('timestamp');
+    }
+
+    return dateTimeISO ? new Date(dateTimeISO) : null;
+  };
+
+
+  /**
+   * @method getSunrise
+   * @return {?Date}
+   */
+  ForecastPeriod.prototype.getSunrise = function() {
+    return this.getTimestamp_('sunrise');
+  };
+
+
+  /**
+   * @method getSunset
+   * @return {?Date}
+   */
+  ForecastPeriod.prototype.getSunset = function() {
+    return this.getTimestamp_('sunset');
+  };
+
+
+  /**
+   * Returns the calendar date of the period,
+   * in the forecast location's time zone.
+   *
+   * @method getDateString
+   * @return {?string} eg. '2014-02-27'.
+   */
+  ForecastPeriod.prototype.getDateString = function() {
+    var dateTimeISO = this.get('dateTimeISO') || this.get('validTime');
+    var date = this.getDate();
+
+    if (dateTimeISO) {
+      return dateTimeISO.slice(0, 10);
+    }
+
+    return date ? ForecastPeriod.toDateString(date) : null;
+  };
+
+
+  /**
+   * Is the period during the day?
+   *
+   * Uses the API's day/night flag, if available.
+   * Otherwise, compares the period time to sunrise and sunset.
+   *
+   * @method isDay
+   * @return {Boolean}
+   */
+  ForecastPeriod.prototype.isDay = function() {
+    var date = this.getDate();
+    var sunrise = this.getSunrise();
+    var sunset = this.getSunset();
+    var hour;
+
+    if (_.isBoolean(this.get('isDay'))) {
+      return this.get('isDay');
+    }
+
+    if (date && sunrise && sunset) {
+      return date.getTime() >= sunrise.getTime() && date.getTime() < sunset.getTime();
+    }
+
+    hour = this.getLocalHour_();
+    return hour >= ForecastPeriod.DAY_START_HOUR && hour < ForecastPeriod.NIGHT_START_HOUR;
+  };
+
+
+  /**
+   * @method isNight
+   * @return {Boolean}
+   */
+  ForecastPeriod.prototype.isNight = function() {
+    return !this.isDay();
+  };
+
+
+  /**
+   * @method getHigh
+   * @param {string=} opt_unit 'F' or 'C'. Defaults to the preferred unit.
+   * @return {?number} Maximum temperature during the period.
+   */
+  ForecastPeriod.prototype.getHigh = function(opt_unit) {
+    return this.getTemp_('maxTemp', opt_unit);
+  };
+
+
+  /**
+   * @method getLow
+   * @param {string=} opt_unit 'F' or 'C'. Defaults to the preferred unit.
+   * @return {?number} Minimum temperature during the period.
+   */
+  ForecastPeriod.prototype.getLow = function(opt_unit) {
+    return this.getTemp_('minTemp', opt_unit);
+  };
+
+
+  /**
+   * @method getTemperature
+   * @param {string=} opt_unit Defaults to the preferred unit.
+   * @return {?Object} Average temperature, as a measurement (see {aeris.api.units}).
+   */
+  ForecastPeriod.prototype.getTemperature = function(opt_unit) {
+    return this.getMeasurement('avgTemp', 'temperature', opt_unit) ||
+      this.getMeasurement('temp', 'temperature', opt_unit);
+  };
+
+
+  /**
+   * @method getWindSpeed
+   * @param {string=} opt_unit Defaults to the preferred unit.
+   * @return {?Object} Wind speed, as a measurement (see {aeris.api.units}).
+   */
+  ForecastPeriod.prototype.getWindSpeed = function(opt_unit) {
+    return this.getMeasurement('windSpeed', 'speed', opt_unit);
+  };
+
+
+  /**
+   * @method getWindGust
+   * @param {string=} opt_unit Defaults to the preferred unit.
+   * @return {?Object} Wind gust speed, as a measurement (see {aeris.api.units}).
+   */
+  ForecastPeriod.prototype.getWindGust = function(opt_unit) {
+    return this.getMeasurement('windGust', 'speed', opt_unit);
+  };
+
+
+  /**
+   * @method getPressure
+   * @param {string=} opt_unit Defaults to the preferred unit.
+   * @return {?Object} Barometric pressure, as a measurement (see {aeris.api.units}).
+   */
+  ForecastPeriod.prototype.getPressure = function(opt_unit) {
+    return this.getMeasurement('pressure', 'pressure', opt_unit);
+  };
+
+
+  /**
+   * @method getPrecip
+   * @param {string=} opt_unit Defaults to the preferred unit.
+   * @return {?Object} Precipitation, as a measurement (see {aeris.api.units}).
+   */
+  ForecastPeriod.prototype.getPrecip = function(opt_unit) {
+    return this.getMeasurement('precip', 'precip', opt_unit);
+  };
+
+
+  /**
+   * @method getSnow
+   * @param {string=} opt_unit Defaults to the preferred unit.
+   * @return {?Object} Snowfall, as a measurement (see {aeris.api.units}).
+   */
+  ForecastPeriod.prototype.getSnow = function(opt_unit) {
+    return this.getMeasurement('snow', 'snow', opt_unit);
+  };
+
+
+  /**
+   * @method getPrecipProbability
+   * @return {?number} Probability of precipitation, as a percentage.
+   */
+  ForecastPeriod.prototype.getPrecipProbability = function() {
+    var pop = this.get('pop');
+
+    return _.isNumber(pop) ? pop : null;
+  };
+
+
+  /**
+   * Formats a date as a calendar date string,
+   * in the local time zone.
+   *
+   * @method toDateString
+   * @static
+   * @param {Date} date
+   * @return {string} eg. '2014-02-27'.
+   */
+  ForecastPeriod.toDateString = function(date) {
+    var pad = function(num) {
+      return num < 10 ? '0' + num : String(num);
+    };
+
+    return [
+      date.getFullYear(),
+      pad(date.getMonth() + 1),
+      pad(date.getDate())
+    ].join('-');
+  };
+
+
+  /**
+   * Returns a temperature, falling back to the
+   * period temperature (eg. for hourly periods).
+   *
+   * @method getTemp_
+   * @private
+   * @param {string} name Temperature attribute, without unit.
+   * @param {string=} opt_unit
+   * @return {?number}
+   */
+  ForecastPeriod.prototype.getTemp_ = function(name, opt_unit) {
+    var unit = opt_unit || units.getUnit('temperature');
+    var temp = _.find([name, 'avgTemp', 'temp'], function(attr) {
+      return _.isNumber(this.get(attr + unit));
+    }, this);
+
+    return temp ? this.get(temp + unit) : null;
+  };
+
+
+  /**
+   * @method getTimestamp_
+   * @private
+   * @param {string} name Aeris API timestamp attribute.
+   * @return {?Date}
+   */
+  ForecastPeriod.prototype.getTimestamp_ = function(name) {
+    var seconds = this.get(name);
+
+    return _.isNumber(seconds) ? new Date(seconds * 1000) : null;
+  };
+
+
+  /**
+   * Returns the hour of the period,
+   * in the forecast location's time zone.
+   *
+   * @method getLocalHour_
+   * @private
+   * @return {number}
+   */
+  ForecastPeriod.prototype.getLocalHour_ = function() {
+    var dateTimeISO = this.get('dateTimeISO') || this.get('validTime');
+    var date = this.getDate();
+
+    if (dateTimeISO) {
+      return parseInt(dateTimeISO.slice(11, 13), 10);
+    }
+
+    return date ? date.getHours() : ForecastPeriod.DAY_START_HOUR;
+  };
+
+
+  return _.expose(ForecastPeriod, 'aeris.api.models.ForecastPeriod');
+});
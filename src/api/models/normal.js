@@ -24,5 +24,36 @@ define([
   };
   _.inherits(Normal, AerisApiModel);
 
+
+  /**
+   * @method getMaxTemperature
+   * @param {string=} opt_unit Defaults to the preferred unit.
+   * @return {?Object} Normal high temperature, as a measurement (see {aeris.api.units}).
+   */
+  Normal.prototype.getMaxTemperature = function(opt_unit) {
+    return this.getMeasurement('periods.0.temp.max', 'temperature', opt_unit);
+  };
+
+
+  /**
+   * @method getMinTemperature
+   * @param {string=} opt_unit Defaults to the preferred unit.
+   * @return {?Object} Normal low temperature, as a measurement (see {aeris.api.units}).
+   */
+  Normal.prototype.getMinTemperature = function(opt_unit) {
+    return this.getMeasurement('periods.0.temp.min', 'temperature', opt_unit);
+  };
+
+
+  /**
+   * @method getAvgTemperature
+   * @param {string=} opt_unit Defaults to the preferred unit.
+   * @return {?Object} Normal average temperature, as a measurement (see {aeris.api.units}).
+   */
+  Normal.prototype.getAvgTemperature = function(opt_unit) {
+    return this.getMeasurement('periods.0.temp.avg', 'temperature', opt_unit);
+  };
+
+
   return _.expose(Normal, 'aeris.api.models.Normal');
 });
@@ -19,5 +19,102 @@ define([
   };
   _.inherits(Observation, AerisApiModel);
 
+
+  /**
+   * @method getDate
+   * @return {?Date} Time of the observation.
+   */
+  Observation.prototype.getDate = function() {
+    var timestamp = this.getAtPath('ob.timestamp');
+    var dateTimeISO = this.getAtPath('ob.dateTimeISO');
+
+    if (_.isNumber(timestamp)) {
+      return new Date(timestamp * 1000);
+    }
+
+    return dateTimeISO ? new Date(dateTimeISO) : null;
+  };
+
+
+  /**
+   * @method getTemperature
+   * @param {string=} opt_unit Defaults to the preferred unit.
+   * @return {?Object} Temperature, as a measurement (see {aeris.api.units}).
+   */
+  Observation.prototype.getTemperature = function(opt_unit) {
+    return this.getMeasurement('ob.temp', 'temperature', opt_unit);
+  };
+
+
+  /**
+   * @method getDewpoint
+   * @param {string=} opt_unit Defaults to the preferred unit.
+   * @return {?Object} Dew point, as a measurement (see {aeris.api.units}).
+   */
+  Observation.prototype.getDewpoint = function(opt_unit) {
+    return this.getMeasurement('ob.dewpoint', 'temperature', opt_unit);
+  };
+
+
+  /**
+   * @method getFeelsLike
+   * @param {string=} opt_unit Defaults to the preferred unit.
+   * @return {?Object} Apparent temperature, as a measurement (see {aeris.api.units}).
+   */
+  Observation.prototype.getFeelsLike = function(opt_unit) {
+    return this.getMeasurement('ob.feelslike', 'temperature', opt_unit);
+  };
+
+
+  /**
+   * @method getWindSpeed
+   * @param {string=} opt_unit Defaults to the preferred unit.
+   * @return {?Object} Wind speed, as a measurement (see {aeris.api.units}).
+   */
+  Observation.prototype.getWindSpeed = function(opt_unit) {
+    return this.getMeasurement('ob.windSpeed', 'speed', opt_unit);
+  };
+
+
+  /**
+   * @method getWindGust
+   * @param {string=} opt_unit Defaults to the preferred unit.
+   * @return {?Object} Wind gust speed, as a measurement (see {aeris.api.units}).
+   */
+  Observation.prototype.getWindGust = function(opt_unit) {
+    return this.getMeasurement('ob.windGust', 'speed', opt_unit);
+  };
+
+
+  /**
+   * @method getPressure
+   * @param {string=} opt_unit Defaults to the preferred unit.
+   * @return {?Object} Barometric pressure, as a measurement (see {aeris.api.units}).
+   */
+  Observation.prototype.getPressure = function(opt_unit) {
+    return this.getMeasurement('ob.pressure', 'pressure', opt_unit);
+  };
+
+
+  /**
+   * @method getVisibility
+   * @param {string=} opt_unit Defaults to the preferred unit.
+   * @return {?Object} Visibility, as a measurement (see {aeris.api.units}).
+   */
+  Observation.prototype.getVisibility = function(opt_unit) {
+    return this.getMeasurement('ob.visibility', 'distance', opt_unit);
+  };
+
+
+  /**
+   * @method getPrecip
+   * @param {string=} opt_unit Defaults to the preferred unit.
+   * @return {?Object} Precipitation, as a measurement (see {aeris.api.units}).
+   */
+  Observation.prototype.getPrecip = function(opt_unit) {
+    return this.getMeasurement('ob.precip', 'precip', opt_unit);
+  };
+
+
   return _.expose(Observation, 'aeris.api.models.Observation');
 });
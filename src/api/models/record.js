@@ -28,5 +28,74 @@ define([
   };
   _.inherits(Record, AerisApiModel);
 
+
+  /**
+   * Record categories, as returned
+   * in the `report.cat` attribute.
+   *
+   * @property CATEGORIES_
+   * @static
+   * @private
+   * @type {Object.<string,string>}
+   */
+  Record.CATEGORIES_ = {
+    temperature: 'temp',
+    precip: 'prcp',
+    snow: 'snow'
+  };
+
+
+  /**
+   * @method getTemperature
+   * @param {string=} opt_unit Defaults to the preferred unit.
+   * @return {?Object} Record temperature, as a measurement (see {aeris.api.units}).
+   *                   Null, if the record is not a temperature record.
+   */
+  Record.prototype.getTemperature = function(opt_unit) {
+    return this.getRecordMeasurement_('temperature', opt_unit);
+  };
+
+
+  /**
+   * @method getPrecip
+   * @param {string=} opt_unit Defaults to the preferred unit.
+   * @return {?Object} Record precipitation, as a measurement (see {aeris.api.units}).
+   *                   Null, if the record is not a precipitation record.
+   */
+  Record.prototype.getPrecip = function(opt_unit) {
+    return this.getRecordMeasurement_('precip', opt_unit);
+  };
+
+
+  /**
+   * @method getSnow
+   * @param {string=} opt_unit Defaults to the preferred unit.
+   * @return {?Object} Record snowfall, as a measurement (see {aeris.api.units}).
+   *                   Null, if the record is not a snowfall record.
+   */
+  Record.prototype.getSnow = function(opt_unit) {
+    return this.getRecordMeasurement_('snow', opt_unit);
+  };
+
+
+  /**
+   * Precipitation and snowfall records share
+   * unit suffixes (eg. 'report.valueIN'), so the record
+   * category is checked before reading the value.
+   *
+   * @method getRecordMeasurement_
+   * @private
+   * @param {string} quantity
+   * @param {string=} opt_unit
+   * @return {?Object}
+   */
+  Record.prototype.getRecordMeasurement_ = function(quantity, opt_unit) {
+    if (this.getAtPath('report.cat') !== Record.CATEGORIES_[quantity]) {
+      return null;
+    }
+
+    return this.getMeasurement('report.value', quantity, opt_unit);
+  };
+
   return _.expose(Record, 'aeris.api.models.Record');
 });
@@ -0,0 +1,111 @@
+define([
+  'aeris/util',
+  'aeris/api/models/pointdata',
+  'aeris/api/floodcategory'
+], function(_, PointData, FloodCategory) {
+  /**
+   * A river gauge, from the Aeris API 'rivers' endpoint.
+   *
+   * @publicApi
+   * @class aeris.api.models.RiverGauge
+   * @extends aeris.api.models.PointData
+   *
+   * @constructor
+   * @override
+   */
+  var RiverGauge = function(opt_attrs, opt_options) {
+    PointData.call(this, opt_attrs, opt_options);
+  };
+  _.inherits(RiverGauge, PointData);
+
+
+  /**
+   * Flood categories which are considered
+   * to be flooding, by the 'flood' filter.
+   *
+   * @property FLOODING_CATEGORIES_
+   * @static
+   * @private
+   * @type {Array.<aeris.api.FloodCategory>}
+   */
+  RiverGauge.FLOODING_CATEGORIES_ = [
+    FloodCategory.MINOR,
+    FloodCategory.MODERATE,
+    FloodCategory.MAJOR
+  ];
+
+
+  /**
+   * @method parse
+   */
+  RiverGauge.prototype.parse = function(res) {
+    var attrs = PointData.prototype.parse.apply(this, arguments);
+
+    attrs.id = res.id;
+
+    return attrs;
+  };
+
+
+  /**
+   * Accepts flood category filters (see {aeris.api.FloodCategory}),
+   * and the 'flood' filter, for gauges at minor flood stage or above.
+   *
+   * @method testFilter
+   */
+  RiverGauge.prototype.testFilter = function(filter) {
+    var category = this.getFloodCategory();
+
+    if (filter === 'all') {
+      return true;
+    }
+
+    if (filter === 'flood') {
+      return _.contains(RiverGauge.FLOODING_CATEGORIES_, category);
+    }
+
+    return filter === category;
+  };
+
+
+  /**
+   * Returns the flood category of the gauge,
+   * according to the current observation.
+   *
+   * Categories reported by the API which are not
+   * flood stages (eg. 'no_flooding', 'out_of_service')
+   * are treated as {aeris.api.FloodCategory.NONE}.
+   *
+   * @method getFloodCategory
+   * @return {aeris.api.FloodCategory}
+   */
+  RiverGauge.prototype.getFloodCategory = function() {
+    var category = this.getAtPath('ob.category');
+
+    category = _.isString(category) ? category.toLowerCase() : null;
+
+    return _.contains(_.values(FloodCategory), category) ? category : FloodCategory.NONE;
+  };
+
+
+  /**
+   * @method isFlooding
+   * @return {Boolean} True if the gauge is at minor flood stage or above.
+   */
+  RiverGauge.prototype.isFlooding = function() {
+    return this.testFilter('flood');
+  };
+
+
+  /**
+   * @method getStage
+   * @param {string=} opt_unit Defaults to the preferred unit.
+   * @return {?Object} Observed river stage, as a measurement (see {aeris.api.units}).
+   */
+  RiverGauge.prototype.getStage = function(opt_unit) {
+    return this.getMeasurement('ob.height', 'height', opt_unit);
+  };
+
+
+  return _.expose(RiverGauge, 'aeris.api.models.RiverGauge');
+});
@@ -26,5 +26,26 @@ define([
   };
   _.inherits(StormCell, AerisApiModel);
 
+
+  /**
+   * @method getSpeed
+   * @param {string=} opt_unit Defaults to the preferred unit.
+   * @return {?Object} Speed at which the storm cell is moving, as a measurement (see {aeris.api.units}).
+   */
+  StormCell.prototype.getSpeed = function(opt_unit) {
+    return this.getMeasurement('movement.speed', 'speed', opt_unit);
+  };
+
+
+  /**
+   * @method getHailSize
+   * @param {string=} opt_unit Defaults to the preferred unit.
+   * @return {?Object} Maximum expected hail size, as a measurement (see {aeris.api.units}).
+   */
+  StormCell.prototype.getHailSize = function(opt_unit) {
+    return this.getMeasurement('ob.hail.maxSize', 'hail', opt_unit);
+  };
+
+
   return _.expose(StormCell, 'aeris.api.models.StormCell');
 });
@@ -18,7 +18,7 @@ define([
     // --> converts to array of types
     this.listenTo(this, {
       'change:report': function() {
-        var types = res.report.type.split(' ');
+        var types = this.get('report').type.split(' ');
         this.set('stormtypes', types);
       }
     });
@@ -49,6 +49,46 @@ define([
   };
 
 
+  /**
+   * @method getHailSize
+   * @param {string=} opt_unit Defaults to the preferred unit.
+   * @return {?Object} Reported hail size, as a measurement (see {aeris.api.units}).
+   */
+  StormReport.prototype.getHailSize = function(opt_unit) {
+    return this.getMeasurement('report.detail.hail', 'hail', opt_unit);
+  };
+
+
+  /**
+   * @method getWindSpeed
+   * @param {string=} opt_unit Defaults to the preferred unit.
+   * @return {?Object} Reported wind speed, as a measurement (see {aeris.api.units}).
+   */
+  StormReport.prototype.getWindSpeed = function(opt_unit) {
+    return this.getMeasurement('report.detail.windSpeed', 'speed', opt_unit);
+  };
+
+
+  /**
+   * @method getSnow
+   * @param {string=} opt_unit Defaults to the preferred unit.
+   * @return {?Object} Reported snowfall, as a measurement (see {aeris.api.units}).
+   */
+  StormReport.prototype.getSnow = function(opt_unit) {
+    return this.getMeasurement('report.detail.snow', 'snow', opt_unit);
+  };
+
+
+  /**
+   * @method getRain
+   * @param {string=} opt_unit Defaults to the preferred unit.
+   * @return {?Object} Reported rainfall, as a measurement (see {aeris.api.units}).
+   */
+  StormReport.prototype.getRain = function(opt_unit) {
+    return this.getMeasurement('report.detail.rain', 'precip', opt_unit);
+  };
+
+
   return _.expose(StormReport, 'aeris.api.models.StormReport');
 });
 
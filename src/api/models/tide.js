@@ -26,5 +26,27 @@ define([
   };
   _.inherits(Tide, AerisApiModel);
 
+
+  /**
+   * @method getHeight
+   * @param {string=} opt_unit Defaults to the preferred unit.
+   * @return {?Object} Height of the first tide period, as a measurement (see {aeris.api.units}).
+   */
+  Tide.prototype.getHeight = function(opt_unit) {
+    return this.getHeightAt(0, opt_unit);
+  };
+
+
+  /**
+   * @method getHeightAt
+   * @param {number} index Index of the tide period.
+   * @param {string=} opt_unit Defaults to the preferred unit.
+   * @return {?Object} Tide height, as a measurement (see {aeris.api.units}).
+   */
+  Tide.prototype.getHeightAt = function(index, opt_unit) {
+    return this.getMeasurement('periods.' + index + '.height', 'height', opt_unit);
+  };
+
+
   return _.expose(Tide, 'aeris.api.models.Tide');
 });
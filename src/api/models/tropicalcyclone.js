@@ -0,0 +1,199 @@
+define([
+  'aeris/util',
+  'aeris/api/models/aerisapimodel'
+], function(_, AerisApiModel) {
+  /**
+   * A position of a tropical cyclone,
+   * as parsed from Aeris API position data.
+   *
+   * @typedef {Object} aeris.api.models.TropicalCyclone.Position
+   * @property {aeris.maps.LatLon} latLon
+   * @property {?Date} time
+   * @property {?string} category Storm category code (eg. 'TS', 'H3').
+   * @property {Boolean} isForecast
+   * @property {Object} details Raw position details.
+   */
+
+  /**
+   * An active tropical cyclone (tropical depression,
+   * tropical storm, or hurricane), from the Aeris API
+   * `tropicalcyclones` endpoint.
+   *
+   * Past track and forecast positions, and the forecast
+   * error cone are parsed from the raw response data.
+   *
+   * @publicApi
+   * @class aeris.api.models.TropicalCyclone
+   * @extends aeris.api.models.AerisApiModel
+   *
+   * @constructor
+   * @override
+   */
+  var TropicalCyclone = function(opt_attrs, opt_options) {
+    var options = _.defaults(opt_options || {}, {
+      endpoint: 'tropicalcyclones'
+    });
+
+    AerisApiModel.call(this, opt_attrs, options);
+  };
+  _.inherits(TropicalCyclone, AerisApiModel);
+
+
+  /**
+   * @method getName
+   * @return {?string} eg. 'Hurricane Arthur'.
+   */
+  TropicalCyclone.prototype.getName = function() {
+    return this.getAtPath('position.details.stormName') ||
+      this.getAtPath('profile.name') || null;
+  };
+
+
+  /**
+   * @method getCategory
+   * @return {?string} Current storm category code (eg. 'TS', 'H3').
+   */
+  TropicalCyclone.prototype.getCategory = function() {
+    return this.getAtPath('position.details.stormCat') || null;
+  };
+
+
+  /**
+   * @method getPosition
+   * @return {?aeris.api.models.TropicalCyclone.Position} Current position of the storm.
+   */
+  TropicalCyclone.prototype.getPosition = function() {
+    return this.parsePosition_(this.get('position'), false);
+  };
+
+
+  /**
+   * @method getPastTrack
+   * @return {Array.<aeris.api.models.TropicalCyclone.Position>}
+   *         Past positions of the storm, oldest first.
+   */
+  TropicalCyclone.prototype.getPastTrack = function() {
+    return this.parsePositions_(this.get('track'), false);
+  };
+
+
+  /**
+   * @method getForecastTrack
+   * @return {Array.<aeris.api.models.TropicalCyclone.Position>}
+   *         Forecast positions of the storm, soonest first.
+   */
+  TropicalCyclone.prototype.getForecastTrack = function() {
+    return this.parsePositions_(this.get('forecast'), true);
+  };
+
+
+  /**
+   * Returns the forecast error cone, as a set
+   * of paths. The error cone is parsed from
+   * a GeoJSON Polygon or MultiPolygon geometry.
+   *
+   * Holes in the cone geometry are ignored.
+   *
+   * @method getCone
+   * @return {Array.<aeris.maps.Path>}
+   */
+  TropicalCyclone.prototype.getCone = function() {
+    var cone = this.get('errorCone');
+    var polygons;
+
+    if (!cone || !_.isArray(cone.coordinates)) {
+      return [];
+    }
+
+    if (cone.type === 'Polygon') {
+      polygons = [cone.coordinates];
+    }
+    else if (cone.type === 'MultiPolygon') {
+      polygons = cone.coordinates;
+    }
+    else {
+      return [];
+    }
+
+    return _.map(polygons, function(rings) {
+      // GeoJSON coordinates are [lon, lat]
+      return _.map(rings[0], function(coord) {
+        return [coord[1], coord[0]];
+      });
+    });
+  };
+
+
+  /**
+   * @method getWindSpeed
+   * @param {string=} opt_unit Defaults to the preferred unit.
+   * @return {?Object} Current maximum sustained winds, as a measurement (see {aeris.api.units}).
+   */
+  TropicalCyclone.prototype.getWindSpeed = function(opt_unit) {
+    return this.getMeasurement('position.details.windSpeed', 'speed', opt_unit);
+  };
+
+
+  /**
+   * @method getPressure
+   * @param {string=} opt_unit Defaults to the preferred unit.
+   * @return {?Object} Current minimum central pressure, as a measurement (see {aeris.api.units}).
+   */
+  TropicalCyclone.prototype.getPressure = function(opt_unit) {
+    return this.getMeasurement('position.details.pressure', 'pressure', opt_unit);
+  };
+
+
+  /**
+   * @method parsePositions_
+   * @private
+   * @param {?Array.<Object>} rawPositions
+   * @param {Boolean} isForecast
+   * @return {Array.<aeris.api.models.TropicalCyclone.Position>}
+   */
+  TropicalCyclone.prototype.parsePositions_ = function(rawPositions, isForecast) {
+    var positions = _.map(rawPositions || [], function(rawPosition) {
+      return this.parsePosition_(rawPosition, isForecast);
+    }, this);
+
+    return _.compact(positions);
+  };
+
+
+  /**
+   * @method parsePosition_
+   * @private
+   * @param {?Object} rawPosition
+   * @param {Boolean} isForecast
+   * @return {?aeris.api.models.TropicalCyclone.Position}
+   *         Null if the position has no location.
+   */
+  TropicalCyclone.prototype.parsePosition_ = function(rawPosition, isForecast) {
+    var lat = _.path('loc.lat', rawPosition);
+    var lon = _.path('loc.long', rawPosition);
+    var details = (rawPosition && rawPosition.details) || {};
+    var time = null;
+
+    if (!_.isNumber(lat) || !_.isNumber(lon)) {
+      return null;
+    }
+
+    if (_.isNumber(rawPosition.timestamp)) {
+      time = new Date(rawPosition.timestamp * 1000);
+    }
+    else if (rawPosition.dateTimeISO) {
+      time = new Date(rawPosition.dateTimeISO);
+    }
+
+    return {
+      latLon: [lat, lon],
+      time: time,
+      category: details.stormCat || null,
+      isForecast: isForecast,
+      details: details
+    };
+  };
+
+
+  return _.expose(TropicalCyclone, 'aeris.api.models.TropicalCyclone');
+});
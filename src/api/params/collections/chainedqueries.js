@@ -1,9 +1,11 @@
 define([
   'aeris/util',
+  'aeris/model',
   'aeris/collection',
   'aeris/api/params/models/query',
+  'aeris/api/params/models/querygroup',
   'aeris/api/operator'
-], function(_, Collection, Query, Operator) {
+], function(_, Model, Collection, Query, QueryGroup, Operator) {
   /**
    * A collection of {aeris.api.params.models.Query} objects,
    * which may be chained together with an operator.
@@ -11,6 +13,26 @@ define([
    * See 'Chained Queries and Filters':
    *  http://www.hamweather.com/support/documentation/aeris/queries/
    *
+   * Queries may be built using the `where*` methods.
+   * For example, to query earthquakes with magnitude 4-6,
+   * which are not in the US:
+   *
+   *  earthquakes.getQuery().
+   *    whereBetween('mag', 4, 6).
+   *    whereNot('country', 'us');
+   *  // mag:4:6,!country:us
+   *
+   * Groups of queries are added as
+   * {aeris.api.params.models.QueryGroup} models:
+   *
+   *  earthquakes.getQuery().
+   *    whereGroup([
+   *      { property: 'mag', min: 6 },
+   *      { property: 'tsunami', value: 1, operator: aeris.api.Operator.OR }
+   *    ]).
+   *    whereNot('country', 'us');
+   *  // (mag:6:;tsunami:1),!country:us
+   *
    * @class aeris.api.params.collections.ChainedQueries
    * @extends aeris.Collection
    *
@@ -27,6 +49,147 @@ define([
   _.inherits(ChainedQueries, Collection);
 
 
+  /**
+   * Creates {aeris.api.params.models.QueryGroup} models
+   * from raw attributes containing `queries`.
+   *
+   * @override
+   * @protected
+   * @method _prepareModel
+   */
+  ChainedQueries.prototype._prepareModel = function(attrs, opt_options) {
+    var isRawGroup = attrs && !(attrs instanceof Model) && _.has(attrs, 'queries');
+
+    if (isRawGroup) {
+      attrs = new QueryGroup(_.extend({}, attrs, {
+        queries: attrs.queries instanceof ChainedQueries ?
+          attrs.queries : new ChainedQueries(attrs.queries)
+      }));
+    }
+
+    return Collection.prototype._prepareModel.call(this, attrs, opt_options);
+  };
+
+
+  /**
+   * Add a query matching a property value.
+   *
+   * @method where
+   * @param {string} property
+   * @param {*} value
+   * @param {Object=} opt_options
+   * @param {aeris.api.Operator=} opt_options.operator Defaults to Operator.AND.
+   * @param {Boolean=} opt_options.negate
+   * @return {aeris.api.params.collections.ChainedQueries} This collection, for chaining.
+   */
+  ChainedQueries.prototype.where = function(property, value, opt_options) {
+    return this.addQueryAttrs_({ property: property, value: value }, opt_options);
+  };
+
+
+  /**
+   * Add a query excluding a property value.
+   *
+   * @method whereNot
+   * @param {string} property
+   * @param {*} value
+   * @param {Object=} opt_options
+   * @param {aeris.api.Operator=} opt_options.operator Defaults to Operator.AND.
+   * @return {aeris.api.params.collections.ChainedQueries} This collection, for chaining.
+   */
+  ChainedQueries.prototype.whereNot = function(property, value, opt_options) {
+    var options = _.extend({}, opt_options, { negate: true });
+
+    return this.where(property, value, options);
+  };
+
+
+  /**
+   * Add a query matching a range of property values.
+   *
+   * @method whereBetween
+   * @param {string} property
+   * @param {number|string} min
+   * @param {number|string} max
+   * @param {Object=} opt_options
+   * @param {aeris.api.Operator=} opt_options.operator Defaults to Operator.AND.
+   * @param {Boolean=} opt_options.negate
+   * @return {aeris.api.params.collections.ChainedQueries} This collection, for chaining.
+   */
+  ChainedQueries.prototype.whereBetween = function(property, min, max, opt_options) {
+    return this.addQueryAttrs_({ property: property, min: min, max: max }, opt_options);
+  };
+
+
+  /**
+   * Add a query matching property values
+   * greater than or equal to a minimum.
+   *
+   * @method whereAtLeast
+   * @param {string} property
+   * @param {number|string} min
+   * @param {Object=} opt_options
+   * @param {aeris.api.Operator=} opt_options.operator Defaults to Operator.AND.
+   * @param {Boolean=} opt_options.negate
+   * @return {aeris.api.params.collections.ChainedQueries} This collection, for chaining.
+   */
+  ChainedQueries.prototype.whereAtLeast = function(property, min, opt_options) {
+    return this.addQueryAttrs_({ property: property, min: min }, opt_options);
+  };
+
+
+  /**
+   * Add a query matching property values
+   * less than or equal to a maximum.
+   *
+   * @method whereAtMost
+   * @param {string} property
+   * @param {number|string} max
+   * @param {Object=} opt_options
+   * @param {aeris.api.Operator=} opt_options.operator Defaults to Operator.AND.
+   * @param {Boolean=} opt_options.negate
+   * @return {aeris.api.params.collections.ChainedQueries} This collection, for chaining.
+   */
+  ChainedQueries.prototype.whereAtMost = function(property, max, opt_options) {
+    return this.addQueryAttrs_({ property: property, max: max }, opt_options);
+  };
+
+
+  /**
+   * Add a group of queries,
+   * which is evaluated as a single query term.
+   *
+   * @method whereGroup
+   * @param {aeris.api.params.collections.ChainedQueries|Array.<Object>} queries
+   * @param {Object=} opt_options
+   * @param {aeris.api.Operator=} opt_options.operator Defaults to Operator.AND.
+   * @return {aeris.api.params.collections.ChainedQueries} This collection, for chaining.
+   */
+  ChainedQueries.prototype.whereGroup = function(queries, opt_options) {
+    var attrs = _.extend({ queries: queries }, _.pick(opt_options || {}, 'operator'));
+
+    this.add(attrs);
+
+    return this;
+  };
+
+
+  /**
+   * @method addQueryAttrs_
+   * @private
+   * @param {Object} attrs
+   * @param {Object=} opt_options
+   * @return {aeris.api.params.collections.ChainedQueries}
+   */
+  ChainedQueries.prototype.addQueryAttrs_ = function(attrs, opt_options) {
+    _.extend(attrs, _.pick(opt_options || {}, 'operator', 'negate'));
+
+    this.add(attrs);
+
+    return this;
+  };
+
+
   /**
    * Custom toString method,
    * or query-stringification.
@@ -0,0 +1,95 @@
+define([
+  'aeris/util',
+  'aeris/collection',
+  'aeris/api/params/models/field'
+], function(_, BaseCollection, Field) {
+  /**
+   * Represents the response fields to request
+   * from the Aeris API.
+   *
+   * Fields may be provided as Field models,
+   * as field names, or as a comma-separated string of field names.
+   *
+   * See http://www.hamweather.com/support/documentation/aeris/fields/
+   *
+   * @class aeris.api.params.collections.FieldsCollection
+   * @extends aeris.Collection
+   *
+   * @constructor
+   *
+   * @param {string|Array.<string|aeris.api.params.models.Field>=} opt_fields
+   * @param {Object=} opt_options
+   */
+  var FieldsCollection = function(opt_fields, opt_options) {
+    var options = _.defaults(opt_options || {}, {
+      model: Field
+    });
+
+    BaseCollection.call(this, this.normalizeFields_(opt_fields), options);
+  };
+  _.inherits(FieldsCollection, BaseCollection);
+
+
+  /**
+   * @override
+   * @method add
+   * @param {string|aeris.api.params.models.Field|Array.<string|aeris.api.params.models.Field>} fields
+   * @param {Object=} opt_options
+   */
+  FieldsCollection.prototype.add = function(fields, opt_options) {
+    return BaseCollection.prototype.add.call(this, this.normalizeFields_(fields), opt_options);
+  };
+
+
+  /**
+   * @override
+   * @method reset
+   * @param {string|Array.<string|aeris.api.params.models.Field>=} opt_fields
+   * @param {Object=} opt_options
+   */
+  FieldsCollection.prototype.reset = function(opt_fields, opt_options) {
+    return BaseCollection.prototype.reset.call(this, this.normalizeFields_(opt_fields), opt_options);
+  };
+
+
+  /**
+   * Prepares the collection to be used
+   * as the `fields` parameter in an Aeris API
+   * request query string.
+   *
+   * @override
+   * @method toString
+   * @return {string}
+   */
+  FieldsCollection.prototype.toString = function() {
+    return this.invoke('toString').join(',');
+  };
+
+
+  /**
+   * @method normalizeFields_
+   * @private
+   * @param {string|aeris.api.params.models.Field|Array.<string|aeris.api.params.models.Field>=} opt_fields
+   * @return {Array.<aeris.api.params.models.Field>}
+   */
+  FieldsCollection.prototype.normalizeFields_ = function(opt_fields) {
+    var fields = opt_fields || [];
+
+    if (_.isString(fields)) {
+      fields = _.compact(fields.split(','));
+    }
+
+    _.isArray(fields) || (fields = [fields]);
+
+    return fields.map(function(field) {
+      if (field instanceof Field) {
+        return field;
+      }
+
+      return new Field(_.isString(field) ? { name: field } : field);
+    });
+  };
+
+
+  return _.expose(FieldsCollection, 'aeris.api.params.collections.FieldsCollection');
+});
@@ -2,8 +2,9 @@ define([
   'aeris/util',
   'aeris/collection',
   'aeris/api/params/models/filter',
+  'aeris/errors/validationerror',
   'aeris/api/operator'
-], function(_, BaseCollection, Filter, Operator) {
+], function(_, BaseCollection, Filter, ValidationError, Operator) {
   /**
    * Represents a set of filters to include in
    * a request to the AerisAPI
@@ -13,16 +14,27 @@ define([
    *
    * @constructor
    *
-   * @param {Array.<string>} opt_options.validFilters
+   * @param {Array.<string>=} opt_options.validFilters
    *                         A list of valid filters.
+   *                         If not defined, any filter is accepted.
    *
+   * @throws {aeris.errors.ValidationError} If an invalid filter is added.
    */
   var FilterCollection = function(opt_filters, opt_options) {
     var options = _.defaults(opt_options || {}, {
-      model: Filter
+      model: Filter,
+      validFilters: null
     });
 
 
+    /**
+     * @property validFilters_
+     * @private
+     * @type {?Array.<string>}
+     */
+    this.validFilters_ = options.validFilters;
+
+
     BaseCollection.call(this, opt_filters, options);
   };
   _.inherits(FilterCollection, BaseCollection);
@@ -145,6 +157,9 @@ define([
     // Normalize filters param as array
     _.isArray(filters) || _.isUndefined(filters) || (filters = [filters]);
 
+    // Validate before modifying the collection
+    this.validateFilters_(filters);
+
     // Standard parameters --> delegate to parent Collection#add
     if (!filters || !_.isString(filters[0])) {
       return BaseCollection.prototype[addMethod].call(this, filters);
@@ -164,6 +179,51 @@ define([
   };
 
 
+  /**
+   * Set the list of valid filters.
+   *
+   * @method setValidFilters
+   * @param {?Array.<string>=} opt_validFilters
+   *        If not defined, any filter is accepted.
+   * @throws {aeris.errors.ValidationError} If the collection contains invalid filters.
+   */
+  FilterCollection.prototype.setValidFilters = function(opt_validFilters) {
+    this.validFilters_ = opt_validFilters || null;
+
+    this.validateFilters_(this.models);
+  };
+
+
+  /**
+   * @method isValidFilter
+   * @param {string} filterName
+   * @return {Boolean}
+   */
+  FilterCollection.prototype.isValidFilter = function(filterName) {
+    return !this.validFilters_ || _.contains(this.validFilters_, filterName);
+  };
+
+
+  /**
+   * @method validateFilters_
+   * @private
+   * @param {Array.<string|Object|aeris.api.params.models.Filter>} filters
+   *        Filter names, attributes, or models.
+   * @throws {aeris.errors.ValidationError}
+   */
+  FilterCollection.prototype.validateFilters_ = function(filters) {
+    _.each(_.compact(filters), function(filter) {
+      var filterName = _.isString(filter) ? filter :
+        _.isFunction(filter.get) ? filter.get('name') : filter.name;
+
+      if (!this.isValidFilter(filterName)) {
+        throw new ValidationError('filter', '\'' + filterName + '\' is not a valid filter. ' +
+          'Valid filters include: \'' + this.validFilters_.join('\', \'') + '\'');
+      }
+    }, this);
+  };
+
+
   /**
    * Allows to remove filters by name, in addition
    * to standard aeris.Collection#remove syntax.
@@ -0,0 +1,113 @@
+define([
+  'aeris/util',
+  'aeris/collection',
+  'aeris/api/params/models/sort',
+  'aeris/api/sortdirection'
+], function(_, BaseCollection, Sort, SortDirection) {
+  /**
+   * Represents the properties by which to sort
+   * the results of a request to the Aeris API.
+   *
+   * Results are sorted by each property, in the order
+   * in which properties were added.
+   *
+   * Sorts may be provided as Sort models, as attribute objects,
+   * or as an Aeris API sort string (eg. 'tor:-1,mda:-1').
+   *
+   * @class aeris.api.params.collections.SortCollection
+   * @extends aeris.Collection
+   *
+   * @constructor
+   *
+   * @param {string|Array.<Object|aeris.api.params.models.Sort>=} opt_sorts
+   * @param {Object=} opt_options
+   */
+  var SortCollection = function(opt_sorts, opt_options) {
+    var options = _.defaults(opt_options || {}, {
+      model: Sort
+    });
+
+    BaseCollection.call(this, this.normalizeSorts_(opt_sorts), options);
+  };
+  _.inherits(SortCollection, BaseCollection);
+
+
+  /**
+   * @override
+   * @method add
+   * @param {string|Object|aeris.api.params.models.Sort|Array.<Object|aeris.api.params.models.Sort>} sorts
+   * @param {Object=} opt_options
+   */
+  SortCollection.prototype.add = function(sorts, opt_options) {
+    return BaseCollection.prototype.add.call(this, this.normalizeSorts_(sorts), opt_options);
+  };
+
+
+  /**
+   * @override
+   * @method reset
+   * @param {string|Array.<Object|aeris.api.params.models.Sort>=} opt_sorts
+   * @param {Object=} opt_options
+   */
+  SortCollection.prototype.reset = function(opt_sorts, opt_options) {
+    return BaseCollection.prototype.reset.call(this, this.normalizeSorts_(opt_sorts), opt_options);
+  };
+
+
+  /**
+   * Prepares the collection to be used
+   * as the `sort` parameter in an Aeris API
+   * request query string.
+   *
+   * @override
+   * @method toString
+   * @return {string}
+   */
+  SortCollection.prototype.toString = function() {
+    return this.invoke('toString').join(',');
+  };
+
+
+  /**
+   * Converts sort strings and attribute objects
+   * into Sort models.
+   *
+   * @method normalizeSorts_
+   * @private
+   * @param {string|Object|aeris.api.params.models.Sort|Array.<Object|aeris.api.params.models.Sort>=} opt_sorts
+   * @return {Array.<aeris.api.params.models.Sort>}
+   */
+  SortCollection.prototype.normalizeSorts_ = function(opt_sorts) {
+    var sorts = opt_sorts || [];
+
+    if (_.isString(sorts)) {
+      sorts = _.compact(sorts.split(',')).map(this.parseSortString_, this);
+    }
+
+    _.isArray(sorts) || (sorts = [sorts]);
+
+    return sorts.map(function(sort) {
+      return (sort instanceof Sort) ? sort : new Sort(sort);
+    });
+  };
+
+
+  /**
+   * @method parseSortString_
+   * @private
+   * @param {string} sortStr eg. 'dt:-1'
+   * @return {Object} Sort attributes.
+   */
+  SortCollection.prototype.parseSortString_ = function(sortStr) {
+    var parts = sortStr.split(':');
+    var isDescending = parseInt(parts[1], 10) === SortDirection.DESC;
+
+    return {
+      property: parts[0],
+      direction: isDescending ? SortDirection.DESC : SortDirection.ASC
+    };
+  };
+
+
+  return _.expose(SortCollection, 'aeris.api.params.collections.SortCollection');
+});
@@ -0,0 +1,42 @@
+define([
+  'aeris/util',
+  'aeris/model'
+], function(_, BaseModel) {
+  /**
+   * Represents a single response field
+   * to request from the Aeris API.
+   *
+   * @class aeris.api.params.models.Field
+   * @extends aeris.Model
+   *
+   * @param {Object=} opt_attrs
+   * @param {Object=} opt_options
+   * @constructor
+   */
+  var Field = function(opt_attrs, opt_options) {
+    /**
+     * The name of the field (eg. 'ob.tempF').
+     *
+     * @attribute name
+     * @type {string}
+     */
+    var options = _.defaults(opt_options || {}, {
+      idAttribute: 'name'
+    });
+
+    BaseModel.call(this, opt_attrs, options);
+  };
+  _.inherits(Field, BaseModel);
+
+
+  /**
+   * @method toString
+   * @return {string}
+   */
+  Field.prototype.toString = function() {
+    return this.get('name');
+  };
+
+
+  return _.expose(Field, 'aeris.api.params.models.Field');
+});
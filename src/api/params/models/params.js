@@ -4,9 +4,11 @@ define([
   'aeris/model',
   'aeris/api/params/collections/filtercollection',
   'aeris/api/params/collections/chainedqueries',
+  'aeris/api/params/collections/sortcollection',
+  'aeris/api/params/collections/fieldscollection',
   'aeris/errors/validationerror',
   'aeris/helpers/validator/boundsvalidator'
-], function(_, aerisConfig, Model, Filters, ChainedQueries, ValidationError, BoundsValidator) {
+], function(_, aerisConfig, Model, Filters, ChainedQueries, SortCollection, FieldsCollection, ValidationError, BoundsValidator) {
   /**
    * Represents parameters to be included
    * with a request to the Aeris API.
@@ -17,6 +19,10 @@ define([
    * @param {Object=} opt_options
    * @param {function():aeris.api.params.collections.FilterCollection=} opt_options.FilterCollectionType Constructor for filter.
    * @param {function():aeris.api.params.collections.ChainedQueries=} opt_options.QueryType Constructor for query attr model.
+   * @param {function():aeris.api.params.collections.SortCollection=} opt_options.SortCollectionType Constructor for sort attr collection.
+   * @param {function():aeris.api.params.collections.FieldsCollection=} opt_options.FieldsCollectionType Constructor for fields attr collection.
+   * @param {Array.<string>=} opt_options.validFilters Filters accepted by the filter attribute.
+   *                          If not defined, any filter is accepted.
    *
    * @constructor
    */
@@ -24,6 +30,9 @@ define([
     var options = _.defaults(opt_options || {}, {
       FilterCollectionType: Filters,
       QueryType: ChainedQueries,
+      SortCollectionType: SortCollection,
+      FieldsCollectionType: FieldsCollection,
+      validFilters: null,
       validate: true
     });
 
@@ -48,6 +57,24 @@ define([
        */
       query: [],
 
+      /**
+       * Properties by which to sort results.
+       *
+       * May be set as an Aeris API sort string (eg. 'dt:-1').
+       *
+       * @attribute sort
+       * @type {aeris.api.params.collections.SortCollection}
+       */
+      sort: [],
+
+      /**
+       * Response fields to request.
+       *
+       * @attribute fields
+       * @type {aeris.api.params.collections.FieldsCollection}
+       */
+      fields: [],
+
       /**
        * @attribute client_id
        * @type {string}
@@ -78,12 +105,39 @@ define([
     this.FilterCollectionType_ = options.FilterCollectionType;
 
 
+    /**
+     * @property SortCollectionType_
+     * @private
+     * @type {function():aeris.api.params.collections.SortCollection}
+     */
+    this.SortCollectionType_ = options.SortCollectionType;
+
+
+    /**
+     * @property FieldsCollectionType_
+     * @private
+     * @type {function():aeris.api.params.collections.FieldsCollection}
+     */
+    this.FieldsCollectionType_ = options.FieldsCollectionType;
+
+
     // Process query/filter attrs provided as raw objects
     if (!(attrs.query instanceof this.QueryType_)) {
       attrs.query = new this.QueryType_(attrs.query);
     }
     if (!(attrs.filter instanceof this.FilterCollectionType_)) {
-      attrs.filter = new this.FilterCollectionType_(attrs.filter);
+      attrs.filter = new this.FilterCollectionType_(attrs.filter, {
+        validFilters: options.validFilters
+      });
+    }
+    else if (options.validFilters) {
+      attrs.filter.setValidFilters(options.validFilters);
+    }
+    if (!(attrs.sort instanceof this.SortCollectionType_)) {
+      attrs.sort = new this.SortCollectionType_(attrs.sort);
+    }
+    if (!(attrs.fields instanceof this.FieldsCollectionType_)) {
+      attrs.fields = new this.FieldsCollectionType_(attrs.fields);
     }
 
     Model.call(this, attrs, options);
@@ -91,12 +145,44 @@ define([
 
     this.proxyEventsForAttr_('query');
     this.proxyEventsForAttr_('filter');
+    this.proxyEventsForAttr_('sort');
+    this.proxyEventsForAttr_('fields');
 
     this.bindToApiKeys_();
   };
   _.inherits(Params, Model);
 
 
+  /**
+   * Allows `sort` and `fields` params to be set
+   * as raw values (eg. `params.set('sort', 'dt:-1')`),
+   * by resetting the existing sort and fields collections.
+   *
+   * @override
+   * @protected
+   * @method normalize_
+   */
+  Params.prototype.normalize_ = function(attrs) {
+    var normalizedAttrs = _.clone(attrs);
+
+    _.each({
+      sort: this.SortCollectionType_,
+      fields: this.FieldsCollectionType_
+    }, function(CollectionType, paramName) {
+      var collection = this.get(paramName);
+      var isRawValue = _.has(normalizedAttrs, paramName) &&
+        !(normalizedAttrs[paramName] instanceof CollectionType);
+
+      if (collection && isRawValue) {
+        collection.reset(normalizedAttrs[paramName]);
+        delete normalizedAttrs[paramName];
+      }
+    }, this);
+
+    return normalizedAttrs;
+  };
+
+
   /**
    * @method validate
    */
@@ -197,6 +283,18 @@ define([
       json.query = this.get('query').toString();
     }
 
+    // Convert sort and fields to comma-separated strings
+    _.each(['sort', 'fields'], function(paramName) {
+      var paramStr = this.get(paramName) ? this.get(paramName).toString() : '';
+
+      if (paramStr.length) {
+        json[paramName] = paramStr;
+      }
+      else {
+        delete json[paramName];
+      }
+    }, this);
+
     // Convert place polygon to comma-separated string
     if (_.isArray(this.get('p'))) {
       json.p = this.get('p').join(',');
@@ -232,6 +330,7 @@ define([
    * Add a filter
    * Delegates to aeris.api.params.collections.FilterCollection#add
    * @method addFilter
+   * @throws {aeris.errors.ValidationError} If the filter is not valid.
    */
   Params.prototype.addFilter = function(filters, opt_options) {
     this.get('filter').add(filters, opt_options);
@@ -259,6 +358,20 @@ define([
   };
 
 
+  /**
+   * Set the filters which may be
+   * included in the Aeris API request.
+   *
+   * @method setValidFilters
+   * @param {?Array.<string>=} opt_validFilters
+   *        If not defined, any filter is accepted.
+   * @throws {aeris.errors.ValidationError} If the request already includes invalid filters.
+   */
+  Params.prototype.setValidFilters = function(opt_validFilters) {
+    this.get('filter').setValidFilters(opt_validFilters);
+  };
+
+
   /**
    * Add a query term to Aeris API request.
    *
@@ -304,6 +417,107 @@ define([
   };
 
 
+  /**
+   * Sort results by a property.
+   *
+   * Results are sorted by each sort property,
+   * in the order in which they were added.
+   *
+   * @method addSort
+   * @param {string} property
+   * @param {aeris.api.SortDirection=} opt_direction Defaults to ascending.
+   * @param {Object=} opt_options
+   */
+  Params.prototype.addSort = function(property, opt_direction, opt_options) {
+    var sort = { property: property };
+
+    if (!_.isUndefined(opt_direction)) {
+      sort.direction = opt_direction;
+    }
+
+    this.get('sort').add(sort, _.extend({ merge: true }, opt_options));
+  };
+
+
+  /**
+   * Remove a sort property.
+   *
+   * @method removeSort
+   * @param {string|Array.<string>|aeris.api.params.models.Sort} sort Sort model(s), or property.
+   * @param {Object=} opt_options
+   */
+  Params.prototype.removeSort = function(sort, opt_options) {
+    this.get('sort').remove(sort, opt_options);
+  };
+
+
+  /**
+   * Reset the sort properties.
+   *
+   * @method resetSort
+   * @param {string|Array.<Object|aeris.api.params.models.Sort>=} opt_sort
+   *        Sort models or attributes, or an Aeris API sort string.
+   * @param {Object=} opt_options
+   */
+  Params.prototype.resetSort = function(opt_sort, opt_options) {
+    this.get('sort').reset(opt_sort, opt_options);
+  };
+
+
+  /**
+   * @method getSort
+   * @return {aeris.api.params.collections.SortCollection}
+   */
+  Params.prototype.getSort = function() {
+    return this.get('sort');
+  };
+
+
+  /**
+   * Set the response fields to request.
+   *
+   * @method setFields
+   * @param {Array.<string>|string} fields Field names.
+   * @param {Object=} opt_options
+   */
+  Params.prototype.setFields = function(fields, opt_options) {
+    this.get('fields').reset(fields, opt_options);
+  };
+
+
+  /**
+   * Add response fields to request.
+   *
+   * @method addFields
+   * @param {Array.<string>|string} fields Field names.
+   * @param {Object=} opt_options
+   */
+  Params.prototype.addFields = function(fields, opt_options) {
+    this.get('fields').add(fields, opt_options);
+  };
+
+
+  /**
+   * Remove requested response fields.
+   *
+   * @method removeFields
+   * @param {Array.<string>|string} fields Field names.
+   * @param {Object=} opt_options
+   */
+  Params.prototype.removeFields = function(fields, opt_options) {
+    this.get('fields').remove(fields, opt_options);
+  };
+
+
+  /**
+   * @method getFields
+   * @return {aeris.api.params.collections.FieldsCollection}
+   */
+  Params.prototype.getFields = function() {
+    return this.get('fields');
+  };
+
+
   /**
    * Proxy events for a nested {aeris.Model|aeris.Collection} object.
    *
@@ -8,6 +8,12 @@ define([
    * Represents a single query property:value
    * definition.
    *
+   * A query may instead match a range of values,
+   * by defining a `min` and/or `max` in place of a `value`
+   * (eg. `mag:5:8`, or the open range `mag:5:`).
+   *
+   * A query may be negated (eg. `!country:us`).
+   *
    * @class aeris.api.params.models.Query
    * @extends aeris.Model
    *
@@ -20,7 +26,8 @@ define([
     });
 
     _.defaults(options.defaults, {
-      operator: Operator.AND
+      operator: Operator.AND,
+      negate: false
     });
 
     /**
@@ -31,6 +38,26 @@ define([
      * @attribute value
      * @type {*}
      */
+    /**
+     * Lower bound of a range query.
+     *
+     * @attribute min
+     * @type {number|string=}
+     */
+    /**
+     * Upper bound of a range query.
+     *
+     * @attribute max
+     * @type {number|string=}
+     */
+    /**
+     * Whether to match results which
+     * do not satisfy the query.
+     *
+     * @attribute negate
+     * @type {Boolean}
+     * @default false
+     */
     /**
      * The operator to use when
      * appending this query pair onto
@@ -60,9 +87,21 @@ define([
     if (!_.isString(attrs.property)) {
       return new ValidationError('property', attrs.property + ' is not a valid query property');
     }
-    if (!attrs.value) {
+    if (this.isRangeAttrs_(attrs)) {
+      if (this.isDefined_(attrs.value)) {
+        return new ValidationError('value', 'A query may not define both a value and a range.');
+      }
+      if (_.isNumber(attrs.min) && _.isNumber(attrs.max) && attrs.min > attrs.max) {
+        return new ValidationError('min', 'Range minimum (' + attrs.min + ') ' +
+          'is greater than range maximum (' + attrs.max + ').');
+      }
+    }
+    else if (!this.isDefined_(attrs.value)) {
       return new ValidationError('value', 'Value is not defined.');
     }
+    if (!_.isBoolean(attrs.negate)) {
+      return new ValidationError('negate', attrs.negate + ' is not a boolean.');
+    }
     if (_.indexOf(validOperators, attrs.operator) === -1) {
       return new ValidationError('operator', attrs.operator + ' is not a valid query operator. ' +
         'Valid operators include: \'' + validOperators.join('\', \'') + '\'.');
@@ -79,9 +118,146 @@ define([
    * @method toString
    */
   Query.prototype.toString = function() {
+    var prefix, value;
+
     this.isValid();
 
-    return this.get('property') + ':' + this.get('value');
+    prefix = this.isNegated() ? '!' : '';
+    value = this.isRange() ?
+      this.toRangeBound_(this.get('min')) + ':' + this.toRangeBound_(this.get('max')) :
+      this.get('value');
+
+    return prefix + this.get('property') + ':' + value;
+  };
+
+
+  /**
+   * @method isRange
+   * @return {Boolean} True, if the query matches a range of values.
+   */
+  Query.prototype.isRange = function() {
+    return this.isRangeAttrs_(this.attributes);
+  };
+
+
+  /**
+   * @method isNegated
+   * @return {Boolean}
+   */
+  Query.prototype.isNegated = function() {
+    return this.get('negate') === true;
+  };
+
+
+  /**
+   * Tests whether a model satisfies the query,
+   * so that queries may be applied client-side.
+   *
+   * Queries on properties which are not available
+   * on the model are assumed to pass.
+   *
+   * @method test
+   * @param {aeris.api.models.AerisApiModel} apiModel
+   * @return {Boolean}
+   */
+  Query.prototype.test = function(apiModel) {
+    var value = apiModel.getQueryValue(this.get('property'));
+
+    if (_.isUndefined(value)) {
+      return true;
+    }
+
+    return this.testValue(value);
+  };
+
+
+  /**
+   * Tests whether a property value satisfies the query.
+   *
+   * Numeric values are compared as numbers.
+   * Other values are compared as case-insensitive strings.
+   *
+   * @method testValue
+   * @param {*} value
+   * @return {Boolean}
+   */
+  Query.prototype.testValue = function(value) {
+    var isMatch = this.isRange() ?
+      this.isInRange_(value) :
+      this.compareValues_(value, this.get('value')) === 0;
+
+    return this.isNegated() ? !isMatch : isMatch;
+  };
+
+
+  /**
+   * @method isInRange_
+   * @private
+   * @param {*} value
+   * @return {Boolean}
+   */
+  Query.prototype.isInRange_ = function(value) {
+    var min = this.get('min');
+    var max = this.get('max');
+    var isAboveMin = !this.isDefined_(min) || this.compareValues_(value, min) >= 0;
+    var isBelowMax = !this.isDefined_(max) || this.compareValues_(value, max) <= 0;
+
+    return isAboveMin && isBelowMax;
+  };
+
+
+  /**
+   * @method compareValues_
+   * @private
+   * @param {*} a
+   * @param {*} b
+   * @return {number} Negative if a < b, positive if a > b, or 0 if a equals b.
+   */
+  Query.prototype.compareValues_ = function(a, b) {
+    if (_.isNumeric(a) && _.isNumeric(b)) {
+      return parseFloat(a) - parseFloat(b);
+    }
+
+    a = String(a).toLowerCase();
+    b = String(b).toLowerCase();
+
+    return a === b ? 0 : (a < b ? -1 : 1);
+  };
+
+
+  /**
+   * @method isDefined_
+   * @private
+   * @param {*} value
+   * @return {Boolean}
+   */
+  Query.prototype.isDefined_ = function(value) {
+    return !_.isUndefined(value) && !_.isNull(value) && value !== '';
+  };
+
+
+  /**
+   * @method isRangeAttrs_
+   * @private
+   * @param {Object} attrs
+   * @return {Boolean}
+   */
+  Query.prototype.isRangeAttrs_ = function(attrs) {
+    return this.isDefined_(attrs.min) || this.isDefined_(attrs.max);
+  };
+
+
+  /**
+   * Open range bounds are serialized
+   * as empty strings (eg. `mag:5:`).
+   *
+   * @method toRangeBound_
+   * @private
+   * @param {number|string=} bound
+   * @return {string}
+   */
+  Query.prototype.toRangeBound_ = function(bound) {
+    return this.isDefined_(bound) ? String(bound) : '';
   };
 
 
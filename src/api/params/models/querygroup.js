@@ -0,0 +1,94 @@
+define([
+  'aeris/util',
+  'aeris/model',
+  'aeris/errors/validationerror',
+  'aeris/api/operator'
+], function(_, Model, ValidationError, Operator) {
+  /**
+   * A group of chained queries, which is
+   * evaluated as a single query term
+   * (eg. `(mag:6:;tsunami:1),!country:us`).
+   *
+   * @class aeris.api.params.models.QueryGroup
+   * @extends aeris.Model
+   *
+   * @constructor
+   */
+  var QueryGroup = function(opt_attrs, opt_options) {
+    var options = _.defaults(opt_options || {}, {
+      defaults: {}
+    });
+
+    _.defaults(options.defaults, {
+      operator: Operator.AND
+    });
+
+    /**
+     * Queries contained in the group.
+     *
+     * @attribute queries
+     * @type {aeris.api.params.collections.ChainedQueries}
+     */
+    /**
+     * The operator to use when
+     * appending this group onto
+     * a chained query.
+     *
+     * @attribute operator
+     * @type {aeris.api.Operator}
+     */
+
+    Model.call(this, opt_attrs, options);
+
+    // Validate on ctor.
+    this.isValid();
+  };
+  _.inherits(QueryGroup, Model);
+
+
+  /**
+   * @method validate
+   */
+  QueryGroup.prototype.validate = function(attrs) {
+    var validOperators = [Operator.AND, Operator.OR];
+
+    if (!attrs.queries || !attrs.queries.length) {
+      return new ValidationError('queries', 'A query group must contain at least one query.');
+    }
+    if (_.indexOf(validOperators, attrs.operator) === -1) {
+      return new ValidationError('operator', attrs.operator + ' is not a valid query operator. ' +
+        'Valid operators include: \'' + validOperators.join('\', \'') + '\'.');
+    }
+  };
+
+
+  /**
+   * Custom toString,
+   * for converting to query string.
+   *
+   * @override
+   * @return {string}
+   * @method toString
+   */
+  QueryGroup.prototype.toString = function() {
+    this.isValid();
+
+    return '(' + this.get('queries').toString() + ')';
+  };
+
+
+  /**
+   * Tests whether a model satisfies the
+   * group of queries.
+   *
+   * @method test
+   * @param {aeris.api.models.AerisApiModel} apiModel
+   * @return {Boolean}
+   */
+  QueryGroup.prototype.test = function(apiModel) {
+    return apiModel.testQueryCollection(this.get('queries'));
+  };
+
+
+  return QueryGroup;
+});
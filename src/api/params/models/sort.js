@@ -0,0 +1,84 @@
+define([
+  'aeris/util',
+  'aeris/model',
+  'aeris/errors/validationerror',
+  'aeris/api/sortdirection'
+], function(_, BaseModel, ValidationError, SortDirection) {
+  /**
+   * Represents a single property by which
+   * to sort Aeris API results.
+   *
+   * @class aeris.api.params.models.Sort
+   * @extends aeris.Model
+   *
+   * @param {Object=} opt_attrs
+   * @param {Object=} opt_options
+   * @constructor
+   */
+  var Sort = function(opt_attrs, opt_options) {
+    /**
+     * The property to sort by.
+     *
+     * @attribute property
+     * @type {string}
+     */
+    /**
+     * @attribute direction
+     * @type {aeris.api.SortDirection}
+     * @default {aeris.api.SortDirection.ASC}
+     */
+    var attrs = _.extend({
+      direction: SortDirection.ASC
+    }, opt_attrs);
+
+    var options = _.defaults(opt_options || {}, {
+      idAttribute: 'property'
+    });
+
+    BaseModel.call(this, attrs, options);
+
+    // Validate when added to a collection
+    this.listenTo(this, 'add', function() { this.isValid() });
+  };
+  _.inherits(Sort, BaseModel);
+
+
+  /**
+   * @method validate
+   */
+  Sort.prototype.validate = function(attrs) {
+    if (!_.isString(attrs.property)) {
+      return new ValidationError('property', attrs.property + ' is not a valid sort property.');
+    }
+
+    if ([SortDirection.ASC, SortDirection.DESC].indexOf(attrs.direction) === -1) {
+      return new ValidationError('direction', 'Must be an aeris.api.SortDirection.');
+    }
+  };
+
+
+  /**
+   * @method isDescending
+   * @return {Boolean}
+   */
+  Sort.prototype.isDescending = function() {
+    return this.get('direction') === SortDirection.DESC;
+  };
+
+
+  /**
+   * Prepares the sort to be used in an
+   * Aeris API request query string.
+   *
+   * eg. 'dt:-1'
+   *
+   * @method toString
+   * @return {string}
+   */
+  Sort.prototype.toString = function() {
+    return this.get('property') + ':' + this.get('direction');
+  };
+
+
+  return _.expose(Sort, 'aeris.api.params.models.Sort');
+});
@@ -0,0 +1,128 @@
+define([
+  'aeris/util'
+], function(_) {
+  /**
+   * A registry of in-flight Aeris API requests.
+   *
+   * Allows data objects making identical requests to share
+   * a single request promise, instead of each sending
+   * a request to the Aeris API.
+   *
+   * Requests are removed from the registry
+   * as soon as they are resolved or rejected,
+   * or when they are unregistered (eg. after timing out).
+   *
+   * @class aeris.api.RequestRegistry
+   *
+   * @constructor
+   */
+  var RequestRegistry = function() {
+    /**
+     * Pending requests, by request key.
+     *
+     * @property requests_
+     * @private
+     * @type {Object.<string,{promise: aeris.Promise, scope: Object}>}
+     */
+    this.requests_ = {};
+  };
+
+
+  /**
+   * Returns a pending request.
+   *
+   * @method get
+   * @param {string} key
+   * @param {Object=} opt_scope
+   *        Only return a request registered with the same scope
+   *        (eg. the transport used to make the request).
+   * @return {aeris.Promise|undefined}
+   */
+  RequestRegistry.prototype.get = function(key, opt_scope) {
+    var request = this.requests_[key];
+
+    if (!request || request.scope !== opt_scope) {
+      return undefined;
+    }
+
+    return request.promise;
+  };
+
+
+  /**
+   * Register a pending request.
+   *
+   * @method register
+   * @param {string} key
+   * @param {aeris.Promise} promise Promise to complete the request.
+   * @param {Object=} opt_scope
+   * @return {aeris.Promise} The registered promise.
+   */
+  RequestRegistry.prototype.register = function(key, promise, opt_scope) {
+    var request = {
+      promise: promise,
+      scope: opt_scope
+    };
+
+    this.requests_[key] = request;
+
+    promise.always(function() {
+      // Make sure we don't remove a newer request
+      // registered with the same key.
+      if (this.requests_[key] === request) {
+        delete this.requests_[key];
+      }
+    }, this);
+
+    return promise;
+  };
+
+
+  /**
+   * Remove a pending request from the registry,
+   * so that following requests are not joined to it.
+   *
+   * @method unregister
+   * @param {string} key
+   * @param {aeris.Promise=} opt_promise
+   *        Only remove the request if it was registered with this promise.
+   */
+  RequestRegistry.prototype.unregister = function(key, opt_promise) {
+    var request = this.requests_[key];
+
+    if (!request || (opt_promise && request.promise !== opt_promise)) {
+      return;
+    }
+
+    delete this.requests_[key];
+  };
+
+
+  /**
+   * @method isPending
+   * @param {string} key
+   * @return {Boolean}
+   */
+  RequestRegistry.prototype.isPending = function(key) {
+    return _.has(this.requests_, key);
+  };
+
+
+  /**
+   * A shared registry instance.
+   *
+   * @method getInstance
+   * @static
+   * @return {aeris.api.RequestRegistry}
+   */
+  RequestRegistry.getInstance = function() {
+    if (!RequestRegistry.instance_) {
+      RequestRegistry.instance_ = new RequestRegistry();
+    }
+
+    return RequestRegistry.instance_;
+  };
+
+
+  return _.expose(RequestRegistry, 'aeris.api.RequestRegistry');
+});
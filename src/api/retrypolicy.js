@@ -0,0 +1,169 @@
+define([
+  'aeris/util',
+  'aeris/errors/networkerror',
+  'aeris/errors/timeouterror'
+], function(_, NetworkError, TimeoutError) {
+  /**
+   * Determines whether, and when, a failed Aeris API
+   * request should be retried.
+   *
+   * Retries are delayed using exponential backoff:
+   * each retry waits twice as long as the previous retry,
+   * up to a maximum delay. A random jitter is applied to each delay,
+   * so that many clients do not retry at the same moment.
+   *
+   * Example:
+   *
+   *  var observations = new aeris.api.collections.Observations(null, {
+   *    retryPolicy: new aeris.api.RetryPolicy({
+   *      maxAttempts: 5
+   *    })
+   *  });
+   *
+   * @class aeris.api.RetryPolicy
+   *
+   * @constructor
+   *
+   * @param {Object=} opt_options
+   * @param {number=} opt_options.maxAttempts
+   *        Maximum number of requests to make, including the first request.
+   * @param {number=} opt_options.delay Delay before the first retry, in milliseconds.
+   * @param {number=} opt_options.maxDelay Maximum delay between retries, in milliseconds.
+   * @param {number=} opt_options.jitter
+   *        Fraction (0 to 1) by which each delay may be randomly reduced.
+   * @param {Array.<string>=} opt_options.retryableCodes
+   *        Aeris API error codes which should be retried.
+   * @param {Boolean=} opt_options.retryNetworkErrors
+   *        Whether to retry requests which fail to load, or time out.
+   */
+  var RetryPolicy = function(opt_options) {
+    var options = _.defaults(opt_options || {}, {
+      maxAttempts: 3,
+      delay: 1000,
+      maxDelay: 1000 * 30,
+      jitter: 0.5,
+      retryableCodes: RetryPolicy.RETRYABLE_CODES,
+      retryNetworkErrors: true
+    });
+
+    /**
+     * @property maxAttempts_
+     * @private
+     * @type {number}
+     */
+    this.maxAttempts_ = options.maxAttempts;
+
+
+    /**
+     * @property delay_
+     * @private
+     * @type {number}
+     */
+    this.delay_ = options.delay;
+
+
+    /**
+     * @property maxDelay_
+     * @private
+     * @type {number}
+     */
+    this.maxDelay_ = options.maxDelay;
+
+
+    /**
+     * @property jitter_
+     * @private
+     * @type {number}
+     */
+    this.jitter_ = options.jitter;
+
+
+    /**
+     * @property retryableCodes_
+     * @private
+     * @type {Array.<string>}
+     */
+    this.retryableCodes_ = options.retryableCodes;
+
+
+    /**
+     * @property retryNetworkErrors_
+     * @private
+     * @type {Boolean}
+     */
+    this.retryNetworkErrors_ = options.retryNetworkErrors;
+  };
+
+
+  /**
+   * Aeris API error codes which are
+   * retried by default.
+   *
+   * @property RETRYABLE_CODES
+   * @static
+   * @type {Array.<string>}
+   */
+  RetryPolicy.RETRYABLE_CODES = [
+    'maxhits_min',
+    'internal_error',
+    'service_unavailable'
+  ];
+
+
+  /**
+   * Should a failed request be retried?
+   *
+   * @method shouldRetry
+   * @param {Error} error The error with which the request failed.
+   * @param {number} attempt The number of requests made so far.
+   * @return {Boolean}
+   */
+  RetryPolicy.prototype.shouldRetry = function(error, attempt) {
+    return attempt < this.maxAttempts_ && this.isRetryable(error);
+  };
+
+
+  /**
+   * Is the error caused by a transient failure?
+   *
+   * @method isRetryable
+   * @param {Error} error
+   * @return {Boolean}
+   */
+  RetryPolicy.prototype.isRetryable = function(error) {
+    var isNetworkError = error instanceof NetworkError || error instanceof TimeoutError;
+
+    if (isNetworkError) {
+      return this.retryNetworkErrors_;
+    }
+
+    return !!error && _.contains(this.retryableCodes_, error.code);
+  };
+
+
+  /**
+   * Returns the delay before a request is retried.
+   *
+   * @method getDelay
+   * @param {number} attempt The number of requests made so far.
+   * @return {number} Delay, in milliseconds.
+   */
+  RetryPolicy.prototype.getDelay = function(attempt) {
+    var backoff = Math.min(this.delay_ * Math.pow(2, attempt - 1), this.maxDelay_);
+    var jitter = backoff * this.jitter_ * Math.random();
+
+    return Math.round(backoff - jitter);
+  };
+
+
+  /**
+   * @method getMaxAttempts
+   * @return {number}
+   */
+  RetryPolicy.prototype.getMaxAttempts = function() {
+    return this.maxAttempts_;
+  };
+
+
+  return _.expose(RetryPolicy, 'aeris.api.RetryPolicy');
+});
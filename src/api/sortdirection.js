@@ -0,0 +1,18 @@
+define(['aeris/util'], function(_) {
+  /**
+   * Directions in which Aeris API
+   * results may be sorted.
+   *
+   * See http://www.hamweather.com/support/documentation/aeris/sorting/
+   *
+   * @class aeris.api.SortDirection
+   * @static
+   */
+  var SortDirection = {
+    ASC: 1,
+    DESC: -1
+  };
+
+
+  return _.expose(SortDirection, 'aeris.api.SortDirection');
+});
@@ -0,0 +1,137 @@
+define([
+  'aeris/util',
+  'aeris/promise',
+  'aeris/errors/networkerror'
+], function(_, Promise, NetworkError) {
+  /**
+   * Requests data using a cross-origin XMLHttpRequest.
+   *
+   * Unlike JSONP, CORS requests do not require inline
+   * script callbacks, so they may be used by applications
+   * with a restrictive Content Security Policy.
+   *
+   * @class aeris.api.transports.CORSTransport
+   * @implements aeris.api.transports.TransportInterface
+   *
+   * @constructor
+   *
+   * @param {Object=} opt_options
+   * @param {function():XMLHttpRequest=} opt_options.XMLHttpRequest
+   *        XMLHttpRequest constructor. Defaults to window.XMLHttpRequest.
+   */
+  var CORSTransport = function(opt_options) {
+    var options = _.defaults(opt_options || {}, {
+      XMLHttpRequest: window.XMLHttpRequest
+    });
+
+    /**
+     * @property XMLHttpRequest_
+     * @private
+     * @type {function():XMLHttpRequest}
+     */
+    this.XMLHttpRequest_ = options.XMLHttpRequest;
+  };
+
+
+  /**
+   * @method get
+   */
+  CORSTransport.prototype.get = function(url, opt_params, opt_options) {
+    var promiseToGet = new Promise();
+    var xhr = new this.XMLHttpRequest_();
+
+    xhr.open('GET', this.createUrl_(url, opt_params || {}), true);
+
+    xhr.onload = _.bind(this.handleLoad_, this, xhr, url, promiseToGet);
+    xhr.onerror = _.bind(function() {
+      promiseToGet.reject(this.createError_(xhr, 'Request to ' + url + ' failed.'));
+    }, this);
+
+    xhr.send();
+
+    return promiseToGet;
+  };
+
+
+  /**
+   * @method handleLoad_
+   * @private
+   * @param {XMLHttpRequest} xhr
+   * @param {string} url
+   * @param {aeris.Promise} promiseToGet
+   */
+  CORSTransport.prototype.handleLoad_ = function(xhr, url, promiseToGet) {
+    var data;
+    var isSuccessStatus = xhr.status >= 200 && xhr.status < 300;
+
+    try {
+      data = JSON.parse(xhr.responseText);
+    }
+    catch (e) {
+      data = null;
+    }
+
+    // The Aeris API may respond to invalid requests with
+    // an error status, and an error object describing the problem.
+    // Resolve with the error object, so it may be handled
+    // as with any other API error response.
+    if (_.isObject(data) && (isSuccessStatus || data.error)) {
+      promiseToGet.resolve(data);
+    }
+    else if (!isSuccessStatus) {
+      promiseToGet.reject(this.createError_(xhr, 'Request to ' + url +
+        ' failed with status ' + xhr.status + '.'));
+    }
+    else {
+      promiseToGet.reject(this.createError_(xhr, 'Unable to parse response from ' +
+        url + '.'));
+    }
+  };
+
+
+  /**
+   * @method createUrl_
+   * @private
+   * @param {string} url
+   * @param {Object} params
+   * @return {string}
+   */
+  CORSTransport.prototype.createUrl_ = function(url, params) {
+    var query = _.map(params, function(val, key) {
+      return encodeURIComponent(key) + '=' + encodeURIComponent(val);
+    }).join('&');
+
+    if (!query.length) {
+      return url;
+    }
+
+    return url + (url.indexOf('?') === -1 ? '?' : '&') + query;
+  };
+
+
+  /**
+   * @method createError_
+   * @private
+   * @param {XMLHttpRequest} xhr
+   * @param {string} message
+   * @return {aeris.errors.NetworkError}
+   */
+  CORSTransport.prototype.createError_ = function(xhr, message) {
+    var error = new NetworkError(message);
+    error.status = xhr.status;
+
+    return error;
+  };
+
+
+  /**
+   * @method getFormat
+   * @return {string}
+   */
+  CORSTransport.prototype.getFormat = function() {
+    return 'json';
+  };
+
+
+  return _.expose(CORSTransport, 'aeris.api.transports.CORSTransport');
+});
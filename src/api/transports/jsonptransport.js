@@ -0,0 +1,62 @@
+define([
+  'aeris/util',
+  'aeris/promise',
+  'aeris/jsonp',
+  'aeris/errors/networkerror'
+], function(_, Promise, JSONP, NetworkError) {
+  /**
+   * Requests data using JSONP.
+   *
+   * Note that JSONP requests rely on injected script tags,
+   * so they can not access HTTP status codes or response headers.
+   *
+   * @class aeris.api.transports.JSONPTransport
+   * @implements aeris.api.transports.TransportInterface
+   *
+   * @constructor
+   *
+   * @param {Object=} opt_options
+   * @param {aeris.JSONP=} opt_options.jsonp
+   */
+  var JSONPTransport = function(opt_options) {
+    var options = _.defaults(opt_options || {}, {
+      jsonp: JSONP
+    });
+
+    /**
+     * @property jsonp_
+     * @private
+     * @type {aeris.JSONP}
+     */
+    this.jsonp_ = options.jsonp;
+  };
+
+
+  /**
+   * @method get
+   */
+  JSONPTransport.prototype.get = function(url, opt_params, opt_options) {
+    var promiseToGet = new Promise();
+    var options = opt_options || {};
+
+    this.jsonp_.get(url, opt_params || {}, function(res) {
+      promiseToGet.resolve(res);
+    }, options.callbackName, null, function(err) {
+      promiseToGet.reject(new NetworkError('Failed to load ' + err.url));
+    });
+
+    return promiseToGet;
+  };
+
+
+  /**
+   * @method getFormat
+   * @return {string}
+   */
+  JSONPTransport.prototype.getFormat = function() {
+    return 'jsonp';
+  };
+
+
+  return _.expose(JSONPTransport, 'aeris.api.transports.JSONPTransport');
+});
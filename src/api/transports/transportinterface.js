@@ -0,0 +1,44 @@
+define([
+  'aeris/util'
+], function(_) {
+  /**
+   * A transport is responsible for sending requests
+   * to the Aeris API, and for returning the raw response data.
+   *
+   * @class aeris.api.transports.TransportInterface
+   * @interface
+   *
+   * @param {Object=} opt_options
+   */
+  var TransportInterface = function(opt_options) {};
+
+
+  /**
+   * Send a GET request.
+   *
+   * @method get
+   * @param {string} url
+   * @param {Object=} opt_params Query parameters.
+   * @param {Object=} opt_options
+   * @param {string=} opt_options.callbackName
+   *        A static callback name, for endpoints which
+   *        do not accept a callback param. Only used by JSONP transports.
+   * @return {aeris.Promise} Resolves with raw response data.
+   *                         Rejects with an {Error} object.
+   */
+  TransportInterface.prototype.get = _.abstractMethod;
+
+
+  /**
+   * The response format supported by the transport,
+   * for endpoints which serve multiple formats.
+   * (eg. 'json' or 'jsonp').
+   *
+   * @method getFormat
+   * @return {string}
+   */
+  TransportInterface.prototype.getFormat = _.abstractMethod;
+
+
+  return TransportInterface;
+});
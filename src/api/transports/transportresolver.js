@@ -0,0 +1,97 @@
+define([
+  'aeris/util',
+  'aeris/config',
+  'aeris/errors/invalidconfigerror',
+  'aeris/api/transports/jsonptransport',
+  'aeris/api/transports/corstransport'
+], function(_, aerisConfig, InvalidConfigError, JSONPTransport, CORSTransport) {
+  /**
+   * Helper for creating the {aeris.api.transports.TransportInterface}
+   * selected by the `apiTransport` attribute of {aeris.config}.
+   *
+   * @class aeris.api.transports.TransportResolver
+   *
+   * @constructor
+   *
+   * @param {Object=} opt_options
+   * @param {Object.<string, function():aeris.api.transports.TransportInterface>=} opt_options.transports
+   *        Transport constructors, by name.
+   * @param {aeris.Model=} opt_options.config Defaults to {aeris.config}.
+   */
+  var TransportResolver = function(opt_options) {
+    var options = _.defaults(opt_options || {}, {
+      transports: TransportResolver.transports,
+      config: aerisConfig
+    });
+
+    /**
+     * @property transports_
+     * @private
+     * @type {Object.<string, function():aeris.api.transports.TransportInterface>}
+     */
+    this.transports_ = options.transports;
+
+
+    /**
+     * @property config_
+     * @private
+     * @type {aeris.Model}
+     */
+    this.config_ = options.config;
+
+
+    /**
+     * Transports created by the resolver, by name.
+     *
+     * @property instances_
+     * @private
+     * @type {Object.<string, aeris.api.transports.TransportInterface>}
+     */
+    this.instances_ = {};
+  };
+
+
+  /**
+   * Available transports, by name.
+   *
+   * @property transports
+   * @static
+   * @type {Object.<string, function():aeris.api.transports.TransportInterface>}
+   */
+  TransportResolver.transports = {
+    jsonp: JSONPTransport,
+    cors: CORSTransport
+  };
+
+
+  /**
+   * Returns a transport of the configured type.
+   *
+   * Transports are shared by all callers of the resolver,
+   * so that requests made with the same transport
+   * may be coalesced.
+   *
+   * @method resolveTransport
+   * @throws {aeris.errors.InvalidConfigError} If the configured transport type does not exist.
+   * @param {string=} opt_type Defaults to the `apiTransport` config attribute.
+   * @return {aeris.api.transports.TransportInterface}
+   */
+  TransportResolver.prototype.resolveTransport = function(opt_type) {
+    var type = opt_type || this.config_.get('apiTransport') || 'jsonp';
+    var Transport = this.transports_[type];
+
+    if (!Transport) {
+      throw new InvalidConfigError('Invalid API transport type: \'' + type + '\'. ' +
+        'Valid types are: ' + _.keys(this.transports_).join(', '));
+    }
+
+    if (!this.instances_[type]) {
+      this.instances_[type] = new Transport();
+    }
+
+    return this.instances_[type];
+  };
+
+
+  return TransportResolver;
+});
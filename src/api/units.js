@@ -0,0 +1,146 @@
+define([
+  'aeris/util',
+  'aeris/config',
+  'aeris/api/config/units',
+  'aeris/errors/invalidargumenterror'
+], function(_, config, unitsConfig, InvalidArgumentError) {
+  /**
+   * Converts and formats measurements,
+   * according to the units preference set in {aeris.config}.
+   *
+   * A measurement is represented as an object
+   * with a value, a unit, a display label, and a quantity. eg:
+   *
+   *  {
+   *    value: 52,
+   *    unit: 'F',
+   *    label: '°F',
+   *    quantity: 'temperature'
+   *  }
+   *
+   * @class aeris.api.units
+   * @static
+   */
+  var units = {};
+
+
+  /**
+   * Returns the preferred unit for a quantity.
+   *
+   * @method getUnit
+   * @param {string} quantity eg. 'temperature'.
+   * @return {string} eg. 'F'.
+   * @throws {aeris.errors.InvalidArgumentError} If the quantity is not defined.
+   */
+  units.getUnit = function(quantity) {
+    var preference = config.get('units') || 'imperial';
+    var quantityConfig = units.getQuantityConfig_(quantity);
+    var unit = _.isString(preference) ? preference :
+      (preference[quantity] || 'imperial');
+
+    return quantityConfig[unit] || unit;
+  };
+
+
+  /**
+   * Returns the units available for a quantity.
+   *
+   * @method getUnits
+   * @param {string} quantity
+   * @return {Array.<string>}
+   */
+  units.getUnits = function(quantity) {
+    return _.keys(units.getQuantityConfig_(quantity).units);
+  };
+
+
+  /**
+   * Convert a value between units of a quantity.
+   *
+   * @method convert
+   * @param {number} value
+   * @param {string} quantity
+   * @param {string} fromUnit
+   * @param {string} toUnit
+   * @return {number}
+   */
+  units.convert = function(value, quantity, fromUnit, toUnit) {
+    var unitConfigs = units.getQuantityConfig_(quantity).units;
+
+    if (fromUnit === toUnit) {
+      return value;
+    }
+
+    if (quantity === 'temperature') {
+      return fromUnit === 'F' ? (value - 32) * 5 / 9 : value * 9 / 5 + 32;
+    }
+
+    return value * unitConfigs[fromUnit].factor / unitConfigs[toUnit].factor;
+  };
+
+
+  /**
+   * Create a measurement.
+   *
+   * @method createMeasurement
+   * @param {number} value
+   * @param {string} quantity
+   * @param {string} unit
+   * @return {{value: number, unit: string, label: string, quantity: string}}
+   */
+  units.createMeasurement = function(value, quantity, unit) {
+    return {
+      value: value,
+      unit: unit,
+      label: units.getQuantityConfig_(quantity).units[unit].label,
+      quantity: quantity
+    };
+  };
+
+
+  /**
+   * Format a measurement for display.
+   *
+   * Example:
+   *
+   *  aeris.api.units.format(observation.getTemperature());   // '52°F'
+   *
+   * @method format
+   * @param {?{value: number, unit: string, label: string, quantity: string}} measurement
+   * @param {number=} opt_precision Decimal places. Defaults to the unit's precision.
+   * @return {string} An empty string, if no measurement is provided.
+   */
+  units.format = function(measurement, opt_precision) {
+    var precision, separator;
+
+    if (!measurement) {
+      return '';
+    }
+
+    precision = _.isNumber(opt_precision) ? opt_precision :
+      units.getQuantityConfig_(measurement.quantity).units[measurement.unit].precision;
+    separator = measurement.label.charAt(0) === '°' ? '' : ' ';
+
+    return parseFloat(measurement.value.toFixed(precision)) + separator + measurement.label;
+  };
+
+
+  /**
+   * @method getQuantityConfig_
+   * @private
+   * @param {string} quantity
+   * @return {Object}
+   * @throws {aeris.errors.InvalidArgumentError} If the quantity is not defined.
+   */
+  units.getQuantityConfig_ = function(quantity) {
+    if (!unitsConfig[quantity]) {
+      throw new InvalidArgumentError('\'' + quantity + '\' is not a valid quantity. ' +
+        'Valid quantities are: ' + _.keys(unitsConfig).join(', '));
+    }
+
+    return unitsConfig[quantity];
+  };
+
+
+  return _.expose(units, 'aeris.api.units');
+});
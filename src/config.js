@@ -3,8 +3,9 @@ define([
   // Using vendor modules to avoid circular dependencies
   // as much as possible
   'backbone',
-  'aeris/util'
-], function(module, Backbone, _) {
+  'aeris/util',
+  'aeris/api/config/units'
+], function(module, Backbone, _, unitsConfig) {
   /**
    * Global configuration object for Aeris.js library.
    *
@@ -39,8 +40,43 @@ define([
      * @attribute assetPath
      * @type {string}
      */
+    /**
+     * The transport used to request data
+     * from the Aeris API.
+     *
+     * 'jsonp' requests data by injecting script tags.
+     * 'cors' requests data using a cross-origin XMLHttpRequest,
+     * and may be used in environments which do not allow
+     * inline script callbacks.
+     *
+     * @attribute apiTransport
+     * @type {string}
+     * @default 'jsonp'
+     */
+    /**
+     * Units in which weather data is presented.
+     *
+     * May be 'imperial', 'metric', or an object
+     * mixing units by quantity. Quantities not included
+     * in the object use imperial units. eg:
+     *
+     *  {
+     *    temperature: 'metric',
+     *    speed: 'KTS',
+     *    pressure: 'MB'
+     *  }
+     *
+     * See {aeris.api.config.units} for available
+     * quantities and units.
+     *
+     * @attribute units
+     * @type {string|Object.<string,string>}
+     * @default 'imperial'
+     */
     var attrs = _.defaults(opt_attrs || {}, {
-      assetPath: '//cdn.aerisjs.com/assets/'
+      assetPath: '//cdn.aerisjs.com/assets/',
+      apiTransport: 'jsonp',
+      units: 'imperial'
     });
 
     Backbone.Model.call(this, attrs, opt_options);
@@ -69,6 +105,45 @@ define([
       throw new Error('Invalid map type strategy. Valid strategies are  ' +
         '\'gmaps\' or \'openlayers\'');
     }
+
+    if (attrs.apiTransport && ['jsonp', 'cors'].indexOf(attrs.apiTransport) === -1) {
+      throw new Error('Invalid API transport. Valid transports are ' +
+        '\'jsonp\' or \'cors\'');
+    }
+
+    if (attrs.units) {
+      this.validateUnits_(attrs.units);
+    }
+  };
+
+
+  /**
+   * @method validateUnits_
+   * @private
+   * @param {string|Object.<string,string>} units
+   * @throws {Error} If the units are not valid.
+   */
+  Config.prototype.validateUnits_ = function(units) {
+    var systems = ['imperial', 'metric'];
+
+    if (_.isString(units)) {
+      if (!_.contains(systems, units)) {
+        throw new Error('Invalid units. Valid units are \'imperial\', ' +
+          '\'metric\', or an object of units by quantity');
+      }
+      return;
+    }
+
+    _.each(units, function(unit, quantity) {
+      if (!unitsConfig[quantity]) {
+        throw new Error('Invalid units: unknown quantity \'' + quantity + '\'');
+      }
+
+      if (!_.contains(systems, unit) && !unitsConfig[quantity].units[unit]) {
+        throw new Error('Invalid units: \'' + unit + '\' is not a valid ' +
+          quantity + ' unit');
+      }
+    });
   };
 
 
@@ -103,6 +178,23 @@ define([
     this.set('apiSecret', apiSecret, { validate: true });
   };
 
+  /**
+   * @method setApiTransport
+   * @param {string} apiTransport 'jsonp' or 'cors'.
+   */
+  Config.prototype.setApiTransport = function(apiTransport) {
+    this.set('apiTransport', apiTransport, { validate: true });
+  };
+
+  /**
+   * @method setUnits
+   * @param {string|Object.<string,string>} units
+   *        'imperial', 'metric', or units by quantity.
+   */
+  Config.prototype.setUnits = function(units) {
+    this.set('units', units, { validate: true });
+  };
+
   // Return a singleton config object,
   // propagated with any data from ReqJS's
   // config['aeris/config'] configuration.
@@ -0,0 +1,16 @@
+define([
+  'aeris/errors/errortypefactory',
+  'aeris/errors/apiresponseerror'
+], function(ErrorTypeFactory, ApiResponseError) {
+  /**
+   * The Aeris API client id or secret is invalid,
+   * or is not authorized to access the requested data.
+   *
+   * @class aeris.errors.InvalidClientError
+   * @extends aeris.errors.APIResponseError
+  */
+  return new ErrorTypeFactory({
+    name: 'InvalidClientError',
+    type: ApiResponseError
+  });
+});
@@ -0,0 +1,15 @@
+define([
+  'aeris/errors/errortypefactory',
+  'aeris/errors/apiresponseerror'
+], function(ErrorTypeFactory, ApiResponseError) {
+  /**
+   * The requested location could not be found.
+   *
+   * @class aeris.errors.InvalidLocationError
+   * @extends aeris.errors.APIResponseError
+  */
+  return new ErrorTypeFactory({
+    name: 'InvalidLocationError',
+    type: ApiResponseError
+  });
+});
@@ -0,0 +1,15 @@
+define([
+  'aeris/errors/errortypefactory',
+  'aeris/errors/apiresponseerror'
+], function(ErrorTypeFactory, ApiResponseError) {
+  /**
+   * The request contained an invalid query.
+   *
+   * @class aeris.errors.InvalidQueryError
+   * @extends aeris.errors.APIResponseError
+  */
+  return new ErrorTypeFactory({
+    name: 'InvalidQueryError',
+    type: ApiResponseError
+  });
+});
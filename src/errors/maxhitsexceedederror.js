@@ -0,0 +1,16 @@
+define([
+  'aeris/errors/errortypefactory',
+  'aeris/errors/apiresponseerror'
+], function(ErrorTypeFactory, ApiResponseError) {
+  /**
+   * The Aeris API client has exceeded
+   * its allowed number of requests.
+   *
+   * @class aeris.errors.MaxHitsExceededError
+   * @extends aeris.errors.APIResponseError
+  */
+  return new ErrorTypeFactory({
+    name: 'MaxHitsExceededError',
+    type: ApiResponseError
+  });
+});
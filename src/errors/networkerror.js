@@ -0,0 +1,14 @@
+define([
+  'aeris/errors/errortypefactory'
+], function(ErrorTypeFactory) {
+  /**
+   * A request failed to reach the server,
+   * or the server failed to respond.
+   *
+   * @class aeris.errors.NetworkError
+   * @extends aeris.errors.AbstractError
+  */
+  return new ErrorTypeFactory({
+    name: 'NetworkError'
+  });
+});
@@ -0,0 +1,16 @@
+define([
+  'aeris/errors/errortypefactory',
+  'aeris/errors/apiresponseerror'
+], function(ErrorTypeFactory, ApiResponseError) {
+  /**
+   * The Aeris API found no data
+   * matching the request.
+   *
+   * @class aeris.errors.NoDataWarning
+   * @extends aeris.errors.APIResponseError
+  */
+  return new ErrorTypeFactory({
+    name: 'NoDataWarning',
+    type: ApiResponseError
+  });
+});
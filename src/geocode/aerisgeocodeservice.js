@@ -3,8 +3,10 @@ define([
   'aeris/api/models/place',
   'aeris/promise',
   'aeris/geocode/geocodeserviceresponse',
-  'aeris/geocode/geocodeservicestatus'
-], function(_, Place, Promise, GeocodeServiceResponse, GeocodeServiceStatus) {
+  'aeris/geocode/geocodeservicestatus',
+  'aeris/errors/invalidlocationerror',
+  'aeris/errors/invalidqueryerror'
+], function(_, Place, Promise, GeocodeServiceResponse, GeocodeServiceStatus, InvalidLocationError, InvalidQueryError) {
   /**
    * Uses the Aeris API /places endpoint to lookup
    * a lat/lon coordinate from a place name.
@@ -44,11 +46,15 @@ define([
     });
 
     place.fetch().
-      done(_.compose(
-        promiseToGeocode.resolve.
-          bind(promiseToGeocode),
-        this.createGeocodeSuccessResponse_
-      )).
+      done(function(apiResponseData) {
+        // Warnings (eg. warn_no_data) resolve without place data.
+        if (!this.getPlaceData_(apiResponseData)) {
+          promiseToGeocode.reject(this.createGeocodeNoResultsResponse_(apiResponseData));
+          return;
+        }
+
+        promiseToGeocode.resolve(this.createGeocodeSuccessResponse_(apiResponseData));
+      }, this).
       fail(_.compose(
         promiseToGeocode.reject.
           bind(promiseToGeocode),
@@ -65,7 +71,8 @@ define([
    * @param {Object} apiResponseData
    */
   AerisGeocodeService.prototype.createGeocodeSuccessResponse_ = function(apiResponseData) {
-    var latLon = [apiResponseData.response.loc.lat, apiResponseData.response.loc.long];
+    var placeData = this.getPlaceData_(apiResponseData);
+    var latLon = [placeData.loc.lat, placeData.loc.long];
 
     return new GeocodeServiceResponse({
       latLon: latLon,
@@ -77,21 +84,59 @@ define([
   };
 
 
+  /**
+   * @method createGeocodeNoResultsResponse_
+   * @private
+   * @param {Object} apiResponseData
+   */
+  AerisGeocodeService.prototype.createGeocodeNoResultsResponse_ = function(apiResponseData) {
+    var warning = apiResponseData.error || {};
+
+    return new GeocodeServiceResponse({
+      latLon: undefined,
+      status: {
+        code: GeocodeServiceStatus.NO_RESULTS,
+        apiCode: warning.code,
+        message: warning.description || 'No results found for location'
+      }
+    });
+  };
+
+
+  /**
+   * @method getPlaceData_
+   * @private
+   * @param {Object} apiResponseData
+   * @return {?Object} Data for the first place in the response,
+   *                   or null if the response contains no place.
+   */
+  AerisGeocodeService.prototype.getPlaceData_ = function(apiResponseData) {
+    var response = apiResponseData && apiResponseData.response;
+    var placeData = _.isArray(response) ? response[0] : response;
+
+    return _.isObject(placeData) && _.isObject(placeData.loc) ? placeData : null;
+  };
+
+
   /**
    * @method createGeocodeErrorResponse_
    * @private
-   * @param {aeris.errors.ApiResponseError} apiResponseError
+   * @param {aeris.errors.APIResponseError} apiResponseError
    */
   AerisGeocodeService.prototype.createGeocodeErrorResponse_ = function(apiResponseError) {
-    var apiCodeLookup = {
-      'invalid_location': GeocodeServiceStatus.NO_RESULTS,
-      'invalid_client': GeocodeServiceStatus.API_ERROR
-    };
+    var code = GeocodeServiceStatus.API_ERROR;
+
+    if (apiResponseError instanceof InvalidLocationError) {
+      code = GeocodeServiceStatus.NO_RESULTS;
+    }
+    else if (apiResponseError instanceof InvalidQueryError) {
+      code = GeocodeServiceStatus.INVALID_REQUEST;
+    }
 
     return new GeocodeServiceResponse({
       latLon: undefined,
       status: {
-        code: apiCodeLookup[apiResponseError.code] || GeocodeServiceStatus.API_ERROR,
+        code: code,
         apiCode: apiResponseError.code,
         message: apiResponseError.message
       }
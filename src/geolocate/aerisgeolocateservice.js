@@ -4,8 +4,10 @@ define([
   'aeris/promise',
   'aeris/errors/unsupportedfeatureerror',
   'aeris/geolocate/results/geolocateposition',
-  'aeris/geolocate/errors/geolocateserviceerror'
-], function(_, Place, Promise, UnsupportedFeatureError, GeolocatePosition, GeolocateServiceError) {
+  'aeris/geolocate/errors/geolocateserviceerror',
+  'aeris/errors/invalidclienterror',
+  'aeris/errors/timeouterror'
+], function(_, Place, Promise, UnsupportedFeatureError, GeolocatePosition, GeolocateServiceError, InvalidClientError, TimeoutError) {
   /**
    * Uses the Aeris API /places endpoint to lookup
    * a lat/lon coordinate from a place name.
@@ -45,11 +47,15 @@ define([
     });
 
     place.fetch().
-      done(_.compose(
-        promiseToGeolocate.resolve.
-          bind(promiseToGeolocate),
-        this.createGeolocateSuccessResponse_
-      )).
+      done(function(apiResponseData) {
+        // Warnings (eg. warn_no_data) resolve without place data.
+        if (!this.getPlaceData_(apiResponseData)) {
+          promiseToGeolocate.reject(this.createGeolocateNoResultsError_(apiResponseData));
+          return;
+        }
+
+        promiseToGeolocate.resolve(this.createGeolocateSuccessResponse_(apiResponseData));
+      }, this).
       fail(_.compose(
         promiseToGeolocate.reject.
           bind(promiseToGeolocate),
@@ -76,25 +82,61 @@ define([
    * @param {Object} apiResponseData
    */
   AerisGeolocateService.prototype.createGeolocateSuccessResponse_ = function(apiResponseData) {
+    var placeData = this.getPlaceData_(apiResponseData);
+
     return new GeolocatePosition({
-      latLon: [apiResponseData.response.loc.lat, apiResponseData.response.loc.long]
+      latLon: [placeData.loc.lat, placeData.loc.long]
+    });
+  };
+
+
+  /**
+   * @method createGeolocateNoResultsError_
+   * @private
+   * @param {Object} apiResponseData
+   */
+  AerisGeolocateService.prototype.createGeolocateNoResultsError_ = function(apiResponseData) {
+    var warning = apiResponseData.error || {};
+
+    return new GeolocateServiceError({
+      code: GeolocateServiceError.POSITION_UNAVAILABLE,
+      message: warning.description || 'Unable to determine the current position'
     });
   };
 
 
+  /**
+   * @method getPlaceData_
+   * @private
+   * @param {Object} apiResponseData
+   * @return {?Object} Data for the first place in the response,
+   *                   or null if the response contains no place.
+   */
+  AerisGeolocateService.prototype.getPlaceData_ = function(apiResponseData) {
+    var response = apiResponseData && apiResponseData.response;
+    var placeData = _.isArray(response) ? response[0] : response;
+
+    return _.isObject(placeData) && _.isObject(placeData.loc) ? placeData : null;
+  };
+
+
   /**
    * @method createGeolocateErrorResponse_
    * @private
-   * @param {aeris.errors.ApiResponseError} apiResponseError
+   * @param {aeris.errors.APIResponseError} apiResponseError
    */
   AerisGeolocateService.prototype.createGeolocateErrorResponse_ = function(apiResponseError) {
-    var errorCodeLookup = {
-      invalid_client: GeolocateServiceError.PERMISSION_DENIED,
-      invalid_location: GeolocateServiceError.POSITION_UNAVAILABLE
-    };
+    var code = GeolocateServiceError.POSITION_UNAVAILABLE;
+
+    if (apiResponseError instanceof InvalidClientError) {
+      code = GeolocateServiceError.PERMISSION_DENIED;
+    }
+    else if (apiResponseError instanceof TimeoutError) {
+      code = GeolocateServiceError.TIMEOUT;
+    }
 
     return new GeolocateServiceError({
-      code: errorCodeLookup[apiResponseError.code] || GeolocateServiceError.POSITION_UNAVAILABLE,
+      code: code,
       message: apiResponseError.message
     });
   };
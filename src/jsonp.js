@@ -16,6 +16,13 @@ define(['aeris/util'], function(_) {
    *   //do something with data, which is the JSON object you should retrieve from someUrl.php
    * });
    *
+   * An error callback may be provided as the sixth argument.
+   * It will be called if the script fails to load:
+   *
+   * JSONP.get( 'someUrl.php', {}, onLoad, null, null, function(err) {
+   *   // err.url, err.event
+   * });
+   *
    * @class aeris.JSONP
    */
   aeris.jsonp = (function() {
@@ -55,8 +62,9 @@ define(['aeris/util'], function(_) {
       return encodeURIComponent(str);
     }
 
-    function jsonp(url, params, callback, uniqueName, callbackName) {
+    function jsonp(url, params, callback, uniqueName, callbackName, opt_onError) {
       var query = (url || '').indexOf('?') === -1 ? '?' : '&', key;
+      var onError;
 
       callbackName = (callbackName || config['callbackName'] || 'callback');
       uniqueName = uniqueName || callbackName + _.uniqueId('_aeris_jsonp_');
@@ -76,7 +84,16 @@ define(['aeris/util'], function(_) {
         window[uniqueName] = null;
       };
 
-      load(url + query + callbackName + '=' + uniqueName);
+      if (opt_onError) {
+        onError = function(err) {
+          // The script failed to load,
+          // so the callback will never be called.
+          window[uniqueName] = null;
+          opt_onError(err);
+        };
+      }
+
+      load(url + query + callbackName + '=' + uniqueName, onError);
       return uniqueName;
     }
 
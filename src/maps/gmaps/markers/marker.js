@@ -46,6 +46,7 @@ define([
     this.listenTo(this.marker_, {
       'change:position': this.updatePosition_,
       'change:title': this.updateTitle_,
+      'change:label change:labelColor': this.updateLabel_,
       'change:url change:offsetX change:offsetY': this.updateIcon_,
       'change:selectedUrl change:selectedOffsetX change:selectedOffsetY': this.updateIcon_,
       'change:selected': this.updateIcon_,
@@ -93,20 +94,54 @@ define([
       flat: true,
       clickable: this.marker_.get('clickable'),
       draggable: this.marker_.get('draggable'),
-      title: this.marker_.get('title')
+      title: this.marker_.get('title'),
+      label: this.createLabel_()
     };
   };
 
 
   MarkerStrategy.prototype.createIcon_ = function() {
+    var url = this.marker_.isSelected() ?
+      this.marker_.get('selectedUrl') : this.marker_.get('url');
+
+    // Text-only markers are rendered
+    // with an empty symbol, so that only
+    // the label is visible.
+    if (!url) {
+      return {
+        path: 'M 0,0',
+        scale: 0
+      };
+    }
+
     return {
-      url: this.marker_.isSelected() ?
-        this.marker_.get('selectedUrl') : this.marker_.get('url'),
+      url: url,
       anchor: this.createAnchorPoint_()
     };
   };
 
 
+  /**
+   * @private
+   * @method createLabel_
+   * @return {?google.maps.MarkerLabel} Null, if the marker has no label.
+   */
+  MarkerStrategy.prototype.createLabel_ = function() {
+    var label = this.marker_.get('label');
+
+    if (!label) {
+      return null;
+    }
+
+    return {
+      text: label,
+      color: this.marker_.get('labelColor'),
+      fontSize: '12px',
+      fontWeight: 'bold'
+    };
+  };
+
+
   /**
    * @private
    * @method createAnchorPoint_
@@ -164,6 +199,15 @@ define([
   };
 
 
+  /**
+   * @private
+   * @method updateLabel_
+   */
+  MarkerStrategy.prototype.updateLabel_ = function() {
+    this.getView().setLabel(this.createLabel_());
+  };
+
+
   /**
    * @method updateIcon_
    * @private
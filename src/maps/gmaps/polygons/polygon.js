@@ -0,0 +1,128 @@
+define([
+  'aeris/util',
+  'aeris/maps/strategy/abstractstrategy',
+  'aeris/util/gmaps',
+  'googlemaps!'
+], function(_, AbstractStrategy, mapUtil, gmaps) {
+  /**
+   * Strategy for rendering a Polygon using the
+   * Google Maps API.
+   *
+   * @class aeris.maps.gmaps.polygons.Polygon
+   * @extends aeris.maps.gmaps.AbstractStrategy
+   *
+   * @constructor
+   * @override
+  */
+  var PolygonStrategy = function(object) {
+    AbstractStrategy.apply(this, arguments);
+
+    this.bindViewEvents_();
+
+
+    // Bind view to object
+    this.listenTo(this.object_, {
+      'change:paths': this.updatePaths,
+      'change:strokeColor change:strokeWeight change:strokeOpacity': this.updateViewStyle,
+      'change:fillColor change:fillOpacity': this.updateViewStyle
+    });
+  };
+  _.inherits(PolygonStrategy, AbstractStrategy);
+
+
+  /**
+   * @override
+   *
+   * @return {google.maps.Polygon}
+   * @method createView_
+   */
+  PolygonStrategy.prototype.createView_ = function() {
+    return new gmaps.Polygon(_.extend({
+      paths: this.getGooglePaths_()
+    }, this.getStyles_()));
+  };
+
+
+  /**
+   * @method setMap
+   */
+  PolygonStrategy.prototype.setMap = function(aerisMap) {
+    AbstractStrategy.prototype.setMap.apply(this, arguments);
+
+    this.getView().setMap(this.mapView_);
+  };
+
+
+  /**
+   * @method beforeRemove_
+   */
+  PolygonStrategy.prototype.beforeRemove_ = function() {
+    this.getView().setMap(null);
+  };
+
+
+  /**
+   * Update the view's paths
+   * to match the MapObject
+   * @method updatePaths
+   */
+  PolygonStrategy.prototype.updatePaths = function() {
+    this.getView().setPaths(this.getGooglePaths_());
+  };
+
+
+  /**
+   * Update the view's styles
+   * to match the MapObject
+   * @method updateViewStyle
+   */
+  PolygonStrategy.prototype.updateViewStyle = function() {
+    this.getView().setOptions(this.getStyles_());
+  };
+
+
+  /**
+   * @private
+   * @method getGooglePaths_
+   * @return {Array.<Array.<google.maps.LatLng>>}
+   */
+  PolygonStrategy.prototype.getGooglePaths_ = function() {
+    return _.map(this.object_.get('paths'), mapUtil.pathToLatLng, mapUtil);
+  };
+
+
+  /**
+   * @private
+   * @method getStyles_
+   * @return {Object} google.maps.PolygonOptions styles.
+   */
+  PolygonStrategy.prototype.getStyles_ = function() {
+    return this.object_.pick([
+      'strokeColor',
+      'strokeWeight',
+      'strokeOpacity',
+      'fillColor',
+      'fillOpacity'
+    ]);
+  };
+
+
+  /**
+   * Bind events to the map view.
+   *
+   * @private
+   * @method bindViewEvents_
+   */
+  PolygonStrategy.prototype.bindViewEvents_ = function() {
+    this.googleEvents_.listenTo(this.getView(), {
+      // Proxy click event to MapObject
+      click: function(evt) {
+        var latLon = mapUtil.latLngToArray(evt.latLng);
+        this.object_.trigger('click', latLon, this.object_);
+      }
+    }, this);
+  };
+
+
+  return PolygonStrategy;
+});
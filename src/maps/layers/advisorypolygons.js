@@ -0,0 +1,130 @@
+define([
+  'aeris/util',
+  'aeris/maps/layers/geojson',
+  'aeris/api/collections/advisories'
+], function(_, GeoJson, Advisories) {
+  /**
+   * Renders advisory areas as interactive polygons,
+   * styled by advisory color.
+   *
+   * Polygons are rendered from an {aeris.api.collections.Advisories}
+   * collection, which requests advisory geometry from the Aeris API
+   * using the 'geo' filter. The layer is re-rendered whenever
+   * advisories are added to, removed from, or changed within the collection,
+   * so it stays current with an auto-updating collection.
+   *
+   * Click and hover events receive the {aeris.api.models.Advisory}
+   * for the polygon.
+   *
+   * Example:
+   *
+   *  var advisories = new aeris.api.collections.Advisories(null, {
+   *    action: 'within',
+   *    params: {
+   *      p: '45,-125,49,-115',
+   *      filter: ['geo', 'warning']
+   *    }
+   *  });
+   *  var layer = new aeris.maps.layers.AdvisoryPolygons(null, {
+   *    data: advisories
+   *  });
+   *
+   *  layer.on('click', function(latLon, layer, advisory) {
+   *    alert(advisory.get('details').name);
+   *  });
+   *
+   *  layer.setMap(map);
+   *  advisories.fetch();
+   *
+   * @constructor
+   * @publicApi
+   * @class aeris.maps.layers.AdvisoryPolygons
+   * @extends aeris.maps.layers.GeoJson
+   *
+   * @param {Object=} opt_attrs
+   * @param {Object=} opt_options
+   * @param {aeris.api.collections.Advisories=} opt_options.data
+   *        Advisories to render. Custom collections should
+   *        include the 'geo' filter, to request advisory geometry.
+   * @param {Object|function(Object):Object=} opt_options.style
+   *        Polygon style, or a function which receives GeoJSON
+   *        feature properties (see {aeris.api.models.Advisory#toGeoJson})
+   *        and returns a style. Defaults to {aeris.maps.layers.AdvisoryPolygons#getAdvisoryStyle}.
+   */
+  var AdvisoryPolygons = function(opt_attrs, opt_options) {
+    var options = _.defaults(opt_options || {}, {
+      data: new Advisories(null, {
+        params: {
+          filter: ['geo']
+        }
+      }),
+      style: this.getAdvisoryStyle
+    });
+
+    GeoJson.call(this, opt_attrs, options);
+
+
+    /**
+     * An advisory polygon was clicked.
+     *
+     * @event click
+     * @param {aeris.maps.LatLon} latLon
+     * @param {aeris.maps.layers.AdvisoryPolygons} layer
+     * @param {aeris.api.models.Advisory} advisory
+     */
+    /**
+     * The mouse entered an advisory polygon.
+     *
+     * @event mouseover
+     * @param {aeris.maps.LatLon} latLon
+     * @param {aeris.maps.layers.AdvisoryPolygons} layer
+     * @param {aeris.api.models.Advisory} advisory
+     */
+    /**
+     * The mouse left an advisory polygon.
+     *
+     * @event mouseout
+     * @param {aeris.maps.LatLon} latLon
+     * @param {aeris.maps.layers.AdvisoryPolygons} layer
+     * @param {aeris.api.models.Advisory} advisory
+     */
+  };
+  _.inherits(AdvisoryPolygons, GeoJson);
+
+
+  /**
+   * Default polygon style, using the advisory color.
+   *
+   * @method getAdvisoryStyle
+   * @param {Object} properties GeoJSON feature properties.
+   * @return {Object}
+   */
+  AdvisoryPolygons.prototype.getAdvisoryStyle = function(properties) {
+    return {
+      color: properties.color,
+      weight: 1,
+      opacity: 0.8,
+      fillColor: properties.color,
+      fillOpacity: 0.4,
+      hover: {
+        weight: 3,
+        opacity: 1,
+        fillOpacity: 0.6
+      }
+    };
+  };
+
+
+  /**
+   * @override
+   * @method getFeatureData
+   * @param {Object} properties
+   * @return {aeris.api.models.Advisory}
+   */
+  AdvisoryPolygons.prototype.getFeatureData = function(properties) {
+    return this.data_.get(properties.id);
+  };
+
+
+  return _.expose(AdvisoryPolygons, 'aeris.maps.layers.AdvisoryPolygons');
+});
@@ -4,13 +4,23 @@ define([
   'aeris/promise',
   'aeris/errors/validationerror',
   'aeris/errors/missingapikeyerror',
-  'aeris/errors/timeouterror',
   'aeris/errors/unsupportedfeatureerror',
   'aeris/maps/layers/abstracttile',
-  'aeris/jsonp',
+  'aeris/api/transports/jsonptransport',
+  'aeris/api/transports/transportresolver',
   'aeris/maps/layers/config/zindex',
   'aeris/maps/strategy/layers/aeristile'
-], function(_, aerisConfig, Promise, ValidationError, MissingApiKeyError, TimeoutError, UnsupportedFeatureError, BaseTile, JSONP, zIndexConfig, AerisTileStrategy) {
+], function(_, aerisConfig, Promise, ValidationError, MissingApiKeyError, UnsupportedFeatureError, BaseTile, JSONPTransport, TransportResolver, zIndexConfig, AerisTileStrategy) {
+  /**
+   * Resolves the configured transport,
+   * for tiles which do not define their own.
+   *
+   * @type {aeris.api.transports.TransportResolver}
+   * @private
+   */
+  var transportResolver = new TransportResolver();
+
+
   /**
    * Representation of Aeris Interactive Tile layer.
    *
@@ -22,7 +32,7 @@ define([
     var options = _.extend({
       strategy: AerisTileStrategy,
       validate: true,
-      jsonp: JSONP
+      transport: null
     }, opt_options);
 
     var attrs = _.defaults(opt_attrs || {}, {
@@ -137,11 +147,16 @@ define([
 
 
     /**
-     * @type {aeris.JSONP}
+     * Transport used to load tile times.
+     * If none is provided, the transport is resolved
+     * from {aeris.config} at the time of each request.
+     *
+     * @type {?aeris.api.transports.TransportInterface}
      * @private
-     * @property jsonp_
+     * @property transport_
      */
-    this.jsonp_ = options.jsonp;
+    this.transport_ = options.jsonp ?
+      new JSONPTransport({ jsonp: options.jsonp }) : options.transport;
 
 
     BaseTile.call(this, attrs, options);
@@ -393,39 +408,34 @@ define([
 
     this.ensureApiKeys_();
 
-    this.jsonp_.get(url, {}, function(res) {
-      var times;
+    this.getTransport_().get(url, {}, { callbackName: jsonpCallback }).
+      done(function(res) {
+        var times;
 
-      if (!res.files) {
-        promiseToLoadTimes.reject(new Error('Failed to load tile times: no time data was returned.'));
-      }
+        if (!res.files) {
+          promiseToLoadTimes.reject(new Error('Failed to load tile times: no time data was returned.'));
+          return;
+        }
 
-      times = this.parseTileTimes_(res);
+        times = this.parseTileTimes_(res);
 
-      promiseToLoadTimes.resolve(times);
-    }.bind(this), jsonpCallback);
+        promiseToLoadTimes.resolve(times);
+      }, this).
+      fail(promiseToLoadTimes.reject);
 
-    // As jsonp does not currently provide an onerror,
-    // fallback to a timeout
-    this.rejectAfterTimeout_(promiseToLoadTimes, TIMEOUT, 'Timeout while loading Aeris Interactive Tile times.');
+    promiseToLoadTimes.timeout(TIMEOUT, 'Timeout while loading Aeris Interactive Tile times.');
 
     return promiseToLoadTimes;
   };
 
 
   /**
-   * @param {aeris.Promise} promise
-   * @param {number} timeout
-   * @param {string} message
+   * @method getTransport_
    * @private
-   * @method rejectAfterTimeout_
+   * @return {aeris.api.transports.TransportInterface}
    */
-  AerisTile.prototype.rejectAfterTimeout_ = function(promise, timeout, message) {
-    _.delay(function() {
-      if (promise.getState() === 'pending') {
-        promise.reject(new TimeoutError(message));
-      }
-    }.bind(this), timeout);
+  AerisTile.prototype.getTransport_ = function() {
+    return this.transport_ || transportResolver.resolveTransport();
   };
 
 
@@ -458,14 +468,15 @@ define([
    * @param {string} endpoint Tile type endpoint.
    */
   AerisTile.prototype.createTileTimesUrlForEndpoint_ = function(endpoint) {
-    var urlPattern = '{server}/{client_id}_{client_secret}/{tileType}.jsonp';
+    var urlPattern = '{server}/{client_id}_{client_secret}/{tileType}.{format}';
     var server = this.get('server').replace('{d}', '');
 
     return urlPattern.
       replace('{server}', server).
       replace('{client_id}', this.get('apiId')).
       replace('{client_secret}', this.get('apiSecret')).
-      replace('{tileType}', endpoint);
+      replace('{tileType}', endpoint).
+      replace('{format}', this.getTransport_().getFormat());
   };
 
 
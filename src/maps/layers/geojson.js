@@ -44,5 +44,17 @@ define([
     return this.data_.toGeoJson();
   };
 
+  /**
+   * Returns the data passed to event handlers
+   * for a feature's click and hover events.
+   *
+   * @method getFeatureData
+   * @param {Object} properties GeoJSON feature properties.
+   * @return {*} The feature properties, by default.
+   */
+  GeoJson.prototype.getFeatureData = function(properties) {
+    return properties;
+  };
+
   return _.expose(GeoJson, 'aeris.maps.layers.GeoJson');
 });
@@ -18,8 +18,9 @@ define([
   _.inherits(GeoJson, AbstractStrategy);
 
   GeoJson.prototype.createView_ = function() {
-    var EventTrigger = function(eventType, data) {
+    var EventTrigger = function(eventType, properties) {
       return function(evt) {
+        var data = this.object_.getFeatureData(properties);
         this.object_.trigger(eventType, MapUtil.toAerisLatLon(evt.latlng), this.object_, data);
       };
     };
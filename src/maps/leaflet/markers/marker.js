@@ -62,6 +62,10 @@ define([
    * @return {L.Icon}
    */
   MarkerStrategy.prototype.createIcon_ = function() {
+    if (this.object_.get('label')) {
+      return this.createLabelIcon_();
+    }
+
     return new Leaflet.Icon({
       iconUrl: this.getMarkerUrl_(),
       iconAnchor: this.createOffsetPoint_()
@@ -69,6 +73,41 @@ define([
   };
 
 
+  /**
+   * Creates an icon containing the marker's label text,
+   * below the marker's icon image.
+   *
+   * Markers without an icon url render only the label,
+   * centered on the marker's position.
+   *
+   * @method createLabelIcon_
+   * @private
+   * @return {L.DivIcon}
+   */
+  MarkerStrategy.prototype.createLabelIcon_ = function() {
+    var url = this.getMarkerUrl_();
+    var labelStyle = 'color: ' + this.object_.get('labelColor') + '; ' +
+      'font-size: 12px; font-weight: bold; white-space: nowrap;';
+    var html;
+
+    if (!url) {
+      labelStyle += ' position: absolute; transform: translate(-50%, -50%);';
+    }
+
+    html = (url ? '<img src="' + _.escape(url) + '" /><br />' : '') +
+      '<span class="aeris-marker-label" style="' + labelStyle + '">' +
+      _.escape(this.object_.get('label')) +
+      '</span>';
+
+    return new Leaflet.DivIcon({
+      html: html,
+      className: 'aeris-marker-label-icon',
+      iconSize: null,
+      iconAnchor: url ? this.createOffsetPoint_() : Leaflet.point(0, 0)
+    });
+  };
+
+
   /**
    * Create a Leafet Point object corresponding
    * to the marker's current offset attributes.
@@ -109,7 +148,9 @@ define([
       'change:selectedUrl',
       'change:selectedOffsetX',
       'change:selectedOffsetY',
-      'change:selected'
+      'change:selected',
+      'change:label',
+      'change:labelColor'
     ];
     var objectEvents = {
       'change:position': function() {
@@ -0,0 +1,5 @@
+define([
+  'aeris/maps/unsupportedstrategy'
+], function(UnsupportedStrategy) {
+  return UnsupportedStrategy;
+});
@@ -0,0 +1,244 @@
+define([
+  'aeris/util',
+  'aeris/maps/markercollections/pointdatamarkers',
+  'aeris/api/collections/observations',
+  'aeris/maps/markers/observationmarker'
+], function(_, PointDataMarkers, Observations, ObservationMarker) {
+  /**
+   * Current observations, rendered as text labels
+   * (see {aeris.maps.markers.ObservationMarker}).
+   *
+   * When set on a map, observations are fetched
+   * for the map bounds, and re-fetched as the map moves.
+   *
+   * Labels which would overlap are hidden,
+   * so that labels remain legible at low zoom levels.
+   *
+   * Example:
+   *
+   *  var observationMarkers = new aeris.maps.markercollections.ObservationMarkers(null, {
+   *    field: 'wind'
+   *  });
+   *
+   *  observationMarkers.setMap(map);
+   *
+   * @publicApi
+   * @class aeris.maps.markercollections.ObservationMarkers
+   * @extends aeris.maps.markercollections.PointDataMarkers
+   *
+   * @constructor
+   * @override
+   *
+   * @param {Array.<aeris.maps.markers.ObservationMarker>=} opt_markers
+   * @param {Object=} opt_options
+   * @param {string|Object=} opt_options.field
+   *        Observation field to display. See {aeris.maps.markers.ObservationMarker}.
+   *        Defaults to 'temperature'.
+   * @param {Boolean=} opt_options.fetchByBounds
+   *        Whether to fetch observations for the map bounds,
+   *        when the map is set or moved. Default is true.
+   * @param {number=} opt_options.labelSpacing
+   *        Minimum distance between labels, in pixels.
+   *        Labels closer than this are hidden. Set to 0 to show all labels.
+   *        Default is 48.
+   */
+  var ObservationMarkers = function(opt_markers, opt_options) {
+    var options = _.extend({
+      data: new Observations(null, {
+        action: 'within',
+        params: {
+          limit: 250
+        }
+      }),
+      model: ObservationMarker,
+      cluster: false,
+      field: 'temperature',
+      fetchByBounds: true,
+      labelSpacing: 48
+    }, opt_options);
+
+    options.modelOptions = _.extend({}, options.modelOptions, {
+      field: options.field
+    });
+
+
+    /**
+     * @property fetchByBounds_
+     * @private
+     * @type {Boolean}
+     */
+    this.fetchByBounds_ = options.fetchByBounds;
+
+
+    /**
+     * Minimum distance between labels, in pixels.
+     *
+     * @property labelSpacing_
+     * @private
+     * @type {number}
+     */
+    this.labelSpacing_ = options.labelSpacing;
+
+
+    /**
+     * Fetches observations for the map bounds.
+     *
+     * Throttled, because the map bounds change
+     * continuously while the map is being dragged.
+     *
+     * @property fetchForMapBoundsThrottled_
+     * @private
+     * @type {Function}
+     */
+    this.fetchForMapBoundsThrottled_ = _.throttle(this.fetchForMapBounds_.bind(this), 500);
+
+
+    PointDataMarkers.call(this, opt_markers, options);
+
+    this.listenTo(this, {
+      // Throttle, because otherwise labels are thinned 250 times
+      // when 250 observations are fetched.
+      'add remove reset': _.throttle(this.thinLabels_.bind(this), 100)
+    });
+  };
+  _.inherits(ObservationMarkers, PointDataMarkers);
+
+
+  /**
+   * @override
+   * @method setMap
+   */
+  ObservationMarkers.prototype.setMap = function(map, opt_options) {
+    var previousMap = this.getMap();
+
+    PointDataMarkers.prototype.setMap.apply(this, arguments);
+
+    if (map === previousMap) {
+      return;
+    }
+
+    if (previousMap) {
+      this.stopListening(previousMap);
+    }
+
+    if (map) {
+      this.listenTo(map, {
+        'change:bounds': this.fetchForMapBoundsThrottled_,
+        'change:zoom': this.thinLabels_
+      });
+
+      this.fetchForMapBounds_();
+    }
+
+    this.thinLabels_();
+  };
+
+
+  /**
+   * Set the observation field to display.
+   *
+   * @method setField
+   * @param {string|Object} field See {aeris.maps.markers.ObservationMarker}.
+   * @throws {aeris.errors.InvalidArgumentError} If the field is invalid.
+   */
+  ObservationMarkers.prototype.setField = function(field) {
+    this.invoke('setField', field);
+    this.modelOptions_.field = field;
+
+    // Observations may not include the new field,
+    // which changes which labels are displayed.
+    this.thinLabels_();
+  };
+
+
+  /**
+   * Observation markers do not support clustering.
+   *
+   * @override
+   * @method startClustering
+   * @throws {Error}
+   */
+  ObservationMarkers.prototype.startClustering = function() {
+    throw new Error('ObservationMarkers do not support clustering');
+  };
+
+
+  /**
+   * @method fetchForMapBounds_
+   * @private
+   */
+  ObservationMarkers.prototype.fetchForMapBounds_ = function() {
+    var bounds = this.getMap() && this.getMap().getBounds();
+
+    if (!this.fetchByBounds_ || !bounds) {
+      return;
+    }
+
+    this.setBounds(bounds);
+    this.fetchData();
+  };
+
+
+  /**
+   * Hides labels which overlap a previously
+   * displayed label.
+   *
+   * The map is divided into a grid of cells, sized
+   * by the label spacing at the current zoom level,
+   * and only one label is displayed in each cell.
+   * Markers without a label do not hide other labels.
+   *
+   * @method thinLabels_
+   * @private
+   */
+  ObservationMarkers.prototype.thinLabels_ = function() {
+    var map = this.getMap();
+    var cellSize, occupiedCells = {};
+
+    if (!map) {
+      return;
+    }
+
+    cellSize = this.getCellSize_(map.getZoom());
+
+    this.each(function(marker) {
+      var position = marker.getPosition();
+      var cell = [
+        Math.floor(position[0] / cellSize),
+        Math.floor(position[1] / cellSize)
+      ].join(',');
+      var isHidden = !!cellSize && !!marker.getLabel() && !!occupiedCells[cell];
+
+      if (marker.getLabel()) {
+        occupiedCells[cell] = true;
+      }
+
+      marker.setMap(isHidden ? null : map);
+    });
+  };
+
+
+  /**
+   * @method getCellSize_
+   * @private
+   * @param {number} zoom
+   * @return {number} Size of a label grid cell, in degrees.
+   *                  Zero, if labels should not be thinned.
+   */
+  ObservationMarkers.prototype.getCellSize_ = function(zoom) {
+    var worldSize;
+
+    if (!this.labelSpacing_ || !_.isNumber(zoom)) {
+      return 0;
+    }
+
+    // The world is 256 pixels wide at zoom level 0,
+    // and doubles in width at each zoom level.
+    worldSize = 256 * Math.pow(2, zoom);
+
+    return this.labelSpacing_ * 360 / worldSize;
+  };
+
+
+  return _.expose(ObservationMarkers, 'aeris.maps.markercollections.ObservationMarkers');
+});
@@ -0,0 +1,28 @@
+define([
+  'aeris/util',
+  'aeris/maps/markercollections/pointdatamarkers',
+  'aeris/api/collections/rivers',
+  'aeris/maps/markers/rivergaugemarker',
+  'aeris/maps/markercollections/config/clusterstyles'
+], function(_, PointDataMarkers, Rivers, RiverGaugeMarker, clusterStyles) {
+  /**
+   * @publicApi
+   * @class aeris.maps.markercollections.RiverGaugeMarkers
+   * @extends aeris.maps.markercollections.PointDataMarkers
+   *
+   * @constructor
+   */
+  var RiverGaugeMarkers = function(opt_markers, opt_options) {
+    var options = _.extend({
+      data: new Rivers(),
+      model: RiverGaugeMarker,
+      clusterStyles: clusterStyles.riverGauge
+    }, opt_options);
+
+    PointDataMarkers.call(this, opt_markers, options);
+  };
+  _.inherits(RiverGaugeMarkers, PointDataMarkers);
+
+
+  return _.expose(RiverGaugeMarkers, 'aeris.maps.markercollections.RiverGaugeMarkers');
+});
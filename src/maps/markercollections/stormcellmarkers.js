@@ -2,8 +2,9 @@ define([
   'aeris/util',
   'aeris/maps/markercollections/pointdatamarkers',
   'aeris/maps/markers/stormcellmarker',
-  'aeris/api/collections/geojsonfeaturecollection'
-], function(_, PointDataMarkers, StormCellMarker, GeoJsonFeatureCollection) {
+  'aeris/api/collections/geojsonfeaturecollection',
+  'aeris/api/sortdirection'
+], function(_, PointDataMarkers, StormCellMarker, GeoJsonFeatureCollection, SortDirection) {
   /** @class StormCellMarkers */
   var StormCellMarkers = function(opt_models, opt_options) {
     var options = _.defaults(opt_options || {}, {
@@ -20,7 +21,11 @@ define([
             'forecast',
             'traits'
           ],
-          sort: 'tor:-1,mda:-1,hail:-1'
+          sort: [
+            { property: 'tor', direction: SortDirection.DESC },
+            { property: 'mda', direction: SortDirection.DESC },
+            { property: 'hail', direction: SortDirection.DESC }
+          ]
         }
       }),
       model: StormCellMarker,
@@ -0,0 +1,50 @@
+define([
+  'aeris/util',
+  'aeris/maps/markercollections/pointdatamarkers',
+  'aeris/maps/markers/tropicalcyclonemarker',
+  'aeris/api/collections/tropicalcyclones'
+], function(_, PointDataMarkers, TropicalCycloneMarker, TropicalCyclones) {
+  /**
+   * A collection of {aeris.maps.markers.TropicalCycloneMarker} map objects,
+   * bound to active tropical cyclones from the Aeris API.
+   *
+   * Example:
+   *
+   *  var tropicalCyclones = new aeris.maps.markercollections.TropicalCycloneMarkers();
+   *
+   *  tropicalCyclones.setMap(map);
+   *  tropicalCyclones.fetchData();
+   *
+   * @publicApi
+   * @class aeris.maps.markercollections.TropicalCycloneMarkers
+   * @extends aeris.maps.markercollections.PointDataMarkers
+   *
+   * @constructor
+   * @override
+   */
+  var TropicalCycloneMarkers = function(opt_models, opt_options) {
+    var options = _.defaults(opt_options || {}, {
+      data: new TropicalCyclones(),
+      model: TropicalCycloneMarker,
+      // TropicalCycloneMarkers do not support clustering
+      clusterStrategy: null,
+      cluster: false
+    });
+
+
+    PointDataMarkers.call(this, opt_models, options);
+  };
+  _.inherits(TropicalCycloneMarkers, PointDataMarkers);
+
+
+  /**
+   * @method startClustering
+   * @throws {Error} TropicalCycloneMarkers do not support clustering.
+   */
+  TropicalCycloneMarkers.prototype.startClustering = function() {
+    throw new Error('TropicalCycloneMarkers do not support clustering');
+  };
+
+
+  return _.expose(TropicalCycloneMarkers, 'aeris.maps.markercollections.TropicalCycloneMarkers');
+});
@@ -37,6 +37,22 @@ define([
 
   }
 
+  // Icons drawn as colored circles,
+  // for marker types without image assets.
+  function circleStyles(color) {
+    var svg = '<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16">' +
+      '<circle cx="8" cy="8" r="6" fill="' + color + '" stroke="#000" stroke-width="1.5"/>' +
+      '</svg>';
+
+    return {
+      url: 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(svg),
+      offsetX: 8,
+      offsetY: 8,
+      width: 16,
+      height: 16
+    };
+  }
+
   return {
     stormReport: {
       avalanche: _.defaults({
@@ -186,6 +202,30 @@ define([
         height: 38,
         anchorText: [-19, 16]
       }
+    },
+    // by storm category
+    tropicalCyclone: {
+      // Tropical/subtropical depression
+      TD: circleStyles('#5ebaff'),
+      SD: circleStyles('#5ebaff'),
+      // Tropical/subtropical storm
+      TS: circleStyles('#00faf4'),
+      SS: circleStyles('#00faf4'),
+      // Hurricane, by Saffir-Simpson category
+      H1: circleStyles('#ffffcc'),
+      H2: circleStyles('#ffe775'),
+      H3: circleStyles('#ffc140'),
+      H4: circleStyles('#ff8f20'),
+      H5: circleStyles('#ff6060'),
+      defaultStyles: circleStyles('#c0c0c0')
+    },
+    // by flood category, using NWS hydrograph colors
+    riverGauge: {
+      none: circleStyles('#00ff00'),
+      action: circleStyles('#ffff00'),
+      minor: circleStyles('#ff9900'),
+      moderate: circleStyles('#ff0000'),
+      major: circleStyles('#cc33ff')
     }
   };
 });
@@ -0,0 +1,95 @@
+define(
+  /**
+   * Observation fields which may be displayed
+   * as {aeris.maps.markers.ObservationMarker} labels, by name.
+   *
+   * Each field defines:
+   *  - path: Path to the observation data attribute.
+   *          For fields with a quantity, the path does not include
+   *          a unit suffix (eg. 'ob.temp', for 'ob.tempF' and 'ob.tempC')
+   *  - quantity: See {aeris.api.config.units}. Optional.
+   *  - suffix: Appended to the label of fields without a quantity. Optional.
+   *  - directionPath: Path to a direction to include in the label. Optional.
+   *  - colorUnit: Unit of the color thresholds, for fields with a quantity.
+   *  - colors: Label colors, as [threshold, color] pairs, in ascending order.
+   *            A label uses the color of the highest threshold
+   *            which does not exceed its value.
+   *
+   * @class aeris.maps.markers.config.observationFields
+   * @static
+   */
+  {
+    temperature: {
+      path: 'ob.temp',
+      quantity: 'temperature',
+      colorUnit: 'F',
+      colors: [
+        [-20, '#cc99ff'],
+        [0, '#9966ff'],
+        [20, '#3366ff'],
+        [32, '#0099cc'],
+        [50, '#33aa33'],
+        [70, '#e6b800'],
+        [80, '#ff9900'],
+        [90, '#ff3300'],
+        [100, '#cc0000']
+      ]
+    },
+
+    dewpoint: {
+      path: 'ob.dewpoint',
+      quantity: 'temperature',
+      colorUnit: 'F',
+      colors: [
+        [0, '#996633'],
+        [30, '#cc9966'],
+        [50, '#66cc66'],
+        [60, '#33aa33'],
+        [70, '#007700']
+      ]
+    },
+
+    feelslike: {
+      path: 'ob.feelslike',
+      quantity: 'temperature',
+      colorUnit: 'F',
+      colors: [
+        [-20, '#cc99ff'],
+        [0, '#9966ff'],
+        [20, '#3366ff'],
+        [32, '#0099cc'],
+        [50, '#33aa33'],
+        [70, '#e6b800'],
+        [80, '#ff9900'],
+        [90, '#ff3300'],
+        [100, '#cc0000']
+      ]
+    },
+
+    wind: {
+      path: 'ob.windSpeed',
+      quantity: 'speed',
+      directionPath: 'ob.windDir',
+      colorUnit: 'MPH',
+      colors: [
+        [0, '#3366ff'],
+        [10, '#33aa33'],
+        [20, '#e6b800'],
+        [30, '#ff9900'],
+        [40, '#ff3300'],
+        [58, '#cc00cc']
+      ]
+    },
+
+    humidity: {
+      path: 'ob.humidity',
+      suffix: '%',
+      colors: [
+        [0, '#cc9966'],
+        [30, '#999999'],
+        [60, '#33aa33'],
+        [80, '#3399ff']
+      ]
+    }
+  }
+);
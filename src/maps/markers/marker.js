@@ -81,9 +81,11 @@ define([
    * @param {aeris.maps.LatLon} opt_attrs.position The lat/lon position to set the Marker.
    * @param {Boolean=} opt_attrs.clickable Whether the user can click the marker. Default is true.
    * @param {Boolean=} opt_attrs.draggable Whether the user can drag the marker. Default is true.
-   * @param {string=} opt_attrs.url URL to the icon.
+   * @param {string=} opt_attrs.url URL to the icon. Markers without an icon url are rendered as text labels.
    * @param {number=} opt_attrs.width Width of the icon, in pixels.
    * @param {number=} opt_attrs.height Height of the icon, in pixels.
+   * @param {string=} opt_attrs.label Text to display on the map, at the marker's position.
+   * @param {string=} opt_attrs.labelColor Color of the label text.
    *
    * @param {Object=} opt_options
    * @param {aeris.maps.AbstractStrategy} opt_options.strategy
@@ -151,7 +153,26 @@ define([
        * @type {string}
        * @default ''
        */
-      title: ''
+      title: '',
+
+      /**
+       * Text displayed on the map,
+       * at the marker's position.
+       *
+       * @attribute label
+       * @type {string}
+       * @default ''
+       */
+      label: '',
+
+      /**
+       * Color of the label text.
+       *
+       * @attribute labelColor
+       * @type {string}
+       * @default '#000000'
+       */
+      labelColor: '#000000'
     });
 
     // Default selected styles to base styles
@@ -182,6 +203,9 @@ define([
     if (!_.isString(attrs.title)) {
       return new ValidationError(attrs.title + ' is not a valid marker title.');
     }
+    if (!_.isString(attrs.label)) {
+      return new ValidationError(attrs.label + ' is not a valid marker label.');
+    }
   };
 
 
@@ -239,6 +263,23 @@ define([
   };
 
 
+  /**
+   * @method setLabel
+   * @param {string} label
+   */
+  Marker.prototype.setLabel = function(label) {
+    this.set('label', label, { validate: true });
+  };
+
+  /**
+   * @method getLabel
+   * @return {string}
+   */
+  Marker.prototype.getLabel = function() {
+    return this.get('label');
+  };
+
+
   /**
    * This method method may be overriden to return
    * an arbitrary "type" category for the marker.
@@ -0,0 +1,216 @@
+define([
+  'aeris/util',
+  'aeris/api/units',
+  'aeris/maps/markers/pointdatamarker',
+  'aeris/maps/markers/config/observationfields',
+  'aeris/errors/invalidargumenterror'
+], function(_, units, PointDataMarker, observationFields, InvalidArgumentError) {
+  /**
+   * A marker for a {aeris.api.models.Observation},
+   * rendered as a text label showing an observed value.
+   *
+   * Labels are colored by value.
+   *
+   * Example:
+   *
+   *  var marker = new aeris.maps.markers.ObservationMarker(null, {
+   *    data: observation,
+   *    field: 'dewpoint'
+   *  });
+   *
+   *  marker.getLabel();       // '52°F'
+   *
+   * @publicApi
+   * @class aeris.maps.markers.ObservationMarker
+   * @extends aeris.maps.markers.PointDataMarker
+   *
+   * @constructor
+   * @override
+   *
+   * @param {Object=} opt_attrs
+   * @param {Object=} opt_options
+   * @param {string|Object=} opt_options.field
+   *        Observation field to display. May be the name of a field defined in
+   *        {aeris.maps.markers.config.observationFields} (eg. 'temperature', 'wind'),
+   *        the path to an observation attribute (eg. 'ob.pressureMB'),
+   *        or a field configuration object.
+   *        Defaults to 'temperature'.
+   *
+   * @throws {aeris.errors.InvalidArgumentError} If the field is invalid.
+   */
+  var ObservationMarker = function(opt_attrs, opt_options) {
+    var attrs = _.extend({
+      url: '',
+      offsetX: 0,
+      offsetY: 0
+    }, opt_attrs);
+    var options = _.defaults(opt_options || {}, {
+      field: 'temperature'
+    });
+
+    options.attributeTransforms = _.defaults(options.attributeTransforms || {}, {
+      label: this.lookupLabel_,
+      labelColor: this.lookupLabelColor_
+    });
+
+
+    /**
+     * Configuration of the displayed
+     * observation field.
+     *
+     * @property field_
+     * @private
+     * @type {Object}
+     */
+    this.field_ = this.resolveField_(options.field);
+
+
+    PointDataMarker.call(this, attrs, options);
+  };
+  _.inherits(ObservationMarker, PointDataMarker);
+
+
+  /**
+   * Set the observation field to display.
+   *
+   * @method setField
+   * @param {string|Object} field See the `field` constructor option.
+   * @throws {aeris.errors.InvalidArgumentError} If the field is invalid.
+   */
+  ObservationMarker.prototype.setField = function(field) {
+    this.field_ = this.resolveField_(field);
+
+    this.syncToModel();
+  };
+
+
+  /**
+   * @override
+   * @method lookupTitle_
+   * @protected
+   */
+  ObservationMarker.prototype.lookupTitle_ = function() {
+    var name = this.getDataAttribute('place.name');
+    var label = this.lookupLabel_();
+
+    if (!name) {
+      return this.get('title');
+    }
+
+    return name + (label ? ': ' + label : '');
+  };
+
+
+  /**
+   * @method lookupLabel_
+   * @protected
+   * @return {string} An empty string, if the observation does not include the field.
+   */
+  ObservationMarker.prototype.lookupLabel_ = function() {
+    var field = this.field_;
+    var direction = field.directionPath ? this.getDataAttribute(field.directionPath) : null;
+    var value, label;
+
+    if (field.quantity) {
+      label = units.format(this.getMeasurement_());
+    }
+    else {
+      value = this.getDataAttribute(field.path);
+      label = _.isUndefined(value) || _.isNull(value) ? '' : String(value) + (field.suffix || '');
+    }
+
+    if (label && direction) {
+      label += ' ' + direction;
+    }
+
+    return label;
+  };
+
+
+  /**
+   * @method lookupLabelColor_
+   * @protected
+   * @return {string}
+   */
+  ObservationMarker.prototype.lookupLabelColor_ = function() {
+    var colors = this.field_.colors;
+    var value = this.getColorValue_();
+    var match;
+
+    if (!colors || !colors.length || !_.isNumber(value)) {
+      return this.get('labelColor');
+    }
+
+    match = _.find(colors.slice(0).reverse(), function(threshold) {
+      return value >= threshold[0];
+    });
+
+    return (match || colors[0])[1];
+  };
+
+
+  /**
+   * @method getMeasurement_
+   * @private
+   * @return {?Object} Measurement of the field (see {aeris.api.units}).
+   */
+  ObservationMarker.prototype.getMeasurement_ = function() {
+    var data = this.getData();
+
+    if (!this.field_.quantity || !_.isFunction(data.getMeasurement)) {
+      return null;
+    }
+
+    return data.getMeasurement(this.field_.path, this.field_.quantity);
+  };
+
+
+  /**
+   * Returns the field value, in the units
+   * of the field's color thresholds.
+   *
+   * @method getColorValue_
+   * @private
+   * @return {*}
+   */
+  ObservationMarker.prototype.getColorValue_ = function() {
+    var field = this.field_;
+    var measurement;
+
+    if (!field.quantity) {
+      return this.getDataAttribute(field.path);
+    }
+
+    measurement = this.getMeasurement_();
+
+    return measurement ?
+      units.convert(measurement.value, field.quantity, measurement.unit, field.colorUnit || measurement.unit) :
+      null;
+  };
+
+
+  /**
+   * @method resolveField_
+   * @private
+   * @param {string|Object} field
+   * @return {Object} Field configuration.
+   * @throws {aeris.errors.InvalidArgumentError} If the field is invalid.
+   */
+  ObservationMarker.prototype.resolveField_ = function(field) {
+    if (_.isString(field)) {
+      return observationFields[field] || {
+        path: field.indexOf('ob.') === 0 ? field : 'ob.' + field
+      };
+    }
+
+    if (!_.isObject(field) || !_.isString(field.path)) {
+      throw new InvalidArgumentError('Unable to display observation field ' + field + ': ' +
+        'fields must be a field name, an observation attribute path, or a field configuration object.');
+    }
+
+    return field;
+  };
+
+
+  return _.expose(ObservationMarker, 'aeris.maps.markers.ObservationMarker');
+});
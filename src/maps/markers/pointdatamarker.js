@@ -95,6 +95,11 @@ define([
 
 
     Marker.call(this, attrs, options);
+
+
+    // Titles may include measurements,
+    // which depend on the preferred units.
+    this.listenTo(config, 'change:units', this.syncToModel);
   };
   _.inherits(PointDataMarker, Marker);
 
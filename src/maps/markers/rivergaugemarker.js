@@ -0,0 +1,84 @@
+define([
+  'aeris/util',
+  'aeris/api/units',
+  'aeris/maps/markers/pointdatamarker',
+  'aeris/maps/markers/config/iconlookup'
+], function(_, units, PointDataMarker, iconLookup) {
+  /**
+   * A marker for a {aeris.api.models.RiverGauge},
+   * with an icon by flood category.
+   *
+   * @publicApi
+   * @class aeris.maps.markers.RiverGaugeMarker
+   * @extends aeris.maps.markers.PointDataMarker
+   * @constructor
+   */
+  var RiverGaugeMarker = function(opt_attrs, opt_options) {
+    var attrs = _.extend({
+      url: iconLookup.riverGauge.none.url,
+      offsetX: iconLookup.riverGauge.none.offsetX,
+      offsetY: iconLookup.riverGauge.none.offsetY
+    }, opt_attrs);
+
+    var options = _.extend({
+      iconLookup: iconLookup.riverGauge
+    }, opt_options);
+
+    PointDataMarker.call(this, attrs, options);
+  };
+  _.inherits(RiverGaugeMarker, PointDataMarker);
+
+
+  /**
+   * Flood category descriptions,
+   * for marker titles.
+   *
+   * @property FLOOD_CATEGORY_LABELS_
+   * @static
+   * @private
+   * @type {Object.<aeris.api.FloodCategory,string>}
+   */
+  RiverGaugeMarker.FLOOD_CATEGORY_LABELS_ = {
+    action: 'Action stage',
+    minor: 'Minor flooding',
+    moderate: 'Moderate flooding',
+    major: 'Major flooding'
+  };
+
+
+  /**
+   * Uses the flood category of the
+   * {aeris.api.models.RiverGauge} data model.
+   *
+   * @override
+   * @method lookupType_
+   * @protected
+   */
+  RiverGaugeMarker.prototype.lookupType_ = function() {
+    var data = this.getData();
+
+    return _.isFunction(data.getFloodCategory) ? data.getFloodCategory() : this.get('type');
+  };
+
+
+  /**
+   * @override
+   * @method lookupTitle_
+   * @protected
+   */
+  RiverGaugeMarker.prototype.lookupTitle_ = function() {
+    var data = this.getData();
+    var name = this.getDataAttribute('place.name');
+    var stage = _.isFunction(data.getStage) ? units.format(data.getStage()) : '';
+    var label = RiverGaugeMarker.FLOOD_CATEGORY_LABELS_[this.lookupType_()];
+
+    if (!name) {
+      return this.get('title');
+    }
+
+    return name + (stage ? ': ' + stage : '') + (label ? ' (' + label + ')' : '');
+  };
+
+
+  return _.expose(RiverGaugeMarker, 'aeris.maps.markers.RiverGaugeMarker');
+});
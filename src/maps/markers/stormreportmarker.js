@@ -1,9 +1,10 @@
 define([
   'aeris/util',
   'aeris/config',
+  'aeris/api/units',
   'aeris/maps/markers/pointdatamarker',
   'aeris/maps/markers/config/iconlookup'
-], function(_, config, PointDataMarker, iconLookup) {
+], function(_, config, units, PointDataMarker, iconLookup) {
   /**
    * @publicApi
    * @class aeris.maps.markers.StormReportMarker
@@ -25,6 +26,23 @@ define([
   _.inherits(StormReportMarker, PointDataMarker);
 
 
+  /**
+   * StormReport measurement getters,
+   * by storm type.
+   *
+   * @property MEASUREMENT_GETTERS_
+   * @static
+   * @private
+   * @type {Object.<string,string>}
+   */
+  StormReportMarker.MEASUREMENT_GETTERS_ = {
+    hail: 'getHailSize',
+    highwind: 'getWindSpeed',
+    snow: 'getSnow',
+    rain: 'getRain'
+  };
+
+
   /**
    * @override
    * @method lookupTitle_
@@ -33,6 +51,7 @@ define([
   StormReportMarker.prototype.lookupTitle_ = function() {
     var type = this.getDataAttribute('report.type');
     var name = this.getDataAttribute('report.name');
+    var measurement = units.format(this.lookupMeasurement_());
 
     if (!type || !name) {
       return this.get('title');
@@ -41,8 +60,27 @@ define([
     // Capitalize type
     type = type.charAt(0).toUpperCase() + type.slice(1);
 
-    return (type && name) ? type + ': ' + name :
-      'Storm report';
+    return type + ': ' + name + (measurement ? ' (' + measurement + ')' : '');
+  };
+
+
+  /**
+   * Lookup the reported measurement (eg. hail size),
+   * in the preferred units.
+   *
+   * @method lookupMeasurement_
+   * @private
+   * @return {?Object}
+   */
+  StormReportMarker.prototype.lookupMeasurement_ = function() {
+    var data = this.getData();
+    var getterName = _.find(_.map(data.get('stormtypes'), function(stormType) {
+      return StormReportMarker.MEASUREMENT_GETTERS_[stormType];
+    }), function(name) {
+      return name && _.isFunction(data[name]);
+    });
+
+    return getterName ? data[getterName]() : null;
   };
 
 
@@ -0,0 +1,407 @@
+define([
+  'aeris/util',
+  'aeris/maps/extensions/mapextensionobject',
+  'aeris/maps/polylines/polyline',
+  'aeris/maps/polygons/polygon',
+  'aeris/maps/markers/marker',
+  'aeris/maps/markers/config/iconlookup'
+], function(_, MapExtensionObject, Polyline, Polygon, Marker, iconLookup) {
+  /**
+   * A map object for a {aeris.api.models.TropicalCyclone}.
+   *
+   * Renders the past track and forecast track of the storm
+   * as {aeris.maps.polylines.Polyline} objects, the forecast
+   * error cone as a {aeris.maps.polygons.Polygon}, and a
+   * {aeris.maps.markers.Marker} for each storm position,
+   * styled by storm category.
+   *
+   * The TropicalCycloneMarker does not have a strategy of its own.
+   * Rendering is delegated to the strategies of its polylines, polygon
+   * and markers, so it is supported by any map strategy which
+   * supports polylines and polygons.
+   *
+   * @publicApi
+   * @class aeris.maps.markers.TropicalCycloneMarker
+   * @extends aeris.maps.extensions.MapExtensionObject
+   *
+   * @constructor
+   * @override
+   *
+   * @param {Object=} opt_attrs
+   * @param {Object=} opt_options
+   * @param {aeris.api.models.TropicalCyclone=} opt_options.data
+   * @param {Object|function(aeris.api.models.TropicalCyclone):Object=} opt_options.style
+   *        Track, forecast track and cone styles, as
+   *        `{ track: Object, forecastTrack: Object, cone: Object }`.
+   * @param {Object.<string,Object>=} opt_options.iconLookup
+   *        Position marker styles, by storm category.
+   */
+  var TropicalCycloneMarker = function(opt_attrs, opt_options) {
+    var options = _.defaults(opt_options || {}, {
+      strategy: null,
+      style: this.getStyleDefault_.bind(this),
+      iconLookup: iconLookup.tropicalCyclone
+    });
+
+    options.attributeTransforms = _.defaults(options.attributeTransforms || {}, {
+      name: this.lookupName_,
+      category: this.lookupCategory_,
+      track: this.lookupTrack_,
+      forecastTrack: this.lookupForecastTrack_,
+      cone: this.lookupCone_,
+      positions: this.lookupPositions_
+    });
+
+
+    /**
+     * Storm name.
+     *
+     * @attribute name
+     * @type {?string}
+     */
+
+    /**
+     * Current storm category.
+     *
+     * @attribute category
+     * @type {?string}
+     */
+
+    /**
+     * Past track of the storm,
+     * including the current position.
+     *
+     * @attribute track
+     * @type {aeris.maps.Path}
+     */
+
+    /**
+     * Forecast track of the storm,
+     * starting from the current position.
+     *
+     * @attribute forecastTrack
+     * @type {aeris.maps.Path}
+     */
+
+    /**
+     * Forecast error cone.
+     *
+     * @attribute cone
+     * @type {Array.<aeris.maps.Path>}
+     */
+
+    /**
+     * Past, current and forecast positions.
+     *
+     * @attribute positions
+     * @type {Array.<aeris.api.models.TropicalCyclone.Position>}
+     */
+
+
+    this.getStyle = _.isFunction(options.style) ? options.style : _.constant(options.style);
+
+
+    /**
+     * @property iconLookup_
+     * @private
+     * @type {Object.<string,Object>}
+     */
+    this.iconLookup_ = options.iconLookup;
+
+
+    /**
+     * @property positionMarkers_
+     * @private
+     * @type {Array.<aeris.maps.markers.Marker>}
+     */
+    this.positionMarkers_ = [];
+
+
+    MapExtensionObject.call(this, opt_attrs, options);
+
+
+    /**
+     * @property styles_
+     * @private
+     * @type {Object}
+     */
+    this.styles_ = this.getStyle(this.getData());
+
+
+    /**
+     * @property track_
+     * @private
+     * @type {aeris.maps.polylines.Polyline}
+     */
+    this.track_ = new Polyline(_.extend({
+      path: this.get('track')
+    }, this.styles_.track));
+
+
+    /**
+     * @property forecastTrack_
+     * @private
+     * @type {aeris.maps.polylines.Polyline}
+     */
+    this.forecastTrack_ = new Polyline(_.extend({
+      path: this.get('forecastTrack')
+    }, this.styles_.forecastTrack));
+
+
+    /**
+     * @property cone_
+     * @private
+     * @type {aeris.maps.polygons.Polygon}
+     */
+    this.cone_ = new Polygon(_.extend({
+      paths: this.get('cone')
+    }, this.styles_.cone));
+
+    this.renderPositions_();
+
+
+    /**
+     * @event click
+     * @param {aeris.maps.LatLon} latLon
+     * @param {aeris.maps.markers.TropicalCycloneMarker} tropicalCycloneMarker
+     */
+    _.each([this.track_, this.forecastTrack_, this.cone_], this.proxyClick_, this);
+
+    this.listenTo(this, {
+      'change:track': function() {
+        this.track_.setPath(this.get('track'));
+      },
+      'change:forecastTrack': function() {
+        this.forecastTrack_.setPath(this.get('forecastTrack'));
+      },
+      'change:cone': function() {
+        this.cone_.setPaths(this.get('cone'));
+      },
+      'change:positions': this.renderPositions_,
+      'map:set map:remove': function() {
+        _.invoke(this.getMapObjects_(), 'setMap', this.getMap());
+      }
+    });
+  };
+  _.inherits(TropicalCycloneMarker, MapExtensionObject);
+
+
+  /**
+   * @method destroy
+   */
+  TropicalCycloneMarker.prototype.destroy = function() {
+    MapExtensionObject.prototype.destroy.call(this);
+
+    _.invoke(this.getMapObjects_(), 'setMap', null);
+    _.invoke(this.getMapObjects_(), 'destroy');
+  };
+
+
+  /**
+   * @method getStyleDefault_
+   * @private
+   * @return {Object}
+   */
+  TropicalCycloneMarker.prototype.getStyleDefault_ = function() {
+    return {
+      track: {
+        strokeColor: '#030303',
+        strokeWeight: 2,
+        strokeOpacity: 0.8
+      },
+      forecastTrack: {
+        strokeColor: '#030303',
+        strokeWeight: 2,
+        strokeOpacity: 0.4
+      },
+      cone: {
+        strokeColor: '#030303',
+        strokeWeight: 1,
+        strokeOpacity: 0.6,
+        fillColor: '#ffffff',
+        fillOpacity: 0.3
+      }
+    };
+  };
+
+
+  /**
+   * All child map objects.
+   *
+   * @method getMapObjects_
+   * @private
+   * @return {Array.<aeris.maps.MapObjectInterface>}
+   */
+  TropicalCycloneMarker.prototype.getMapObjects_ = function() {
+    return [this.cone_, this.track_, this.forecastTrack_].concat(this.positionMarkers_);
+  };
+
+
+  /**
+   * Replace position markers to match
+   * the current storm positions.
+   *
+   * @method renderPositions_
+   * @private
+   */
+  TropicalCycloneMarker.prototype.renderPositions_ = function() {
+    _.each(this.positionMarkers_, function(marker) {
+      this.stopListening(marker);
+      marker.setMap(null);
+      marker.destroy();
+    }, this);
+
+    this.positionMarkers_ = _.map(this.get('positions'), function(position) {
+      var marker = new Marker(_.extend({
+        position: position.latLon,
+        title: this.getPositionTitle_(position),
+        clickable: true,
+        draggable: false,
+        map: this.getMap()
+      }, this.lookupIconStyle_(position.category)));
+
+      this.proxyClick_(marker);
+
+      return marker;
+    }, this);
+  };
+
+
+  /**
+   * @method lookupIconStyle_
+   * @private
+   * @param {?string} category
+   * @return {Object} Marker icon attributes.
+   */
+  TropicalCycloneMarker.prototype.lookupIconStyle_ = function(category) {
+    var style = this.iconLookup_[category] || this.iconLookup_.defaultStyles;
+
+    return _.pick(style || {}, 'url', 'width', 'height', 'offsetX', 'offsetY');
+  };
+
+
+  /**
+   * @method getPositionTitle_
+   * @private
+   * @param {aeris.api.models.TropicalCyclone.Position} position
+   * @return {string}
+   */
+  TropicalCycloneMarker.prototype.getPositionTitle_ = function(position) {
+    return _.compact([
+      this.get('name'),
+      position.category ? '(' + position.category + ')' : null
+    ]).join(' ');
+  };
+
+
+  /**
+   * Trigger click events on child objects
+   * as click events on the TropicalCycloneMarker.
+   *
+   * @method proxyClick_
+   * @private
+   * @param {aeris.maps.MapObjectInterface} mapObject
+   */
+  TropicalCycloneMarker.prototype.proxyClick_ = function(mapObject) {
+    this.listenTo(mapObject, 'click', function(latLon) {
+      this.trigger('click', latLon, this);
+    });
+  };
+
+
+  /**
+   * @method lookupName_
+   * @private
+   * @return {?string}
+   */
+  TropicalCycloneMarker.prototype.lookupName_ = function() {
+    return this.callData_('getName', null);
+  };
+
+
+  /**
+   * @method lookupCategory_
+   * @private
+   * @return {?string}
+   */
+  TropicalCycloneMarker.prototype.lookupCategory_ = function() {
+    return this.callData_('getCategory', null);
+  };
+
+
+  /**
+   * @method lookupTrack_
+   * @private
+   * @return {aeris.maps.Path}
+   */
+  TropicalCycloneMarker.prototype.lookupTrack_ = function() {
+    var current = this.callData_('getPosition', null);
+    var track = this.callData_('getPastTrack', []);
+
+    return _.pluck(track.concat(_.compact([current])), 'latLon');
+  };
+
+
+  /**
+   * @method lookupForecastTrack_
+   * @private
+   * @return {aeris.maps.Path}
+   */
+  TropicalCycloneMarker.prototype.lookupForecastTrack_ = function() {
+    var current = this.callData_('getPosition', null);
+    var forecast = this.callData_('getForecastTrack', []);
+
+    return _.pluck(_.compact([current]).concat(forecast), 'latLon');
+  };
+
+
+  /**
+   * @method lookupCone_
+   * @private
+   * @return {Array.<aeris.maps.Path>}
+   */
+  TropicalCycloneMarker.prototype.lookupCone_ = function() {
+    return this.callData_('getCone', []);
+  };
+
+
+  /**
+   * Past, current, and forecast positions,
+   * excluding duplicate locations.
+   *
+   * @method lookupPositions_
+   * @private
+   * @return {Array.<aeris.api.models.TropicalCyclone.Position>}
+   */
+  TropicalCycloneMarker.prototype.lookupPositions_ = function() {
+    var current = this.callData_('getPosition', null);
+    var positions = this.callData_('getPastTrack', []).concat(
+      _.compact([current]),
+      this.callData_('getForecastTrack', [])
+    );
+
+    return _.uniq(positions, false, function(position) {
+      return position.latLon.join(',');
+    });
+  };
+
+
+  /**
+   * Call a TropicalCyclone data model method,
+   * allowing for data models which do not implement it.
+   *
+   * @method callData_
+   * @private
+   * @param {string} methodName
+   * @param {*} defaultValue Returned if the data model does not implement the method.
+   * @return {*}
+   */
+  TropicalCycloneMarker.prototype.callData_ = function(methodName, defaultValue) {
+    var data = this.getData();
+
+    return _.isFunction(data[methodName]) ? data[methodName]() : defaultValue;
+  };
+
+
+  return _.expose(TropicalCycloneMarker, 'aeris.maps.markers.TropicalCycloneMarker');
+});
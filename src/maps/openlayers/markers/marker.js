@@ -0,0 +1,250 @@
+define([
+  'aeris/util',
+  'aeris/maps/strategy/utils',
+  'aeris/maps/abstractstrategy'
+], function(_, mapUtil, AbstractStrategy) {
+  /**
+   * Strategy for rendering a marker using OpenLayers.
+   *
+   * The marker is rendered as a point feature,
+   * styled with the marker's icon and label.
+   *
+   * All markers on a map share a single vector layer
+   * (see {aeris.maps.openlayers.markers.Marker.LAYER_NAME}),
+   * which is added to the map with its first marker,
+   * and removed from the map with its last marker.
+   *
+   * @class aeris.maps.openlayers.markers.Marker
+   * @extends aeris.maps.AbstractStrategy
+   *
+   * @constructor
+   * @param {aeris.maps.markers.Marker} marker
+   */
+  var MarkerStrategy = function(marker) {
+    /**
+     * The marker view-model which
+     * this strategy is in charge of rendering.
+     *
+     * @property marker_
+     * @type {aeris.maps.markers.Marker}
+     * @private
+     */
+    this.marker_ = marker;
+
+
+    /**
+     * The shared marker layer
+     * which the feature is rendered on.
+     *
+     * @property layer_
+     * @type {?OpenLayers.Layer.Vector}
+     * @private
+     */
+    this.layer_ = null;
+
+    AbstractStrategy.call(this, marker);
+
+    this.listenTo(this.marker_, {
+      'change:position': this.updatePosition_,
+      'change:url change:offsetX change:offsetY': this.updateStyle_,
+      'change:selectedUrl change:selectedOffsetX change:selectedOffsetY': this.updateStyle_,
+      'change:selected change:title change:label change:labelColor': this.updateStyle_
+    });
+  };
+  _.inherits(MarkerStrategy, AbstractStrategy);
+
+
+  /**
+   * Name of the vector layer
+   * shared by all markers on a map.
+   *
+   * @property LAYER_NAME
+   * @static
+   * @type {string}
+   */
+  MarkerStrategy.LAYER_NAME = 'aerisMarkers';
+
+
+  /**
+   * @method createView_
+   * @private
+   * @return {OpenLayers.Feature.Vector}
+   */
+  MarkerStrategy.prototype.createView_ = function() {
+    return new OpenLayers.Feature.Vector(
+      this.createPoint_(),
+      null,
+      this.createStyle_()
+    );
+  };
+
+
+  /**
+   * @method setMap
+   */
+  MarkerStrategy.prototype.setMap = function(aerisMap) {
+    AbstractStrategy.prototype.setMap.apply(this, arguments);
+
+    this.layer_ = this.findOrCreateLayer_(this.mapView_);
+    this.layer_.addFeatures([this.getView()]);
+
+    mapUtil.listenTo(this.layer_, {
+      featureclick: this.onFeatureClick_
+    }, this);
+  };
+
+
+  /**
+   * @method beforeRemove_
+   * @private
+   */
+  MarkerStrategy.prototype.beforeRemove_ = function() {
+    this.layer_.events.unregister('featureclick', this, this.onFeatureClick_);
+    this.layer_.removeFeatures([this.getView()]);
+
+    if (!this.layer_.features.length) {
+      this.mapView_.removeLayer(this.layer_);
+      this.layer_.destroy();
+    }
+
+    this.layer_ = null;
+  };
+
+
+  /**
+   * Returns the marker layer for the map,
+   * adding a new layer to the map if none exists.
+   *
+   * @method findOrCreateLayer_
+   * @private
+   * @param {OpenLayers.Map} mapView
+   * @return {OpenLayers.Layer.Vector}
+   */
+  MarkerStrategy.prototype.findOrCreateLayer_ = function(mapView) {
+    var layer = mapView.getLayersByName(MarkerStrategy.LAYER_NAME)[0];
+
+    if (!layer) {
+      layer = new OpenLayers.Layer.Vector(MarkerStrategy.LAYER_NAME);
+      mapView.addLayer(layer);
+    }
+
+    return layer;
+  };
+
+
+  /**
+   * @method createPoint_
+   * @private
+   * @return {OpenLayers.Geometry.Point}
+   */
+  MarkerStrategy.prototype.createPoint_ = function() {
+    var lonLat = mapUtil.arrayToLonLat(this.marker_.getPosition());
+
+    return new OpenLayers.Geometry.Point(lonLat.lon, lonLat.lat);
+  };
+
+
+  /**
+   * Creates a feature style from the marker's
+   * icon and label attributes.
+   *
+   * Markers without an icon url are rendered
+   * as text labels.
+   *
+   * @method createStyle_
+   * @private
+   * @return {Object} OpenLayers symbolizer.
+   */
+  MarkerStrategy.prototype.createStyle_ = function() {
+    var isSelected = this.marker_.isSelected();
+    var url = isSelected ? this.marker_.get('selectedUrl') : this.marker_.get('url');
+    var offsetX = isSelected ? this.marker_.get('selectedOffsetX') : this.marker_.get('offsetX');
+    var offsetY = isSelected ? this.marker_.get('selectedOffsetY') : this.marker_.get('offsetY');
+    var style = {
+      cursor: this.marker_.get('clickable') ? 'pointer' : 'default',
+      graphicTitle: this.marker_.get('title')
+    };
+
+    if (url) {
+      _.extend(style, {
+        externalGraphic: url,
+        graphicXOffset: -offsetX,
+        graphicYOffset: -offsetY
+      });
+    }
+    else {
+      style.graphic = false;
+    }
+
+    if (this.marker_.get('label')) {
+      _.extend(style, {
+        label: this.marker_.get('label'),
+        fontColor: this.marker_.get('labelColor'),
+        fontSize: '12px',
+        fontWeight: 'bold',
+        labelOutlineColor: '#ffffff',
+        labelOutlineWidth: 2,
+        // Display the label below the icon
+        labelYOffset: url ? -offsetY : 0
+      });
+    }
+
+    return style;
+  };
+
+
+  /**
+   * Triggers a click event on the marker object,
+   * when the marker's feature is clicked.
+   *
+   * The shared marker layer triggers featureclick events
+   * for every marker's feature, so events for other
+   * features are ignored.
+   *
+   * @private
+   * @method onFeatureClick_
+   * @param {Object} evt OpenLayers event object.
+   */
+  MarkerStrategy.prototype.onFeatureClick_ = function(evt) {
+    if (evt.feature !== this.getView() || !this.marker_.get('clickable')) {
+      return;
+    }
+
+    this.marker_.trigger('click', this.marker_.getPosition(), this.marker_);
+  };
+
+
+  /**
+   * @private
+   * @method updatePosition_
+   */
+  MarkerStrategy.prototype.updatePosition_ = function() {
+    var feature = this.getView();
+    var lonLat = mapUtil.arrayToLonLat(this.marker_.getPosition());
+
+    // Point#move is relative to the current position.
+    feature.geometry.move(lonLat.lon - feature.geometry.x, lonLat.lat - feature.geometry.y);
+
+    if (this.layer_) {
+      this.layer_.drawFeature(feature);
+    }
+  };
+
+
+  /**
+   * @private
+   * @method updateStyle_
+   */
+  MarkerStrategy.prototype.updateStyle_ = function() {
+    var feature = this.getView();
+
+    feature.style = this.createStyle_();
+
+    if (this.layer_) {
+      this.layer_.drawFeature(feature);
+    }
+  };
+
+
+  return MarkerStrategy;
+});
@@ -0,0 +1,174 @@
+define([
+  'aeris/util',
+  'aeris/maps/extensions/mapextensionobject',
+  'aeris/errors/validationerror',
+  'aeris/errors/invalidargumenterror',
+  'aeris/maps/strategy/polygons/polygon'
+], function(_, MapExtensionObject, ValidationError, InvalidArgumentError, PolygonStrategy) {
+  /**
+   * A polygon is a set of closed paths,
+   * rendered as a filled shape on the map.
+   *
+   * @class aeris.maps.polygons.Polygon
+   * @extends aeris.maps.MapExtensionObject
+   *
+   * @constructor
+   * @override
+   */
+  var Polygon = function(opt_attrs, opt_options) {
+    var options = _.defaults(opt_options || {}, {
+      strategy: PolygonStrategy
+    });
+
+    var attrs = _.defaults(opt_attrs || {}, {
+      /**
+       * An array of closed latLon paths.
+       *
+       * @attribute paths
+       * @type {Array.<aeris.maps.Path>}
+       */
+      paths: [],
+
+
+      /**
+       * The color of the polygon outline.
+       *
+       * @attribute strokeColor
+       * @type {string}
+       */
+      strokeColor: '#4d90fe',
+
+
+      /**
+       * The width of the polygon outline,
+       * in pixels.
+       *
+       * @attribute strokeWeight
+       * @type {number}
+       */
+      strokeWeight: 1,
+
+
+      /**
+       * The opacity of the polygon outline.
+       *
+       * @attribute strokeOpacity
+       * @type {number} Between 0 and 1.0.
+       */
+      strokeOpacity: 1,
+
+
+      /**
+       * The fill color of the polygon.
+       *
+       * @attribute fillColor
+       * @type {string}
+       */
+      fillColor: '#4d90fe',
+
+
+      /**
+       * The fill opacity of the polygon.
+       *
+       * @attribute fillOpacity
+       * @type {number} Between 0 and 1.0.
+       */
+      fillOpacity: 0.3
+    });
+
+
+    /**
+     * @event click
+     *
+     * @param {aeris.maps.LatLon} latLat Clicked coordinate.
+     * @param {aeris.maps.polygons.Polygon} polygon
+     */
+
+
+    MapExtensionObject.call(this, attrs, options);
+  };
+  _.inherits(Polygon, MapExtensionObject);
+
+
+  /**
+   * @method validate
+   */
+  Polygon.prototype.validate = function(attrs) {
+    var isValidPath = function(path) {
+      return _.isArray(path) && (!path.length || _.isArray(path[0]));
+    };
+
+    if (!_.isArray(attrs.paths) || !_.every(attrs.paths, isValidPath)) {
+      throw new ValidationError('paths', attrs.paths + ' is not a valid set of polygon paths.');
+    }
+  };
+
+
+  /**
+   * @param {Array.<aeris.maps.Path>} paths
+   * @method setPaths
+   */
+  Polygon.prototype.setPaths = function(paths) {
+    this.set('paths', paths, { validate: true });
+  };
+
+
+  /**
+   * @return {Boolean}
+   * @method hasPaths
+   */
+  Polygon.prototype.hasPaths = function() {
+    return !!this.get('paths') && !!this.get('paths').length;
+  };
+
+
+  /**
+   * Set style attributes on the polygon.
+   *
+   * @throws {aeris.errors.InvalidArgumentError}
+   *         If attempting to set attributes which are not styles.
+   *
+   * @param {Object} styles
+   * @method setStyles
+   */
+  Polygon.prototype.setStyles = function(styles) {
+    this.validateIsStylesAttrs_(styles);
+
+    this.set(styles, { validate: true });
+  };
+
+
+  /**
+   * Validate that styles object contains
+   * only style attributes.
+   *
+   * @throws {aeris.errors.InvalidArgumentError}
+   * @param {Object} styles
+   * @private
+   * @method validateIsStylesAttrs_
+   */
+  Polygon.prototype.validateIsStylesAttrs_ = function(styles) {
+    var unauthorizedStyles;
+    var authorizedAttributes = [
+      'strokeColor',
+      'strokeWeight',
+      'strokeOpacity',
+      'fillColor',
+      'fillOpacity'
+    ];
+
+    if (!_.isPlainObject(styles)) {
+      throw new InvalidArgumentError('Expected ' + styles + ' to be an attributes object');
+    }
+
+    unauthorizedStyles = _.difference(_.keys(styles), authorizedAttributes);
+
+    if (unauthorizedStyles.length) {
+      throw new InvalidArgumentError('Unable to style polygon: invalid style ' +
+        'attributes: ' + unauthorizedStyles.join(', ') + '.');
+    }
+  };
+
+
+  return _.expose(Polygon, 'aeris.maps.polygons.Polygon');
+});
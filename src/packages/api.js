@@ -1,29 +1,48 @@
 define([
+  'aeris/api/advisorywatcher',
+  'aeris/api/batchscheduler',
+  'aeris/api/floodcategory',
+  'aeris/api/forecastinterval',
+  'aeris/api/cache/responsecache',
+  'aeris/api/cache/stores/localstoragestore',
+  'aeris/api/cache/stores/memorystore',
+  'aeris/api/requestregistry',
+  'aeris/api/retrypolicy',
+  'aeris/api/sortdirection',
+  'aeris/api/units',
+
   'aeris/api/collections/advisories',
   'aeris/api/collections/earthquakes',
   'aeris/api/collections/fires',
+  'aeris/api/collections/forecastperiods',
   'aeris/api/collections/geojsonfeaturecollection',
   'aeris/api/collections/lightning',
   'aeris/api/collections/normals',
+  'aeris/api/collections/observationarchive',
   'aeris/api/collections/observations',
   'aeris/api/collections/places',
   'aeris/api/collections/records',
+  'aeris/api/collections/rivers',
   'aeris/api/collections/stormcells',
   'aeris/api/collections/stormreports',
   'aeris/api/collections/tides',
+  'aeris/api/collections/tropicalcyclones',
 
   'aeris/api/models/advisory',
   'aeris/api/models/aerisbatchmodel',
   'aeris/api/models/earthquake',
   'aeris/api/models/fire',
   'aeris/api/models/forecast',
+  'aeris/api/models/forecastperiod',
   'aeris/api/models/geojsonfeature',
   'aeris/api/models/lightning',
   'aeris/api/models/normal',
   'aeris/api/models/observation',
   'aeris/api/models/place',
   'aeris/api/models/record',
+  'aeris/api/models/rivergauge',
   'aeris/api/models/stormreport',
   'aeris/api/models/sunmoon',
-  'aeris/api/models/tide'
+  'aeris/api/models/tide',
+  'aeris/api/models/tropicalcyclone'
 ], function() {});
@@ -10,5 +10,6 @@ define([
   'aeris/maps/strategy/layers/kml',
   'aeris/maps/strategy/layers/osm',
   'aeris/maps/strategy/layers/tile',
+  'aeris/maps/strategy/polygons/polygon',
   'aeris/maps/strategy/polylines/polyline'
 ], function() {});
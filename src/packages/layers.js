@@ -6,5 +6,6 @@ define([
   'aeris/packages/layers/googlelayers',
   'aeris/maps/layers/convectivehazards',
   'aeris/maps/layers/advisorieskml',
+  'aeris/maps/layers/advisorypolygons',
   'aeris/maps/layers/geojson'
 ], function() {});
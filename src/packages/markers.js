@@ -3,6 +3,9 @@ define([
   'aeris/maps/markercollections/earthquakemarkers',
   'aeris/maps/markercollections/firemarkers',
   'aeris/maps/markercollections/lightningmarkers',
+  'aeris/maps/markercollections/observationmarkers',
+  'aeris/maps/markercollections/rivergaugemarkers',
   'aeris/maps/markercollections/stormreportmarkers',
-  'aeris/maps/markercollections/stormcellmarkers'
+  'aeris/maps/markercollections/stormcellmarkers',
+  'aeris/maps/markercollections/tropicalcyclonemarkers'
 ], function() {});
@@ -1,7 +1,8 @@
 define([
   'aeris/util',
-  'aeris/errors/invalidargumenterror'
-], function(_, InvalidArgumentError) {
+  'aeris/errors/invalidargumenterror',
+  'aeris/errors/timeouterror'
+], function(_, InvalidArgumentError, TimeoutError) {
 
 
   /**
@@ -215,6 +216,29 @@ define([
   };
 
 
+  /**
+   * Reject the promise with a {aeris.errors.TimeoutError}
+   * if it is still pending after the specified time.
+   *
+   * @method timeout
+   * @param {number} timeout Milliseconds.
+   * @param {string=} opt_message Error message.
+   * @return {aeris.Promise}
+   * @chainable
+   */
+  Promise.prototype.timeout = function(timeout, opt_message) {
+    var message = opt_message || 'Promise timed out after ' + timeout + 'ms.';
+
+    _.delay(function() {
+      if (this.getState() === 'pending') {
+        this.reject(new TimeoutError(message));
+      }
+    }.bind(this), timeout);
+
+    return this;
+  };
+
+
   /**
    * Create a master promise from a combination of promises.
    * Master promise is resolved when all component promises are resolved,
@@ -65,6 +65,21 @@ define([
      * @param {aeris.ViewCollection} viewCollection
      * @param {Object} responseData Raw API response data.
      */
+    /**
+     * The data API request has failed.
+     *
+     * @event data:error
+     * @param {aeris.ViewCollection} viewCollection
+     * @param {Error} error
+     */
+    /**
+     * The data API has responded with a warning
+     * (eg. no data was found for the request).
+     *
+     * @event data:warning
+     * @param {aeris.ViewCollection} viewCollection
+     * @param {aeris.errors.APIResponseError} warning
+     */
 
     this.bindToDataCollection_();
 
@@ -103,6 +118,12 @@ define([
       },
       sync: function(dataObj, responseData, requestOptions) {
         this.trigger('data:sync', this, responseData);
+      },
+      error: function(dataObj, error, requestOptions) {
+        this.trigger('data:error', this, error);
+      },
+      warning: function(dataObj, warning, requestOptions) {
+        this.trigger('data:warning', this, warning);
       }
     });
   };
@@ -3,8 +3,9 @@ define([
   'mocks/mockfactory',
   'aeris/model',
   'aeris/promise',
-  'aeris/errors/apiresponseerror'
-], function(_, MockFactory, Model, Promise, ApiResponseError) {
+  'aeris/errors/apiresponseerror',
+  'aeris/errors/abstracterror'
+], function(_, MockFactory, Model, Promise, ApiResponseError, AbstractError) {
   /**
    * @class MockAerisApiModel
    * @extends aeris.Model
@@ -62,7 +63,8 @@ define([
    * Rejects the promise return by apiModel#fetch
    *
    * @method andRejectWith
-   * @param {Object} obj
+   * @param {Object|aeris.errors.AbstractError} obj
+   *        Error attributes, or an error object to reject with.
    * @param {string=} obj.code
    * @param {string=} obj.message
    * @param {Object=} obj.responseObject
@@ -74,6 +76,11 @@ define([
       throw new Error('fetch has not yet been called');
     }
 
+    if (obj instanceof AbstractError) {
+      this.promise_.reject(obj);
+      return;
+    }
+
     error = new ApiResponseError();
     _.extend(error, _.defaults(obj, {
       code: 'STUB_CODE',
@@ -12,6 +12,7 @@ define(['aeris/util', 'aeris/model'], function(_, Model) {
       'setMap',
       'setPosition',
       'setTitle',
+      'setLabel',
       'setIcon'
     ];
 
@@ -115,6 +116,22 @@ define(['aeris/util', 'aeris/model'], function(_, Model) {
     return this.get('title');
   };
 
+  /**
+   * @method setLabel
+   * @param {?google.maps.MarkerLabel} label
+   */
+  MockGoogleMarker.prototype.setLabel = function(label) {
+    this.set('label', label, { validate: true });
+  };
+
+  /**
+   * @method getLabel
+   * @return {?google.maps.MarkerLabel}
+   */
+  MockGoogleMarker.prototype.getLabel = function() {
+    return this.get('label');
+  };
+
   /**
    * @method setDraggable
    * @param {Boolean} isDraggable
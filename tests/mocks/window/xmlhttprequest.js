@@ -0,0 +1,59 @@
+define(['aeris/util'], function(_) {
+  /**
+   * @class MockXMLHttpRequest
+   * @implements XMLHttpRequest
+   * @constructor
+   */
+  var MockXMLHttpRequest = function() {
+    this.status = 0;
+    this.responseText = '';
+
+    this.onload = null;
+    this.onerror = null;
+
+    spyOn(this, 'open');
+    spyOn(this, 'send');
+
+    MockXMLHttpRequest.instances.push(this);
+  };
+
+  MockXMLHttpRequest.prototype.open = function(method, url) {};
+
+  MockXMLHttpRequest.prototype.send = function() {};
+
+  MockXMLHttpRequest.prototype.getRequestedUrl = function() {
+    return this.open.mostRecentCall.args[1];
+  };
+
+  MockXMLHttpRequest.prototype.respondWith = function(status, responseText) {
+    this.status = status;
+    this.responseText = _.isString(responseText) ?
+      responseText : JSON.stringify(responseText);
+
+    this.onload();
+  };
+
+  MockXMLHttpRequest.prototype.fail = function() {
+    this.onerror();
+  };
+
+
+  /**
+   * All requests created since the last reset.
+   *
+   * @static
+   * @type {Array.<MockXMLHttpRequest>}
+   */
+  MockXMLHttpRequest.instances = [];
+
+  MockXMLHttpRequest.getMostRecent = function() {
+    return _.last(MockXMLHttpRequest.instances);
+  };
+
+  MockXMLHttpRequest.reset = function() {
+    MockXMLHttpRequest.instances = [];
+  };
+
+
+  return MockXMLHttpRequest;
+});
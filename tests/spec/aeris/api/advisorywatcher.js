@@ -0,0 +1,375 @@
+define([
+  'aeris/util',
+  'aeris/api/advisorywatcher',
+  'aeris/api/models/advisory',
+  'aeris/api/cache/stores/memorystore',
+  'aeris/collection',
+  'aeris/promise',
+  'tests/lib/clock'
+], function(_, AdvisoryWatcher, Advisory, MemoryStore, Collection, Promise, clock) {
+
+  describe('AdvisoryWatcher', function() {
+    var watcher, store, collections, advisoriesByPlace, pendingFetches, respondImmediately;
+    var onIssued, onUpdated, onExpired;
+
+    var MockAdvisories = function(opt_models, opt_options) {
+      this.options = opt_options;
+      this.place = opt_options.params.p;
+
+      Collection.call(this, opt_models, { model: Advisory });
+
+      spyOn(this, 'fetch').andCallFake(function() {
+        var promise = new Promise();
+
+        if (respondImmediately) {
+          this.set(advisoriesByPlace[this.place] || []);
+          promise.resolve({ success: true, response: [] });
+        }
+        else {
+          pendingFetches.push(promise);
+        }
+
+        return promise;
+      });
+
+      collections.push(this);
+    };
+    _.inherits(MockAdvisories, Collection);
+
+
+    function AdvisoryData(type, zone, updated, opt_id, opt_etn) {
+      return {
+        id: opt_id || type + '_' + zone,
+        details: {
+          type: type,
+          loc: zone,
+          etn: opt_etn,
+          name: 'NAME_STUB'
+        },
+        timestamps: {
+          issued: 100,
+          updated: updated
+        }
+      };
+    }
+
+    function createWatcher(opt_options) {
+      watcher = new AdvisoryWatcher(_.extend({
+        places: ['seattle,wa'],
+        interval: 1000,
+        store: store,
+        AdvisoriesType: MockAdvisories
+      }, opt_options));
+
+      watcher.on({
+        issued: onIssued,
+        updated: onUpdated,
+        expired: onExpired
+      });
+
+      return watcher;
+    }
+
+    function getTypes(spy) {
+      return spy.calls.map(function(call) {
+        return call.args[0].get('details').type;
+      });
+    }
+
+
+    beforeEach(function() {
+      clock.useFakeTimers();
+
+      store = new MemoryStore();
+      collections = [];
+      pendingFetches = [];
+      respondImmediately = true;
+      advisoriesByPlace = {
+        'seattle,wa': [
+          AdvisoryData('WI.Y', 'WAZ558', 100),
+          AdvisoryData('FL.A', 'WAZ558', 100)
+        ]
+      };
+
+      onIssued = jasmine.createSpy('onIssued');
+      onUpdated = jasmine.createSpy('onUpdated');
+      onExpired = jasmine.createSpy('onExpired');
+    });
+
+    afterEach(function() {
+      if (watcher) {
+        watcher.stop();
+      }
+      clock.restore();
+    });
+
+
+    describe('constructor', function() {
+
+      it('should create an advisories collection for each place', function() {
+        createWatcher({ places: ['seattle,wa', '98109'] });
+
+        expect(_.pluck(collections, 'place')).toEqual(['seattle,wa', '98109']);
+      });
+
+      it('should accept a single place', function() {
+        createWatcher({ places: 'seattle,wa' });
+
+        expect(_.pluck(collections, 'place')).toEqual(['seattle,wa']);
+      });
+
+      it('should pass collection options to each collection', function() {
+        createWatcher({
+          collectionOptions: {
+            timeout: 123,
+            params: { limit: 5 }
+          }
+        });
+
+        expect(collections[0].options.timeout).toEqual(123);
+        expect(collections[0].options.params).toEqual({ limit: 5, p: 'seattle,wa' });
+      });
+
+    });
+
+
+    describe('poll', function() {
+
+      it('should fetch advisories for every place', function() {
+        createWatcher({ places: ['seattle,wa', '98109'] });
+
+        watcher.poll();
+
+        expect(collections[0].fetch).toHaveBeenCalled();
+        expect(collections[1].fetch).toHaveBeenCalled();
+      });
+
+      it('should trigger \'issued\' for new advisories', function() {
+        createWatcher().poll();
+
+        expect(getTypes(onIssued)).toEqual(['WI.Y', 'FL.A']);
+        expect(onIssued.mostRecentCall.args[0]).toBeInstanceOf(Advisory);
+        expect(onIssued.mostRecentCall.args[1]).toEqual(watcher);
+      });
+
+      it('should not trigger \'issued\' for advisories seen by a previous poll', function() {
+        createWatcher().poll();
+        onIssued.reset();
+
+        watcher.poll();
+
+        expect(onIssued).not.toHaveBeenCalled();
+      });
+
+      it('should trigger \'updated\' for advisories with a new update time', function() {
+        createWatcher().poll();
+        advisoriesByPlace['seattle,wa'][0] = AdvisoryData('WI.Y', 'WAZ558', 200);
+
+        watcher.poll();
+
+        expect(getTypes(onUpdated)).toEqual(['WI.Y']);
+      });
+
+      it('should identify advisories by VTEC event and zone, rather than by id', function() {
+        advisoriesByPlace['seattle,wa'][0] = AdvisoryData('WI.Y', 'WAZ558', 100, 'ID_STUB', '0012');
+        createWatcher().poll();
+        advisoriesByPlace['seattle,wa'][0] = AdvisoryData('WI.Y', 'WAZ558', 200, 'NEW_ID_STUB', '0012');
+        onIssued.reset();
+
+        watcher.poll();
+
+        expect(onIssued).not.toHaveBeenCalled();
+        expect(onExpired).not.toHaveBeenCalled();
+        expect(getTypes(onUpdated)).toEqual(['WI.Y']);
+      });
+
+      it('should report separate events of the same type in the same zone', function() {
+        advisoriesByPlace['seattle,wa'] = [
+          AdvisoryData('FL.W', 'WAC033', 100, 'ID_A', '0012'),
+          AdvisoryData('FL.W', 'WAC033', 100, 'ID_B', '0013')
+        ];
+
+        createWatcher().poll();
+
+        expect(getTypes(onIssued)).toEqual(['FL.W', 'FL.W']);
+      });
+
+      it('should report separate advisories of the same type in the same zone, without event numbers', function() {
+        advisoriesByPlace['seattle,wa'] = [
+          AdvisoryData('FL.W', 'WAC033', 100, 'ID_A'),
+          AdvisoryData('FL.W', 'WAC033', 100, 'ID_B')
+        ];
+
+        createWatcher().poll();
+
+        expect(getTypes(onIssued)).toEqual(['FL.W', 'FL.W']);
+      });
+
+      it('should trigger \'expired\' for advisories which are no longer in effect', function() {
+        createWatcher().poll();
+        advisoriesByPlace['seattle,wa'] = [AdvisoryData('WI.Y', 'WAZ558', 100)];
+
+        watcher.poll();
+
+        expect(getTypes(onExpired)).toEqual(['FL.A']);
+        expect(onExpired.mostRecentCall.args[0]).toBeInstanceOf(Advisory);
+      });
+
+      it('should only report advisories in effect for multiple places once', function() {
+        advisoriesByPlace['98109'] = [AdvisoryData('WI.Y', 'WAZ558', 100)];
+        createWatcher({ places: ['seattle,wa', '98109'] });
+
+        watcher.poll();
+
+        expect(getTypes(onIssued)).toEqual(['WI.Y', 'FL.A']);
+      });
+
+      it('should resolve with the current advisories', function() {
+        var advisories;
+
+        createWatcher().poll().done(function(res) {
+          advisories = res;
+        });
+
+        expect(advisories.length).toEqual(2);
+        expect(advisories[0]).toBeInstanceOf(Advisory);
+      });
+
+      it('should share a pending poll', function() {
+        respondImmediately = false;
+        createWatcher();
+
+        expect(watcher.poll()).toEqual(watcher.poll());
+        expect(collections[0].fetch.callCount).toEqual(1);
+      });
+
+      describe('when a place fails to fetch', function() {
+        var ERROR_STUB;
+
+        beforeEach(function() {
+          ERROR_STUB = new Error('STUB');
+          createWatcher().poll();
+
+          respondImmediately = false;
+          advisoriesByPlace['seattle,wa'] = [];
+          watcher.poll();
+          collections[0].reset();
+        });
+
+
+        it('should not report advisories as expired', function() {
+          pendingFetches[0].reject(ERROR_STUB);
+
+          expect(onExpired).not.toHaveBeenCalled();
+        });
+
+        it('should trigger an \'error\' event', function() {
+          var onError = jasmine.createSpy('onError');
+          watcher.on('error', onError);
+
+          pendingFetches[0].reject(ERROR_STUB);
+
+          expect(onError).toHaveBeenCalledWith(watcher, ERROR_STUB);
+        });
+
+      });
+
+    });
+
+
+    describe('persisting seen advisories', function() {
+
+      it('should not report seen advisories as issued after a page reload', function() {
+        createWatcher().poll();
+        onIssued.reset();
+
+        createWatcher().poll();
+
+        expect(onIssued).not.toHaveBeenCalled();
+      });
+
+      it('should report advisories which expired since the page was reloaded', function() {
+        var expiredAdvisory;
+
+        createWatcher().poll();
+        advisoriesByPlace['seattle,wa'] = [];
+
+        createWatcher().poll();
+
+        expiredAdvisory = onExpired.mostRecentCall.args[0];
+        expect(expiredAdvisory.get('details').type).toEqual('FL.A');
+        expect(expiredAdvisory.get('timestamps').updated).toEqual(100);
+      });
+
+      it('should store seen advisories separately for different places', function() {
+        createWatcher().poll();
+        onIssued.reset();
+
+        advisoriesByPlace['98109'] = advisoriesByPlace['seattle,wa'];
+        createWatcher({ places: ['98109'] }).poll();
+
+        expect(onIssued.callCount).toEqual(2);
+      });
+
+      it('should use the provided storage key', function() {
+        createWatcher({ storageKey: 'STORAGE_KEY_STUB' }).poll();
+
+        expect(_.keys(store.get('STORAGE_KEY_STUB')).length).toEqual(2);
+      });
+
+    });
+
+
+    describe('reset', function() {
+
+      it('should report advisories in effect as issued by the next poll', function() {
+        createWatcher().poll();
+        onIssued.reset();
+
+        watcher.reset();
+        watcher.poll();
+
+        expect(onIssued.callCount).toEqual(2);
+      });
+
+    });
+
+
+    describe('start', function() {
+
+      it('should poll immediately, and then at the interval', function() {
+        createWatcher().start();
+        expect(collections[0].fetch.callCount).toEqual(1);
+
+        clock.tick(1000);
+        expect(collections[0].fetch.callCount).toEqual(2);
+      });
+
+      it('should start watching', function() {
+        createWatcher();
+        expect(watcher.isWatching()).toEqual(false);
+
+        watcher.start();
+        expect(watcher.isWatching()).toEqual(true);
+      });
+
+    });
+
+
+    describe('stop', function() {
+
+      it('should stop polling', function() {
+        createWatcher().start();
+        watcher.stop();
+
+        clock.tick(5000);
+
+        expect(collections[0].fetch.callCount).toEqual(1);
+        expect(watcher.isWatching()).toEqual(false);
+      });
+
+    });
+
+  });
+
+});
@@ -0,0 +1,383 @@
+define([
+  'aeris/util',
+  'aeris/api/batchscheduler',
+  'aeris/api/models/aerisapimodel',
+  'aeris/api/collections/aerisapicollection',
+  'aeris/api/collections/aerisapiclientcollection',
+  'aeris/promise',
+  'aeris/errors/invalidlocationerror',
+  'aeris/errors/apiresponseerror',
+  'tests/lib/clock'
+], function(_, BatchScheduler, AerisApiModel, AerisApiCollection, AerisApiClientCollection, Promise, InvalidLocationError, ApiResponseError, clock) {
+
+  describe('BatchScheduler', function() {
+    var scheduler, transport, pendingRequests;
+
+    function createModel(opt_options) {
+      return new AerisApiModel(null, _.defaults(opt_options || {}, {
+        endpoint: 'observations',
+        server: 'SERVER_STUB',
+        transport: transport,
+        requestRegistry: null,
+        batchScheduler: scheduler,
+        params: { p: 'seattle,wa' }
+      }));
+    }
+
+    function createCollection(opt_options, opt_CollectionType) {
+      var CollectionType = opt_CollectionType || AerisApiCollection;
+
+      return new CollectionType(null, _.defaults(opt_options || {}, {
+        endpoint: 'advisories',
+        server: 'SERVER_STUB',
+        transport: transport,
+        requestRegistry: null,
+        batchScheduler: scheduler,
+        params: { p: 'seattle,wa' }
+      }));
+    }
+
+    function createTransport() {
+      var mockTransport = jasmine.createSpyObj('transport', ['get']);
+
+      mockTransport.get.andCallFake(function() {
+        var promise = new Promise();
+        pendingRequests.push(promise);
+        return promise;
+      });
+
+      return mockTransport;
+    }
+
+    function BatchResponse(responses) {
+      return {
+        success: true,
+        error: null,
+        response: {
+          responses: responses
+        }
+      };
+    }
+
+    function SuccessResponse(data) {
+      return {
+        success: true,
+        error: null,
+        response: data
+      };
+    }
+
+
+    beforeEach(function() {
+      clock.useFakeTimers();
+
+      pendingRequests = [];
+      transport = createTransport();
+      scheduler = new BatchScheduler();
+    });
+
+    afterEach(function() {
+      clock.restore();
+    });
+
+
+    describe('schedule', function() {
+
+      it('should combine requests made within the same tick into a single batch request', function() {
+        createModel().fetch();
+        createModel({ endpoint: 'forecasts' }).fetch();
+        createModel({ endpoint: 'sunmoon' }).fetch();
+
+        expect(transport.get).not.toHaveBeenCalled();
+
+        clock.tick(0);
+
+        expect(transport.get.callCount).toEqual(1);
+        expect(transport.get.mostRecentCall.args[0]).toEqual('SERVER_STUB/batch');
+        expect(transport.get.mostRecentCall.args[1].requests).toMatch(/^\/observations.*,\/forecasts.*,\/sunmoon/);
+      });
+
+      it('should wait for the configured window before sending a batch', function() {
+        scheduler = new BatchScheduler({ wait: 50 });
+
+        createModel().fetch();
+        clock.tick(20);
+        createModel({ endpoint: 'forecasts' }).fetch();
+
+        clock.tick(29);
+        expect(transport.get).not.toHaveBeenCalled();
+
+        clock.tick(1);
+        expect(transport.get.callCount).toEqual(1);
+      });
+
+      it('should send a single request without batching it', function() {
+        createModel().fetch();
+
+        clock.tick(0);
+
+        expect(transport.get.callCount).toEqual(1);
+        expect(transport.get.mostRecentCall.args[0]).toEqual('SERVER_STUB/observations/');
+        expect(transport.get.mostRecentCall.args[1].p).toEqual('seattle,wa');
+      });
+
+      it('should not combine requests using different transports', function() {
+        var otherTransport = createTransport();
+
+        createModel().fetch();
+        createModel({ endpoint: 'forecasts' }).fetch();
+        createModel({ transport: otherTransport }).fetch();
+
+        clock.tick(0);
+
+        expect(transport.get.callCount).toEqual(1);
+        expect(otherTransport.get.callCount).toEqual(1);
+      });
+
+      it('should not combine requests to different servers', function() {
+        createModel().fetch();
+        createModel({ server: 'OTHER_SERVER_STUB' }).fetch();
+
+        clock.tick(0);
+
+        expect(transport.get.callCount).toEqual(2);
+      });
+
+      it('should not batch requests made with the `batch: false` option', function() {
+        createModel().fetch({ batch: false });
+
+        expect(transport.get.callCount).toEqual(1);
+        expect(scheduler.getPendingCount()).toEqual(0);
+      });
+
+      it('should include actions and ids in batched requests', function() {
+        var model = createModel({ action: 'closest' });
+        model.set('id', 'ID_STUB');
+
+        model.fetch();
+        createModel({ endpoint: 'forecasts' }).fetch();
+        clock.tick(0);
+
+        expect(transport.get.mostRecentCall.args[1].requests).toMatch(/^\/observations\/closest\/ID_STUB%3F/);
+      });
+
+      it('should send the params each request was scheduled with', function() {
+        var model = createModel();
+
+        model.fetch();
+        model.setParams({ p: 'portland,or' });
+        createModel({ endpoint: 'forecasts' }).fetch();
+        clock.tick(0);
+
+        expect(transport.get.mostRecentCall.args[1].requests).toMatch(/^\/observations%3Fp=seattle%2Cwa/);
+        expect(transport.get.mostRecentCall.args[1].requests).not.toMatch(/portland/);
+      });
+
+      it('should send the API keys each request was scheduled with', function() {
+        var params = { p: 'seattle,wa', client_id: 'ID_STUB', client_secret: 'SECRET_STUB' };
+
+        createModel({ params: params }).fetch();
+        createModel({ endpoint: 'forecasts', params: params }).fetch();
+        clock.tick(0);
+
+        expect(transport.get.callCount).toEqual(1);
+        expect(transport.get.mostRecentCall.args[1].client_id).toEqual('ID_STUB');
+        expect(transport.get.mostRecentCall.args[1].client_secret).toEqual('SECRET_STUB');
+      });
+
+      it('should not combine requests using different API keys', function() {
+        createModel({
+          params: { p: 'seattle,wa', client_id: 'ID_A', client_secret: 'SECRET_A' }
+        }).fetch();
+        createModel({
+          endpoint: 'forecasts',
+          params: { p: 'seattle,wa', client_id: 'ID_B', client_secret: 'SECRET_B' }
+        }).fetch();
+        clock.tick(0);
+
+        expect(transport.get.callCount).toEqual(2);
+        expect(transport.get.calls[0].args[1].client_id).toEqual('ID_A');
+        expect(transport.get.calls[1].args[1].client_id).toEqual('ID_B');
+      });
+
+    });
+
+
+    describe('batch responses', function() {
+      var modelA, modelB, fetchA, fetchB;
+
+      beforeEach(function() {
+        modelA = createModel();
+        modelB = createModel({ endpoint: 'forecasts' });
+
+        fetchA = modelA.fetch();
+        fetchB = modelB.fetch();
+
+        clock.tick(0);
+      });
+
+
+      it('should update each model with its own response', function() {
+        pendingRequests[0].resolve(BatchResponse([
+          SuccessResponse({ name: 'A' }),
+          SuccessResponse({ name: 'B' })
+        ]));
+
+        expect(modelA.get('name')).toEqual('A');
+        expect(modelB.get('name')).toEqual('B');
+        expect(fetchA.getState()).toEqual('resolved');
+        expect(fetchB.getState()).toEqual('resolved');
+      });
+
+      it('should only reject requests whose responses failed', function() {
+        var onError = jasmine.createSpy('onError');
+        fetchB.fail(onError);
+
+        pendingRequests[0].resolve(BatchResponse([
+          SuccessResponse({ name: 'A' }),
+          {
+            success: false,
+            error: {
+              code: 'invalid_location',
+              description: 'The requested location was not found.'
+            }
+          }
+        ]));
+
+        expect(modelA.get('name')).toEqual('A');
+        expect(fetchA.getState()).toEqual('resolved');
+        expect(onError.mostRecentCall.args[0]).toBeInstanceOf(InvalidLocationError);
+      });
+
+      it('should reject requests which are missing from the batch response', function() {
+        pendingRequests[0].resolve(BatchResponse([
+          SuccessResponse({ name: 'A' })
+        ]));
+
+        expect(fetchA.getState()).toEqual('resolved');
+        expect(fetchB.getState()).toEqual('rejected');
+      });
+
+      it('should reject every request, if the batch request fails', function() {
+        pendingRequests[0].resolve({
+          success: false,
+          error: {
+            code: 'invalid_client',
+            description: 'STUB'
+          }
+        });
+
+        expect(fetchA.getState()).toEqual('rejected');
+        expect(fetchB.getState()).toEqual('rejected');
+      });
+
+      it('should reject every request, if the transport fails', function() {
+        var ERROR_STUB = new ApiResponseError('STUB');
+        var onError = jasmine.createSpy('onError');
+        fetchA.fail(onError);
+
+        pendingRequests[0].reject(ERROR_STUB);
+
+        expect(onError.mostRecentCall.args[0]).toEqual(ERROR_STUB);
+        expect(fetchB.getState()).toEqual('rejected');
+      });
+
+    });
+
+
+    describe('with collections', function() {
+
+      it('should combine collection and model requests into a single batch request', function() {
+        createModel().fetch();
+        createCollection().fetch();
+
+        clock.tick(0);
+
+        expect(transport.get.callCount).toEqual(1);
+        expect(transport.get.mostRecentCall.args[1].requests).toMatch(/^\/observations.*,\/advisories%3F/);
+      });
+
+      it('should include collection actions in batched requests', function() {
+        createModel().fetch();
+        createCollection({ endpoint: 'stormreports', action: 'within' }).fetch();
+
+        clock.tick(0);
+
+        expect(transport.get.mostRecentCall.args[1].requests).toMatch(/,\/stormreports\/within%3F/);
+      });
+
+      it('should update each collection with its own response', function() {
+        var model = createModel();
+        var collection = createCollection();
+        var fetchCollection;
+
+        model.fetch();
+        fetchCollection = collection.fetch();
+        clock.tick(0);
+
+        pendingRequests[0].resolve(BatchResponse([
+          SuccessResponse({ name: 'A' }),
+          SuccessResponse([{ id: 'ADVISORY_A' }, { id: 'ADVISORY_B' }])
+        ]));
+
+        expect(model.get('name')).toEqual('A');
+        expect(collection.pluck('id')).toEqual(['ADVISORY_A', 'ADVISORY_B']);
+        expect(fetchCollection.getState()).toEqual('resolved');
+      });
+
+      it('should batch requests made by client collections', function() {
+        var collection = createCollection(null, AerisApiClientCollection);
+
+        createModel().fetch();
+        collection.fetch();
+        clock.tick(0);
+
+        pendingRequests[0].resolve(BatchResponse([
+          SuccessResponse({ name: 'A' }),
+          SuccessResponse([{ id: 'ADVISORY_A' }])
+        ]));
+
+        expect(transport.get.callCount).toEqual(1);
+        expect(collection.pluck('id')).toEqual(['ADVISORY_A']);
+      });
+
+    });
+
+
+    describe('flush', function() {
+
+      it('should send scheduled requests immediately', function() {
+        createModel().fetch();
+        createModel({ endpoint: 'forecasts' }).fetch();
+        expect(scheduler.getPendingCount()).toEqual(2);
+
+        scheduler.flush();
+
+        expect(transport.get.callCount).toEqual(1);
+        expect(scheduler.getPendingCount()).toEqual(0);
+      });
+
+      it('should not send the flushed requests again', function() {
+        createModel().fetch();
+        scheduler.flush();
+
+        clock.tick(100);
+
+        expect(transport.get.callCount).toEqual(1);
+      });
+
+    });
+
+
+    describe('getInstance', function() {
+
+      it('should return a shared instance', function() {
+        expect(BatchScheduler.getInstance()).toBeInstanceOf(BatchScheduler);
+        expect(BatchScheduler.getInstance()).toEqual(BatchScheduler.getInstance());
+      });
+
+    });
+
+  });
+
+});
@@ -0,0 +1,115 @@
+define([
+  'aeris/util',
+  'aeris/api/cache/responsecache',
+  'aeris/api/cache/stores/memorystore',
+  'tests/lib/clock'
+], function(_, ResponseCache, MemoryStore, clock) {
+
+  describe('A ResponseCache', function() {
+    var cache, store;
+    var RESPONSE_STUB;
+
+    beforeEach(function() {
+      clock.useFakeTimers(0);
+
+      RESPONSE_STUB = { success: true, response: [] };
+      store = new MemoryStore();
+      cache = new ResponseCache({
+        store: store,
+        ttl: 1000,
+        endpointTtl: {
+          advisories: 5000
+        }
+      });
+    });
+
+    afterEach(function() {
+      clock.restore();
+    });
+
+
+    describe('get', function() {
+
+      it('should return a cached response', function() {
+        cache.set('KEY', RESPONSE_STUB);
+
+        expect(cache.get('KEY')).toEqual(RESPONSE_STUB);
+      });
+
+      it('should return undefined if no response is cached', function() {
+        expect(cache.get('KEY')).toBeUndefined();
+      });
+
+      it('should not return responses which have expired', function() {
+        cache.set('KEY', RESPONSE_STUB);
+
+        clock.tick(1000);
+        expect(cache.get('KEY')).toBeUndefined();
+        expect(store.get('KEY')).toBeUndefined();
+      });
+
+      it('should use the TTL for the endpoint', function() {
+        cache.set('KEY', RESPONSE_STUB, 'advisories');
+
+        clock.tick(4999);
+        expect(cache.get('KEY')).toEqual(RESPONSE_STUB);
+
+        clock.tick(1);
+        expect(cache.get('KEY')).toBeUndefined();
+      });
+
+      it('should trigger a \'hit\' event', function() {
+        var onHit = jasmine.createSpy('onHit');
+        cache.on('hit', onHit);
+        cache.set('KEY', RESPONSE_STUB);
+
+        cache.get('KEY');
+
+        expect(onHit).toHaveBeenCalledWith('KEY', RESPONSE_STUB);
+      });
+
+      it('should trigger a \'miss\' event', function() {
+        var onMiss = jasmine.createSpy('onMiss');
+        cache.on('miss', onMiss);
+
+        cache.get('KEY');
+
+        expect(onMiss).toHaveBeenCalledWith('KEY');
+      });
+
+    });
+
+
+    describe('setTtl', function() {
+
+      it('should set the default TTL', function() {
+        cache.setTtl(50);
+
+        expect(cache.getTtl()).toEqual(50);
+        expect(cache.getTtl('advisories')).toEqual(5000);
+      });
+
+      it('should set the TTL for an endpoint', function() {
+        cache.setTtl(50, 'observations');
+
+        expect(cache.getTtl('observations')).toEqual(50);
+        expect(cache.getTtl()).toEqual(1000);
+      });
+
+    });
+
+
+    describe('clear', function() {
+
+      it('should remove all cached responses', function() {
+        cache.set('KEY', RESPONSE_STUB);
+        cache.clear();
+
+        expect(cache.get('KEY')).toBeUndefined();
+      });
+
+    });
+
+  });
+
+});
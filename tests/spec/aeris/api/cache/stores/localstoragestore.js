@@ -0,0 +1,82 @@
+define([
+  'aeris/util',
+  'aeris/api/cache/stores/localstoragestore'
+], function(_, LocalStorageStore) {
+
+  var MockStorage = function() {
+    this.items_ = {};
+    this.length = 0;
+  };
+  MockStorage.prototype.getItem = function(key) {
+    return _.has(this.items_, key) ? this.items_[key] : null;
+  };
+  MockStorage.prototype.setItem = function(key, value) {
+    this.items_[key] = String(value);
+    this.length = _.keys(this.items_).length;
+  };
+  MockStorage.prototype.removeItem = function(key) {
+    delete this.items_[key];
+    this.length = _.keys(this.items_).length;
+  };
+  MockStorage.prototype.key = function(i) {
+    return _.keys(this.items_)[i];
+  };
+
+
+  describe('A LocalStorageStore', function() {
+    var store, storage;
+
+    beforeEach(function() {
+      storage = new MockStorage();
+      store = new LocalStorageStore({
+        storage: storage,
+        prefix: 'PREFIX:'
+      });
+    });
+
+
+    it('should store values as JSON', function() {
+      store.set('KEY', { foo: 'bar' });
+
+      expect(storage.getItem('PREFIX:KEY')).toEqual('{"foo":"bar"}');
+      expect(store.get('KEY')).toEqual({ foo: 'bar' });
+    });
+
+    it('should return undefined for missing values', function() {
+      expect(store.get('KEY')).toBeUndefined();
+    });
+
+    it('should return undefined for invalid JSON', function() {
+      storage.setItem('PREFIX:KEY', '{ not json');
+
+      expect(store.get('KEY')).toBeUndefined();
+    });
+
+    it('should not throw if the storage quota is exceeded', function() {
+      spyOn(storage, 'setItem').andThrow(new Error('QuotaExceededError'));
+
+      store.set('KEY', { foo: 'bar' });
+    });
+
+    it('should remove values', function() {
+      store.set('KEY', { foo: 'bar' });
+      store.remove('KEY');
+
+      expect(store.get('KEY')).toBeUndefined();
+    });
+
+    it('should only clear values with its prefix', function() {
+      store.set('KEY_A', 'A');
+      store.set('KEY_B', 'B');
+      storage.setItem('OTHER', 'OTHER');
+
+      store.clear();
+
+      expect(store.get('KEY_A')).toBeUndefined();
+      expect(store.get('KEY_B')).toBeUndefined();
+      expect(storage.getItem('OTHER')).toEqual('OTHER');
+    });
+
+  });
+
+});
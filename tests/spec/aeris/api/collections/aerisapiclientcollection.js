@@ -5,8 +5,11 @@ define([
   'aeris/subsetcollection',
   'aeris/collection',
   'aeris/model',
+  'aeris/api/models/aerisapimodel',
+  'aeris/api/params/models/params',
+  'aeris/promise',
   'mocks/mockfactory'
-], function(_, AerisApiClientCollection, AerisApiCollection, SubsetCollection, Collection, Model, MockFactory) {
+], function(_, AerisApiClientCollection, AerisApiCollection, SubsetCollection, Collection, Model, AerisApiModel, Params, Promise, MockFactory) {
 
   var MockFilter = Model;
 
@@ -18,7 +21,8 @@ define([
 
   var MockParams = function(opt_attrs) {
     var attrs = _.defaults(opt_attrs || {}, {
-      filter: new MockFilterCollection()
+      filter: new MockFilterCollection(),
+      query: new Collection()
     });
 
     Model.call(this, attrs);
@@ -29,7 +33,8 @@ define([
     inherits: Model,
     methods: [
       'testFilterCollection',
-      'testFilter'
+      'testFilter',
+      'testQueryCollection'
     ]
   });
 
@@ -37,6 +42,10 @@ define([
     return false;
   };
 
+  MockApiModel.prototype.testQueryCollection = function() {
+    return false;
+  };
+
   MockApiModel.prototype.testFilter = function() {
     return false;
   };
@@ -56,7 +65,18 @@ define([
       'addQuery',
       'removeQuery',
       'resetQuery',
-      'getQuery'
+      'getQuery',
+      'fetchNextPage',
+      'hasMorePages',
+      'fetchAll',
+      'addSort',
+      'removeSort',
+      'resetSort',
+      'getSort',
+      'setFields',
+      'addFields',
+      'removeFields',
+      'getFields'
     ],
     constructor: function(opt_models, opt_options) {
       var options = _.defaults(opt_options || {}, {
@@ -163,6 +183,25 @@ define([
     });
 
 
+    describe('events', function() {
+
+      _.each(['page', 'warning', 'retry', 'cache:hit'], function(topic) {
+
+        it('should proxy the source collection\'s \'' + topic + '\' event', function() {
+          var onEvent = jasmine.createSpy('on_' + topic);
+          var ARG_STUB = { STUB: 'ARG_STUB' };
+          aerisApiClientCollection.on(topic, onEvent);
+
+          mockApiCollection.trigger(topic, mockApiCollection, ARG_STUB);
+
+          expect(onEvent).toHaveBeenCalledWith(mockApiCollection, ARG_STUB);
+        });
+
+      });
+
+    });
+
+
     describe('Client side filter bindings to API Filters', function() {
 
       beforeEach(function() {
@@ -319,6 +358,197 @@ define([
 
     });
 
+    describe('Client side filter bindings to API queries', function() {
+      var mockQuery;
+
+      beforeEach(function() {
+        mockQuery = mockParams.get('query');
+
+        spyOn(AerisApiClientCollection.prototype, 'setClientFilter');
+        spyOn(AerisApiClientCollection.prototype, 'removeClientFilter');
+      });
+
+
+      describe('when API queries are added', function() {
+
+        beforeEach(function() {
+          mockQuery.add(new Model());
+        });
+
+
+        it('should set a client side filter using API queries', function() {
+          var theSetFilter = aerisApiClientCollection.setClientFilter.mostRecentCall.args[0];
+          var mockApiModel = new MockApiModel();
+
+          mockApiModel.testQueryCollection.andReturn(false);
+
+          expect(theSetFilter(mockApiModel)).toEqual(false);
+          expect(mockApiModel.testQueryCollection).toHaveBeenCalledWith(mockQuery);
+        });
+
+        it('should not test API filters, if there are none', function() {
+          var theSetFilter = aerisApiClientCollection.setClientFilter.mostRecentCall.args[0];
+          var mockApiModel = new MockApiModel();
+
+          mockApiModel.testQueryCollection.andReturn(true);
+
+          expect(theSetFilter(mockApiModel)).toEqual(true);
+          expect(mockApiModel.testFilterCollection).not.toHaveBeenCalled();
+        });
+
+        it('should require models to pass both API queries and API filters', function() {
+          var theSetFilter, mockApiModel = new MockApiModel();
+
+          mockFilterCollection.add(new MockFilter());
+          theSetFilter = aerisApiClientCollection.setClientFilter.mostRecentCall.args[0];
+
+          mockApiModel.testQueryCollection.andReturn(true);
+          mockApiModel.testFilterCollection.andReturn(false);
+          expect(theSetFilter(mockApiModel)).toEqual(false);
+
+          mockApiModel.testQueryCollection.andReturn(false);
+          mockApiModel.testFilterCollection.andReturn(true);
+          expect(theSetFilter(mockApiModel)).toEqual(false);
+
+          mockApiModel.testQueryCollection.andReturn(true);
+          expect(theSetFilter(mockApiModel)).toEqual(true);
+        });
+
+      });
+
+
+      describe('when API queries change', function() {
+
+        it('should update the client side filter', function() {
+          var query = new Model();
+          mockQuery.add(query);
+          aerisApiClientCollection.setClientFilter.reset();
+
+          query.set('min', 5);
+
+          expect(aerisApiClientCollection.setClientFilter).toHaveBeenCalled();
+        });
+
+      });
+
+
+      describe('when all API queries are removed', function() {
+
+        it('should remove the client side filter', function() {
+          mockQuery.add(new Model());
+          mockQuery.reset();
+
+          expect(aerisApiClientCollection.removeClientFilter).toHaveBeenCalled();
+        });
+
+      });
+
+    });
+
+
+    describe('Client side query evaluation', function() {
+      var sourceCollection;
+
+      beforeEach(function() {
+        sourceCollection = new AerisApiCollection([
+          { report: { mag: 3.5 } },
+          { report: { mag: 4.5 } },
+          { report: { mag: 5.5 } },
+          { report: { mag: 6.5 } }
+        ], {
+          model: AerisApiModel,
+          params: new Params(null, { validate: false })
+        });
+
+        aerisApiClientCollection = new AerisApiClientCollection(null, {
+          SourceCollectionType: jasmine.createSpy('SourceCollectionType').andReturn(sourceCollection)
+        });
+      });
+
+
+      it('should narrow the client collection, without fetching', function() {
+        spyOn(sourceCollection, 'fetch');
+
+        aerisApiClientCollection.getQuery().whereBetween('report.mag', 4, 6);
+
+        expect(aerisApiClientCollection.length).toEqual(2);
+        expect(sourceCollection.length).toEqual(4);
+        expect(sourceCollection.fetch).not.toHaveBeenCalled();
+      });
+
+      it('should update the client collection when a query changes', function() {
+        aerisApiClientCollection.getQuery().whereAtLeast('report.mag', 4);
+        expect(aerisApiClientCollection.length).toEqual(3);
+
+        aerisApiClientCollection.getQuery().get('report.mag').set('min', 6);
+        expect(aerisApiClientCollection.length).toEqual(1);
+      });
+
+      it('should restore models when queries are removed', function() {
+        aerisApiClientCollection.getQuery().whereAtLeast('report.mag', 6);
+        aerisApiClientCollection.resetQuery();
+
+        expect(aerisApiClientCollection.length).toEqual(4);
+      });
+
+    });
+
+
+    describe('update', function() {
+      var sourceCollection, onAdded, onRemoved;
+
+      beforeEach(function() {
+        sourceCollection = new AerisApiCollection([
+          { id: 'A', report: { mag: 3.5 } },
+          { id: 'B', report: { mag: 4.5 } },
+          { id: 'C', report: { mag: 5.5 } }
+        ], {
+          model: AerisApiModel,
+          params: new Params(null, { validate: false })
+        });
+
+        spyOn(sourceCollection, 'fetch').andCallFake(function() {
+          var promise = new Promise();
+
+          sourceCollection.set([
+            { id: 'C', report: { mag: 5.5 } },
+            { id: 'D', report: { mag: 2.5 } },
+            { id: 'E', report: { mag: 7.5 } }
+          ]);
+          promise.resolve({ success: true, response: [] });
+
+          return promise;
+        });
+
+        aerisApiClientCollection = new AerisApiClientCollection(null, {
+          SourceCollectionType: jasmine.createSpy('SourceCollectionType').andReturn(sourceCollection)
+        });
+        aerisApiClientCollection.getQuery().whereAtLeast('report.mag', 4);
+
+        onAdded = jasmine.createSpy('onAdded');
+        onRemoved = jasmine.createSpy('onRemoved');
+        aerisApiClientCollection.on({
+          'update:added': onAdded,
+          'update:removed': onRemoved
+        });
+      });
+
+
+      it('should only report models added to the client collection', function() {
+        aerisApiClientCollection.update();
+
+        expect(_.pluck(onAdded.mostRecentCall.args[1], 'id')).toEqual(['E']);
+      });
+
+      it('should only report models removed from the client collection', function() {
+        aerisApiClientCollection.update();
+
+        expect(_.pluck(onRemoved.mostRecentCall.args[1], 'id')).toEqual(['B']);
+      });
+
+    });
+
+
     function shouldProxyMethod(sourceObj, sourceName, sourceMethod, opt_proxyMethod) {
       var proxyMethod = opt_proxyMethod || sourceMethod;
 
@@ -373,7 +603,18 @@ define([
         'addQuery',
         'removeQuery',
         'resetQuery',
-        'getQuery'
+        'getQuery',
+        'fetchNextPage',
+        'hasMorePages',
+        'fetchAll',
+        'addSort',
+        'removeSort',
+        'resetSort',
+        'getSort',
+        'setFields',
+        'addFields',
+        'removeFields',
+        'getFields'
       ];
       _.each(aerisApiProxyMethods, function(methodName) {
         it('should proxy the mockApiColleciton#' + methodName + ' method', function() {
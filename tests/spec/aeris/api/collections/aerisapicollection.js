@@ -290,6 +290,356 @@ define([
       });
     });
 
+
+    describe('pagination', function() {
+      var apiCollection, jsonp, params;
+      var TOTAL_RESULTS = 5;
+
+      // Respond with a page of results, based on the skip/limit params.
+      function respondWithPages(url, data, callback) {
+        var skip = data.skip || 0;
+        var response = _.range(skip, Math.min(skip + data.limit, TOTAL_RESULTS)).
+          map(function(id) {
+            return { id: id };
+          });
+
+        callback({ success: true, error: null, response: response });
+      }
+
+      beforeEach(function() {
+        var test = new TestFactory();
+        apiCollection = test.collection;
+        jsonp = test.options.jsonp;
+        params = test.options.params;
+
+        params.set('limit', 2);
+      });
+
+
+      describe('fetchNextPage', function() {
+
+        it('should request the first page, using the skip and limit params', function() {
+          apiCollection.fetchNextPage();
+
+          expect(jsonp.getRequestedData().skip).toEqual(0);
+          expect(jsonp.getRequestedData().limit).toEqual(2);
+        });
+
+        it('should use a default limit, if none is set', function() {
+          params.unset('limit');
+
+          apiCollection.fetchNextPage();
+
+          expect(jsonp.getRequestedData().limit).toEqual(AerisApiCollection.DEFAULT_PAGE_LIMIT);
+        });
+
+        it('should request each following page', function() {
+          jsonp.get.andCallFake(respondWithPages);
+
+          apiCollection.fetchNextPage();
+          apiCollection.fetchNextPage();
+          expect(jsonp.getRequestedData().skip).toEqual(2);
+
+          apiCollection.fetchNextPage();
+          expect(jsonp.getRequestedData().skip).toEqual(4);
+        });
+
+        it('should add each page of results to the collection', function() {
+          jsonp.get.andCallFake(respondWithPages);
+
+          apiCollection.fetchNextPage();
+          expect(apiCollection.pluck('id')).toEqual([0, 1]);
+
+          apiCollection.fetchNextPage();
+          expect(apiCollection.pluck('id')).toEqual([0, 1, 2, 3]);
+        });
+
+        it('should not add duplicate models', function() {
+          jsonp.get.andCallFake(function(url, data, callback) {
+            callback({ success: true, response: [{ id: 'A' }, { id: 'B' }] });
+          });
+
+          apiCollection.fetchNextPage();
+          apiCollection.fetchNextPage();
+
+          expect(apiCollection.length).toEqual(2);
+        });
+
+        it('should replace existing models with the first page', function() {
+          apiCollection.add({ id: 'EXISTING' });
+          jsonp.get.andCallFake(respondWithPages);
+
+          apiCollection.fetchNextPage();
+
+          expect(apiCollection.pluck('id')).toEqual([0, 1]);
+        });
+
+        it('should share a pending page request', function() {
+          var promiseA = apiCollection.fetchNextPage();
+          var promiseB = apiCollection.fetchNextPage();
+
+          expect(promiseA).toEqual(promiseB);
+          expect(jsonp.get.callCount).toEqual(1);
+        });
+
+        it('should trigger a \'page\' event for each page', function() {
+          var onPage = jasmine.createSpy('onPage');
+          apiCollection.on('page', onPage);
+          jsonp.get.andCallFake(respondWithPages);
+
+          apiCollection.fetchNextPage();
+          expect(onPage.mostRecentCall.args[0]).toEqual(apiCollection);
+          expect(onPage.mostRecentCall.args[1]).toEqual({
+            page: 1,
+            skip: 0,
+            limit: 2,
+            count: 2,
+            hasMorePages: true
+          });
+
+          apiCollection.fetchNextPage();
+          apiCollection.fetchNextPage();
+          expect(onPage.callCount).toEqual(3);
+          expect(onPage.mostRecentCall.args[1]).toEqual({
+            page: 3,
+            skip: 4,
+            limit: 2,
+            count: 1,
+            hasMorePages: false
+          });
+        });
+
+        it('should not make a request if there are no more pages', function() {
+          var onDone = jasmine.createSpy('onDone');
+          jsonp.get.andCallFake(respondWithPages);
+          params.set('limit', 10);
+
+          apiCollection.fetchNextPage();
+          apiCollection.fetchNextPage().done(onDone);
+
+          expect(jsonp.get.callCount).toEqual(1);
+          expect(onDone).toHaveBeenCalled();
+        });
+
+      });
+
+
+      describe('hasMorePages', function() {
+
+        it('should return true before any pages are fetched', function() {
+          expect(apiCollection.hasMorePages()).toEqual(true);
+        });
+
+        it('should return true if the last page was full', function() {
+          jsonp.get.andCallFake(respondWithPages);
+
+          apiCollection.fetchNextPage();
+
+          expect(apiCollection.hasMorePages()).toEqual(true);
+        });
+
+        it('should return false if the last page was not full', function() {
+          jsonp.get.andCallFake(respondWithPages);
+          params.set('limit', 10);
+
+          apiCollection.fetchNextPage();
+
+          expect(apiCollection.hasMorePages()).toEqual(false);
+        });
+
+        it('should return false if the API has no data', function() {
+          jsonp.resolveWith(new MockNoResultsResponse());
+
+          apiCollection.fetchNextPage();
+
+          expect(apiCollection.hasMorePages()).toEqual(false);
+        });
+
+        it('should return false if a page contains no new models', function() {
+          // API ignores the skip param
+          jsonp.get.andCallFake(function(url, data, callback) {
+            callback({ success: true, response: [{ id: 'A' }, { id: 'B' }] });
+          });
+
+          apiCollection.fetchNextPage();
+          expect(apiCollection.hasMorePages()).toEqual(true);
+
+          apiCollection.fetchNextPage();
+          expect(apiCollection.hasMorePages()).toEqual(false);
+        });
+
+        it('should return true after a regular fetch', function() {
+          jsonp.get.andCallFake(respondWithPages);
+          params.set('limit', 10);
+          apiCollection.fetchNextPage();
+
+          apiCollection.fetch();
+
+          expect(apiCollection.hasMorePages()).toEqual(true);
+        });
+
+      });
+
+
+      describe('fetch', function() {
+
+        it('should reset the skip param, after fetching pages', function() {
+          jsonp.get.andCallFake(respondWithPages);
+          apiCollection.fetchNextPage();
+          apiCollection.fetchNextPage();
+
+          apiCollection.fetch();
+
+          expect(jsonp.getRequestedData().skip).toBeUndefined();
+        });
+
+        it('should request the caller\'s original params, after fetching pages', function() {
+          jsonp.get.andCallFake(function(url, data, callback) {
+            callback({ success: true, response: [{ id: 'A' }] });
+          });
+          params.unset('limit');
+          params.set('p', 'STUB_PLACE');
+
+          apiCollection.fetchNextPage();
+          expect(jsonp.getRequestedData().limit).toEqual(AerisApiCollection.DEFAULT_PAGE_LIMIT);
+
+          apiCollection.fetch();
+
+          expect(jsonp.getRequestedData().limit).toBeUndefined();
+          expect(jsonp.getRequestedData().skip).toBeUndefined();
+          expect(jsonp.getRequestedData().p).toEqual('STUB_PLACE');
+        });
+
+        it('should keep the caller\'s limit, after fetching pages', function() {
+          jsonp.get.andCallFake(respondWithPages);
+
+          apiCollection.fetchNextPage();
+          apiCollection.fetch();
+
+          expect(jsonp.getRequestedData().limit).toEqual(2);
+        });
+
+      });
+
+
+      describe('fetchAll', function() {
+
+        it('should fetch all pages', function() {
+          jsonp.get.andCallFake(respondWithPages);
+
+          apiCollection.fetchAll();
+
+          expect(jsonp.get.callCount).toEqual(3);
+          expect(apiCollection.pluck('id')).toEqual([0, 1, 2, 3, 4]);
+        });
+
+        it('should resolve with the response for each page', function() {
+          var onDone = jasmine.createSpy('onDone');
+          jsonp.get.andCallFake(respondWithPages);
+
+          apiCollection.fetchAll().done(onDone);
+
+          expect(onDone.mostRecentCall.args[0].length).toEqual(3);
+          expect(onDone.mostRecentCall.args[0][2].response).toEqual([{ id: 4 }]);
+        });
+
+        it('should not fetch more than `maxPages` pages', function() {
+          var onDone = jasmine.createSpy('onDone');
+          jsonp.get.andCallFake(respondWithPages);
+
+          apiCollection.fetchAll({ maxPages: 2 }).done(onDone);
+
+          expect(jsonp.get.callCount).toEqual(2);
+          expect(onDone).toHaveBeenCalled();
+          expect(apiCollection.hasMorePages()).toEqual(true);
+        });
+
+        it('should stop if the API responds with the same page repeatedly', function() {
+          jsonp.get.andCallFake(function(url, data, callback) {
+            callback({ success: true, response: [{ id: 'A' }, { id: 'B' }] });
+          });
+
+          apiCollection.fetchAll();
+
+          expect(jsonp.get.callCount).toEqual(2);
+        });
+
+        it('should fetch at most DEFAULT_MAX_PAGES pages, by default', function() {
+          // Every page contains new models
+          jsonp.get.andCallFake(function(url, data, callback) {
+            callback({ success: true, response: [{}, {}] });
+          });
+
+          apiCollection.fetchAll();
+
+          expect(jsonp.get.callCount).toEqual(AerisApiCollection.DEFAULT_MAX_PAGES);
+        });
+
+        it('should start from the first page', function() {
+          jsonp.get.andCallFake(respondWithPages);
+          apiCollection.fetchNextPage();
+          apiCollection.fetchNextPage();
+
+          apiCollection.fetchAll({ maxPages: 1 });
+
+          expect(jsonp.getRequestedData().skip).toEqual(0);
+        });
+
+        it('should reject if any page fails', function() {
+          var onFail = jasmine.createSpy('onFail');
+
+          apiCollection.fetchAll().fail(onFail);
+          jsonp.resolveWith({ success: false, error: { code: 'STUB_CODE', description: 'STUB' } });
+
+          expect(onFail).toHaveBeenCalled();
+        });
+
+      });
+
+    });
+
+    describe('update', function() {
+
+      it('should report new, removed, and changed models from the API response', function() {
+        var test = new TestFactory();
+        var apiCollection = test.collection;
+        var jsonp = test.options.jsonp;
+        var onAdded = jasmine.createSpy('onAdded');
+        var onRemoved = jasmine.createSpy('onRemoved');
+        var onChanged = jasmine.createSpy('onChanged');
+
+        jsonp.resolveWith({
+          success: true,
+          error: null,
+          response: [
+            { id: 'A', name: 'A' },
+            { id: 'B', name: 'B' }
+          ]
+        });
+        apiCollection.fetch();
+
+        apiCollection.on({
+          'update:added': onAdded,
+          'update:removed': onRemoved,
+          'update:changed': onChanged
+        });
+        jsonp.resolveWith({
+          success: true,
+          error: null,
+          response: [
+            { id: 'B', name: 'B_CHANGED' },
+            { id: 'C', name: 'C' }
+          ]
+        });
+        apiCollection.update();
+
+        expect(_.pluck(onAdded.mostRecentCall.args[1], 'id')).toEqual(['C']);
+        expect(_.pluck(onRemoved.mostRecentCall.args[1], 'id')).toEqual(['A']);
+        expect(_.pluck(onChanged.mostRecentCall.args[1], 'id')).toEqual(['B']);
+      });
+
+    });
+
   });
 
 });
@@ -0,0 +1,111 @@
+define([
+  'aeris/util',
+  'aeris/api/collections/forecastperiods',
+  'aeris/api/models/forecastperiod',
+  'aeris/api/forecastinterval'
+], function(_, ForecastPeriods, ForecastPeriod, ForecastInterval) {
+
+  describe('ForecastPeriods', function() {
+    var periods;
+    var HOUR = 60 * 60;
+    var START = 1393513200;
+
+    function PeriodData(hoursFromStart, dateTimeISO, attrs) {
+      return _.extend({
+        timestamp: START + hoursFromStart * HOUR,
+        dateTimeISO: dateTimeISO
+      }, attrs);
+    }
+
+    function toDate(hoursFromStart) {
+      return new Date((START + hoursFromStart * HOUR) * 1000);
+    }
+
+    beforeEach(function() {
+      periods = new ForecastPeriods([
+        PeriodData(12, '2014-02-27T19:00:00-08:00', { isDay: false, maxTempF: 42, minTempF: 35, pop: 60 }),
+        PeriodData(0, '2014-02-27T07:00:00-08:00', { isDay: true, maxTempF: 50, minTempF: 44, pop: 20 }),
+        PeriodData(24, '2014-02-28T07:00:00-08:00', { isDay: true, maxTempF: 55, minTempF: 41, pop: 10 })
+      ], { interval: ForecastInterval.DAY_NIGHT });
+    });
+
+
+    it('should contain ForecastPeriod models', function() {
+      expect(periods.at(0)).toBeInstanceOf(ForecastPeriod);
+    });
+
+    it('should sort periods chronologically', function() {
+      expect(periods.pluck('dateTimeISO')).toEqual([
+        '2014-02-27T07:00:00-08:00',
+        '2014-02-27T19:00:00-08:00',
+        '2014-02-28T07:00:00-08:00'
+      ]);
+    });
+
+
+    describe('getPeriodAt', function() {
+
+      it('should return the period in effect at the specified time', function() {
+        expect(periods.getPeriodAt(toDate(0))).toEqual(periods.at(0));
+        expect(periods.getPeriodAt(toDate(11))).toEqual(periods.at(0));
+        expect(periods.getPeriodAt(toDate(12))).toEqual(periods.at(1));
+      });
+
+      it('should use the interval to determine when the last period ends', function() {
+        expect(periods.getPeriodAt(toDate(35))).toEqual(periods.at(2));
+        expect(periods.getPeriodAt(toDate(36))).toBeUndefined();
+      });
+
+      it('should use the previous period length, if no interval is set', function() {
+        periods.setInterval(null);
+
+        expect(periods.getPeriodAt(toDate(35))).toEqual(periods.at(2));
+        expect(periods.getPeriodAt(toDate(36))).toBeUndefined();
+      });
+
+      it('should return undefined for times before the forecast', function() {
+        expect(periods.getPeriodAt(toDate(-1))).toBeUndefined();
+      });
+
+    });
+
+
+    describe('getHighLow', function() {
+
+      it('should return the high and low for a date string', function() {
+        expect(periods.getHighLow('2014-02-27')).toEqual({ high: 50, low: 35 });
+        expect(periods.getHighLow('2014-02-28')).toEqual({ high: 55, low: 41 });
+      });
+
+      it('should accept a Date', function() {
+        expect(periods.getHighLow(new Date(2014, 1, 27))).toEqual({ high: 50, low: 35 });
+      });
+
+      it('should return nulls for days not in the forecast', function() {
+        expect(periods.getHighLow('2014-03-27')).toEqual({ high: null, low: null });
+      });
+
+    });
+
+
+    describe('getPrecipProbability', function() {
+
+      it('should return the highest probability within the range', function() {
+        expect(periods.getPrecipProbability({ from: toDate(0), to: toDate(12) })).toEqual(20);
+        expect(periods.getPrecipProbability({ from: toDate(6), to: toDate(30) })).toEqual(60);
+        expect(periods.getPrecipProbability({ from: toDate(24), to: toDate(48) })).toEqual(10);
+      });
+
+      it('should use all periods, if no range is provided', function() {
+        expect(periods.getPrecipProbability()).toEqual(60);
+      });
+
+      it('should return null if no periods are within the range', function() {
+        expect(periods.getPrecipProbability({ from: toDate(48), to: toDate(60) })).toEqual(null);
+      });
+
+    });
+
+  });
+
+});
@@ -0,0 +1,193 @@
+define([
+  'aeris/util',
+  'aeris/config',
+  'aeris/api/collections/observationarchive',
+  'aeris/api/models/observation'
+], function(_, config, ObservationArchive, Observation) {
+
+  describe('ObservationArchive', function() {
+    var archive;
+    var HOUR = 1000 * 60 * 60;
+    var START = 1393513200 * 1000;
+
+    function toDate(hoursFromStart) {
+      return new Date(START + hoursFromStart * HOUR);
+    }
+
+    function PeriodData(hoursFromStart, ob) {
+      return {
+        ob: _.extend({
+          timestamp: toDate(hoursFromStart).getTime() / 1000
+        }, ob)
+      };
+    }
+
+    beforeEach(function() {
+      archive = new ObservationArchive(null, {
+        place: 'seattle,wa',
+        params: {
+          from: toDate(0),
+          to: toDate(6)
+        }
+      });
+
+      archive.set(archive.parse({
+        success: true,
+        response: {
+          id: 'KSEA',
+          periods: [
+            PeriodData(2, { tempF: 50, precipIN: 0.1, precipMM: 2.5 }),
+            PeriodData(0, { tempF: 40, precipIN: 0, precipMM: 0 }),
+            PeriodData(1, { tempF: 44, precipIN: null }),
+            PeriodData(1.5, { tempF: null, precipIN: 0.05, precipMM: 1.3 }),
+            PeriodData(4, { tempF: 54, precipIN: 0.2, precipMM: 5.1 })
+          ]
+        }
+      }));
+    });
+
+    afterEach(function() {
+      config.setUnits('imperial');
+    });
+
+
+    it('should request archived observations for a place', function() {
+      expect(archive.getEndpoint()).toEqual('observations');
+      expect(archive.getAction()).toEqual('archive');
+      expect(archive.getParams().get('p')).toEqual('seattle,wa');
+
+      archive.setPlace('98109');
+      expect(archive.getParams().get('p')).toEqual('98109');
+    });
+
+    it('should use the from and to params', function() {
+      archive.setFrom(toDate(-24));
+      archive.setTo(toDate(0));
+
+      expect(archive.getParams().toJSON().from).toEqual(toDate(-24).getTime() / 1000);
+      expect(archive.getParams().toJSON().to).toEqual(toDate(0).getTime() / 1000);
+    });
+
+    it('should parse observation periods into Observations, sorted by time', function() {
+      expect(archive.length).toEqual(5);
+      expect(archive.at(0)).toBeInstanceOf(Observation);
+      expect(_.invoke(archive.models, 'getDate')).toEqual([
+        toDate(0), toDate(1), toDate(1.5), toDate(2), toDate(4)
+      ]);
+    });
+
+
+    describe('getSeries', function() {
+
+      it('should return values by time, excluding missing values', function() {
+        expect(archive.getSeries('tempF')).toEqual([
+          { time: toDate(0), value: 40 },
+          { time: toDate(1), value: 44 },
+          { time: toDate(2), value: 50 },
+          { time: toDate(4), value: 54 }
+        ]);
+      });
+
+      it('should accept a time range', function() {
+        expect(_.pluck(archive.getSeries('ob.tempF', { from: toDate(1), to: toDate(4) }), 'value')).toEqual([44, 50]);
+      });
+
+    });
+
+
+    describe('statistics', function() {
+
+      it('should return the min, max and mean', function() {
+        expect(archive.getMin('tempF')).toEqual(40);
+        expect(archive.getMax('tempF')).toEqual(54);
+        expect(archive.getMean('tempF')).toEqual(47);
+      });
+
+      it('should accept a time range', function() {
+        var range = { from: toDate(1), to: toDate(3) };
+
+        expect(archive.getMin('tempF', range)).toEqual(44);
+        expect(archive.getMean('tempF', range)).toEqual(47);
+      });
+
+      it('should return null if no values are available', function() {
+        expect(archive.getMax('tempF', { from: toDate(5), to: toDate(6) })).toEqual(null);
+        expect(archive.getMean('windSpeedMPH')).toEqual(null);
+      });
+
+    });
+
+
+    describe('getPrecipAccumulation', function() {
+
+      it('should return the total precipitation', function() {
+        var precip = archive.getPrecipAccumulation();
+
+        expect(precip.value).toBeCloseTo(0.35, 5);
+        expect(precip.unit).toEqual('IN');
+      });
+
+      it('should use the preferred units', function() {
+        config.setUnits('metric');
+
+        expect(archive.getPrecipAccumulation().value).toBeCloseTo(8.9, 5);
+        expect(archive.getPrecipAccumulation().unit).toEqual('MM');
+      });
+
+      it('should accept a time range and unit', function() {
+        var range = { from: toDate(1), to: toDate(3) };
+
+        expect(archive.getPrecipAccumulation(range, 'MM').value).toBeCloseTo(3.8, 5);
+      });
+
+      it('should return null if no precipitation was reported', function() {
+        expect(archive.getPrecipAccumulation({ from: toDate(5), to: toDate(6) })).toEqual(null);
+      });
+
+    });
+
+
+    describe('resample', function() {
+
+      it('should average values over fixed intervals of the from/to range', function() {
+        expect(archive.resample('tempF', 2 * HOUR)).toEqual([
+          { time: toDate(0), value: 42 },
+          { time: toDate(2), value: 50 },
+          { time: toDate(4), value: 54 }
+        ]);
+      });
+
+      it('should set null values for intervals without observations', function() {
+        expect(_.pluck(archive.resample('tempF', HOUR), 'value')).toEqual([40, 44, 50, null, 54, null]);
+      });
+
+      it('should accept a reduce method', function() {
+        var precips = _.pluck(archive.resample('precipIN', 3 * HOUR, { method: 'sum' }), 'value');
+
+        expect(precips[0]).toBeCloseTo(0.15, 5);
+        expect(precips[1]).toBeCloseTo(0.2, 5);
+        expect(_.pluck(archive.resample('tempF', 3 * HOUR, { method: 'max' }), 'value')).toEqual([50, 54]);
+      });
+
+      it('should use the observation times, if no date range is set', function() {
+        archive.getParams().unset('from');
+        archive.getParams().unset('to');
+
+        expect(_.pluck(archive.resample('tempF', 3 * HOUR), 'time')).toEqual([toDate(0), toDate(3)]);
+      });
+
+      it('should reject invalid intervals and methods', function() {
+        expect(function() {
+          archive.resample('tempF', 0);
+        }).toThrowType('InvalidArgumentError');
+
+        expect(function() {
+          archive.resample('tempF', HOUR, { method: 'median' });
+        }).toThrowType('InvalidArgumentError');
+      });
+
+    });
+
+  });
+
+});
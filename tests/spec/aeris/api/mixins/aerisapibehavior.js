@@ -4,12 +4,28 @@ define([
   'aeris/events',
   'aeris/model',
   'aeris/errors/apiresponseerror',
+  'aeris/promise',
+  'aeris/api/transports/jsonptransport',
+  'aeris/errors/timeouterror',
+  'aeris/api/cache/responsecache',
+  'aeris/api/requestregistry',
+  'aeris/api/retrypolicy',
+  'aeris/errors/invalidclienterror',
+  'aeris/errors/invalidlocationerror',
+  'aeris/errors/maxhitsexceedederror',
+  'aeris/errors/nodatawarning',
+  'aeris/api/params/models/params',
   'mocks/mockfactory',
-  'mocks/aeris/jsonp'
-], function(_, AerisApiBehavior, Events, Model, ApiResponseError, MockFactory, MockJSONP) {
+  'mocks/aeris/jsonp',
+  'tests/lib/clock'
+], function(_, AerisApiBehavior, Events, Model, ApiResponseError, Promise, JSONPTransport, TimeoutError, ResponseCache, RequestRegistry, RetryPolicy, InvalidClientError, InvalidLocationError, MaxHitsExceededError, NoDataWarning, Params, MockFactory, MockJSONP, clock) {
   var ConcreteAerisApi = function(options) {
     this.params_ = options.params;
-    this.jsonp_ = options.jsonp;
+    this.transport_ = options.transport || new JSONPTransport({ jsonp: options.jsonp });
+    this.timeout_ = options.timeout;
+    this.cache_ = options.cache;
+    this.requestRegistry_ = options.requestRegistry;
+    this.retryPolicy_ = options.retryPolicy;
 
     Events.call(this);
   };
@@ -24,7 +40,13 @@ define([
       'resetFilter',
       'addQuery',
       'removeQuery',
-      'resetQuery'
+      'resetQuery',
+      'addSort',
+      'removeSort',
+      'resetSort',
+      'setFields',
+      'addFields',
+      'removeFields'
     ],
     inherits: Model
   });
@@ -100,8 +122,635 @@ define([
     });
 
 
+    describe('*Sort methods', function() {
+      var SORT_STUB = 'SORT_STUB';
+
+
+      it('should proxy params addSort', function() {
+        aerisApi.addSort(SORT_STUB, -1, OPTIONS_STUB);
+        expect(mockParams.addSort).toHaveBeenCalledWith(SORT_STUB, -1, OPTIONS_STUB);
+      });
+
+      it('should proxy params *Sort command methods', function() {
+        _.each([
+          'removeSort',
+          'resetSort'
+        ], function(methodName) {
+          aerisApi[methodName](SORT_STUB, OPTIONS_STUB);
+          expect(mockParams[methodName]).toHaveBeenCalledWith(SORT_STUB, OPTIONS_STUB);
+        });
+      });
+
+    });
+
+
+    describe('*Fields methods', function() {
+      var FIELDS_STUB = ['FIELD_A', 'FIELD_B'];
+
+
+      it('should proxy params *Fields command methods', function() {
+        _.each([
+          'setFields',
+          'addFields',
+          'removeFields'
+        ], function(methodName) {
+          aerisApi[methodName](FIELDS_STUB, OPTIONS_STUB);
+          expect(mockParams[methodName]).toHaveBeenCalledWith(FIELDS_STUB, OPTIONS_STUB);
+        });
+      });
+
+    });
+
+
+    describe('createParams_', function() {
+
+      it('should create params which accept only valid filters for the endpoint', function() {
+        var params;
+
+        aerisApi.endpoint_ = 'earthquakes';
+        params = aerisApi.createParams_({ filter: ['strong'] });
+
+        expect(params).toBeInstanceOf(Params);
+        expect(function() {
+          params.addFilter('tornados');
+        }).toThrowType('ValidationError');
+        expect(params.get('filter').pluck('name')).toEqual(['strong']);
+      });
+
+      it('should validate filters provided as raw params', function() {
+        aerisApi.endpoint_ = 'stormreports';
+
+        expect(function() {
+          aerisApi.createParams_({ filter: ['tornados'] });
+        }).toThrowType('ValidationError');
+      });
+
+      it('should apply valid filters to a provided Params instance', function() {
+        var params = new Params();
+
+        aerisApi.endpoint_ = 'stormreports';
+        aerisApi.createParams_(params);
+
+        params.addFilter('tornado');
+        expect(function() {
+          params.addFilter('tornados');
+        }).toThrowType('ValidationError');
+      });
+
+      it('should accept any filter for endpoints without known filters', function() {
+        var params;
+
+        aerisApi.endpoint_ = 'ENDPOINT_STUB';
+        params = aerisApi.createParams_();
+
+        params.addFilter('anything');
+
+        expect(params.get('filter').pluck('name')).toEqual(['anything']);
+      });
+
+      it('should reject typo\'d filters for each listed endpoint', function() {
+        var typos = {
+          advisories: 'warnings',
+          lightning: 'cgg',
+          observations: 'metars',
+          places: 'airports',
+          rivers: 'flooding'
+        };
+
+        _.each(typos, function(filter, endpoint) {
+          aerisApi.endpoint_ = endpoint;
+
+          expect(function() {
+            aerisApi.createParams_({ filter: [filter] });
+          }).toThrowType('ValidationError');
+        });
+      });
+
+      it('should accept listed filters for each endpoint', function() {
+        var filters = {
+          advisories: ['warning', 'geo'],
+          lightning: ['cg'],
+          observations: ['metar'],
+          places: ['airport'],
+          rivers: ['flood']
+        };
+
+        _.each(filters, function(endpointFilters, endpoint) {
+          aerisApi.endpoint_ = endpoint;
+
+          expect(aerisApi.createParams_({ filter: endpointFilters }).get('filter').pluck('name')).
+            toEqual(endpointFilters);
+        });
+      });
+
+      it('should accept any filter, if validateFilters is false', function() {
+        var params;
+
+        aerisApi.endpoint_ = 'stormreports';
+        params = aerisApi.createParams_({ filter: ['tornados'] }, { validateFilters: false });
+
+        params.addFilter('anything');
+
+        expect(params.get('filter').pluck('name')).toEqual(['tornados', 'anything']);
+      });
+
+    });
+
+
     describe('sync', function() {
 
+      it('should request data using the transport', function() {
+        var transport = new JSONPTransport();
+        spyOn(transport, 'get').andReturn(new Promise());
+        spyOn(aerisApi, 'getEndpointUrl_').andReturn('ENDPOINT_URL_STUB');
+        spyOn(aerisApi, 'serializeParams_').andReturn({ PARAMS: 'STUB' });
+        aerisApi.transport_ = transport;
+
+        aerisApi.sync('read', aerisApi, {});
+
+        expect(transport.get).toHaveBeenCalledWith('ENDPOINT_URL_STUB', { PARAMS: 'STUB' });
+      });
+
+      it('should reject when the transport rejects', function() {
+        var transport = new JSONPTransport();
+        var promiseToGet = new Promise();
+        var onFail = jasmine.createSpy('onFail');
+        var ERROR_STUB = new Error('ERROR_STUB');
+        spyOn(transport, 'get').andReturn(promiseToGet);
+        aerisApi.transport_ = transport;
+
+        aerisApi.sync('read', aerisApi, {}).fail(onFail);
+        promiseToGet.reject(ERROR_STUB);
+
+        expect(onFail).toHaveBeenCalledWith(ERROR_STUB);
+      });
+
+      describe('timeouts', function() {
+        var onFail;
+
+        beforeEach(function() {
+          clock.useFakeTimers();
+          onFail = jasmine.createSpy('onFail');
+          aerisApi.timeout_ = 1000;
+        });
+
+        afterEach(function() {
+          clock.restore();
+        });
+
+
+        it('should reject with a TimeoutError after the timeout', function() {
+          aerisApi.sync('read', aerisApi, {}).fail(onFail);
+
+          clock.tick(999);
+          expect(onFail).not.toHaveBeenCalled();
+
+          clock.tick(1);
+          expect(onFail).toHaveBeenCalled();
+          expect(onFail.mostRecentCall.args[0]).toBeInstanceOf(TimeoutError);
+        });
+
+        it('should accept a per-request timeout option', function() {
+          aerisApi.sync('read', aerisApi, { timeout: 50 }).fail(onFail);
+
+          clock.tick(50);
+          expect(onFail).toHaveBeenCalled();
+        });
+
+        it('should not timeout if the timeout is 0', function() {
+          aerisApi.sync('read', aerisApi, { timeout: 0 }).fail(onFail);
+
+          clock.tick(100000);
+          expect(onFail).not.toHaveBeenCalled();
+        });
+
+        it('should not trigger a \'sync\' event for responses after the timeout', function() {
+          var onSync = jasmine.createSpy('onSync');
+          aerisApi.on('sync', onSync);
+
+          aerisApi.sync('read', aerisApi, {});
+          clock.tick(1000);
+          jsonp.resolveWith({ success: true, response: [] });
+
+          expect(onSync).not.toHaveBeenCalled();
+        });
+
+      });
+
+
+      describe('when the response contains a warning', function() {
+        var WARNING_RESPONSE, onWarning;
+
+        beforeEach(function() {
+          WARNING_RESPONSE = {
+            success: true,
+            error: {
+              code: 'warn_no_data',
+              description: 'No data available'
+            },
+            response: []
+          };
+
+          onWarning = jasmine.createSpy('onWarning');
+          aerisApi.on('warning', onWarning);
+        });
+
+
+        it('should resolve with the response data', function() {
+          var onDone = jasmine.createSpy('onDone');
+          var onFail = jasmine.createSpy('onFail');
+
+          aerisApi.sync('read', aerisApi, {}).done(onDone).fail(onFail);
+          jsonp.resolveWith(WARNING_RESPONSE);
+
+          expect(onDone).toHaveBeenCalledWith(WARNING_RESPONSE);
+          expect(onFail).not.toHaveBeenCalled();
+        });
+
+        it('should resolve with empty data, if the response contains no data', function() {
+          var onDone = jasmine.createSpy('onDone');
+          delete WARNING_RESPONSE.response;
+
+          aerisApi.sync('read', aerisApi, {}).done(onDone);
+          jsonp.resolveWith(WARNING_RESPONSE);
+
+          expect(onDone.mostRecentCall.args[0].response).toEqual([]);
+        });
+
+        it('should trigger a \'warning\' event with the warning code', function() {
+          aerisApi.sync('read', aerisApi, OPTIONS_STUB);
+          jsonp.resolveWith(WARNING_RESPONSE);
+
+          expect(onWarning).toHaveBeenCalled();
+          expect(onWarning.mostRecentCall.args[0]).toEqual(aerisApi);
+          expect(onWarning.mostRecentCall.args[1]).toBeInstanceOf(NoDataWarning);
+          expect(onWarning.mostRecentCall.args[1].code).toEqual('warn_no_data');
+          expect(onWarning.mostRecentCall.args[2]).toEqual(OPTIONS_STUB);
+        });
+
+        it('should trigger a \'sync\' event', function() {
+          var onSync = jasmine.createSpy('onSync');
+          aerisApi.on('sync', onSync);
+
+          aerisApi.sync('read', aerisApi, {});
+          jsonp.resolveWith(WARNING_RESPONSE);
+
+          expect(onSync).toHaveBeenCalled();
+        });
+
+        it('should not trigger a \'warning\' event for error responses', function() {
+          WARNING_RESPONSE.success = false;
+
+          aerisApi.sync('read', aerisApi, {});
+          jsonp.resolveWith(WARNING_RESPONSE);
+
+          expect(onWarning).not.toHaveBeenCalled();
+        });
+
+        it('should not trigger a \'warning\' event for responses without warnings', function() {
+          aerisApi.sync('read', aerisApi, {});
+          jsonp.resolveWith({ success: true, error: null, response: [] });
+
+          expect(onWarning).not.toHaveBeenCalled();
+        });
+
+      });
+
+
+      describe('with a retry policy', function() {
+        var onDone, onFail, onRetry;
+        var ERROR_RESPONSE = {
+          success: false,
+          error: { code: 'maxhits_min', description: 'Rate limit exceeded' }
+        };
+        var SUCCESS_RESPONSE = { success: true, response: [] };
+
+        beforeEach(function() {
+          clock.useFakeTimers();
+
+          onDone = jasmine.createSpy('onDone');
+          onFail = jasmine.createSpy('onFail');
+          onRetry = jasmine.createSpy('onRetry');
+
+          aerisApi.retryPolicy_ = new RetryPolicy({
+            maxAttempts: 3,
+            delay: 100,
+            jitter: 0
+          });
+          aerisApi.on('retry', onRetry);
+        });
+
+        afterEach(function() {
+          clock.restore();
+        });
+
+
+        it('should retry retryable errors after a backoff delay', function() {
+          aerisApi.sync('read', aerisApi, {});
+          jsonp.resolveWith(ERROR_RESPONSE);
+          expect(jsonp.get.callCount).toEqual(1);
+
+          clock.tick(99);
+          expect(jsonp.get.callCount).toEqual(1);
+
+          clock.tick(1);
+          expect(jsonp.get.callCount).toEqual(2);
+
+          clock.tick(200);
+          expect(jsonp.get.callCount).toEqual(3);
+        });
+
+        it('should resolve if a retried request succeeds', function() {
+          aerisApi.sync('read', aerisApi, {}).done(onDone).fail(onFail);
+          jsonp.resolveWith(ERROR_RESPONSE);
+
+          jsonp.get.andCallFake(function(url, params, callback) {
+            callback(SUCCESS_RESPONSE);
+          });
+          clock.tick(100);
+
+          expect(onDone).toHaveBeenCalledWith(SUCCESS_RESPONSE);
+          expect(onFail).not.toHaveBeenCalled();
+        });
+
+        it('should reject after the max number of attempts', function() {
+          aerisApi.sync('read', aerisApi, {}).fail(onFail);
+          jsonp.resolveWith(ERROR_RESPONSE);
+
+          clock.tick(100);
+          expect(onFail).not.toHaveBeenCalled();
+
+          clock.tick(200);
+          expect(jsonp.get.callCount).toEqual(3);
+          expect(onFail).toHaveBeenCalled();
+          expect(onFail.mostRecentCall.args[0]).toBeInstanceOf(ApiResponseError);
+        });
+
+        it('should not retry non-retryable errors', function() {
+          aerisApi.sync('read', aerisApi, {}).fail(onFail);
+          jsonp.resolveWith({
+            success: false,
+            error: { code: 'invalid_location', description: 'Location not found' }
+          });
+
+          clock.tick(10000);
+          expect(jsonp.get.callCount).toEqual(1);
+          expect(onFail).toHaveBeenCalled();
+          expect(onRetry).not.toHaveBeenCalled();
+        });
+
+        it('should trigger a \'retry\' event for each retry', function() {
+          aerisApi.sync('read', aerisApi, OPTIONS_STUB);
+          jsonp.resolveWith(ERROR_RESPONSE);
+
+          expect(onRetry.callCount).toEqual(1);
+          expect(onRetry.mostRecentCall.args[0]).toEqual(aerisApi);
+          expect(onRetry.mostRecentCall.args[1]).toBeInstanceOf(ApiResponseError);
+          expect(onRetry.mostRecentCall.args[2]).toEqual({ attempt: 2, delay: 100 });
+          expect(onRetry.mostRecentCall.args[3]).toEqual(OPTIONS_STUB);
+
+          clock.tick(100);
+          expect(onRetry.callCount).toEqual(2);
+          expect(onRetry.mostRecentCall.args[2]).toEqual({ attempt: 3, delay: 200 });
+        });
+
+        it('should retry requests which time out', function() {
+          aerisApi.sync('read', aerisApi, { timeout: 1000 }).done(onDone);
+
+          clock.tick(1000);
+          expect(onRetry).toHaveBeenCalled();
+          expect(onRetry.mostRecentCall.args[1]).toBeInstanceOf(TimeoutError);
+
+          clock.tick(100);
+          expect(jsonp.get.callCount).toEqual(2);
+
+          jsonp.resolveWith(SUCCESS_RESPONSE);
+          expect(onDone).toHaveBeenCalledWith(SUCCESS_RESPONSE);
+        });
+
+        it('should not retry with the `retry: false` option', function() {
+          aerisApi.sync('read', aerisApi, { retry: false }).fail(onFail);
+          jsonp.resolveWith(ERROR_RESPONSE);
+
+          clock.tick(10000);
+          expect(jsonp.get.callCount).toEqual(1);
+          expect(onFail).toHaveBeenCalled();
+        });
+
+      });
+
+
+      describe('with a request registry', function() {
+        var registry;
+
+        beforeEach(function() {
+          registry = new RequestRegistry();
+          aerisApi.requestRegistry_ = registry;
+          spyOn(aerisApi, 'serializeParams_').andReturn({ PARAMS: 'STUB' });
+        });
+
+
+        it('should share identical in-flight requests', function() {
+          aerisApi.sync('read', aerisApi, {});
+          aerisApi.sync('read', aerisApi, {});
+
+          expect(jsonp.get.callCount).toEqual(1);
+        });
+
+        it('should resolve each request with the shared response', function() {
+          var RESPONSE_STUB = { success: true, response: [] };
+          var onDoneA = jasmine.createSpy('onDoneA');
+          var onDoneB = jasmine.createSpy('onDoneB');
+
+          aerisApi.sync('read', aerisApi, {}).done(onDoneA);
+          aerisApi.sync('read', aerisApi, {}).done(onDoneB);
+          jsonp.resolveWith(RESPONSE_STUB);
+
+          expect(onDoneA).toHaveBeenCalledWith(RESPONSE_STUB);
+          expect(onDoneB).toHaveBeenCalledWith(RESPONSE_STUB);
+        });
+
+        it('should share requests between data objects', function() {
+          var otherApi = new ConcreteAerisApi({
+            params: new MockParams(),
+            transport: aerisApi.transport_,
+            requestRegistry: registry
+          });
+          spyOn(otherApi, 'serializeParams_').andReturn({ PARAMS: 'STUB' });
+
+          aerisApi.sync('read', aerisApi, {});
+          otherApi.sync('read', otherApi, {});
+
+          expect(jsonp.get.callCount).toEqual(1);
+        });
+
+        it('should not share requests with different params', function() {
+          aerisApi.sync('read', aerisApi, {});
+          aerisApi.serializeParams_.andReturn({ PARAMS: 'OTHER_STUB' });
+          aerisApi.sync('read', aerisApi, {});
+
+          expect(jsonp.get.callCount).toEqual(2);
+        });
+
+        it('should not share completed requests', function() {
+          jsonp.resolveWith({ success: true, response: [] });
+
+          aerisApi.sync('read', aerisApi, {});
+          aerisApi.sync('read', aerisApi, {});
+
+          expect(jsonp.get.callCount).toEqual(2);
+        });
+
+        it('should not share requests which have timed out', function() {
+          clock.useFakeTimers();
+          aerisApi.timeout_ = 1000;
+
+          // The transport never responds
+          aerisApi.sync('read', aerisApi, {});
+          clock.tick(1000);
+
+          aerisApi.sync('read', aerisApi, {});
+          clock.restore();
+
+          expect(jsonp.get.callCount).toEqual(2);
+          expect(registry.isPending(aerisApi.createRequestKey_(jsonp.get.mostRecentCall.args[0], {
+            PARAMS: 'STUB'
+          }))).toEqual(true);
+        });
+
+        it('should not share requests with the `coalesce: false` option', function() {
+          aerisApi.sync('read', aerisApi, {});
+          aerisApi.sync('read', aerisApi, { coalesce: false });
+
+          expect(jsonp.get.callCount).toEqual(2);
+        });
+
+      });
+
+
+      describe('with a batch scheduler', function() {
+        var scheduler, scheduledRequest;
+
+        beforeEach(function() {
+          scheduledRequest = new Promise();
+          scheduler = jasmine.createSpyObj('batchScheduler', ['schedule']);
+          scheduler.schedule.andReturn(scheduledRequest);
+
+          aerisApi.batchScheduler_ = scheduler;
+          spyOn(aerisApi, 'serializeParams_').andReturn({ PARAMS: 'STUB' });
+        });
+
+
+        it('should schedule the request with the batch scheduler', function() {
+          aerisApi.sync('read', aerisApi, {});
+
+          expect(scheduler.schedule).toHaveBeenCalledWith(aerisApi, jasmine.any(String), { PARAMS: 'STUB' }, aerisApi.transport_);
+          expect(jsonp.get).not.toHaveBeenCalled();
+        });
+
+        it('should resolve with the scheduled response', function() {
+          var RESPONSE_STUB = { success: true, response: [] };
+          var onDone = jasmine.createSpy('onDone');
+
+          aerisApi.sync('read', aerisApi, {}).done(onDone);
+          scheduledRequest.resolve(RESPONSE_STUB);
+
+          expect(onDone).toHaveBeenCalledWith(RESPONSE_STUB);
+        });
+
+        it('should not schedule requests with the `batch: false` option', function() {
+          aerisApi.sync('read', aerisApi, { batch: false });
+
+          expect(scheduler.schedule).not.toHaveBeenCalled();
+          expect(jsonp.get).toHaveBeenCalled();
+        });
+
+      });
+
+
+      describe('createRequestKey_', function() {
+
+        it('should create the same key for params in any order', function() {
+          expect(aerisApi.createRequestKey_('URL', { a: 1, b: 2 })).
+            toEqual(aerisApi.createRequestKey_('URL', { b: 2, a: 1 }));
+        });
+
+        it('should create different keys for different params', function() {
+          expect(aerisApi.createRequestKey_('URL', { a: 1 })).
+            not.toEqual(aerisApi.createRequestKey_('URL', { a: 2 }));
+        });
+
+        it('should create different keys for different urls', function() {
+          expect(aerisApi.createRequestKey_('URL_A', { a: 1 })).
+            not.toEqual(aerisApi.createRequestKey_('URL_B', { a: 1 }));
+        });
+
+      });
+
+
+      describe('with a response cache', function() {
+        var cache, RESPONSE_STUB;
+
+        beforeEach(function() {
+          RESPONSE_STUB = { success: true, response: [{ STUB: 'RESPONSE_STUB' }] };
+          cache = new ResponseCache();
+          aerisApi.cache_ = cache;
+          aerisApi.endpoint_ = 'ENDPOINT_STUB';
+
+          spyOn(aerisApi, 'serializeParams_').andReturn({ PARAMS: 'STUB' });
+          jsonp.resolveWith(RESPONSE_STUB);
+        });
+
+
+        it('should cache successful responses', function() {
+          aerisApi.sync('read', aerisApi, {});
+
+          expect(cache.get(aerisApi.createRequestKey_(aerisApi.getEndpointUrl_(), { PARAMS: 'STUB' }))).
+            toEqual(RESPONSE_STUB);
+        });
+
+        it('should not cache error responses', function() {
+          jsonp.resolveWith({ success: false, error: { code: 'ERR' } });
+          aerisApi.sync('read', aerisApi, {});
+
+          expect(cache.get(aerisApi.createRequestKey_(aerisApi.getEndpointUrl_(), { PARAMS: 'STUB' }))).
+            toBeUndefined();
+        });
+
+        it('should resolve with cached responses, without making a request', function() {
+          var onDone = jasmine.createSpy('onDone');
+          aerisApi.sync('read', aerisApi, {});
+
+          aerisApi.sync('read', aerisApi, {}).done(onDone);
+
+          expect(jsonp.get.callCount).toEqual(1);
+          expect(onDone).toHaveBeenCalledWith(RESPONSE_STUB);
+        });
+
+        it('should trigger \'cache:hit\' and \'sync\' events for cached responses', function() {
+          var onCacheHit = jasmine.createSpy('onCacheHit');
+          var onSync = jasmine.createSpy('onSync');
+          aerisApi.sync('read', aerisApi, {});
+          aerisApi.on('cache:hit', onCacheHit);
+          aerisApi.on('sync', onSync);
+
+          aerisApi.sync('read', aerisApi, {});
+
+          expect(onCacheHit).toHaveBeenCalledWithSomeOf(aerisApi, RESPONSE_STUB);
+          expect(onSync).toHaveBeenCalledWithSomeOf(aerisApi, RESPONSE_STUB);
+        });
+
+        it('should bypass the cache with the `cache: false` option', function() {
+          aerisApi.sync('read', aerisApi, {});
+
+          aerisApi.sync('read', aerisApi, { cache: false });
+
+          expect(jsonp.get.callCount).toEqual(2);
+        });
+
+      });
+
+
       describe('when the response contains an error object', function() {
         var ERROR_CODE_STUB, RESPONSE_STUB;
 
@@ -150,6 +799,43 @@ define([
 
         });
 
+        describe('error types', function() {
+
+          function getFetchErrorForCode(code) {
+            RESPONSE_STUB.error.code = code;
+            jsonp.resolveWith(RESPONSE_STUB);
+
+            return getFetchError();
+          }
+
+
+          it('should reject with an InvalidClientError for `invalid_client` errors', function() {
+            expect(getFetchErrorForCode('invalid_client')).toBeInstanceOf(InvalidClientError);
+          });
+
+          it('should reject with an InvalidLocationError for `invalid_location` errors', function() {
+            expect(getFetchErrorForCode('invalid_location')).toBeInstanceOf(InvalidLocationError);
+          });
+
+          it('should reject with a MaxHitsExceededError for `maxhits_*` errors', function() {
+            expect(getFetchErrorForCode('maxhits_min')).toBeInstanceOf(MaxHitsExceededError);
+            expect(getFetchErrorForCode('maxhits_daily')).toBeInstanceOf(MaxHitsExceededError);
+          });
+
+          it('should reject with a NoDataWarning for `warn_no_data` errors', function() {
+            expect(getFetchErrorForCode('warn_no_data')).toBeInstanceOf(NoDataWarning);
+          });
+
+          it('should reject with errors which extend ApiResponseError', function() {
+            var error = getFetchErrorForCode('invalid_location');
+
+            expect(error).toBeInstanceOf(ApiResponseError);
+            expect(error.code).toEqual('invalid_location');
+            expect(error.message).toEqual('ERR_DESCR_STUB');
+          });
+
+        });
+
       });
 
     });
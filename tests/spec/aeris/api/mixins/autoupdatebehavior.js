@@ -0,0 +1,318 @@
+define([
+  'aeris/util',
+  'aeris/api/mixins/autoupdatebehavior',
+  'aeris/collection',
+  'aeris/model',
+  'aeris/promise',
+  'tests/lib/clock'
+], function(_, AutoUpdateBehavior, Collection, Model, Promise, clock) {
+  var ConcreteCollection = function(opt_models) {
+    /**
+     * Models to set on the collection
+     * on the next fetch.
+     */
+    this.nextModels = opt_models || [];
+
+    Collection.call(this, opt_models);
+
+    spyOn(this, 'fetch').andCallFake(function() {
+      var promise = new Promise();
+
+      this.set(this.nextModels);
+      promise.resolve({ success: true, response: [] });
+
+      return promise;
+    });
+  };
+  _.inherits(ConcreteCollection, Collection);
+  _.extend(ConcreteCollection.prototype, AutoUpdateBehavior);
+
+
+  function triggerVisibilityChange() {
+    var evt = document.createEvent('Event');
+    evt.initEvent('visibilitychange', false, false);
+
+    document.dispatchEvent(evt);
+  }
+
+
+  describe('AutoUpdateBehavior', function() {
+    var collection;
+
+    beforeEach(function() {
+      clock.useFakeTimers();
+
+      collection = new ConcreteCollection([
+        { id: 'A', name: 'A' },
+        { id: 'B', name: 'B' }
+      ]);
+      spyOn(collection, 'isPageHidden_').andReturn(false);
+    });
+
+    afterEach(function() {
+      collection.stopAutoUpdate();
+      clock.restore();
+    });
+
+
+    describe('startAutoUpdate', function() {
+
+      it('should update the collection at the specified interval', function() {
+        collection.startAutoUpdate(1000);
+        expect(collection.fetch).not.toHaveBeenCalled();
+
+        clock.tick(1000);
+        expect(collection.fetch.callCount).toEqual(1);
+
+        clock.tick(1000);
+        expect(collection.fetch.callCount).toEqual(2);
+      });
+
+      it('should update every 5 minutes, by default', function() {
+        collection.startAutoUpdate();
+
+        clock.tick(1000 * 60 * 5 - 1);
+        expect(collection.fetch).not.toHaveBeenCalled();
+
+        clock.tick(1);
+        expect(collection.fetch.callCount).toEqual(1);
+      });
+
+      it('should fetch with the provided options', function() {
+        collection.startAutoUpdate(1000, { remove: false });
+
+        clock.tick(1000);
+
+        expect(collection.fetch.mostRecentCall.args[0].remove).toEqual(false);
+      });
+
+      it('should replace an existing auto-update interval', function() {
+        collection.startAutoUpdate(1000);
+        collection.startAutoUpdate(5000);
+
+        clock.tick(5000);
+
+        expect(collection.fetch.callCount).toEqual(1);
+      });
+
+      it('should not update while the page is hidden', function() {
+        collection.isPageHidden_.andReturn(true);
+        collection.startAutoUpdate(1000);
+
+        clock.tick(5000);
+
+        expect(collection.fetch).not.toHaveBeenCalled();
+      });
+
+    });
+
+
+    describe('stopAutoUpdate', function() {
+
+      it('should stop updating the collection', function() {
+        collection.startAutoUpdate(1000);
+        collection.stopAutoUpdate();
+
+        clock.tick(5000);
+
+        expect(collection.fetch).not.toHaveBeenCalled();
+      });
+
+      it('should not resume updating when the page becomes visible', function() {
+        collection.startAutoUpdate(1000);
+        collection.stopAutoUpdate();
+
+        triggerVisibilityChange();
+        clock.tick(5000);
+
+        expect(collection.fetch).not.toHaveBeenCalled();
+      });
+
+    });
+
+
+    describe('isAutoUpdating', function() {
+
+      it('should return true while auto-updating', function() {
+        expect(collection.isAutoUpdating()).toEqual(false);
+
+        collection.startAutoUpdate(1000);
+        expect(collection.isAutoUpdating()).toEqual(true);
+
+        collection.stopAutoUpdate();
+        expect(collection.isAutoUpdating()).toEqual(false);
+      });
+
+    });
+
+
+    describe('when the page visibility changes', function() {
+
+      beforeEach(function() {
+        collection.startAutoUpdate(1000);
+      });
+
+
+      it('should pause updates while the page is hidden', function() {
+        collection.isPageHidden_.andReturn(true);
+        triggerVisibilityChange();
+
+        clock.tick(5000);
+
+        expect(collection.fetch).not.toHaveBeenCalled();
+      });
+
+      it('should resume updates when the page becomes visible', function() {
+        collection.isPageHidden_.andReturn(true);
+        triggerVisibilityChange();
+        clock.tick(500);
+
+        collection.isPageHidden_.andReturn(false);
+        triggerVisibilityChange();
+        expect(collection.fetch).not.toHaveBeenCalled();
+
+        clock.tick(1000);
+        expect(collection.fetch.callCount).toEqual(1);
+      });
+
+      it('should update immediately if an update was missed while the page was hidden', function() {
+        collection.isPageHidden_.andReturn(true);
+        triggerVisibilityChange();
+        clock.tick(1500);
+
+        collection.isPageHidden_.andReturn(false);
+        triggerVisibilityChange();
+
+        expect(collection.fetch.callCount).toEqual(1);
+      });
+
+      it('should not restart a running update timer', function() {
+        clock.tick(500);
+        triggerVisibilityChange();
+        clock.tick(500);
+
+        expect(collection.fetch.callCount).toEqual(1);
+      });
+
+    });
+
+
+    describe('update', function() {
+      var onAdded, onRemoved, onChanged;
+
+      beforeEach(function() {
+        onAdded = jasmine.createSpy('onAdded');
+        onRemoved = jasmine.createSpy('onRemoved');
+        onChanged = jasmine.createSpy('onChanged');
+
+        collection.on({
+          'update:added': onAdded,
+          'update:removed': onRemoved,
+          'update:changed': onChanged
+        });
+      });
+
+
+      it('should fetch the collection', function() {
+        var OPTIONS_STUB = { STUB: 'OPTIONS_STUB' };
+
+        collection.update(OPTIONS_STUB);
+
+        expect(collection.fetch).toHaveBeenCalledWith(OPTIONS_STUB);
+      });
+
+      it('should trigger \'update:added\' with new models', function() {
+        collection.nextModels = [
+          { id: 'A', name: 'A' },
+          { id: 'B', name: 'B' },
+          { id: 'C', name: 'C' }
+        ];
+
+        collection.update();
+
+        expect(onAdded).toHaveBeenCalledWith(collection, [collection.get('C')], {});
+      });
+
+      it('should trigger \'update:removed\' with removed models', function() {
+        var modelB = collection.get('B');
+        collection.nextModels = [
+          { id: 'A', name: 'A' }
+        ];
+
+        collection.update();
+
+        expect(onRemoved).toHaveBeenCalledWith(collection, [modelB], {});
+      });
+
+      it('should trigger \'update:changed\' with modified models', function() {
+        collection.nextModels = [
+          { id: 'A', name: 'A' },
+          { id: 'B', name: 'B_CHANGED' }
+        ];
+
+        collection.update();
+
+        expect(onChanged).toHaveBeenCalledWith(collection, [collection.get('B')], {});
+      });
+
+      it('should compare models replaced by the fetch by id', function() {
+        collection.fetch.andCallFake(function() {
+          var promise = new Promise();
+
+          this.reset([
+            new Model({ id: 'A', name: 'A' }),
+            new Model({ id: 'B', name: 'B' })
+          ]);
+          promise.resolve();
+
+          return promise;
+        });
+
+        collection.update();
+
+        expect(onAdded).not.toHaveBeenCalled();
+        expect(onRemoved).not.toHaveBeenCalled();
+        expect(onChanged).not.toHaveBeenCalled();
+      });
+
+      it('should not trigger update events if the collection is unchanged', function() {
+        collection.nextModels = [
+          { id: 'A', name: 'A' },
+          { id: 'B', name: 'B' }
+        ];
+
+        collection.update();
+
+        expect(onAdded).not.toHaveBeenCalled();
+        expect(onRemoved).not.toHaveBeenCalled();
+        expect(onChanged).not.toHaveBeenCalled();
+      });
+
+      it('should include the request options with update events', function() {
+        collection.nextModels = [];
+
+        collection.update({ STUB: 'OPTIONS_STUB' });
+
+        expect(onRemoved.mostRecentCall.args[2]).toEqual({ STUB: 'OPTIONS_STUB' });
+      });
+
+      it('should not trigger update events if the fetch fails', function() {
+        collection.fetch.andCallFake(function() {
+          var promise = new Promise();
+
+          this.reset();
+          promise.reject(new Error('STUB'));
+
+          return promise;
+        });
+
+        collection.update();
+
+        expect(onRemoved).not.toHaveBeenCalled();
+      });
+
+    });
+
+  });
+
+});
@@ -0,0 +1,88 @@
+define([
+  'aeris/util',
+  'aeris/config',
+  'aeris/api/models/observation',
+  'aeris/api/models/tide'
+], function(_, config, Observation, Tide) {
+
+  describe('UnitBehavior', function() {
+    var observation;
+
+    beforeEach(function() {
+      observation = new Observation({
+        ob: {
+          tempF: 52,
+          tempC: 11,
+          windSpeedMPH: 10,
+          windSpeedKPH: 16,
+          windSpeedKTS: 9,
+          pressureIN: 29.92
+        }
+      });
+    });
+
+    afterEach(function() {
+      config.setUnits('imperial');
+    });
+
+
+    describe('getMeasurement', function() {
+
+      it('should return the measurement in the preferred unit', function() {
+        expect(observation.getMeasurement('ob.temp', 'temperature')).toEqual({
+          value: 52,
+          unit: 'F',
+          label: '°F',
+          quantity: 'temperature'
+        });
+
+        config.setUnits('metric');
+        expect(observation.getMeasurement('ob.temp', 'temperature').value).toEqual(11);
+      });
+
+      it('should return the measurement in the requested unit', function() {
+        expect(observation.getMeasurement('ob.windSpeed', 'speed', 'KTS').value).toEqual(9);
+      });
+
+      it('should convert from another unit, if the preferred unit is not available', function() {
+        config.setUnits('metric');
+
+        expect(observation.getMeasurement('ob.pressure', 'pressure').unit).toEqual('MB');
+        expect(observation.getMeasurement('ob.pressure', 'pressure').value).toBeCloseTo(1013.2, 1);
+      });
+
+      it('should return null if the measurement is not available', function() {
+        expect(observation.getMeasurement('ob.visibility', 'distance')).toEqual(null);
+      });
+
+    });
+
+
+    describe('model getters', function() {
+
+      it('should return observation measurements', function() {
+        config.setUnits({ temperature: 'metric' });
+
+        expect(observation.getTemperature().value).toEqual(11);
+        expect(observation.getWindSpeed().value).toEqual(10);
+        expect(observation.getPressure().unit).toEqual('IN');
+      });
+
+      it('should return tide heights by period', function() {
+        var tide = new Tide({
+          periods: [
+            { heightFT: 1.5, heightM: 0.46 },
+            { heightFT: 8.2, heightM: 2.5 }
+          ]
+        });
+
+        expect(tide.getHeight().value).toEqual(1.5);
+        expect(tide.getHeight('M').value).toEqual(0.46);
+        expect(tide.getHeightAt(1, 'M').value).toEqual(2.5);
+      });
+
+    });
+
+  });
+
+});
@@ -0,0 +1,274 @@
+define([
+  'aeris/util',
+  'aeris/api/models/advisory',
+  'aeris/api/config/advisorycolors',
+  'aeris/api/params/collections/filtercollection',
+  'aeris/api/operator'
+], function(_, Advisory, advisoryColors, FilterCollection, Operator) {
+
+  describe('An Advisory', function() {
+    var advisory;
+
+    beforeEach(function() {
+      advisory = new Advisory({
+        details: {
+          type: 'WI.Y',
+          loc: 'WAZ558',
+          cat: 'wind'
+        },
+        timestamps: {
+          issued: 1000,
+          begins: 2000,
+          expires: 3000,
+          updated: 1500
+        }
+      });
+    });
+
+
+    describe('timestamps', function() {
+
+      it('should return the issue time as a Date', function() {
+        expect(advisory.getIssued()).toEqual(new Date(1000 * 1000));
+      });
+
+      it('should return the begin time as a Date', function() {
+        expect(advisory.getBegins()).toEqual(new Date(2000 * 1000));
+      });
+
+      it('should return the expire time as a Date', function() {
+        expect(advisory.getExpires()).toEqual(new Date(3000 * 1000));
+      });
+
+      it('should return the update time as a Date', function() {
+        expect(advisory.getUpdated()).toEqual(new Date(1500 * 1000));
+      });
+
+      it('should use the issue time, if no begin or update time is defined', function() {
+        advisory.set('timestamps', { issued: 1000 });
+
+        expect(advisory.getBegins()).toEqual(new Date(1000 * 1000));
+        expect(advisory.getUpdated()).toEqual(new Date(1000 * 1000));
+      });
+
+      it('should return null for undefined timestamps', function() {
+        advisory.unset('timestamps');
+
+        expect(advisory.getIssued()).toEqual(null);
+        expect(advisory.getExpires()).toEqual(null);
+      });
+
+    });
+
+
+    describe('isActive', function() {
+
+      it('should return true between the begin and expire times', function() {
+        expect(advisory.isActive(new Date(2500 * 1000))).toEqual(true);
+      });
+
+      it('should return false before the advisory begins', function() {
+        expect(advisory.isActive(new Date(1999 * 1000))).toEqual(false);
+      });
+
+      it('should return false after the advisory expires', function() {
+        expect(advisory.isActive(new Date(3000 * 1000))).toEqual(false);
+      });
+
+      it('should use the current time, by default', function() {
+        var now = new Date().getTime() / 1000;
+        advisory.set('timestamps', {
+          begins: now - 100,
+          expires: now + 100
+        });
+
+        expect(advisory.isActive()).toEqual(true);
+      });
+
+      it('should return true if no expire time is defined', function() {
+        advisory.set('timestamps', { begins: 2000 });
+
+        expect(advisory.isActive(new Date(9999 * 1000))).toEqual(true);
+      });
+
+    });
+
+
+    describe('VTEC codes', function() {
+
+      it('should return the VTEC code', function() {
+        expect(advisory.getVtec()).toEqual('WI.Y');
+      });
+
+      it('should return the phenomena code', function() {
+        expect(advisory.getPhenomena()).toEqual('WI');
+      });
+
+      it('should return the significance code', function() {
+        expect(advisory.getSignificance()).toEqual('Y');
+      });
+
+      it('should return the significance name', function() {
+        expect(advisory.getSignificanceName()).toEqual('advisory');
+
+        advisory.set('details', { type: 'TO.W' });
+        expect(advisory.getSignificanceName()).toEqual('warning');
+      });
+
+      it('should return the event tracking number', function() {
+        advisory.set('details', { type: 'FL.W', etn: 12 });
+        expect(advisory.getEtn()).toEqual('12');
+
+        advisory.set('details', { type: 'FL.W' });
+        expect(advisory.getEtn()).toBeUndefined();
+      });
+
+      it('should return undefined if no VTEC code is defined', function() {
+        advisory.unset('details');
+
+        expect(advisory.getPhenomena()).toBeUndefined();
+        expect(advisory.getSignificance()).toBeUndefined();
+        expect(advisory.getSignificanceName()).toBeUndefined();
+      });
+
+    });
+
+
+    describe('getSeverity', function() {
+
+      it('should rank warnings above watches, advisories, and statements', function() {
+        var severities = ['TO.W', 'TO.A', 'WI.Y', 'SP.S'].map(function(type) {
+          return new Advisory({ details: { type: type } }).getSeverity();
+        });
+
+        expect(severities).toEqual(_.sortBy(severities).reverse());
+        expect(_.uniq(severities).length).toEqual(4);
+      });
+
+      it('should return 0 for unknown significance', function() {
+        advisory.unset('details');
+
+        expect(advisory.getSeverity()).toEqual(0);
+      });
+
+    });
+
+
+    describe('getColor', function() {
+
+      it('should return the standard color for the advisory type', function() {
+        expect(advisory.getColor()).toEqual(advisoryColors['WI.Y']);
+      });
+
+      it('should use the color provided by the API for non-standard types', function() {
+        advisory.set('details', { type: 'XX.Y', color: 'ABCDEF' });
+
+        expect(advisory.getColor()).toEqual('#ABCDEF');
+      });
+
+      it('should return a default color for unknown types', function() {
+        advisory.set('details', { type: 'XX.Y' });
+
+        expect(advisory.getColor()).toEqual(Advisory.DEFAULT_COLOR);
+      });
+
+    });
+
+
+    describe('geometry', function() {
+      var GEO_POLY_STUB;
+
+      beforeEach(function() {
+        GEO_POLY_STUB = { type: 'Polygon', coordinates: [] };
+      });
+
+
+      it('should return the advisory geometry', function() {
+        advisory.set('geoPoly', GEO_POLY_STUB);
+
+        expect(advisory.getGeometry()).toEqual(GEO_POLY_STUB);
+      });
+
+      it('should return null if no geometry was provided', function() {
+        expect(advisory.getGeometry()).toEqual(null);
+      });
+
+      it('should convert the advisory to a GeoJSON feature', function() {
+        var feature;
+
+        advisory.set({ id: 'ID_STUB', geoPoly: GEO_POLY_STUB });
+        feature = advisory.toGeoJson();
+
+        expect(feature.type).toEqual('Feature');
+        expect(feature.geometry).toEqual(GEO_POLY_STUB);
+        expect(feature.properties.id).toEqual('ID_STUB');
+        expect(feature.properties.vtec).toEqual('WI.Y');
+        expect(feature.properties.color).toEqual(advisory.getColor());
+      });
+
+    });
+
+
+    describe('testFilter', function() {
+
+      it('should pass \'all\'', function() {
+        expect(advisory.testFilter('all')).toEqual(true);
+      });
+
+      it('should test significance filters', function() {
+        expect(advisory.testFilter('advisory')).toEqual(true);
+        expect(advisory.testFilter('warning')).toEqual(false);
+        expect(advisory.testFilter('watch')).toEqual(false);
+      });
+
+      it('should test zone and county filters', function() {
+        expect(advisory.testFilter('zone')).toEqual(true);
+        expect(advisory.testFilter('county')).toEqual(false);
+
+        advisory.set('details', { type: 'WI.Y', loc: 'WAC033' });
+        expect(advisory.testFilter('zone')).toEqual(false);
+        expect(advisory.testFilter('county')).toEqual(true);
+      });
+
+      it('should test the geo filter against the advisory geometry', function() {
+        expect(advisory.testFilter('geo')).toEqual(false);
+
+        advisory.set('geoPoly', { type: 'Polygon', coordinates: [] });
+        expect(advisory.testFilter('geo')).toEqual(true);
+      });
+
+      it('should test category filters against the phenomena', function() {
+        expect(advisory.testFilter('wind')).toEqual(true);
+        expect(advisory.testFilter('nonprecip')).toEqual(true);
+        expect(advisory.testFilter('flood')).toEqual(false);
+      });
+
+      it('should test category filters against the API category', function() {
+        advisory.set('details', { type: 'XX.Y', cat: 'flood' });
+
+        expect(advisory.testFilter('flood')).toEqual(true);
+      });
+
+      it('should test VTEC and phenomena codes', function() {
+        expect(advisory.testFilter('WI.Y')).toEqual(true);
+        expect(advisory.testFilter('WI')).toEqual(true);
+        expect(advisory.testFilter('TO.W')).toEqual(false);
+      });
+
+      it('should support filter collections', function() {
+        var filters = new FilterCollection([
+          { name: 'warning' },
+          { name: 'advisory', operator: Operator.OR }
+        ]);
+
+        expect(advisory.testFilterCollection(filters)).toEqual(true);
+
+        filters.get('advisory').set('operator', Operator.AND);
+        expect(advisory.testFilterCollection(filters)).toEqual(false);
+      });
+
+    });
+
+  });
+
+});
@@ -2,8 +2,10 @@ define([
   'aeris/util',
   'aeris/api/models/aerisapimodel',
   'mocks/aeris/config',
-  'mocks/aeris/jsonp'
-], function(_, AerisApiModel, MockConfig, MockJSONP) {
+  'mocks/aeris/jsonp',
+  'aeris/api/params/collections/chainedqueries',
+  'aeris/api/operator'
+], function(_, AerisApiModel, MockConfig, MockJSONP, ChainedQueries, Operator) {
 
   var NoResultsResponse = function() {
     return {
@@ -143,6 +145,30 @@ define([
     });
 
 
+    describe('validateFilters option', function() {
+
+      it('should validate filters for the endpoint, by default', function() {
+        expect(function() {
+          new AerisApiModel(null, {
+            endpoint: 'stormreports',
+            params: { filter: ['tornados'] }
+          });
+        }).toThrowType('ValidationError');
+      });
+
+      it('should accept any filter, if false', function() {
+        var model = new AerisApiModel(null, {
+          endpoint: 'stormreports',
+          params: { filter: ['tornados'] },
+          validateFilters: false
+        });
+
+        expect(model.getParams().get('filter').pluck('name')).toEqual(['tornados']);
+      });
+
+    });
+
+
     describe('testFilter', function() {
 
       // It's the job of child classes to
@@ -153,6 +179,76 @@ define([
 
     });
 
+    describe('getQueryValue', function() {
+
+      it('should return the value at the attribute path of the query property', function() {
+        apiModel.set('ob', { tempF: 72 });
+
+        expect(apiModel.getQueryValue('ob.tempF')).toEqual(72);
+      });
+
+      it('should return undefined if the attribute path cannot be resolved', function() {
+        expect(apiModel.getQueryValue('ob.tempF')).toBeUndefined();
+      });
+
+    });
+
+
+    describe('testQueryCollection', function() {
+      var queries;
+
+      beforeEach(function() {
+        apiModel.set({
+          mag: 5,
+          country: 'us'
+        });
+        queries = new ChainedQueries();
+      });
+
+
+      it('should pass if the model passes all AND queries', function() {
+        queries.whereBetween('mag', 4, 6).where('country', 'US');
+
+        expect(apiModel.testQueryCollection(queries)).toEqual(true);
+      });
+
+      it('should fail if the model fails any AND query', function() {
+        queries.whereBetween('mag', 4, 6).whereNot('country', 'us');
+
+        expect(apiModel.testQueryCollection(queries)).toEqual(false);
+      });
+
+      it('should pass if the model passes either side of an OR query', function() {
+        queries.whereAtLeast('mag', 6).where('country', 'us', { operator: Operator.OR });
+
+        expect(apiModel.testQueryCollection(queries)).toEqual(true);
+      });
+
+      it('should test query groups', function() {
+        queries.
+          whereGroup([
+            { property: 'mag', min: 6 },
+            { property: 'country', value: 'ca', operator: Operator.OR }
+          ]);
+
+        expect(apiModel.testQueryCollection(queries)).toEqual(false);
+
+        apiModel.set('country', 'ca');
+        expect(apiModel.testQueryCollection(queries)).toEqual(true);
+      });
+
+      it('should pass queries for properties which the model does not define', function() {
+        queries.where('foo', 'bar');
+
+        expect(apiModel.testQueryCollection(queries)).toEqual(true);
+      });
+
+      it('should pass if there are no queries', function() {
+        expect(apiModel.testQueryCollection(queries)).toEqual(true);
+      });
+
+    });
+
   });
 
 });
@@ -5,8 +5,13 @@ define([
   'mocks/mockfactory',
   'aeris/model',
   'aeris/api/models/aerisapimodel',
-  'aeris/errors/apiresponseerror'
-], function(_, AerisBatchModel, MockJSONP, MockFactory, Model, AerisApiModel, ApiResponseError) {
+  'aeris/api/collections/aerisapicollection',
+  'aeris/errors/apiresponseerror',
+  'aeris/api/retrypolicy',
+  'aeris/errors/invalidlocationerror',
+  'aeris/errors/nodatawarning',
+  'tests/lib/clock'
+], function(_, AerisBatchModel, MockJSONP, MockFactory, Model, AerisApiModel, AerisApiCollection, ApiResponseError, RetryPolicy, InvalidLocationError, NoDataWarning, clock) {
 
   AerisBatchModel.prototype.jasmineToString = function() {
     return 'AerisBatchModel_' + this.cid;
@@ -155,6 +160,19 @@ define([
                 );
               });
 
+              it('should encode commas and ampersands within model param values', function() {
+                modelAParams.set({
+                  foo: 'tor:-1,mda:-1',
+                  faz: 'a&b&c'
+                });
+
+                batchModel.fetch();
+                requestsParam = jsonp.getRequestedData().requests;
+
+                expect(requestsParam).toMatch('foo=tor:-1%2Cmda:-1');
+                expect(requestsParam).toMatch('faz=a%26b%26c');
+              });
+
               it('should be comma-separated', function() {
                 // Matches /[whatever],/[whatever]
                 expect(requestsParam).toMatch(/\/.*,\/.*/i);
@@ -258,6 +276,18 @@ define([
             expect(getFetchError().responseObject).toEqual(ERROR_RESPONSE_STUB);
           });
 
+          it('should reject with an InvalidLocationError for \'location not found\' errors', function() {
+            var error;
+            BATCH_RESPONSE_STUB.response.responses[1].error = {
+              code: 'invalid_p',
+              description: 'The requested location was not found.'
+            };
+
+            error = getFetchError();
+            expect(error).toBeInstanceOf(InvalidLocationError);
+            expect(error.code).toEqual('invalid_location');
+          });
+
         });
 
 
@@ -291,6 +321,636 @@ define([
 
         });
 
+
+        describe('when any individual model response contains a warning', function() {
+          var BATCH_RESPONSE_STUB, WARNING_RESPONSE_STUB;
+
+          beforeEach(function() {
+            WARNING_RESPONSE_STUB = {
+              success: true,
+              error: {
+                code: 'warn_no_data',
+                description: 'STUB_WARNING_DESCRIPTION'
+              },
+              response: []
+            };
+            BATCH_RESPONSE_STUB = {
+              success: true,
+              error: null,
+              response: {
+                responses: [
+                  { success: true, error: null, response: [{}] },
+                  WARNING_RESPONSE_STUB
+                ]
+              }
+            };
+            jsonp.resolveWith(BATCH_RESPONSE_STUB);
+          });
+
+
+          it('should resolve', function() {
+            var onDone = jasmine.createSpy('onDone');
+
+            batchModel.fetch().done(onDone);
+
+            expect(onDone).toHaveBeenCalled();
+          });
+
+          it('should trigger a \'warning\' event', function() {
+            var onWarning = jasmine.createSpy('onWarning');
+            batchModel.on('warning', onWarning);
+
+            batchModel.fetch();
+
+            expect(onWarning.callCount).toEqual(1);
+            expect(onWarning.mostRecentCall.args[1]).toBeInstanceOf(NoDataWarning);
+            expect(onWarning.mostRecentCall.args[1].responseObject).toEqual(WARNING_RESPONSE_STUB);
+          });
+
+          it('should trigger a \'warning\' event on the nested model', function() {
+            var onWarning = jasmine.createSpy('onWarning');
+            batchModel.set({
+              modelA: modelA,
+              modelB: modelB
+            });
+            modelB.on('warning', onWarning);
+
+            batchModel.fetch();
+
+            expect(onWarning.callCount).toEqual(1);
+            expect(onWarning.mostRecentCall.args[0]).toEqual(modelB);
+            expect(onWarning.mostRecentCall.args[1].code).toEqual('warn_no_data');
+          });
+
+          it('should reject with errors from other model responses', function() {
+            BATCH_RESPONSE_STUB.response.responses[0] = {
+              success: false,
+              error: {
+                code: 'ERROR_CODE_STUB',
+                description: 'STUB_ERROR_DESCRIPTION'
+              },
+              response: []
+            };
+            BATCH_RESPONSE_STUB.response.responses.reverse();
+
+            expect(getFetchError().code).toEqual('ERROR_CODE_STUB');
+          });
+
+        });
+
+
+        describe('with a retry policy', function() {
+          var BATCH_RESPONSE_STUB;
+
+          beforeEach(function() {
+            clock.useFakeTimers();
+
+            batchModel = new AerisBatchModel({
+              modelA: modelA,
+              modelB: modelB
+            }, {
+              jsonp: jsonp,
+              server: SERVER_STUB,
+              retryPolicy: new RetryPolicy({ delay: 100, jitter: 0 })
+            });
+
+            BATCH_RESPONSE_STUB = {
+              success: true,
+              error: null,
+              response: {
+                responses: [
+                  { success: true, error: null, response: [{}] },
+                  {
+                    success: false,
+                    error: {
+                      code: 'maxhits_min',
+                      description: 'STUB_ERROR_DESCRIPTION'
+                    },
+                    response: []
+                  }
+                ]
+              }
+            };
+          });
+
+          afterEach(function() {
+            clock.restore();
+          });
+
+
+          it('should retry the batch request when any individual response contains a retryable error', function() {
+            var onRetry = jasmine.createSpy('onRetry');
+            batchModel.on('retry', onRetry);
+
+            batchModel.fetch();
+            jsonp.resolveWith(BATCH_RESPONSE_STUB);
+            expect(onRetry).toHaveBeenCalled();
+
+            clock.tick(100);
+            expect(jsonp.get.callCount).toEqual(2);
+          });
+
+        });
+
+      });
+
+    });
+
+    describe('with nested collections', function() {
+      var collection;
+
+      beforeEach(function() {
+        collection = new AerisApiCollection(null, {
+          endpoint: 'advisories',
+          params: { p: 'seattle,wa' }
+        });
+
+        batchModel.set({
+          modelA: modelA,
+          advisories: collection
+        });
+      });
+
+
+      it('should include the collection request', function() {
+        batchModel.fetch();
+
+        expect(jsonp.getRequestedData().requests).toMatch(/,\/advisories%3Fp=seattle%2Cwa/);
+      });
+
+      it('should update the collection with its response', function() {
+        jsonp.resolveWith({
+          success: true,
+          error: null,
+          response: {
+            responses: [
+              { success: true, error: null, response: { name: 'A' } },
+              { success: true, error: null, response: [{ id: 'ADVISORY_A' }] }
+            ]
+          }
+        });
+
+        batchModel.fetch();
+
+        expect(collection.pluck('id')).toEqual(['ADVISORY_A']);
+      });
+
+      it('should update the collection with empty data, for a warning response without data', function() {
+        collection.add({ id: 'ADVISORY_A' });
+        jsonp.resolveWith({
+          success: true,
+          error: null,
+          response: {
+            responses: [
+              { success: true, error: null, response: { name: 'A' } },
+              { success: true, error: { code: 'warn_no_data', description: 'STUB_WARNING_DESCRIPTION' } }
+            ]
+          }
+        });
+
+        expect(function() {
+          batchModel.fetch();
+        }).not.toThrow();
+        expect(collection.length).toEqual(0);
+      });
+
+      it('should trigger a \'warning\' event on the collection', function() {
+        var onWarning = jasmine.createSpy('onWarning');
+        var onModelWarning = jasmine.createSpy('onModelWarning');
+        collection.on('warning', onWarning);
+        modelA.on('warning', onModelWarning);
+        jsonp.resolveWith({
+          success: true,
+          error: null,
+          response: {
+            responses: [
+              { success: true, error: null, response: { name: 'A' } },
+              { success: true, error: { code: 'warn_no_data', description: 'STUB_WARNING_DESCRIPTION' } }
+            ]
+          }
+        });
+
+        batchModel.fetch();
+
+        expect(onWarning.callCount).toEqual(1);
+        expect(onWarning.mostRecentCall.args[0]).toEqual(collection);
+        expect(onWarning.mostRecentCall.args[1]).toBeInstanceOf(NoDataWarning);
+        expect(onWarning.mostRecentCall.args[1].code).toEqual('warn_no_data');
+        expect(onModelWarning).not.toHaveBeenCalled();
+      });
+
+      it('should reset the collection when cleared', function() {
+        collection.add({ id: 'ADVISORY_A' });
+
+        batchModel.clear();
+
+        expect(collection.length).toEqual(0);
+      });
+
+    });
+
+
+    describe('with partial results', function() {
+      var RESPONSE_A, ERROR_RESPONSE_B;
+
+      beforeEach(function() {
+        batchModel = new AerisBatchModel({
+          modelA: modelA,
+          modelB: modelB
+        }, {
+          jsonp: jsonp,
+          server: SERVER_STUB,
+          partialResults: true
+        });
+
+        RESPONSE_A = {
+          success: true,
+          error: null,
+          response: { name: 'A' }
+        };
+        ERROR_RESPONSE_B = {
+          success: false,
+          error: {
+            code: 'ERROR_CODE_STUB',
+            description: 'STUB_ERROR_DESCRIPTION'
+          }
+        };
+
+        jsonp.resolveWith({
+          success: true,
+          error: null,
+          response: {
+            responses: [RESPONSE_A, ERROR_RESPONSE_B]
+          }
+        });
+      });
+
+
+      it('should resolve when individual model responses contain errors', function() {
+        expect(batchModel.fetch().getState()).toEqual('resolved');
+      });
+
+      it('should update models with successful responses', function() {
+        batchModel.fetch();
+
+        expect(modelA.get('response')).toEqual({ name: 'A' });
+      });
+
+      it('should not update models with error responses', function() {
+        batchModel.fetch();
+
+        expect(modelB.has('success')).toEqual(false);
+      });
+
+      it('should trigger an \'error\' event on models with error responses', function() {
+        var onErrorA = jasmine.createSpy('onErrorA');
+        var onErrorB = jasmine.createSpy('onErrorB');
+        var error;
+        modelA.on('error', onErrorA);
+        modelB.on('error', onErrorB);
+
+        batchModel.fetch();
+
+        expect(onErrorA).not.toHaveBeenCalled();
+        expect(onErrorB).toHaveBeenCalled();
+
+        error = onErrorB.mostRecentCall.args[1];
+        expect(onErrorB.mostRecentCall.args[0]).toEqual(modelB);
+        expect(error).toBeInstanceOf(ApiResponseError);
+        expect(error.code).toEqual('ERROR_CODE_STUB');
+        expect(error.responseObject).toEqual(ERROR_RESPONSE_B);
+      });
+
+      it('should resolve with the status of each request', function() {
+        var statuses;
+
+        batchModel.fetch().done(function(res) {
+          statuses = res;
+        });
+
+        expect(statuses.length).toEqual(2);
+
+        expect(statuses[0].key).toEqual('modelA');
+        expect(statuses[0].model).toEqual(modelA);
+        expect(statuses[0].success).toEqual(true);
+        expect(statuses[0].error).toEqual(null);
+
+        expect(statuses[1].key).toEqual('modelB');
+        expect(statuses[1].model).toEqual(modelB);
+        expect(statuses[1].success).toEqual(false);
+        expect(statuses[1].error).toBeInstanceOf(ApiResponseError);
+      });
+
+      it('should resolve with the same error triggered by the model', function() {
+        var onError = jasmine.createSpy('onError');
+        var statuses;
+        modelB.on('error', onError);
+
+        batchModel.fetch().done(function(res) {
+          statuses = res;
+        });
+
+        expect(statuses[1].error).toEqual(onError.mostRecentCall.args[1]);
+      });
+
+      it('should fail requests which are missing from the batch response', function() {
+        var statuses;
+        jsonp.resolveWith({
+          success: true,
+          error: null,
+          response: {
+            responses: [RESPONSE_A]
+          }
+        });
+
+        batchModel.fetch().done(function(res) {
+          statuses = res;
+        });
+
+        expect(modelA.get('response')).toEqual({ name: 'A' });
+        expect(statuses[1].success).toEqual(false);
+        expect(statuses[1].error.code).toEqual('missing_response');
+      });
+
+      it('should expose request statuses with getRequestStatuses', function() {
+        batchModel.fetch();
+
+        expect(_.pluck(batchModel.getRequestStatuses(), 'success')).toEqual([true, false]);
+      });
+
+      it('should reject if the top level response contains an error', function() {
+        jsonp.resolveWith({
+          success: false,
+          error: {
+            code: 'invalid_client',
+            description: 'STUB'
+          }
+        });
+
+        expect(batchModel.fetch().getState()).toEqual('rejected');
+      });
+
+    });
+
+
+    describe('oversized batches', function() {
+      var modelC;
+
+      function respondWithRequestPaths() {
+        jsonp.get.andCallFake(function(url, data, callback) {
+          callback({
+            success: true,
+            error: null,
+            response: {
+              responses: data.requests.split(',').map(function(request) {
+                return {
+                  success: true,
+                  error: null,
+                  response: { path: request.split('%3F')[0] }
+                };
+              })
+            }
+          });
+        });
+      }
+
+      function createBatchModel(options) {
+        return new AerisBatchModel({
+          modelA: modelA,
+          modelB: modelB,
+          modelC: modelC
+        }, _.extend({
+          jsonp: jsonp,
+          server: SERVER_STUB
+        }, options));
+      }
+
+      beforeEach(function() {
+        modelC = new MockApiModel();
+      });
+
+
+      it('should not split batches within the request limits', function() {
+        createBatchModel({ maxRequests: 3 }).fetch();
+
+        expect(jsonp.get.callCount).toEqual(1);
+      });
+
+      it('should split batches which exceed the maximum number of requests', function() {
+        createBatchModel({ maxRequests: 2 }).fetch();
+
+        expect(jsonp.get.callCount).toEqual(2);
+        expect(jsonp.get.calls[0].args[1].requests.split(',').length).toEqual(2);
+        expect(jsonp.get.calls[1].args[1].requests.split(',').length).toEqual(1);
+      });
+
+      it('should split batches which exceed the maximum url length', function() {
+        var fullBatchModel = createBatchModel();
+        var maxUrlLength;
+
+        fullBatchModel.fetch();
+        maxUrlLength = fullBatchModel.getUrlLength_(jsonp.getRequestedUrl(), jsonp.getRequestedData(), []) +
+          jsonp.getRequestedData().requests.length - 1;
+
+        jsonp.get.reset();
+        createBatchModel({ maxUrlLength: maxUrlLength }).fetch();
+
+        expect(jsonp.get.callCount).toEqual(2);
+      });
+
+      it('should send a single request which exceeds the maximum url length on its own', function() {
+        createBatchModel({ maxUrlLength: 1 }).fetch();
+
+        expect(jsonp.get.callCount).toEqual(3);
+      });
+
+      it('should include batch params with each request', function() {
+        createBatchModel({ maxRequests: 1 }).fetch();
+
+        jsonp.get.calls.forEach(function(call) {
+          expect(call.args[0]).toEqual(SERVER_STUB + '/batch');
+          expect(call.args[1].requests).toBeDefined();
+        });
+      });
+
+      it('should update nested models with responses, in order', function() {
+        respondWithRequestPaths();
+
+        createBatchModel({ maxRequests: 2 }).fetch();
+
+        expect(modelA.get('response').path).toEqual('/' + modelA.getEndpoint());
+        expect(modelB.get('response').path).toEqual('/' + modelB.getEndpoint());
+        expect(modelC.get('response').path).toEqual('/' + modelC.getEndpoint());
+      });
+
+      it('should resolve requestResponses with the merged responses, in order', function() {
+        var responses;
+        respondWithRequestPaths();
+
+        createBatchModel({ maxRequests: 1 }).requestResponses().
+          done(function(res) {
+            responses = res;
+          });
+
+        expect(_.pluck(_.pluck(responses, 'response'), 'path')).toEqual([
+          '/' + modelA.getEndpoint(),
+          '/' + modelB.getEndpoint(),
+          '/' + modelC.getEndpoint()
+        ]);
+      });
+
+      it('should reject if any request fails at the top level', function() {
+        var onError = jasmine.createSpy('onError');
+        respondWithRequestPaths();
+        jsonp.get.andCallFake(_.wrap(jsonp.get.plan, function(respond, url, data, callback) {
+          if (jsonp.get.callCount === 2) {
+            return callback({
+              success: false,
+              error: { code: 'invalid_client', description: 'STUB' }
+            });
+          }
+
+          respond(url, data, callback);
+        }));
+
+        createBatchModel({ maxRequests: 2 }).fetch().fail(onError);
+
+        expect(onError).toHaveBeenCalled();
+        expect(onError.mostRecentCall.args[0].code).toEqual('invalid_client');
+      });
+
+    });
+
+
+    describe('requestResponses', function() {
+
+      beforeEach(function() {
+        batchModel.set({
+          modelA: modelA,
+          modelB: modelB
+        });
+      });
+
+
+      it('should request the batch endpoint', function() {
+        batchModel.requestResponses();
+
+        expect(jsonp.getRequestedUrl()).toMatch(SERVER_STUB + '/batch');
+      });
+
+      it('should resolve with the response for each model, in order', function() {
+        var onResolve = jasmine.createSpy('onResolve');
+        var RESPONSE_A = { success: true, response: { name: 'A' } };
+        var RESPONSE_B = { success: false, error: { code: 'STUB', description: 'STUB' } };
+
+        jsonp.resolveWith({
+          success: true,
+          response: {
+            responses: [RESPONSE_A, RESPONSE_B]
+          }
+        });
+        batchModel.requestResponses().done(onResolve);
+
+        expect(onResolve).toHaveBeenCalledWith([RESPONSE_A, RESPONSE_B]);
+      });
+
+      it('should resolve with an error response for models missing from the batch response', function() {
+        var responses;
+
+        jsonp.resolveWith({
+          success: true,
+          response: {
+            responses: [{ success: true, response: {} }]
+          }
+        });
+        batchModel.requestResponses().done(function(res) {
+          responses = res;
+        });
+
+        expect(responses[1].success).toEqual(false);
+        expect(responses[1].error.code).toEqual('missing_response');
+      });
+
+      it('should resolve with the top level response for each model, if the batch request fails', function() {
+        var onResolve = jasmine.createSpy('onResolve');
+        var ERROR_RESPONSE = {
+          success: false,
+          error: { code: 'invalid_client', description: 'STUB' }
+        };
+
+        jsonp.resolveWith(ERROR_RESPONSE);
+        batchModel.requestResponses().done(onResolve);
+
+        expect(onResolve).toHaveBeenCalledWith([ERROR_RESPONSE, ERROR_RESPONSE]);
+      });
+
+      it('should not update nested models', function() {
+        jsonp.resolveWith({
+          success: true,
+          response: {
+            responses: [
+              { success: true, response: { name: 'A' } },
+              { success: true, response: { name: 'B' } }
+            ]
+          }
+        });
+        batchModel.requestResponses();
+
+        expect(modelA.has('name')).toEqual(false);
+        expect(modelB.has('name')).toEqual(false);
+      });
+
+      describe('with serialized requests', function() {
+        var requests;
+
+        beforeEach(function() {
+          requests = [
+            {
+              url: SERVER_STUB + '/observations/seattle,wa',
+              data: { fields: 'ob,place', client_id: 'ID_STUB', client_secret: 'SECRET_STUB' }
+            },
+            {
+              url: SERVER_STUB + '/forecasts/',
+              data: { p: 'portland,or', client_id: 'ID_STUB', client_secret: 'SECRET_STUB' }
+            }
+          ];
+        });
+
+
+        it('should encode the serialized requests, instead of the models\' params', function() {
+          batchModel.requestResponses(requests);
+
+          expect(jsonp.getRequestedData().requests).toEqual(
+            '/observations/seattle,wa%3Ffields=ob%2Cplace,/forecasts%3Fp=portland%2Cor'
+          );
+        });
+
+        it('should use the API keys of the serialized requests', function() {
+          batchModel.requestResponses(requests);
+
+          expect(jsonp.getRequestedData().client_id).toEqual('ID_STUB');
+          expect(jsonp.getRequestedData().client_secret).toEqual('SECRET_STUB');
+        });
+
+      });
+
+    });
+
+    describe('getRequestPath_', function() {
+
+      it('should include the model endpoint, action, and id', function() {
+        var model = new AerisApiModel({ id: 'ID_STUB' }, {
+          endpoint: 'observations',
+          action: 'closest'
+        });
+
+        expect(batchModel.getRequestPath_(model)).toEqual('/observations/closest/ID_STUB');
+      });
+
+      it('should omit an undefined action and id', function() {
+        var model = new AerisApiModel(null, { endpoint: 'observations' });
+
+        expect(batchModel.getRequestPath_(model)).toEqual('/observations');
       });
 
     });
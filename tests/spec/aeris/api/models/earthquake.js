@@ -51,6 +51,35 @@ define([
 
     });
 
+    describe('getQueryValue', function() {
+
+      beforeEach(function() {
+        earthquake.set({
+          report: {
+            mag: 5.2,
+            type: 'strong',
+            depthKM: 12
+          },
+          place: {
+            country: 'us'
+          }
+        });
+      });
+
+
+      it('should map Aeris API query properties to earthquake attributes', function() {
+        expect(earthquake.getQueryValue('mag')).toEqual(5.2);
+        expect(earthquake.getQueryValue('type')).toEqual('strong');
+        expect(earthquake.getQueryValue('depth')).toEqual(12);
+        expect(earthquake.getQueryValue('country')).toEqual('us');
+      });
+
+      it('should resolve other properties as attribute paths', function() {
+        expect(earthquake.getQueryValue('report.mag')).toEqual(5.2);
+      });
+
+    });
+
   });
 
 });
@@ -0,0 +1,114 @@
+define([
+  'aeris/util',
+  'aeris/api/models/forecast',
+  'aeris/api/collections/forecastperiods',
+  'aeris/api/forecastinterval'
+], function(_, Forecast, ForecastPeriods, ForecastInterval) {
+
+  describe('A Forecast', function() {
+    var forecast;
+
+    function getFilters() {
+      return forecast.getParams().get('filter').pluck('name');
+    }
+
+    beforeEach(function() {
+      forecast = new Forecast();
+    });
+
+
+    describe('getPeriods', function() {
+
+      it('should return a ForecastPeriods collection', function() {
+        expect(forecast.getPeriods()).toBeInstanceOf(ForecastPeriods);
+      });
+
+      it('should populate periods from a response', function() {
+        forecast.set(forecast.parse({
+          success: true,
+          response: [{
+            interval: 'daynight',
+            periods: [{ timestamp: 100 }, { timestamp: 200 }]
+          }]
+        }));
+
+        expect(forecast.getPeriods().length).toEqual(2);
+        expect(forecast.getPeriods().at(1).getDate()).toEqual(new Date(200 * 1000));
+        expect(forecast.getPeriods().getInterval()).toEqual(ForecastInterval.DAY_NIGHT);
+      });
+
+      it('should populate periods from constructor attributes', function() {
+        forecast = new Forecast({ periods: [{ timestamp: 100 }] });
+
+        expect(forecast.getPeriods().length).toEqual(1);
+      });
+
+      it('should keep the same collection when periods change', function() {
+        var periods = forecast.getPeriods();
+
+        forecast.set('periods', [{ timestamp: 100 }]);
+
+        expect(forecast.getPeriods()).toEqual(periods);
+        expect(periods.length).toEqual(1);
+      });
+
+    });
+
+
+    describe('setInterval', function() {
+
+      it('should request the interval as a filter', function() {
+        forecast.setInterval(ForecastInterval.HOURLY);
+
+        expect(getFilters()).toEqual(['1hr']);
+      });
+
+      it('should replace a previously set interval', function() {
+        forecast.getParams().addFilter('mdnt2mdnt');
+        forecast.setInterval(ForecastInterval.HOURLY);
+
+        forecast.setInterval(ForecastInterval.DAY_NIGHT);
+
+        expect(getFilters()).toEqual(['mdnt2mdnt', 'daynight']);
+      });
+
+      it('should accept an interval option', function() {
+        forecast = new Forecast(null, { interval: ForecastInterval.DAILY });
+
+        expect(getFilters()).toEqual(['day']);
+        expect(forecast.getInterval()).toEqual(ForecastInterval.DAILY);
+      });
+
+      it('should reject invalid intervals', function() {
+        expect(function() {
+          forecast.setInterval('2hr');
+        }).toThrowType('InvalidArgumentError');
+      });
+
+    });
+
+
+    describe('getInterval', function() {
+
+      it('should return the interval reported by the response', function() {
+        forecast.setInterval(ForecastInterval.HOURLY);
+        forecast.set('interval', 'day');
+
+        expect(forecast.getInterval()).toEqual('day');
+      });
+
+      it('should return the requested interval, before fetching', function() {
+        forecast.setInterval(ForecastInterval.HOURLY);
+
+        expect(forecast.getInterval()).toEqual(ForecastInterval.HOURLY);
+      });
+
+      it('should return null if no interval is known', function() {
+        expect(forecast.getInterval()).toEqual(null);
+      });
+
+    });
+
+  });
+
+});
@@ -0,0 +1,121 @@
+define([
+  'aeris/util',
+  'aeris/api/models/forecastperiod'
+], function(_, ForecastPeriod) {
+
+  describe('A ForecastPeriod', function() {
+    var period;
+
+    beforeEach(function() {
+      period = new ForecastPeriod({
+        timestamp: 1393513200,
+        dateTimeISO: '2014-02-27T07:00:00-08:00',
+        maxTempF: 50,
+        minTempF: 40,
+        maxTempC: 10,
+        minTempC: 4,
+        pop: 30,
+        sunrise: 1393512000,
+        sunset: 1393552800
+      });
+    });
+
+
+    describe('dates', function() {
+
+      it('should return the period time as a Date', function() {
+        expect(period.getDate()).toEqual(new Date(1393513200 * 1000));
+      });
+
+      it('should parse the ISO date, if no timestamp is available', function() {
+        period.unset('timestamp');
+
+        expect(period.getDate()).toEqual(new Date(1393513200 * 1000));
+      });
+
+      it('should return sunrise and sunset times as Dates', function() {
+        expect(period.getSunrise()).toEqual(new Date(1393512000 * 1000));
+        expect(period.getSunset()).toEqual(new Date(1393552800 * 1000));
+      });
+
+      it('should return the local date string', function() {
+        expect(period.getDateString()).toEqual('2014-02-27');
+      });
+
+    });
+
+
+    describe('isDay', function() {
+
+      it('should use the API day/night flag', function() {
+        period.set('isDay', false);
+
+        expect(period.isDay()).toEqual(false);
+        expect(period.isNight()).toEqual(true);
+      });
+
+      it('should compare the period time to sunrise and sunset', function() {
+        expect(period.isDay()).toEqual(true);
+
+        period.set('timestamp', 1393552800);
+        expect(period.isDay()).toEqual(false);
+      });
+
+      it('should use the local hour, if sunrise and sunset are not available', function() {
+        period.unset('sunrise');
+        period.unset('sunset');
+        expect(period.isDay()).toEqual(true);
+
+        period.set('dateTimeISO', '2014-02-27T19:00:00-08:00');
+        expect(period.isDay()).toEqual(false);
+      });
+
+    });
+
+
+    describe('temperatures', function() {
+
+      it('should return the high and low temperatures', function() {
+        expect(period.getHigh()).toEqual(50);
+        expect(period.getLow()).toEqual(40);
+      });
+
+      it('should return temperatures in the requested unit', function() {
+        expect(period.getHigh('C')).toEqual(10);
+        expect(period.getLow('C')).toEqual(4);
+      });
+
+      it('should fall back to the period temperature', function() {
+        period.clear();
+        period.set('tempF', 45);
+
+        expect(period.getHigh()).toEqual(45);
+        expect(period.getLow()).toEqual(45);
+      });
+
+      it('should return null if no temperature is available', function() {
+        period.clear();
+
+        expect(period.getHigh()).toEqual(null);
+      });
+
+    });
+
+
+    describe('getPrecipProbability', function() {
+
+      it('should return the probability of precipitation', function() {
+        expect(period.getPrecipProbability()).toEqual(30);
+      });
+
+      it('should return null if not available', function() {
+        period.unset('pop');
+
+        expect(period.getPrecipProbability()).toEqual(null);
+      });
+
+    });
+
+  });
+
+});
@@ -0,0 +1,63 @@
+define([
+  'aeris/util',
+  'aeris/config',
+  'aeris/api/models/record'
+], function(_, config, Record) {
+
+  describe('A Record', function() {
+
+    afterEach(function() {
+      config.setUnits('imperial');
+    });
+
+
+    describe('getTemperature', function() {
+
+      it('should return the record temperature, in the preferred units', function() {
+        var record = new Record({
+          report: { cat: 'temp', valueF: 98, valueC: 37 }
+        });
+
+        expect(record.getTemperature().value).toEqual(98);
+        expect(record.getTemperature().unit).toEqual('F');
+
+        config.setUnits('metric');
+        expect(record.getTemperature().value).toEqual(37);
+      });
+
+      it('should return null for non-temperature records', function() {
+        var record = new Record({
+          report: { cat: 'prcp', valueIN: 2.5, valueMM: 63.5 }
+        });
+
+        expect(record.getTemperature()).toEqual(null);
+      });
+
+    });
+
+
+    describe('getPrecip', function() {
+
+      it('should return the record precipitation, in the requested units', function() {
+        var record = new Record({
+          report: { cat: 'prcp', valueIN: 2.5, valueMM: 63.5 }
+        });
+
+        expect(record.getPrecip().value).toEqual(2.5);
+        expect(record.getPrecip('MM').value).toEqual(63.5);
+      });
+
+      it('should not return snowfall as precipitation', function() {
+        var record = new Record({
+          report: { cat: 'snow', valueIN: 12, valueCM: 30.5 }
+        });
+
+        expect(record.getPrecip()).toEqual(null);
+        expect(record.getSnow().value).toEqual(12);
+      });
+
+    });
+
+  });
+
+});
@@ -0,0 +1,109 @@
+define([
+  'aeris/util',
+  'aeris/api/models/rivergauge',
+  'aeris/api/collections/rivers',
+  'aeris/api/floodcategory'
+], function(_, RiverGauge, Rivers, FloodCategory) {
+
+  describe('A RiverGauge', function() {
+    var gauge;
+
+    beforeEach(function() {
+      gauge = new RiverGauge({
+        ob: {
+          category: 'moderate',
+          heightFT: 32.4,
+          heightM: 9.9
+        }
+      });
+    });
+
+
+    describe('getFloodCategory', function() {
+
+      it('should return the observed flood category', function() {
+        expect(gauge.getFloodCategory()).toEqual(FloodCategory.MODERATE);
+      });
+
+      it('should ignore case', function() {
+        gauge.set('ob', { category: 'Major' });
+
+        expect(gauge.getFloodCategory()).toEqual(FloodCategory.MAJOR);
+      });
+
+      it('should return NONE for categories which are not flood stages', function() {
+        gauge.set('ob', { category: 'out_of_service' });
+        expect(gauge.getFloodCategory()).toEqual(FloodCategory.NONE);
+
+        gauge.unset('ob');
+        expect(gauge.getFloodCategory()).toEqual(FloodCategory.NONE);
+      });
+
+    });
+
+
+    describe('testFilter', function() {
+
+      it('should test flood category filters', function() {
+        expect(gauge.testFilter('moderate')).toEqual(true);
+        expect(gauge.testFilter('minor')).toEqual(false);
+        expect(gauge.testFilter('none')).toEqual(false);
+      });
+
+      it('should test the \'flood\' filter', function() {
+        expect(gauge.testFilter('flood')).toEqual(true);
+
+        gauge.set('ob', { category: 'action' });
+        expect(gauge.testFilter('flood')).toEqual(false);
+        expect(gauge.isFlooding()).toEqual(false);
+      });
+
+      it('should pass the \'all\' filter', function() {
+        gauge.unset('ob');
+
+        expect(gauge.testFilter('all')).toEqual(true);
+      });
+
+    });
+
+
+    it('should return the river stage as a measurement', function() {
+      expect(gauge.getStage().value).toEqual(32.4);
+      expect(gauge.getStage('M').value).toEqual(9.9);
+    });
+
+
+    describe('Rivers', function() {
+      var rivers;
+
+      beforeEach(function() {
+        rivers = new Rivers();
+
+        rivers.getSourceCollection().add([
+          { id: 'A', ob: { category: 'minor' } },
+          { id: 'B', ob: { category: 'no_flooding' } },
+          { id: 'C', ob: { category: 'major' } }
+        ]);
+      });
+
+      it('should use RiverGauge models', function() {
+        expect(rivers.at(0)).toBeInstanceOf(RiverGauge);
+      });
+
+      it('should filter gauges by flood category', function() {
+        rivers.addFilter('major');
+
+        expect(rivers.pluck('id')).toEqual(['C']);
+      });
+
+      it('should filter flooding gauges', function() {
+        rivers.addFilter('flood');
+
+        expect(rivers.pluck('id')).toEqual(['A', 'C']);
+      });
+
+    });
+
+  });
+
+});
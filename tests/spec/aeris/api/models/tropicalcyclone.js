@@ -0,0 +1,154 @@
+define([
+  'aeris/util',
+  'aeris/api/models/tropicalcyclone',
+  'aeris/api/collections/tropicalcyclones'
+], function(_, TropicalCyclone, TropicalCyclones) {
+
+  describe('A TropicalCyclone', function() {
+    var cyclone;
+
+    beforeEach(function() {
+      cyclone = new TropicalCyclone(new TropicalCyclone().parse({
+        success: true,
+        response: [{
+          id: '2014-AL01',
+          profile: { name: 'ARTHUR' },
+          position: {
+            loc: { lat: 33.5, long: -77.3 },
+            timestamp: 300,
+            details: {
+              stormName: 'Hurricane Arthur',
+              stormCat: 'H1',
+              windSpeedMPH: 90,
+              windSpeedKPH: 145
+            }
+          },
+          track: [
+            { loc: { lat: 31.2, long: -78.9 }, timestamp: 100, details: { stormCat: 'TS' } },
+            { loc: { lat: 32.4, long: -78.1 }, dateTimeISO: '2014-07-03T08:00:00Z', details: { stormCat: 'H1' } },
+            { details: { stormCat: 'H1' } }
+          ],
+          forecast: [
+            { loc: { lat: 36.1, long: -74.2 }, timestamp: 400, details: { stormCat: 'H2' } }
+          ],
+          errorCone: {
+            type: 'Polygon',
+            coordinates: [
+              [[-77, 33], [-74, 36], [-73, 35], [-77, 33]]
+            ]
+          }
+        }]
+      }));
+    });
+
+
+    it('should use the response id', function() {
+      expect(cyclone.id).toEqual('2014-AL01');
+    });
+
+    it('should return the storm name and category', function() {
+      expect(cyclone.getName()).toEqual('Hurricane Arthur');
+      expect(cyclone.getCategory()).toEqual('H1');
+    });
+
+    it('should return the current position', function() {
+      expect(cyclone.getPosition()).toEqual({
+        latLon: [33.5, -77.3],
+        time: new Date(300 * 1000),
+        category: 'H1',
+        isForecast: false,
+        details: cyclone.get('position').details
+      });
+    });
+
+    it('should return null if the position is unknown', function() {
+      cyclone.unset('position');
+
+      expect(cyclone.getPosition()).toEqual(null);
+    });
+
+
+    describe('getPastTrack', function() {
+
+      it('should parse track positions', function() {
+        var track = cyclone.getPastTrack();
+
+        expect(_.pluck(track, 'latLon')).toEqual([[31.2, -78.9], [32.4, -78.1]]);
+        expect(_.pluck(track, 'category')).toEqual(['TS', 'H1']);
+        expect(track[1].time).toEqual(new Date('2014-07-03T08:00:00Z'));
+      });
+
+      it('should return an empty array if no track is available', function() {
+        cyclone.unset('track');
+
+        expect(cyclone.getPastTrack()).toEqual([]);
+      });
+
+    });
+
+
+    describe('getForecastTrack', function() {
+
+      it('should parse forecast positions', function() {
+        var forecast = cyclone.getForecastTrack();
+
+        expect(forecast.length).toEqual(1);
+        expect(forecast[0].latLon).toEqual([36.1, -74.2]);
+        expect(forecast[0].isForecast).toEqual(true);
+      });
+
+    });
+
+
+    describe('getCone', function() {
+
+      it('should convert a GeoJSON polygon to paths', function() {
+        expect(cyclone.getCone()).toEqual([
+          [[33, -77], [36, -74], [35, -73], [33, -77]]
+        ]);
+      });
+
+      it('should convert a GeoJSON multipolygon to paths', function() {
+        cyclone.set('errorCone', {
+          type: 'MultiPolygon',
+          coordinates: [
+            [[[-77, 33], [-74, 36], [-77, 33]]],
+            [[[-70, 30], [-69, 31], [-70, 30]]]
+          ]
+        });
+
+        expect(cyclone.getCone().length).toEqual(2);
+        expect(cyclone.getCone()[1]).toEqual([[30, -70], [31, -69], [30, -70]]);
+      });
+
+      it('should return an empty array if no cone is available', function() {
+        cyclone.unset('errorCone');
+
+        expect(cyclone.getCone()).toEqual([]);
+      });
+
+    });
+
+
+    it('should return the wind speed as a measurement', function() {
+      expect(cyclone.getWindSpeed().value).toEqual(90);
+      expect(cyclone.getWindSpeed('KPH').value).toEqual(145);
+    });
+
+
+    describe('TropicalCyclones', function() {
+
+      it('should use TropicalCyclone models', function() {
+        var cyclones = new TropicalCyclones();
+
+        cyclones.getSourceCollection().add({ id: 'STUB_ID' });
+
+        expect(cyclones.at(0)).toBeInstanceOf(TropicalCyclone);
+        expect(cyclones.getSourceCollection().getEndpoint()).toEqual('tropicalcyclones');
+      });
+
+    });
+
+  });
+
+});
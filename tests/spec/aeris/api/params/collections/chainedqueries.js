@@ -2,8 +2,9 @@ define([
   'aeris/util',
   'aeris/api/params/collections/chainedqueries',
   'aeris/api/params/models/query',
+  'aeris/api/params/models/querygroup',
   'aeris/api/operator'
-], function(_, ChainedQueries, Query, Operator) {
+], function(_, ChainedQueries, Query, QueryGroup, Operator) {
 
 
   describe('A ChainedQueries Collection', function() {
@@ -59,6 +60,100 @@ define([
 
     });
 
+    describe('query groups', function() {
+
+      it('should create QueryGroup models from raw attributes', function() {
+        var query = new ChainedQueries([
+          {
+            queries: [
+              { property: 'foo', value: 'bar' }
+            ]
+          }
+        ]);
+
+        expect(query.at(0)).toBeInstanceOf(QueryGroup);
+        expect(query.at(0).get('queries')).toBeInstanceOf(ChainedQueries);
+      });
+
+      it('should serialize groups within parentheses', function() {
+        var query = new ChainedQueries([
+          {
+            queries: [
+              { property: 'mag', min: 6 },
+              { property: 'tsunami', value: 1, operator: Operator.OR }
+            ]
+          },
+          { property: 'country', value: 'us', negate: true }
+        ]);
+
+        expect(query.toString()).toEqual('(mag:6:;tsunami:1),!country:us');
+      });
+
+    });
+
+
+    describe('query builder methods', function() {
+      var query;
+
+      beforeEach(function() {
+        query = new ChainedQueries();
+      });
+
+
+      it('should add property:value queries', function() {
+        query.where('foo', 'bar').where('faz', 'baz', { operator: Operator.OR });
+
+        expect(query.toString()).toEqual('foo:bar;faz:baz');
+      });
+
+      it('should add negated queries', function() {
+        query.whereNot('country', 'us');
+
+        expect(query.at(0).isNegated()).toEqual(true);
+        expect(query.toString()).toEqual('!country:us');
+      });
+
+      it('should add range queries', function() {
+        query.whereBetween('mag', 4, 6);
+
+        expect(query.at(0).isRange()).toEqual(true);
+        expect(query.toString()).toEqual('mag:4:6');
+      });
+
+      it('should add open range queries', function() {
+        query.whereAtLeast('mag', 4).whereAtMost('depth', 10);
+
+        expect(query.toString()).toEqual('mag:4:,depth::10');
+      });
+
+      it('should add query groups', function() {
+        query.
+          whereGroup(new ChainedQueries().
+            whereAtLeast('mag', 6).
+            where('tsunami', 1, { operator: Operator.OR })).
+          whereNot('country', 'us', { operator: Operator.AND });
+
+        expect(query.toString()).toEqual('(mag:6:;tsunami:1),!country:us');
+      });
+
+      it('should validate queries', function() {
+        expect(function() {
+          query.whereBetween('mag', 6, 4);
+        }).toThrowType('ValidationError');
+
+        expect(function() {
+          query.whereGroup([]);
+        }).toThrowType('ValidationError');
+      });
+
+      it('should build a query for \'earthquakes with magnitude 4-6, not in the US\'', function() {
+        query.whereBetween('mag', 4, 6).whereNot('country', 'us');
+
+        expect(query.toString()).toEqual('mag:4:6,!country:us');
+      });
+
+    });
+
   });
 
 });
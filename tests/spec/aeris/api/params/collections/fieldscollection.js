@@ -0,0 +1,71 @@
+define([
+  'aeris/util',
+  'aeris/api/params/collections/fieldscollection',
+  'aeris/api/params/models/field'
+], function(_, FieldsCollection, Field) {
+
+  describe('FieldsCollection', function() {
+
+    describe('constructor', function() {
+
+      it('should accept an array of field names', function() {
+        var fields = new FieldsCollection(['id', 'loc']);
+
+        expect(fields.at(0)).toBeInstanceOf(Field);
+        expect(fields.pluck('name')).toEqual(['id', 'loc']);
+      });
+
+      it('should accept a comma-separated string of field names', function() {
+        var fields = new FieldsCollection('id,loc');
+
+        expect(fields.pluck('name')).toEqual(['id', 'loc']);
+      });
+
+    });
+
+
+    describe('add', function() {
+
+      it('should add fields by name', function() {
+        var fields = new FieldsCollection(['id']);
+
+        fields.add('ob.tempF');
+
+        expect(fields.pluck('name')).toEqual(['id', 'ob.tempF']);
+      });
+
+      it('should not add duplicate fields', function() {
+        var fields = new FieldsCollection(['id']);
+
+        fields.add(['id', 'loc']);
+
+        expect(fields.pluck('name')).toEqual(['id', 'loc']);
+      });
+
+    });
+
+
+    describe('remove', function() {
+
+      it('should remove fields by name', function() {
+        var fields = new FieldsCollection(['id', 'loc', 'ob']);
+
+        fields.remove(['id', 'ob']);
+
+        expect(fields.pluck('name')).toEqual(['loc']);
+      });
+
+    });
+
+
+    describe('toString', function() {
+
+      it('should return a comma-separated list of field names', function() {
+        expect(new FieldsCollection(['id', 'loc', 'ob.tempF']).toString()).toEqual('id,loc,ob.tempF');
+      });
+
+    });
+
+  });
+
+});
@@ -278,6 +278,81 @@ define([
 
     });
 
+    describe('validFilters', function() {
+
+      it('should accept any filter, if no valid filters are defined', function() {
+        var filters = new FilterCollection();
+
+        filters.add(['sieve', 'colander']);
+
+        expect(filters.pluck('name')).toEqual(['sieve', 'colander']);
+      });
+
+      it('should throw a ValidationError when adding an invalid filter', function() {
+        var filters = new FilterCollection(null, { validFilters: ['sieve', 'colander'] });
+
+        expect(function() {
+          filters.add('sieves');
+        }).toThrowType('ValidationError');
+      });
+
+      it('should not add any filters, if one is invalid', function() {
+        var filters = new FilterCollection(null, { validFilters: ['sieve', 'colander'] });
+
+        expect(function() {
+          filters.add(['sieve', 'sieves']);
+        }).toThrowType('ValidationError');
+
+        expect(filters.length).toEqual(0);
+      });
+
+      it('should validate reset filters', function() {
+        var filters = new FilterCollection(['sieve'], { validFilters: ['sieve', 'colander'] });
+
+        expect(function() {
+          filters.reset(['colanders']);
+        }).toThrowType('ValidationError');
+
+        expect(filters.pluck('name')).toEqual(['sieve']);
+      });
+
+      it('should validate filter models', function() {
+        var filters = new FilterCollection(null, { validFilters: ['sieve', 'colander'] });
+
+        expect(function() {
+          filters.add(new Model({ name: 'sieves', operator: Operator.AND }));
+        }).toThrowType('ValidationError');
+
+        filters.add(new Model({ name: 'sieve', operator: Operator.AND }));
+        expect(filters.length).toEqual(1);
+      });
+
+      it('should validate filters provided to the constructor', function() {
+        expect(function() {
+          new FilterCollection(['sieves'], { validFilters: ['sieve', 'colander'] });
+        }).toThrowType('ValidationError');
+      });
+
+      it('should validate existing filters when valid filters are set', function() {
+        var filters = new FilterCollection(['sieves']);
+
+        expect(function() {
+          filters.setValidFilters(['sieve', 'colander']);
+        }).toThrowType('ValidationError');
+      });
+
+      it('should accept any filter when valid filters are removed', function() {
+        var filters = new FilterCollection(null, { validFilters: ['sieve'] });
+
+        filters.setValidFilters(null);
+        filters.add('colander');
+
+        expect(filters.isValidFilter('colander')).toEqual(true);
+        expect(filters.pluck('name')).toEqual(['colander']);
+      });
+
+    });
+
   });
 
 });
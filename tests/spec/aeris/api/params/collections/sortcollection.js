@@ -0,0 +1,86 @@
+define([
+  'aeris/util',
+  'aeris/api/params/collections/sortcollection',
+  'aeris/api/params/models/sort',
+  'aeris/api/sortdirection'
+], function(_, SortCollection, Sort, SortDirection) {
+
+  describe('SortCollection', function() {
+
+    describe('constructor', function() {
+
+      it('should accept an Aeris API sort string', function() {
+        var sorts = new SortCollection('tor:-1,hail:1');
+
+        expect(sorts.length).toEqual(2);
+        expect(sorts.at(0).get('property')).toEqual('tor');
+        expect(sorts.at(0).get('direction')).toEqual(SortDirection.DESC);
+        expect(sorts.at(1).get('property')).toEqual('hail');
+        expect(sorts.at(1).get('direction')).toEqual(SortDirection.ASC);
+      });
+
+      it('should accept sort attribute objects', function() {
+        var sorts = new SortCollection([
+          { property: 'dt', direction: SortDirection.DESC }
+        ]);
+
+        expect(sorts.at(0)).toBeInstanceOf(Sort);
+        expect(sorts.at(0).get('property')).toEqual('dt');
+      });
+
+      it('should default to ascending sorts', function() {
+        var sorts = new SortCollection('dt');
+
+        expect(sorts.at(0).get('direction')).toEqual(SortDirection.ASC);
+      });
+
+    });
+
+
+    describe('add', function() {
+
+      it('should not add duplicate properties', function() {
+        var sorts = new SortCollection('dt:1');
+
+        sorts.add({ property: 'dt', direction: SortDirection.DESC }, { merge: true });
+
+        expect(sorts.length).toEqual(1);
+        expect(sorts.at(0).get('direction')).toEqual(SortDirection.DESC);
+      });
+
+    });
+
+
+    describe('remove', function() {
+
+      it('should remove sorts by property', function() {
+        var sorts = new SortCollection('tor:-1,hail:-1');
+
+        sorts.remove('tor');
+
+        expect(sorts.pluck('property')).toEqual(['hail']);
+      });
+
+    });
+
+
+    describe('toString', function() {
+
+      it('should be empty if the collection is empty', function() {
+        expect(new SortCollection().toString()).toEqual('');
+      });
+
+      it('should return a comma-separated list of property:direction pairs, in order', function() {
+        var sorts = new SortCollection();
+        sorts.add({ property: 'tor', direction: SortDirection.DESC });
+        sorts.add({ property: 'mda', direction: SortDirection.DESC });
+        sorts.add({ property: 'name', direction: SortDirection.ASC });
+
+        expect(sorts.toString()).toEqual('tor:-1,mda:-1,name:1');
+      });
+
+    });
+
+  });
+
+});
@@ -5,8 +5,9 @@ define([
   'aeris/collection',
   'aeris/api/params/collections/chainedqueries',
   'mocks/aeris/config',
-  'mocks/mockfactory'
-], function(_, Params, Model, Collection, ChainedQueries, MockConfig, MockFactory) {
+  'mocks/mockfactory',
+  'aeris/api/sortdirection'
+], function(_, Params, Model, Collection, ChainedQueries, MockConfig, MockFactory, SortDirection) {
 
   function TestFactory() {
     this.params = new Params({
@@ -471,6 +472,128 @@ define([
 
     });
 
+    describe('sort', function() {
+      var params;
+
+      beforeEach(function() {
+        params = new Params(null, { validate: false });
+      });
+
+
+      it('should be omitted from JSON, if empty', function() {
+        expect(params.toJSON().sort).not.toBeDefined();
+      });
+
+      it('should convert to an Aeris API sort string', function() {
+        params.addSort('tor', SortDirection.DESC);
+        params.addSort('name');
+
+        expect(params.toJSON().sort).toEqual('tor:-1,name:1');
+      });
+
+      it('should update the direction of an existing sort property', function() {
+        params.addSort('dt');
+        params.addSort('dt', SortDirection.DESC);
+
+        expect(params.getSort().length).toEqual(1);
+        expect(params.toJSON().sort).toEqual('dt:-1');
+      });
+
+      it('should accept a raw sort string', function() {
+        var sort = params.getSort();
+
+        params.set('sort', 'dt:-1');
+
+        expect(params.getSort()).toEqual(sort);
+        expect(params.toJSON().sort).toEqual('dt:-1');
+      });
+
+      it('should remove sort properties', function() {
+        params.resetSort('tor:-1,mda:-1');
+        params.removeSort('tor');
+
+        expect(params.toJSON().sort).toEqual('mda:-1');
+      });
+
+      it('should trigger change events', function() {
+        var onChange = jasmine.createSpy('onChange');
+        params.on('change:sort', onChange);
+
+        params.addSort('dt');
+
+        expect(onChange).toHaveBeenCalled();
+      });
+
+    });
+
+
+    describe('fields', function() {
+      var params;
+
+      beforeEach(function() {
+        params = new Params(null, { validate: false });
+      });
+
+
+      it('should be omitted from JSON, if empty', function() {
+        expect(params.toJSON().fields).not.toBeDefined();
+      });
+
+      it('should convert to a comma-separated list of fields', function() {
+        params.setFields(['id', 'loc']);
+        params.addFields('ob.tempF');
+
+        expect(params.toJSON().fields).toEqual('id,loc,ob.tempF');
+      });
+
+      it('should accept a raw fields string', function() {
+        params.set('fields', 'id,loc');
+
+        expect(params.getFields().pluck('name')).toEqual(['id', 'loc']);
+      });
+
+      it('should remove fields', function() {
+        params.setFields(['id', 'loc']);
+        params.removeFields('id');
+
+        expect(params.toJSON().fields).toEqual('loc');
+      });
+
+      it('should trigger change events', function() {
+        var onChange = jasmine.createSpy('onChange');
+        params.on('change:fields', onChange);
+
+        params.setFields(['id']);
+
+        expect(onChange).toHaveBeenCalled();
+      });
+
+    });
+
+    describe('validFilters', function() {
+
+      it('should validate filters against the validFilters option', function() {
+        var params = new Params(null, { validFilters: ['sieve'] });
+
+        params.addFilter('sieve');
+
+        expect(function() {
+          params.addFilter('colander');
+        }).toThrowType('ValidationError');
+      });
+
+      it('should validate filters against valid filters set after construction', function() {
+        var params = new Params();
+
+        params.setValidFilters(['sieve']);
+
+        expect(function() {
+          params.addFilter('colander');
+        }).toThrowType('ValidationError');
+      });
+
+    });
+
   });
 
 });
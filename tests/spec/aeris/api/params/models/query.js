@@ -88,6 +88,58 @@ define([
         expect(query.validate(query.attributes)).toBeInstanceOf(ValidationError);
       });
 
+      it('should accept a range, in place of a value', function() {
+        var query = new Query({
+          property: 'mag',
+          min: 5,
+          max: 8,
+          operator: Operator.AND
+        });
+
+        expect(query.validate(query.attributes)).not.toBeInstanceOf(ValidationError);
+      });
+
+      it('should accept an open range', function() {
+        var min = new Query({ property: 'mag', min: 5, operator: Operator.AND });
+        var max = new Query({ property: 'mag', max: 0, operator: Operator.AND });
+
+        expect(min.validate(min.attributes)).not.toBeInstanceOf(ValidationError);
+        expect(max.validate(max.attributes)).not.toBeInstanceOf(ValidationError);
+      });
+
+      it('should not accept both a value and a range', function() {
+        var query = new Query({
+          property: 'mag',
+          value: 6,
+          min: 5,
+          operator: Operator.AND
+        });
+
+        expect(query.validate(query.attributes)).toBeInstanceOf(ValidationError);
+      });
+
+      it('should require the range minimum to be less than the range maximum', function() {
+        var query = new Query({
+          property: 'mag',
+          min: 8,
+          max: 5,
+          operator: Operator.AND
+        });
+
+        expect(query.validate(query.attributes)).toBeInstanceOf(ValidationError);
+      });
+
+      it('should require \'negate\' to be a boolean', function() {
+        var query = new Query({
+          property: 'foo',
+          value: 'bar',
+          negate: 'yes',
+          operator: Operator.AND
+        });
+
+        expect(query.validate(query.attributes)).toBeInstanceOf(ValidationError);
+      });
+
       it('should accept a valid query', function() {
         var query = new Query({
           property: 'foo',
@@ -124,6 +176,98 @@ define([
         expect(query.toString()).toEqual('foo:bar');
       });
 
+      it('should prefix negated queries with a \'!\'', function() {
+        query.set('negate', true);
+
+        expect(query.toString()).toEqual('!foo:bar');
+      });
+
+      it('should serialize ranges as property:min:max', function() {
+        query = new Query({ property: 'mag', min: 5, max: 8 });
+
+        expect(query.toString()).toEqual('mag:5:8');
+      });
+
+      it('should serialize open ranges with an empty bound', function() {
+        expect(new Query({ property: 'mag', min: 5 }).toString()).toEqual('mag:5:');
+        expect(new Query({ property: 'mag', max: 8 }).toString()).toEqual('mag::8');
+      });
+
+      it('should serialize negated ranges', function() {
+        query = new Query({ property: 'mag', min: 0, max: 3, negate: true });
+
+        expect(query.toString()).toEqual('!mag:0:3');
+      });
+
+    });
+
+    describe('testValue', function() {
+
+      beforeEach(function() {
+        Query.prototype.validate.andCallThrough();
+      });
+
+
+      it('should match equal values', function() {
+        var query = new Query({ property: 'country', value: 'us' });
+
+        expect(query.testValue('us')).toEqual(true);
+        expect(query.testValue('US')).toEqual(true);
+        expect(query.testValue('ca')).toEqual(false);
+      });
+
+      it('should compare numeric values as numbers', function() {
+        var query = new Query({ property: 'mag', value: '5' });
+
+        expect(query.testValue(5.0)).toEqual(true);
+        expect(query.testValue('5.00')).toEqual(true);
+      });
+
+      it('should match values within a range, inclusively', function() {
+        var query = new Query({ property: 'mag', min: 4, max: 6 });
+
+        expect(query.testValue(3.9)).toEqual(false);
+        expect(query.testValue(4)).toEqual(true);
+        expect(query.testValue(6)).toEqual(true);
+        expect(query.testValue(10)).toEqual(false);
+      });
+
+      it('should match values within an open range', function() {
+        expect(new Query({ property: 'mag', min: 4 }).testValue(100)).toEqual(true);
+        expect(new Query({ property: 'mag', min: 4 }).testValue(2)).toEqual(false);
+        expect(new Query({ property: 'mag', max: 4 }).testValue(-100)).toEqual(true);
+        expect(new Query({ property: 'mag', max: 4 }).testValue(5)).toEqual(false);
+      });
+
+      it('should invert negated queries', function() {
+        var query = new Query({ property: 'mag', min: 4, max: 6, negate: true });
+
+        expect(query.testValue(5)).toEqual(false);
+        expect(query.testValue(7)).toEqual(true);
+      });
+
+    });
+
+
+    describe('test', function() {
+
+      it('should test the model\'s value for the query property', function() {
+        var query = new Query({ property: 'mag', value: 5 });
+        var apiModel = jasmine.createSpyObj('apiModel', ['getQueryValue']);
+        apiModel.getQueryValue.andReturn(5);
+
+        expect(query.test(apiModel)).toEqual(true);
+        expect(apiModel.getQueryValue).toHaveBeenCalledWith('mag');
+      });
+
+      it('should pass if the model does not define the query property', function() {
+        var query = new Query({ property: 'mag', value: 5, negate: true });
+        var apiModel = jasmine.createSpyObj('apiModel', ['getQueryValue']);
+        apiModel.getQueryValue.andReturn(undefined);
+
+        expect(query.test(apiModel)).toEqual(true);
+      });
+
     });
 
   });
@@ -0,0 +1,72 @@
+define([
+  'aeris/util',
+  'aeris/api/params/models/querygroup',
+  'aeris/api/params/collections/chainedqueries',
+  'aeris/errors/validationerror',
+  'aeris/api/operator'
+], function(_, QueryGroup, ChainedQueries, ValidationError, Operator) {
+
+  describe('A QueryGroup', function() {
+
+    describe('constructor', function() {
+
+      it('should use Operator.AND as the default operator', function() {
+        var group = new QueryGroup({
+          queries: new ChainedQueries([{ property: 'foo', value: 'bar' }])
+        });
+
+        expect(group.get('operator')).toEqual(Operator.AND);
+      });
+
+      it('should require at least one query', function() {
+        expect(function() {
+          new QueryGroup({
+            queries: new ChainedQueries()
+          });
+        }).toThrowType('ValidationError');
+      });
+
+      it('should require a valid operator', function() {
+        expect(function() {
+          new QueryGroup({
+            queries: new ChainedQueries([{ property: 'foo', value: 'bar' }]),
+            operator: 'AndAlsoMaybe'
+          });
+        }).toThrowType('ValidationError');
+      });
+
+    });
+
+
+    describe('toString', function() {
+
+      it('should wrap the chained queries in parentheses', function() {
+        var group = new QueryGroup({
+          queries: new ChainedQueries([
+            { property: 'foo', value: 'bar' },
+            { property: 'faz', value: 'baz', operator: Operator.OR }
+          ])
+        });
+
+        expect(group.toString()).toEqual('(foo:bar;faz:baz)');
+      });
+
+    });
+
+    describe('test', function() {
+
+      it('should test the model against the grouped queries', function() {
+        var queries = new ChainedQueries([{ property: 'foo', value: 'bar' }]);
+        var group = new QueryGroup({ queries: queries });
+        var apiModel = jasmine.createSpyObj('apiModel', ['testQueryCollection']);
+        apiModel.testQueryCollection.andReturn(false);
+
+        expect(group.test(apiModel)).toEqual(false);
+        expect(apiModel.testQueryCollection).toHaveBeenCalledWith(queries);
+      });
+
+    });
+
+  });
+
+});
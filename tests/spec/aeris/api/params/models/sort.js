@@ -0,0 +1,47 @@
+define([
+  'aeris/util',
+  'aeris/api/params/models/sort',
+  'aeris/api/sortdirection'
+], function(_, Sort, SortDirection) {
+
+  describe('Sort', function() {
+
+    describe('validate', function() {
+
+      it('should require a property', function() {
+        var sort = new Sort();
+
+        expect(function() {
+          sort.isValid();
+        }).toThrowType('ValidationError');
+      });
+
+      it('should require a valid direction', function() {
+        var sort = new Sort({ property: 'dt', direction: 'foo' });
+
+        expect(function() {
+          sort.isValid();
+        }).toThrowType('ValidationError');
+      });
+
+      it('should accept a property and direction', function() {
+        var sort = new Sort({ property: 'dt', direction: SortDirection.DESC });
+
+        expect(sort.isValid()).toEqual(true);
+      });
+
+    });
+
+
+    describe('toString', function() {
+
+      it('should return property:direction', function() {
+        expect(new Sort({ property: 'dt', direction: SortDirection.DESC }).toString()).toEqual('dt:-1');
+        expect(new Sort({ property: 'dt' }).toString()).toEqual('dt:1');
+      });
+
+    });
+
+  });
+
+});
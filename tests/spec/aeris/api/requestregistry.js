@@ -0,0 +1,98 @@
+define([
+  'aeris/util',
+  'aeris/api/requestregistry',
+  'aeris/promise'
+], function(_, RequestRegistry, Promise) {
+
+  describe('A RequestRegistry', function() {
+    var registry, promise;
+    var SCOPE_STUB = { STUB: 'SCOPE_STUB' };
+
+    beforeEach(function() {
+      registry = new RequestRegistry();
+      promise = new Promise();
+    });
+
+
+    describe('get', function() {
+
+      it('should return a pending request', function() {
+        registry.register('KEY', promise, SCOPE_STUB);
+
+        expect(registry.get('KEY', SCOPE_STUB)).toEqual(promise);
+      });
+
+      it('should not return requests registered with a different scope', function() {
+        registry.register('KEY', promise, SCOPE_STUB);
+
+        expect(registry.get('KEY', { OTHER: 'SCOPE' })).toBeUndefined();
+      });
+
+      it('should not return resolved requests', function() {
+        registry.register('KEY', promise, SCOPE_STUB);
+        promise.resolve();
+
+        expect(registry.get('KEY', SCOPE_STUB)).toBeUndefined();
+        expect(registry.isPending('KEY')).toEqual(false);
+      });
+
+      it('should not return rejected requests', function() {
+        registry.register('KEY', promise, SCOPE_STUB);
+        promise.reject();
+
+        expect(registry.get('KEY', SCOPE_STUB)).toBeUndefined();
+      });
+
+    });
+
+
+    describe('register', function() {
+
+      it('should not remove a newer request with the same key', function() {
+        var newerPromise = new Promise();
+        registry.register('KEY', promise);
+        registry.register('KEY', newerPromise);
+
+        promise.resolve();
+
+        expect(registry.get('KEY')).toEqual(newerPromise);
+      });
+
+    });
+
+
+    describe('unregister', function() {
+
+      it('should remove a pending request', function() {
+        registry.register('KEY', promise, SCOPE_STUB);
+
+        registry.unregister('KEY', promise);
+
+        expect(registry.get('KEY', SCOPE_STUB)).toBeUndefined();
+        expect(registry.isPending('KEY')).toEqual(false);
+      });
+
+      it('should not remove a request registered with a different promise', function() {
+        var newerPromise = new Promise();
+        registry.register('KEY', newerPromise);
+
+        registry.unregister('KEY', promise);
+
+        expect(registry.get('KEY')).toEqual(newerPromise);
+      });
+
+    });
+
+
+    describe('getInstance', function() {
+
+      it('should return a shared registry', function() {
+        expect(RequestRegistry.getInstance()).toBeInstanceOf(RequestRegistry);
+        expect(RequestRegistry.getInstance()).toEqual(RequestRegistry.getInstance());
+      });
+
+    });
+
+  });
+
+});
@@ -0,0 +1,100 @@
+define([
+  'aeris/util',
+  'aeris/api/retrypolicy',
+  'aeris/errors/apiresponseerror',
+  'aeris/errors/networkerror',
+  'aeris/errors/timeouterror'
+], function(_, RetryPolicy, ApiResponseError, NetworkError, TimeoutError) {
+
+  describe('A RetryPolicy', function() {
+
+    function createApiError(code) {
+      var error = new ApiResponseError('STUB_MESSAGE');
+      error.code = code;
+
+      return error;
+    }
+
+
+    describe('shouldRetry', function() {
+      var policy;
+
+      beforeEach(function() {
+        policy = new RetryPolicy({
+          maxAttempts: 3,
+          retryableCodes: ['RETRYABLE_CODE']
+        });
+      });
+
+
+      it('should retry errors with retryable codes', function() {
+        expect(policy.shouldRetry(createApiError('RETRYABLE_CODE'), 1)).toEqual(true);
+      });
+
+      it('should not retry errors with other codes', function() {
+        expect(policy.shouldRetry(createApiError('OTHER_CODE'), 1)).toEqual(false);
+      });
+
+      it('should not retry after the max number of attempts', function() {
+        expect(policy.shouldRetry(createApiError('RETRYABLE_CODE'), 2)).toEqual(true);
+        expect(policy.shouldRetry(createApiError('RETRYABLE_CODE'), 3)).toEqual(false);
+      });
+
+      it('should retry network errors and timeouts', function() {
+        expect(policy.shouldRetry(new NetworkError(), 1)).toEqual(true);
+        expect(policy.shouldRetry(new TimeoutError(), 1)).toEqual(true);
+      });
+
+      it('should not retry network errors, if `retryNetworkErrors` is false', function() {
+        policy = new RetryPolicy({ retryNetworkErrors: false });
+
+        expect(policy.shouldRetry(new NetworkError(), 1)).toEqual(false);
+        expect(policy.shouldRetry(new TimeoutError(), 1)).toEqual(false);
+      });
+
+      it('should retry rate limit and server errors by default', function() {
+        policy = new RetryPolicy();
+
+        expect(policy.shouldRetry(createApiError('maxhits_min'), 1)).toEqual(true);
+        expect(policy.shouldRetry(createApiError('internal_error'), 1)).toEqual(true);
+        expect(policy.shouldRetry(createApiError('invalid_location'), 1)).toEqual(false);
+      });
+
+    });
+
+
+    describe('getDelay', function() {
+
+      beforeEach(function() {
+        spyOn(Math, 'random').andReturn(1);
+      });
+
+
+      it('should double the delay for each attempt', function() {
+        var policy = new RetryPolicy({ delay: 100, jitter: 0 });
+
+        expect(policy.getDelay(1)).toEqual(100);
+        expect(policy.getDelay(2)).toEqual(200);
+        expect(policy.getDelay(3)).toEqual(400);
+      });
+
+      it('should not exceed the max delay', function() {
+        var policy = new RetryPolicy({ delay: 100, maxDelay: 250, jitter: 0 });
+
+        expect(policy.getDelay(3)).toEqual(250);
+      });
+
+      it('should randomly reduce the delay by the jitter', function() {
+        var policy = new RetryPolicy({ delay: 100, jitter: 0.5 });
+
+        expect(policy.getDelay(1)).toEqual(50);
+
+        Math.random.andReturn(0);
+        expect(policy.getDelay(1)).toEqual(100);
+      });
+
+    });
+
+  });
+
+});
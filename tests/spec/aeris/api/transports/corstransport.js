@@ -0,0 +1,111 @@
+define([
+  'aeris/util',
+  'aeris/api/transports/corstransport',
+  'aeris/errors/networkerror',
+  'mocks/window/xmlhttprequest'
+], function(_, CORSTransport, NetworkError, MockXMLHttpRequest) {
+
+  describe('A CORSTransport', function() {
+    var transport;
+
+    beforeEach(function() {
+      MockXMLHttpRequest.reset();
+      transport = new CORSTransport({
+        XMLHttpRequest: MockXMLHttpRequest
+      });
+    });
+
+
+    describe('get', function() {
+
+      it('should send a GET request', function() {
+        transport.get('URL_STUB');
+
+        expect(MockXMLHttpRequest.getMostRecent().open.mostRecentCall.args[0]).toEqual('GET');
+        expect(MockXMLHttpRequest.getMostRecent().send).toHaveBeenCalled();
+      });
+
+      it('should encode params in the query string', function() {
+        transport.get('URL_STUB', {
+          foo: 'bar',
+          p: 'a b'
+        });
+
+        expect(MockXMLHttpRequest.getMostRecent().getRequestedUrl()).
+          toEqual('URL_STUB?foo=bar&p=a%20b');
+      });
+
+      it('should append params to an existing query string', function() {
+        transport.get('URL_STUB?faz=baz', { foo: 'bar' });
+
+        expect(MockXMLHttpRequest.getMostRecent().getRequestedUrl()).
+          toEqual('URL_STUB?faz=baz&foo=bar');
+      });
+
+      it('should resolve with the parsed response data', function() {
+        var RESPONSE_STUB = { STUB: 'RESPONSE_STUB' };
+        var onDone = jasmine.createSpy('onDone');
+
+        transport.get('URL_STUB').done(onDone);
+        MockXMLHttpRequest.getMostRecent().respondWith(200, RESPONSE_STUB);
+
+        expect(onDone).toHaveBeenCalledWith(RESPONSE_STUB);
+      });
+
+      it('should reject if the response has an error status', function() {
+        var onFail = jasmine.createSpy('onFail');
+
+        transport.get('URL_STUB').fail(onFail);
+        MockXMLHttpRequest.getMostRecent().respondWith(503, '');
+
+        expect(onFail).toHaveBeenCalled();
+        expect(onFail.mostRecentCall.args[0]).toBeInstanceOf(NetworkError);
+        expect(onFail.mostRecentCall.args[0].status).toEqual(503);
+      });
+
+      it('should resolve with API error objects returned with an error status', function() {
+        var RESPONSE_STUB = {
+          success: false,
+          error: { code: 'invalid_client' }
+        };
+        var onDone = jasmine.createSpy('onDone');
+
+        transport.get('URL_STUB').done(onDone);
+        MockXMLHttpRequest.getMostRecent().respondWith(401, RESPONSE_STUB);
+
+        expect(onDone).toHaveBeenCalledWith(RESPONSE_STUB);
+      });
+
+      it('should reject if the response is not valid JSON', function() {
+        var onFail = jasmine.createSpy('onFail');
+
+        transport.get('URL_STUB').fail(onFail);
+        MockXMLHttpRequest.getMostRecent().respondWith(200, 'not json');
+
+        expect(onFail).toHaveBeenCalled();
+      });
+
+      it('should reject if the request fails', function() {
+        var onFail = jasmine.createSpy('onFail');
+
+        transport.get('URL_STUB').fail(onFail);
+        MockXMLHttpRequest.getMostRecent().fail();
+
+        expect(onFail).toHaveBeenCalled();
+        expect(onFail.mostRecentCall.args[0]).toBeInstanceOf(NetworkError);
+      });
+
+    });
+
+
+    describe('getFormat', function() {
+
+      it('should return \'json\'', function() {
+        expect(transport.getFormat()).toEqual('json');
+      });
+
+    });
+
+  });
+
+});
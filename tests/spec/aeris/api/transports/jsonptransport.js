@@ -0,0 +1,75 @@
+define([
+  'aeris/util',
+  'aeris/api/transports/jsonptransport',
+  'aeris/promise',
+  'aeris/errors/networkerror',
+  'mocks/aeris/jsonp'
+], function(_, JSONPTransport, Promise, NetworkError, MockJSONP) {
+
+  describe('A JSONPTransport', function() {
+    var transport, jsonp;
+
+    beforeEach(function() {
+      jsonp = new MockJSONP();
+      transport = new JSONPTransport({
+        jsonp: jsonp
+      });
+    });
+
+
+    describe('get', function() {
+
+      it('should return a promise', function() {
+        expect(transport.get('URL_STUB')).toBeInstanceOf(Promise);
+      });
+
+      it('should request the url with params', function() {
+        var PARAMS_STUB = { foo: 'bar' };
+        transport.get('URL_STUB', PARAMS_STUB);
+
+        expect(jsonp.getRequestedUrl()).toEqual('URL_STUB');
+        expect(jsonp.getRequestedData()).toEqual(PARAMS_STUB);
+      });
+
+      it('should resolve with the response data', function() {
+        var RESPONSE_STUB = { STUB: 'RESPONSE_STUB' };
+        var onDone = jasmine.createSpy('onDone');
+
+        transport.get('URL_STUB').done(onDone);
+        jsonp.resolveWith(RESPONSE_STUB);
+
+        expect(onDone).toHaveBeenCalledWith(RESPONSE_STUB);
+      });
+
+      it('should reject with a NetworkError if the request fails to load', function() {
+        var onFail = jasmine.createSpy('onFail');
+        jsonp.get.andCallFake(function(url, params, callback, uniqueName, callbackName, onError) {
+          onError({ url: url });
+        });
+
+        transport.get('URL_STUB').fail(onFail);
+
+        expect(onFail).toHaveBeenCalled();
+        expect(onFail.mostRecentCall.args[0]).toBeInstanceOf(NetworkError);
+      });
+
+      it('should use the callbackName option', function() {
+        transport.get('URL_STUB', {}, { callbackName: 'CALLBACK_STUB' });
+
+        expect(jsonp.get.mostRecentCall.args[3]).toEqual('CALLBACK_STUB');
+      });
+
+    });
+
+
+    describe('getFormat', function() {
+
+      it('should return \'jsonp\'', function() {
+        expect(transport.getFormat()).toEqual('jsonp');
+      });
+
+    });
+
+  });
+
+});
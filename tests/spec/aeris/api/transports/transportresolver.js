@@ -0,0 +1,57 @@
+define([
+  'aeris/util',
+  'aeris/model',
+  'aeris/api/transports/transportresolver'
+], function(_, Model, TransportResolver) {
+
+  var MockTransportA = function() {};
+  var MockTransportB = function() {};
+
+  describe('A TransportResolver', function() {
+    var resolver, config;
+
+    beforeEach(function() {
+      config = new Model();
+      resolver = new TransportResolver({
+        config: config,
+        transports: {
+          a: MockTransportA,
+          b: MockTransportB
+        }
+      });
+    });
+
+
+    describe('resolveTransport', function() {
+
+      it('should create a transport of the configured type', function() {
+        config.set('apiTransport', 'b');
+
+        expect(resolver.resolveTransport()).toBeInstanceOf(MockTransportB);
+      });
+
+      it('should create a transport of the specified type', function() {
+        config.set('apiTransport', 'b');
+
+        expect(resolver.resolveTransport('a')).toBeInstanceOf(MockTransportA);
+      });
+
+      it('should share transport instances', function() {
+        config.set('apiTransport', 'a');
+
+        expect(resolver.resolveTransport()).toBe(resolver.resolveTransport());
+      });
+
+      it('should throw an InvalidConfigError for unknown transport types', function() {
+        config.set('apiTransport', 'foo');
+
+        expect(function() {
+          resolver.resolveTransport();
+        }).toThrowType('InvalidConfigError');
+      });
+
+    });
+
+  });
+
+});
@@ -0,0 +1,115 @@
+define([
+  'aeris/util',
+  'aeris/config',
+  'aeris/api/units'
+], function(_, config, units) {
+
+  describe('units', function() {
+
+    afterEach(function() {
+      config.setUnits('imperial');
+    });
+
+
+    describe('getUnit', function() {
+
+      it('should return imperial units, by default', function() {
+        expect(units.getUnit('temperature')).toEqual('F');
+        expect(units.getUnit('speed')).toEqual('MPH');
+      });
+
+      it('should return metric units', function() {
+        config.setUnits('metric');
+
+        expect(units.getUnit('temperature')).toEqual('C');
+        expect(units.getUnit('pressure')).toEqual('MB');
+      });
+
+      it('should mix units by quantity', function() {
+        config.setUnits({
+          temperature: 'metric',
+          speed: 'KTS'
+        });
+
+        expect(units.getUnit('temperature')).toEqual('C');
+        expect(units.getUnit('speed')).toEqual('KTS');
+        expect(units.getUnit('pressure')).toEqual('IN');
+      });
+
+      it('should reject unknown quantities', function() {
+        expect(function() {
+          units.getUnit('loudness');
+        }).toThrowType('InvalidArgumentError');
+      });
+
+    });
+
+
+    describe('setting units in the config', function() {
+
+      it('should reject unknown unit systems', function() {
+        expect(function() {
+          config.setUnits('nautical');
+        }).toThrow();
+      });
+
+      it('should reject unknown quantities', function() {
+        expect(function() {
+          config.setUnits({ loudness: 'metric' });
+        }).toThrow();
+      });
+
+      it('should reject units which are not valid for the quantity', function() {
+        expect(function() {
+          config.setUnits({ temperature: 'MPH' });
+        }).toThrow();
+      });
+
+    });
+
+
+    describe('convert', function() {
+
+      it('should convert temperatures', function() {
+        expect(units.convert(212, 'temperature', 'F', 'C')).toEqual(100);
+        expect(units.convert(-40, 'temperature', 'C', 'F')).toEqual(-40);
+      });
+
+      it('should convert by unit factors', function() {
+        expect(units.convert(1, 'precip', 'IN', 'MM')).toBeCloseTo(25.4, 3);
+        expect(units.convert(10, 'height', 'M', 'FT')).toBeCloseTo(32.808, 3);
+        expect(units.convert(10, 'speed', 'KTS', 'MPH')).toBeCloseTo(11.508, 3);
+      });
+
+      it('should not convert values in the same unit', function() {
+        expect(units.convert(29.92, 'pressure', 'IN', 'IN')).toEqual(29.92);
+      });
+
+    });
+
+
+    describe('format', function() {
+
+      it('should format a measurement with its label', function() {
+        expect(units.format(units.createMeasurement(51.6, 'temperature', 'F'))).toEqual('52°F');
+        expect(units.format(units.createMeasurement(12.2, 'speed', 'KPH'))).toEqual('12 km/h');
+      });
+
+      it('should use the unit precision', function() {
+        expect(units.format(units.createMeasurement(29.9212, 'pressure', 'IN'))).toEqual('29.92 inHg');
+        expect(units.format(units.createMeasurement(1013.4, 'pressure', 'MB'))).toEqual('1013 mb');
+      });
+
+      it('should accept a precision', function() {
+        expect(units.format(units.createMeasurement(51.66, 'temperature', 'F'), 1)).toEqual('51.7°F');
+      });
+
+      it('should return an empty string for missing measurements', function() {
+        expect(units.format(null)).toEqual('');
+      });
+
+    });
+
+  });
+
+});
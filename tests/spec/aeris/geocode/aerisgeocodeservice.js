@@ -4,18 +4,20 @@ define([
   'aeris/geocode/geocodeservicestatus',
   'aeris/geocode/aerisgeocodeservice',
   'mocks/aeris/api/models/aerisapimodel',
-  'aeris/promise'
-], function(_, PlacesSuccessResponse, GeocodeServiceStatus, AerisGeocodeService, MockAerisApiModel, Promise) {
+  'aeris/promise',
+  'aeris/api/config/errortypes',
+  'aeris/errors/apiresponseerror'
+], function(_, PlacesSuccessResponse, GeocodeServiceStatus, AerisGeocodeService, MockAerisApiModel, Promise, errorTypes, ApiResponseError) {
 
   function PlacesApiResponseError(opt_code, opt_message) {
     var code = opt_code || 'invalid_location';
     var message = opt_message || 'MESSAGE_STUB';
+    var ErrorType = errorTypes[code] || ApiResponseError;
+    var error = new ErrorType(message);
 
-    return {
-      name: 'APIResponseError',
-      code: code,
-      message: message
-    };
+    error.code = code;
+
+    return error;
   }
 
   describe('AerisGeocodeService', function() {
@@ -97,6 +99,60 @@ define([
 
       });
 
+      describe('a warning response without place data', function() {
+        var onResolve, onReject;
+
+        beforeEach(function() {
+          onResolve = jasmine.createSpy('onResolve');
+          onReject = jasmine.createSpy('onReject');
+
+          aerisGeocodeSerivce.geocode(placeName).
+            done(onResolve).
+            fail(onReject);
+        });
+
+
+        it('should reject with a NO_RESULTS response, for `warn_no_data`', function() {
+          var geocodeServiceResponse;
+
+          placeApi.andResolveWith({
+            success: true,
+            error: { code: 'warn_no_data', description: 'No data available' },
+            response: []
+          });
+          geocodeServiceResponse = onReject.mostRecentCall.args[0];
+
+          expect(onResolve).not.toHaveBeenCalled();
+          expect(geocodeServiceResponse.latLon).toBeUndefined();
+          expect(geocodeServiceResponse.status.code).toEqual(GeocodeServiceStatus.NO_RESULTS);
+          expect(geocodeServiceResponse.status.apiCode).toEqual('warn_no_data');
+          expect(geocodeServiceResponse.status.message).toEqual('No data available');
+        });
+
+        it('should reject with a NO_RESULTS response, if the response is not an object', function() {
+          placeApi.andResolveWith({
+            success: true,
+            error: null,
+            response: 'RESPONSE_STUB'
+          });
+
+          expect(onReject.mostRecentCall.args[0].status.code).toEqual(GeocodeServiceStatus.NO_RESULTS);
+        });
+
+        it('should use the first place, if the response is a list of places', function() {
+          var apiResponse = PlacesSuccessResponse();
+          apiResponse.response = [apiResponse.response];
+
+          placeApi.andResolveWith(apiResponse);
+
+          expect(onResolve.mostRecentCall.args[0].latLon).toEqual([
+            apiResponse.response[0].loc.lat, apiResponse.response[0].loc.long
+          ]);
+        });
+
+      });
+
+
       describe('an error response', function() {
         var onReject, geocodeServiceResponse;
 
@@ -142,6 +198,19 @@ define([
 
           });
 
+          describe('when the API response code is `invalid_query`', function() {
+
+            beforeEach(function() {
+              placeApi.andRejectWith(PlacesApiResponseError('invalid_query'));
+            });
+
+
+            it('should have a status code of aeris.geocode.GeocodeServiceStatus.INVALID_REQUEST', function() {
+              expect(geocodeServiceResponse.status.code).toEqual(GeocodeServiceStatus.INVALID_REQUEST);
+            });
+
+          });
+
           describe('when the API response code is `invalid_client`', function() {
 
             beforeEach(function() {
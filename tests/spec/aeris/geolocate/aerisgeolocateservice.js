@@ -4,18 +4,21 @@ define([
   'aeris/geolocate/errors/geolocateserviceerror',
   'mocks/aeris/api/models/aerisapimodel',
   'mocks/api.aeris.com/places',
-  'aeris/promise'
-], function(_, AerisGeolocateService, GeolocateServiceError, MockAerisApiModel, PlacesSuccessResponse, Promise) {
+  'aeris/promise',
+  'aeris/api/config/errortypes',
+  'aeris/errors/apiresponseerror',
+  'aeris/errors/timeouterror'
+], function(_, AerisGeolocateService, GeolocateServiceError, MockAerisApiModel, PlacesSuccessResponse, Promise, errorTypes, ApiResponseError, TimeoutError) {
 
   function PlacesApiResponseError(opt_code, opt_message) {
     var code = opt_code || 'invalid_location';
     var message = opt_message || 'MESSAGE_STUB';
+    var ErrorType = errorTypes[code] || ApiResponseError;
+    var error = new ErrorType(message);
 
-    return {
-      name: 'APIResponseError',
-      code: code,
-      message: message
-    };
+    error.code = code;
+
+    return error;
   }
 
   describe('AerisGeolocateService', function() {
@@ -78,6 +81,44 @@ define([
 
       });
 
+      describe('on a warning response without place data', function() {
+        var onResolve, onReject;
+
+        beforeEach(function() {
+          onResolve = jasmine.createSpy('onResolve');
+          onReject = jasmine.createSpy('onReject');
+
+          aerisGeolocateService.getCurrentPosition().
+            done(onResolve).
+            fail(onReject);
+        });
+
+
+        it('should reject with a POSITION_UNAVAILABLE error', function() {
+          placeApi.andResolveWith({
+            success: true,
+            error: { code: 'warn_no_data', description: 'No data available' },
+            response: []
+          });
+
+          expect(onResolve).not.toHaveBeenCalled();
+          expect(onReject.mostRecentCall.args[0].code).toEqual(GeolocateServiceError.POSITION_UNAVAILABLE);
+          expect(onReject.mostRecentCall.args[0].message).toEqual('No data available');
+        });
+
+        it('should reject, if the response is not an object', function() {
+          placeApi.andResolveWith({
+            success: true,
+            error: null,
+            response: 'RESPONSE_STUB'
+          });
+
+          expect(onReject.mostRecentCall.args[0].code).toEqual(GeolocateServiceError.POSITION_UNAVAILABLE);
+        });
+
+      });
+
+
       describe('on a error response', function() {
         var onReject, geolocateServiceError;
 
@@ -112,6 +153,12 @@ define([
               expect(geolocateServiceError.code).toEqual(GeolocateServiceError.PERMISSION_DENIED);
             });
 
+            it('should contain a GeolocateServiceEror.TIMEOUT code (for timeouts)', function() {
+              placeApi.andRejectWith(new TimeoutError('STUB_MESSAGE'));
+
+              expect(geolocateServiceError.code).toEqual(GeolocateServiceError.TIMEOUT);
+            });
+
             it('should contain the error message', function() {
               placeApi.andRejectWith(PlacesApiResponseError('invalid_location', 'STUB_MESSAGE'));
 
@@ -127,6 +127,38 @@ define([
 
       });
 
+      describe('when a marker\'s label changes', function() {
+
+        it('should update the view\'s label', function() {
+          mockMarker.set({
+            label: '52°F',
+            labelColor: '#ff0000'
+          });
+
+          expect(mockGoogleMarker.getLabel().text).toEqual('52°F');
+          expect(mockGoogleMarker.getLabel().color).toEqual('#ff0000');
+        });
+
+        it('should remove the view\'s label, if the label is empty', function() {
+          mockMarker.set('label', '52°F');
+          mockMarker.set('label', '');
+
+          expect(mockGoogleMarker.getLabel()).toEqual(null);
+        });
+
+      });
+
+      describe('when a marker has no icon url', function() {
+
+        it('should render an empty icon', function() {
+          mockMarker.set('url', '');
+
+          expect(mockGoogleMarker.getIconUrl()).toBeUndefined();
+          expect(mockGoogleMarker.getIcon().scale).toEqual(0);
+        });
+
+      });
+
       describe('when a marker\'s \'clickable\' attribute changes', function() {
 
         beforeEach(function() {
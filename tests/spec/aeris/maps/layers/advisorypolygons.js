@@ -0,0 +1,136 @@
+define([
+  'aeris/util',
+  'aeris/maps/layers/advisorypolygons',
+  'aeris/api/collections/advisories',
+  'aeris/api/models/advisory'
+], function(_, AdvisoryPolygons, Advisories, Advisory) {
+
+  describe('AdvisoryPolygons', function() {
+    var layer, advisories;
+
+    function Polygon() {
+      return {
+        type: 'Polygon',
+        coordinates: [[[-122, 47], [-121, 47], [-121, 48], [-122, 47]]]
+      };
+    }
+
+    function AdvisoryData(id, type, opt_geoPoly) {
+      return {
+        id: id,
+        details: {
+          type: type,
+          name: 'NAME_STUB'
+        },
+        geoPoly: _.isUndefined(opt_geoPoly) ? Polygon() : opt_geoPoly
+      };
+    }
+
+    beforeEach(function() {
+      advisories = new Advisories([
+        AdvisoryData('warning', 'TO.W'),
+        AdvisoryData('advisory', 'WI.Y'),
+        AdvisoryData('noGeometry', 'FL.A', null)
+      ]);
+
+      layer = new AdvisoryPolygons(null, {
+        data: advisories,
+        strategy: function() {}
+      });
+    });
+
+
+    describe('constructor', function() {
+
+      it('should request advisory geometry, by default', function() {
+        layer = new AdvisoryPolygons(null, {
+          strategy: function() {}
+        });
+
+        expect(layer.getData()).toBeInstanceOf(Advisories);
+        expect(layer.getData().getParams().get('filter').pluck('name')).toEqual(['geo']);
+      });
+
+    });
+
+
+    describe('toGeoJson', function() {
+
+      it('should only include advisories with geometry', function() {
+        var ids = _.pluck(layer.toGeoJson().features, 'id');
+
+        expect(ids).toContain('warning');
+        expect(ids).toContain('advisory');
+        expect(ids).not.toContain('noGeometry');
+      });
+
+      it('should draw the most severe advisories last', function() {
+        expect(_.pluck(layer.toGeoJson().features, 'id')).toEqual(['advisory', 'warning']);
+      });
+
+      it('should include advisory properties with each feature', function() {
+        var properties = layer.toGeoJson().features[1].properties;
+
+        expect(properties.id).toEqual('warning');
+        expect(properties.vtec).toEqual('TO.W');
+        expect(properties.color).toEqual(advisories.get('warning').getColor());
+      });
+
+    });
+
+
+    describe('getStyle', function() {
+
+      it('should style polygons by advisory color', function() {
+        var style = layer.getStyle({ color: '#FF0000' });
+
+        expect(style.color).toEqual('#FF0000');
+        expect(style.fillColor).toEqual('#FF0000');
+      });
+
+      it('should accept a custom style', function() {
+        var style = jasmine.createSpy('style').andReturn({ color: 'STYLE_STUB' });
+
+        layer = new AdvisoryPolygons(null, {
+          data: advisories,
+          strategy: function() {},
+          style: style
+        });
+
+        expect(layer.getStyle({})).toEqual({ color: 'STYLE_STUB' });
+      });
+
+    });
+
+
+    describe('getFeatureData', function() {
+
+      it('should return the advisory for the feature', function() {
+        var properties = layer.toGeoJson().features[0].properties;
+
+        expect(layer.getFeatureData(properties)).toEqual(advisories.get('advisory'));
+      });
+
+      it('should find advisories without ids', function() {
+        var advisory = new Advisory(_.omit(AdvisoryData(null, 'SV.W'), 'id'));
+        advisories.add(advisory);
+
+        expect(layer.getFeatureData(advisory.toGeoJson().properties)).toEqual(advisory);
+      });
+
+    });
+
+
+    describe('when the advisories change', function() {
+
+      it('should update the layer geometry', function() {
+        advisories.get('warning').set('geoPoly', null);
+
+        expect(_.pluck(layer.get('geoJson').features, 'id')).toEqual(['advisory']);
+      });
+
+    });
+
+  });
+
+});
@@ -484,6 +484,23 @@ define([
         expect(onDone).toHaveBeenCalledWith(STUB_TIMES);
       });
 
+      it('should reject, if no time data is returned', function() {
+        var onDone = jasmine.createSpy('onDone');
+        var onFail = jasmine.createSpy('onFail');
+
+        tile.loadTileTimes().
+          done(onDone).
+          fail(onFail);
+
+        expect(function() {
+          jsonp.resolveWith({});
+        }).not.toThrow();
+
+        expect(onDone).not.toHaveBeenCalled();
+        expect(onFail).toHaveBeenCalled();
+        expect(onFail.mostRecentCall.args[0].message).toMatch(/no time data/);
+      });
+
       it('should reject after a timeout of 5 seconds', function() {
         var TIMEOUT = 5000;
         var promiseToLoadTimes = tile.loadTileTimes();
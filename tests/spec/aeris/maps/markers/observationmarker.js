@@ -0,0 +1,309 @@
+define([
+  'aeris/util',
+  'aeris/config',
+  'aeris/maps/markers/observationmarker',
+  'aeris/maps/markercollections/observationmarkers',
+  'aeris/maps/markers/marker',
+  'aeris/maps/markers/config/observationfields',
+  'aeris/api/models/observation',
+  'aeris/api/collections/observations',
+  'mocks/map',
+  'tests/lib/clock'
+], function(_, config, ObservationMarker, ObservationMarkers, Marker, observationFields, Observation, Observations, MockMap, clock) {
+
+  describe('ObservationMarker', function() {
+    var marker, observation;
+
+    beforeEach(function() {
+      spyOn(Marker.prototype, 'setStrategy');
+
+      observation = new Observation({
+        loc: { lat: 47.6, long: -122.3 },
+        place: { name: 'seattle' },
+        ob: {
+          tempF: 52,
+          tempC: 11,
+          dewpointF: 20,
+          dewpointC: -7,
+          windSpeedMPH: 12,
+          windSpeedKPH: 19,
+          windDir: 'NW',
+          humidity: 65,
+          pressureMB: 1012
+        }
+      });
+
+      marker = new ObservationMarker(null, {
+        data: observation
+      });
+    });
+
+    afterEach(function() {
+      config.setUnits('imperial');
+    });
+
+
+    describe('label', function() {
+
+      it('should display the temperature, by default', function() {
+        expect(marker.getLabel()).toEqual('52°F');
+        expect(marker.get('title')).toEqual('seattle: 52°F');
+      });
+
+      it('should be rendered without an icon', function() {
+        expect(marker.getUrl()).toEqual('');
+      });
+
+      it('should use the preferred units', function() {
+        config.setUnits('metric');
+
+        expect(marker.getLabel()).toEqual('11°C');
+      });
+
+      it('should display the wind speed and direction', function() {
+        marker.setField('wind');
+
+        expect(marker.getLabel()).toEqual('12 mph NW');
+      });
+
+      it('should display fields without units', function() {
+        marker.setField('humidity');
+        expect(marker.getLabel()).toEqual('65%');
+
+        marker.setField('pressureMB');
+        expect(marker.getLabel()).toEqual('1012');
+      });
+
+      it('should be empty if the observation does not include the field', function() {
+        marker.setField('ob.visibilityMI');
+
+        expect(marker.getLabel()).toEqual('');
+        expect(marker.get('title')).toEqual('seattle');
+      });
+
+      it('should update when the observation changes', function() {
+        observation.set('ob', { tempF: 75 });
+
+        expect(marker.getLabel()).toEqual('75°F');
+      });
+
+      it('should reject invalid fields', function() {
+        expect(function() {
+          marker.setField({ colors: [] });
+        }).toThrowType('InvalidArgumentError');
+      });
+
+    });
+
+
+    describe('labelColor', function() {
+
+      it('should use the color for the value', function() {
+        // 50°F threshold
+        expect(marker.get('labelColor')).toEqual(observationFields.temperature.colors[4][1]);
+
+        observation.set('ob', { tempF: 105 });
+        expect(marker.get('labelColor')).toEqual(_.last(observationFields.temperature.colors)[1]);
+      });
+
+      it('should use the lowest color for values below all thresholds', function() {
+        observation.set('ob', { tempF: -40 });
+
+        expect(marker.get('labelColor')).toEqual(observationFields.temperature.colors[0][1]);
+      });
+
+      it('should not depend on the preferred units', function() {
+        var color = marker.get('labelColor');
+
+        config.setUnits('metric');
+
+        expect(marker.get('labelColor')).toEqual(color);
+      });
+
+      it('should use custom field colors', function() {
+        marker.setField({
+          path: 'ob.pressureMB',
+          colors: [[0, 'blue'], [1000, 'red']]
+        });
+
+        expect(marker.get('labelColor')).toEqual('red');
+      });
+
+    });
+
+
+    describe('ObservationMarkers', function() {
+      var markers, observations, map;
+
+      function addObservations(latLons) {
+        observations.getSourceCollection().add(_.map(latLons, function(latLon) {
+          return {
+            loc: { lat: latLon[0], long: latLon[1] },
+            ob: { tempF: 50, tempC: 10, dewpointF: 50, dewpointC: 10 }
+          };
+        }));
+      }
+
+      function getShownPositions() {
+        return markers.filter(function(marker) {
+          return marker.hasMap();
+        }).map(function(marker) {
+          return marker.getPosition();
+        });
+      }
+
+      beforeEach(function() {
+        clock.useFakeTimers();
+
+        observations = new Observations(null, {
+          action: 'within'
+        });
+        spyOn(observations, 'fetch');
+
+        markers = new ObservationMarkers(null, {
+          data: observations,
+          field: 'dewpoint'
+        });
+
+        map = new MockMap();
+        map.set('zoom', 4);
+        map.getBounds.andReturn([[40, -100], [50, -80]]);
+      });
+
+      afterEach(function() {
+        clock.restore();
+      });
+
+
+      it('should display the specified field', function() {
+        addObservations([[45, -90]]);
+
+        expect(markers.at(0).getLabel()).toEqual('50°F');
+        expect(markers.at(0).get('labelColor')).toEqual(observationFields.dewpoint.colors[2][1]);
+      });
+
+      it('should change the field of all markers', function() {
+        addObservations([[45, -90]]);
+
+        markers.setField('temperature');
+        addObservations([[46, -91]]);
+
+        expect(markers.at(0).get('labelColor')).toEqual(observationFields.temperature.colors[4][1]);
+        expect(markers.at(1).get('labelColor')).toEqual(observationFields.temperature.colors[4][1]);
+      });
+
+      it('should fetch observations within the map bounds', function() {
+        markers.setMap(map);
+
+        expect(observations.getParams().get('p')).toEqual([[40, -100], [50, -80]]);
+        expect(observations.fetch).toHaveBeenCalled();
+      });
+
+      it('should fetch observations when the map bounds change', function() {
+        markers.setMap(map);
+        observations.fetch.reset();
+
+        map.getBounds.andReturn([[30, -100], [40, -80]]);
+        map.trigger('change:bounds');
+        clock.tick(500);
+
+        expect(observations.getParams().get('p')).toEqual([[30, -100], [40, -80]]);
+        expect(observations.fetch).toHaveBeenCalled();
+      });
+
+      it('should throttle fetching while the map bounds are changing', function() {
+        markers.setMap(map);
+        observations.fetch.reset();
+
+        _.times(10, function(i) {
+          map.getBounds.andReturn([[30 + i, -100], [40 + i, -80]]);
+          map.trigger('change:bounds');
+          clock.tick(10);
+        });
+        clock.tick(500);
+
+        expect(observations.fetch.callCount).toEqual(1);
+        expect(observations.getParams().get('p')).toEqual([[39, -100], [49, -80]]);
+      });
+
+      it('should stop fetching when the map is removed', function() {
+        markers.setMap(map);
+        markers.setMap(null);
+        observations.fetch.reset();
+
+        map.trigger('change:bounds');
+        clock.tick(500);
+
+        expect(observations.fetch).not.toHaveBeenCalled();
+      });
+
+      it('should not fetch by map bounds, if fetchByBounds is false', function() {
+        markers = new ObservationMarkers(null, {
+          data: observations,
+          fetchByBounds: false
+        });
+
+        markers.setMap(map);
+
+        expect(observations.fetch).not.toHaveBeenCalled();
+      });
+
+      it('should hide overlapping labels at low zoom levels', function() {
+        markers.setMap(map);
+        // At zoom level 4, label cells are about 4 degrees wide
+        addObservations([[45.1, -90.1], [45.2, -90.2], [32.1, -110.1]]);
+        clock.tick(100);
+
+        expect(getShownPositions()).toEqual([[45.1, -90.1], [32.1, -110.1]]);
+      });
+
+      it('should show hidden labels when zooming in', function() {
+        markers.setMap(map);
+        addObservations([[45.1, -90.1], [45.2, -90.2]]);
+        clock.tick(100);
+
+        map.set('zoom', 12);
+
+        expect(getShownPositions()).toEqual([[45.1, -90.1], [45.2, -90.2]]);
+      });
+
+      it('should not hide labels, if labelSpacing is 0', function() {
+        markers = new ObservationMarkers(null, {
+          data: observations,
+          labelSpacing: 0
+        });
+
+        markers.setMap(map);
+        addObservations([[45.1, -90.1], [45.2, -90.2]]);
+        clock.tick(100);
+
+        expect(getShownPositions()).toEqual([[45.1, -90.1], [45.2, -90.2]]);
+      });
+
+      it('should thin labels once, when many observations are added', function() {
+        spyOn(ObservationMarkers.prototype, 'thinLabels_').andCallThrough();
+        markers = new ObservationMarkers(null, {
+          data: observations
+        });
+        markers.setMap(map);
+        ObservationMarkers.prototype.thinLabels_.reset();
+
+        addObservations(_.times(50, function(i) {
+          return [30 + i / 10, -100 + i / 10];
+        }));
+        clock.tick(100);
+
+        expect(ObservationMarkers.prototype.thinLabels_.callCount).toEqual(1);
+      });
+
+      it('should not support clustering', function() {
+        expect(function() {
+          markers.startClustering();
+        }).toThrow();
+      });
+
+    });
+
+  });
+
+});
@@ -0,0 +1,70 @@
+define([
+  'aeris/util',
+  'aeris/config',
+  'aeris/maps/markers/rivergaugemarker',
+  'aeris/maps/markers/config/iconlookup',
+  'aeris/api/models/rivergauge'
+], function(_, config, RiverGaugeMarker, iconLookup, RiverGauge) {
+
+  describe('RiverGaugeMarker', function() {
+    var marker, gauge;
+
+    beforeEach(function() {
+      gauge = new RiverGauge({
+        loc: { lat: 38.6, long: -90.2 },
+        place: { name: 'St. Louis' },
+        ob: {
+          category: 'moderate',
+          heightFT: 35.2,
+          heightM: 10.7
+        }
+      });
+
+      marker = new RiverGaugeMarker(null, {
+        data: gauge
+      });
+    });
+
+    afterEach(function() {
+      config.setUnits('imperial');
+    });
+
+
+    describe('icon', function() {
+
+      it('should use the icon for the flood category', function() {
+        expect(marker.get('url')).toEqual(iconLookup.riverGauge.moderate.url);
+      });
+
+      it('should update when the flood category changes', function() {
+        gauge.set('ob', { category: 'no_flooding' });
+
+        expect(marker.get('url')).toEqual(iconLookup.riverGauge.none.url);
+      });
+
+    });
+
+
+    describe('title', function() {
+
+      it('should include the river stage and flood category', function() {
+        expect(marker.get('title')).toEqual('St. Louis: 35.2 ft (Moderate flooding)');
+      });
+
+      it('should use the preferred units', function() {
+        config.setUnits('metric');
+
+        expect(marker.get('title')).toEqual('St. Louis: 10.7 m (Moderate flooding)');
+      });
+
+      it('should not include a category, if the gauge is not flooding', function() {
+        gauge.set('ob', { category: 'no_flooding', heightFT: 12 });
+
+        expect(marker.get('title')).toEqual('St. Louis: 12 ft');
+      });
+
+    });
+
+  });
+
+});
@@ -0,0 +1,58 @@
+define([
+  'aeris/util',
+  'aeris/config',
+  'aeris/maps/markers/stormreportmarker',
+  'aeris/api/models/stormreport'
+], function(_, config, StormReportMarker, StormReport) {
+
+  describe('StormReportMarker', function() {
+    var marker, stormReport;
+
+    beforeEach(function() {
+      stormReport = new StormReport({
+        report: {
+          type: 'hail',
+          name: 'Seattle',
+          detail: {
+            hailIN: 1.75
+          }
+        },
+        stormtypes: ['hail']
+      });
+
+      marker = new StormReportMarker(null, {
+        data: stormReport
+      });
+    });
+
+    afterEach(function() {
+      config.setUnits('imperial');
+    });
+
+
+    describe('title', function() {
+
+      it('should include the reported measurement', function() {
+        expect(marker.get('title')).toEqual('Hail: Seattle (1.75 in)');
+      });
+
+      it('should use the preferred units', function() {
+        config.setUnits('metric');
+
+        expect(marker.get('title')).toEqual('Hail: Seattle (44 mm)');
+      });
+
+      it('should not include a measurement, if none was reported', function() {
+        stormReport.set('report', {
+          type: 'tornado',
+          name: 'Moore'
+        });
+
+        expect(marker.get('title')).toEqual('Tornado: Moore');
+      });
+
+    });
+
+  });
+
+});
@@ -0,0 +1,184 @@
+define([
+  'aeris/util',
+  'aeris/maps/markers/tropicalcyclonemarker',
+  'aeris/maps/markercollections/tropicalcyclonemarkers',
+  'aeris/api/models/tropicalcyclone',
+  'aeris/maps/polylines/polyline',
+  'aeris/maps/polygons/polygon',
+  'aeris/maps/markers/marker',
+  'aeris/maps/markers/config/iconlookup',
+  'mocks/map'
+], function(_, TropicalCycloneMarker, TropicalCycloneMarkers, TropicalCyclone, Polyline, Polygon, Marker, iconLookup, MockMap) {
+
+  describe('TropicalCycloneMarker', function() {
+    var cycloneMarker, cyclone;
+
+    function getPolylinePaths() {
+      return _.map(Polyline.prototype.setStrategy.calls, function(call) {
+        return call.object.get('path');
+      });
+    }
+
+    function getPolygon() {
+      return Polygon.prototype.setStrategy.mostRecentCall.object;
+    }
+
+    function getMarkers() {
+      return _.pluck(Marker.prototype.setStrategy.calls, 'object');
+    }
+
+    beforeEach(function() {
+      // Stub out strategies
+      spyOn(Polyline.prototype, 'setStrategy');
+      spyOn(Polygon.prototype, 'setStrategy');
+      spyOn(Marker.prototype, 'setStrategy');
+
+      cyclone = new TropicalCyclone({
+        position: {
+          loc: { lat: 33.5, long: -77.3 },
+          details: { stormName: 'Hurricane Arthur', stormCat: 'H1' }
+        },
+        track: [
+          { loc: { lat: 31.2, long: -78.9 }, details: { stormCat: 'TS' } }
+        ],
+        forecast: [
+          { loc: { lat: 36.1, long: -74.2 }, details: { stormCat: 'H2' } }
+        ],
+        errorCone: {
+          type: 'Polygon',
+          coordinates: [[[-77, 33], [-74, 36], [-73, 35], [-77, 33]]]
+        }
+      });
+
+      cycloneMarker = new TropicalCycloneMarker(null, {
+        data: cyclone
+      });
+    });
+
+
+    describe('rendering', function() {
+
+      it('should render the past and forecast tracks as polylines', function() {
+        expect(getPolylinePaths()).toEqual([
+          [[31.2, -78.9], [33.5, -77.3]],
+          [[33.5, -77.3], [36.1, -74.2]]
+        ]);
+      });
+
+      it('should render the error cone as a polygon', function() {
+        expect(getPolygon().get('paths')).toEqual([
+          [[33, -77], [36, -74], [35, -73], [33, -77]]
+        ]);
+      });
+
+      it('should render a marker for each position, styled by category', function() {
+        var markers = getMarkers();
+
+        expect(_.invoke(markers, 'get', 'position')).toEqual([
+          [31.2, -78.9],
+          [33.5, -77.3],
+          [36.1, -74.2]
+        ]);
+        expect(markers[0].get('url')).toEqual(iconLookup.tropicalCyclone.TS.url);
+        expect(markers[2].get('url')).toEqual(iconLookup.tropicalCyclone.H2.url);
+        expect(markers[1].get('title')).toEqual('Hurricane Arthur (H1)');
+      });
+
+      it('should use default styles for unknown categories', function() {
+        cyclone.set('forecast', [
+          { loc: { lat: 40, long: -60 }, details: { stormCat: 'EX' } }
+        ]);
+
+        expect(_.last(getMarkers()).get('url')).toEqual(iconLookup.tropicalCyclone.defaultStyles.url);
+      });
+
+      it('should update the rendered objects when the data changes', function() {
+        cyclone.set('errorCone', null);
+        cyclone.set('forecast', []);
+
+        expect(getPolygon().get('paths')).toEqual([]);
+        expect(Polyline.prototype.setStrategy.calls[1].object.get('path')).toEqual([[33.5, -77.3]]);
+      });
+
+      it('should accept custom styles', function() {
+        Polyline.prototype.setStrategy.reset();
+
+        cycloneMarker = new TropicalCycloneMarker(null, {
+          data: cyclone,
+          style: {
+            track: { strokeColor: 'red' },
+            forecastTrack: { strokeColor: 'blue' },
+            cone: { fillColor: 'green' }
+          }
+        });
+
+        expect(Polyline.prototype.setStrategy.calls[0].object.get('strokeColor')).toEqual('red');
+        expect(Polyline.prototype.setStrategy.calls[1].object.get('strokeColor')).toEqual('blue');
+        expect(getPolygon().get('fillColor')).toEqual('green');
+      });
+
+    });
+
+
+    describe('setMap', function() {
+
+      it('should set the map on all rendered objects', function() {
+        var map = new MockMap();
+
+        cycloneMarker.setMap(map);
+
+        expect(_.invoke(getMarkers(), 'getMap')).toEqual([map, map, map]);
+        expect(getPolygon().getMap()).toEqual(map);
+        expect(Polyline.prototype.setStrategy.calls[0].object.getMap()).toEqual(map);
+
+        cycloneMarker.setMap(null);
+
+        expect(getPolygon().getMap()).toEqual(null);
+        expect(getMarkers()[0].getMap()).toEqual(null);
+      });
+
+      it('should set the map on newly rendered markers', function() {
+        var map = new MockMap();
+
+        cycloneMarker.setMap(map);
+        cyclone.set('forecast', [
+          { loc: { lat: 40, long: -60 }, details: { stormCat: 'H3' } }
+        ]);
+
+        expect(_.last(getMarkers()).getMap()).toEqual(map);
+      });
+
+    });
+
+
+    describe('events', function() {
+
+      it('should proxy click events from rendered objects', function() {
+        var onClick = jasmine.createSpy('onClick');
+        cycloneMarker.on('click', onClick);
+
+        getPolygon().trigger('click', [34, -76], getPolygon());
+        getMarkers()[1].trigger('click', [33.5, -77.3], getMarkers()[1]);
+
+        expect(onClick.callCount).toEqual(2);
+        expect(onClick).toHaveBeenCalledWith([34, -76], cycloneMarker);
+      });
+
+    });
+
+
+    describe('TropicalCycloneMarkers', function() {
+
+      it('should not support clustering', function() {
+        var markers = new TropicalCycloneMarkers();
+
+        expect(function() {
+          markers.startClustering();
+        }).toThrow();
+      });
+
+    });
+
+  });
+
+});
@@ -0,0 +1,67 @@
+define([
+  'aeris/util',
+  'aeris/maps/polygons/polygon'
+], function(_, Polygon) {
+
+  describe('A Polygon', function() {
+    var polygon;
+
+    beforeEach(function() {
+      // stub out strategy
+      spyOn(Polygon.prototype, 'setStrategy');
+
+      polygon = new Polygon();
+    });
+
+
+    describe('setPaths', function() {
+
+      it('should set paths', function() {
+        polygon.setPaths([[[0, 0], [1, 1], [0, 1]]]);
+
+        expect(polygon.get('paths')).toEqual([[[0, 0], [1, 1], [0, 1]]]);
+        expect(polygon.hasPaths()).toEqual(true);
+      });
+
+      it('should reject invalid paths', function() {
+        expect(function() {
+          polygon.setPaths([[0, 0], [1, 1]]);
+        }).toThrowType('ValidationError');
+
+        expect(function() {
+          polygon.setPaths('foo');
+        }).toThrowType('ValidationError');
+      });
+
+    });
+
+
+    describe('setStyles', function() {
+
+      it('should set style attributes', function() {
+        polygon.setStyles({
+          strokeColor: 'blue',
+          fillColor: 'red',
+          fillOpacity: 0.5
+        });
+
+        expect(polygon.get('strokeColor')).toEqual('blue');
+        expect(polygon.get('fillColor')).toEqual('red');
+        expect(polygon.get('fillOpacity')).toEqual(0.5);
+      });
+
+      it('should reject non-style attributes', function() {
+        expect(function() {
+          polygon.setStyles({ paths: [] });
+        }).toThrowType('InvalidArgumentError');
+
+        expect(function() {
+          polygon.setStyles('blue');
+        }).toThrowType('InvalidArgumentError');
+      });
+
+    });
+
+  });
+
+});
@@ -1,7 +1,9 @@
 define([
   'aeris/util',
-  'aeris/promise'
-], function(_, Promise) {
+  'aeris/promise',
+  'aeris/errors/timeouterror',
+  'tests/lib/clock'
+], function(_, Promise, TimeoutError, clock) {
   Promise.prototype.jasmineToString = _.constant('Promise');
 
   describe('Promise', function() {
@@ -232,6 +234,48 @@ define([
     });
 
 
+    describe('timeout', function() {
+
+      beforeEach(function() {
+        clock.useFakeTimers();
+      });
+
+      afterEach(function() {
+        clock.restore();
+      });
+
+
+      it('should reject with a TimeoutError after the timeout', function() {
+        var onFail = jasmine.createSpy('onFail');
+        promise.timeout(100).fail(onFail);
+
+        clock.tick(99);
+        expect(onFail).not.toHaveBeenCalled();
+
+        clock.tick(1);
+        expect(onFail).toHaveBeenCalled();
+        expect(onFail.mostRecentCall.args[0]).toBeInstanceOf(TimeoutError);
+      });
+
+      it('should use the error message', function() {
+        var onFail = jasmine.createSpy('onFail');
+        promise.timeout(100, 'MESSAGE_STUB').fail(onFail);
+
+        clock.tick(100);
+        expect(onFail.mostRecentCall.args[0].message).toEqual('MESSAGE_STUB');
+      });
+
+      it('should not reject a promise which has already resolved', function() {
+        promise.timeout(100);
+        promise.resolve();
+
+        clock.tick(100);
+        expect(promise.getState()).toEqual('resolved');
+      });
+
+    });
+
+
     describe('when', function() {
       var p1, p2, p3;
 
@@ -174,6 +174,36 @@ define([
 
       });
 
+
+      describe('\'data:error\' event', function() {
+
+        it('should proxy the data collection\'s \'error\' event', function() {
+          var onDataError = jasmine.createSpy('onDataError');
+          var ERROR_STUB = new Error('ERROR_STUB');
+          viewCollection.on('data:error', onDataError);
+
+          dataCollection.trigger('error', dataCollection, ERROR_STUB, OPTIONS_STUB);
+
+          expect(onDataError).toHaveBeenCalledWith(viewCollection, ERROR_STUB);
+        });
+
+      });
+
+
+      describe('\'data:warning\' event', function() {
+
+        it('should proxy the data collection\'s \'warning\' event', function() {
+          var onDataWarning = jasmine.createSpy('onDataWarning');
+          var WARNING_STUB = new Error('WARNING_STUB');
+          viewCollection.on('data:warning', onDataWarning);
+
+          dataCollection.trigger('warning', dataCollection, WARNING_STUB, OPTIONS_STUB);
+
+          expect(onDataWarning).toHaveBeenCalledWith(viewCollection, WARNING_STUB);
+        });
+
+      });
+
     });
 
   });
@@ -176,6 +176,79 @@ define([
     });
 
 
+    describe('labels', function() {
+
+      function getLabelElement() {
+        var el = document.createElement('div');
+        el.innerHTML = leafletMarker.options.icon.options.html;
+
+        return el.querySelector('.aeris-marker-label');
+      }
+
+      beforeEach(function() {
+        aerisMarker = new Marker({
+          url: 'URL_STUB',
+          offsetX: 12,
+          offsetY: 34,
+          label: '52°F',
+          labelColor: 'red'
+        }, {
+          strategy: MarkerStrategy
+        });
+        leafletMarker = aerisMarker.getView();
+        leafletIcon = leafletMarker.options.icon;
+      });
+
+
+      it('should render the label in a Leaflet div icon', function() {
+        expect(leafletIcon).toBeInstanceOf(Leaflet.DivIcon);
+        expect(leafletIcon.options.className).toEqual('aeris-marker-label-icon');
+        expect(getLabelElement().textContent).toEqual('52°F');
+        expect(getLabelElement().style.color).toEqual('red');
+      });
+
+      it('should render the icon url above the label', function() {
+        var el = document.createElement('div');
+        el.innerHTML = leafletIcon.options.html;
+
+        expect(el.querySelector('img').getAttribute('src')).toEqual('URL_STUB');
+        expect(leafletIcon.options.iconAnchor).toEqualPoint(new Leaflet.Point(12, 34));
+      });
+
+      it('should anchor labels without an icon at the marker position', function() {
+        aerisMarker.setUrl('');
+
+        expect(leafletMarker.options.icon.options.html).not.toMatch('<img');
+        expect(leafletMarker.options.icon.options.iconAnchor).toEqualPoint(new Leaflet.Point(0, 0));
+      });
+
+      it('should escape the label text', function() {
+        aerisMarker.setLabel('<b>52</b>');
+
+        expect(getLabelElement().textContent).toEqual('<b>52</b>');
+        expect(getLabelElement().querySelector('b')).toEqual(null);
+      });
+
+      it('should update the icon when the label changes', function() {
+        aerisMarker.set({
+          label: '75°F',
+          labelColor: 'blue'
+        });
+
+        expect(getLabelElement().textContent).toEqual('75°F');
+        expect(getLabelElement().style.color).toEqual('blue');
+      });
+
+      it('should use an image icon, when the label is removed', function() {
+        aerisMarker.setLabel('');
+
+        expect(leafletMarker.options.icon).not.toBeInstanceOf(Leaflet.DivIcon);
+        expect(leafletMarker.options.icon.options.iconUrl).toEqual('URL_STUB');
+      });
+
+    });
+
+
     describe('event proxying (Leaflet marker --> Aeris Marker)', function() {
 
       describe('click', function() {
@@ -0,0 +1,285 @@
+define([
+  'aeris/util',
+  'openlayers',
+  'aeris/maps/markers/marker',
+  'aeris/maps/strategy/markers/marker',
+  'aeris/maps/strategy/utils',
+  'aeris/maps/map',
+  'tests/spec/integration/helpers/mapcanvas'
+], function(_, OpenLayers, Marker, MarkerStrategy, mapUtil, Map, MapCanvas) {
+
+
+  describe('A Marker with OpenLayers', function() {
+    var aerisMarker, feature;
+    var aerisMap, openLayersMap;
+
+    function createMarker(opt_attrs) {
+      return new Marker(_.extend({
+        position: [45, -90],
+        title: 'STUB_TITLE'
+      }, opt_attrs), {
+        // Specify strategy to allow
+        // synchronous access to marker view
+        strategy: MarkerStrategy
+      });
+    }
+
+    function createMap() {
+      var canvas = new MapCanvas();
+
+      // OpenLayers vector layers require
+      // the map to have a size.
+      canvas.style.width = '100px';
+
+      return new Map(canvas);
+    }
+
+    function getMarkerLayers() {
+      return openLayersMap.getLayersByName(MarkerStrategy.LAYER_NAME);
+    }
+
+    beforeEach(function() {
+      aerisMap = createMap();
+      openLayersMap = aerisMap.getView();
+
+      aerisMarker = createMarker();
+      feature = aerisMarker.getView();
+    });
+
+
+    describe('creating a marker', function() {
+
+      it('should create an OpenLayers point feature', function() {
+        expect(feature).toBeInstanceOf(OpenLayers.Feature.Vector);
+        expect(feature.geometry).toBeInstanceOf(OpenLayers.Geometry.Point);
+      });
+
+      it('should use the aeris marker\'s position', function() {
+        var lonLat = mapUtil.arrayToLonLat([45, -90]);
+
+        expect(feature.geometry.x).toBeNear(lonLat.lon, 0.01);
+        expect(feature.geometry.y).toBeNear(lonLat.lat, 0.01);
+      });
+
+      it('should use the aeris marker\'s url, offset and title', function() {
+        aerisMarker = createMarker({
+          url: 'URL_STUB',
+          offsetX: 12,
+          offsetY: 34
+        });
+        feature = aerisMarker.getView();
+
+        expect(feature.style.externalGraphic).toEqual('URL_STUB');
+        expect(feature.style.graphicXOffset).toEqual(-12);
+        expect(feature.style.graphicYOffset).toEqual(-34);
+        expect(feature.style.graphicTitle).toEqual('STUB_TITLE');
+      });
+
+    });
+
+
+    describe('labels', function() {
+
+      it('should render the label with the label color', function() {
+        aerisMarker = createMarker({
+          label: '52°F',
+          labelColor: 'red'
+        });
+        feature = aerisMarker.getView();
+
+        expect(feature.style.label).toEqual('52°F');
+        expect(feature.style.fontColor).toEqual('red');
+      });
+
+      it('should render markers without a url as text labels', function() {
+        aerisMarker = createMarker({
+          url: '',
+          label: '52°F'
+        });
+        feature = aerisMarker.getView();
+
+        expect(feature.style.graphic).toEqual(false);
+        expect(feature.style.externalGraphic).not.toBeDefined();
+        expect(feature.style.labelYOffset).toEqual(0);
+      });
+
+      it('should display the label below the icon', function() {
+        aerisMarker = createMarker({
+          url: 'URL_STUB',
+          offsetY: 20,
+          label: '52°F'
+        });
+        feature = aerisMarker.getView();
+
+        expect(feature.style.labelYOffset).toEqual(-20);
+      });
+
+      it('should not style markers without a label as labels', function() {
+        expect(feature.style.label).not.toBeDefined();
+      });
+
+      it('should update the feature style when the label changes', function() {
+        aerisMarker.setMap(aerisMap);
+
+        aerisMarker.set({
+          label: '75°F',
+          labelColor: 'blue'
+        });
+
+        expect(feature.style.label).toEqual('75°F');
+        expect(feature.style.fontColor).toEqual('blue');
+      });
+
+    });
+
+
+    describe('attribute binding', function() {
+
+      it('should update the feature position', function() {
+        var lonLat = mapUtil.arrayToLonLat([12, 34]);
+
+        aerisMarker.setMap(aerisMap);
+        aerisMarker.setPosition([12, 34]);
+
+        expect(feature.geometry.x).toBeNear(lonLat.lon, 0.01);
+        expect(feature.geometry.y).toBeNear(lonLat.lat, 0.01);
+      });
+
+      it('should update the feature position, while the marker is not on a map', function() {
+        var lonLat = mapUtil.arrayToLonLat([12, 34]);
+
+        aerisMarker.setPosition([12, 34]);
+
+        expect(feature.geometry.x).toBeNear(lonLat.lon, 0.01);
+        expect(feature.geometry.y).toBeNear(lonLat.lat, 0.01);
+      });
+
+      it('should update the feature style when the marker is selected', function() {
+        aerisMarker = createMarker({
+          url: 'URL_STUB',
+          selectedUrl: 'SELECTED_URL_STUB'
+        });
+        feature = aerisMarker.getView();
+
+        aerisMarker.select();
+        expect(feature.style.externalGraphic).toEqual('SELECTED_URL_STUB');
+
+        aerisMarker.deselect();
+        expect(feature.style.externalGraphic).toEqual('URL_STUB');
+      });
+
+    });
+
+
+    describe('adding to a map', function() {
+
+      it('should add the feature to a shared marker layer', function() {
+        var otherMarker = createMarker();
+
+        aerisMarker.setMap(aerisMap);
+        otherMarker.setMap(aerisMap);
+
+        expect(getMarkerLayers().length).toEqual(1);
+        expect(getMarkerLayers()[0]).toBeInstanceOf(OpenLayers.Layer.Vector);
+        expect(getMarkerLayers()[0].features).toEqual([feature, otherMarker.getView()]);
+      });
+
+      it('should use a separate marker layer for each map', function() {
+        var otherMap = createMap();
+        var otherMarker = createMarker();
+
+        aerisMarker.setMap(aerisMap);
+        otherMarker.setMap(otherMap);
+
+        expect(getMarkerLayers()[0].features).toEqual([feature]);
+        expect(otherMap.getView().getLayersByName(MarkerStrategy.LAYER_NAME)[0].features).
+          toEqual([otherMarker.getView()]);
+      });
+
+    });
+
+
+    describe('removing from a map', function() {
+
+      it('should remove the feature from the marker layer', function() {
+        var otherMarker = createMarker();
+
+        aerisMarker.setMap(aerisMap);
+        otherMarker.setMap(aerisMap);
+
+        aerisMarker.setMap(null);
+
+        expect(getMarkerLayers()[0].features).toEqual([otherMarker.getView()]);
+      });
+
+      it('should remove the marker layer with the last marker', function() {
+        aerisMarker.setMap(aerisMap);
+        aerisMarker.setMap(null);
+
+        expect(getMarkerLayers()).toEqual([]);
+      });
+
+      it('should create a new marker layer, when a marker is added again', function() {
+        aerisMarker.setMap(aerisMap);
+        aerisMarker.setMap(null);
+
+        aerisMarker.setMap(aerisMap);
+
+        expect(getMarkerLayers().length).toEqual(1);
+        expect(getMarkerLayers()[0].features).toEqual([feature]);
+      });
+
+    });
+
+
+    describe('event proxying (OpenLayers feature --> Aeris Marker)', function() {
+      var onClick;
+
+      beforeEach(function() {
+        onClick = jasmine.createSpy('onClick');
+        aerisMarker.on('click', onClick);
+
+        aerisMarker.setMap(aerisMap);
+      });
+
+
+      it('should proxy the OpenLayers \'featureclick\' event', function() {
+        getMarkerLayers()[0].events.triggerEvent('featureclick', { feature: feature });
+
+        expect(onClick).toHaveBeenCalledWith(aerisMarker.getPosition(), aerisMarker);
+      });
+
+      it('should ignore clicks on other markers\' features', function() {
+        var otherMarker = createMarker();
+        otherMarker.setMap(aerisMap);
+
+        getMarkerLayers()[0].events.triggerEvent('featureclick', { feature: otherMarker.getView() });
+
+        expect(onClick).not.toHaveBeenCalled();
+      });
+
+      it('should ignore clicks, if the marker is not clickable', function() {
+        aerisMarker.set('clickable', false);
+
+        getMarkerLayers()[0].events.triggerEvent('featureclick', { feature: feature });
+
+        expect(onClick).not.toHaveBeenCalled();
+      });
+
+      it('should stop proxying events, when the marker is removed from the map', function() {
+        var otherMarker = createMarker();
+        var layer;
+        otherMarker.setMap(aerisMap);
+        layer = getMarkerLayers()[0];
+
+        aerisMarker.setMap(null);
+        layer.events.triggerEvent('featureclick', { feature: feature });
+
+        expect(onClick).not.toHaveBeenCalled();
+      });
+
+    });
+
+  });
+
+});